@@ -0,0 +1,44 @@
+/**
+ * Reorg-aware Bitcoin confirmation tracking
+ * Remembers the block a transaction was mined in and detects when that
+ * block leaves the best chain.
+ */
+class BitcoinConfirmationTracker {
+  constructor(wallet) {
+    this.wallet = wallet;
+  }
+
+  /**
+   * Check a transaction's confirmations against its previously seen block
+   * @param {string} txId - Transaction ID
+   * @param {Object|null} previous - Result of the previous check ({blockHash})
+   * @returns {Promise<Object>} {txId, confirmed, blockHash, blockHeight, confirmations, reorged}
+   */
+  async checkTransaction(txId, previous = null) {
+    const status = await this.wallet.getTransactionStatus(txId);
+
+    // The tx moved to another block or back to the mempool; confirm the
+    // old block really left the best chain before calling it a reorg
+    let reorged = false;
+    if (previous && previous.blockHash && previous.blockHash !== status.blockHash) {
+      reorged = !(await this.wallet.isBlockInBestChain(previous.blockHash));
+    }
+
+    let confirmations = 0;
+    if (status.confirmed) {
+      const tipHeight = await this.wallet.getBlockHeight();
+      confirmations = tipHeight - status.blockHeight + 1;
+    }
+
+    return {
+      txId,
+      confirmed: status.confirmed,
+      blockHash: status.blockHash,
+      blockHeight: status.blockHeight,
+      confirmations,
+      reorged
+    };
+  }
+}
+
+module.exports = BitcoinConfirmationTracker;
@@ -2,6 +2,8 @@ const bitcoin = require('bitcoinjs-lib');
 const crypto = require('crypto');
 const ECPair = require('ecpair');
 const tinysecp256k1 = require('tiny-secp256k1');
+const Logger = require('../coordinator/Logger');
+const { getBitcoinNetwork } = require('./networks');
 
 // Initialize ECPair factory
 const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
@@ -11,8 +13,13 @@ const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
  * Enables atomic swaps between Bitcoin and Ethereum
  */
 class BitcoinHTLC {
-  constructor(network = 'testnet') {
-    this.network = network === 'testnet' ? bitcoin.networks.testnet : bitcoin.networks.bitcoin;
+  /**
+   * @param {string} network - mainnet, testnet, signet or regtest
+   * @param {Object} options - {logger}
+   */
+  constructor(network = 'testnet', options = {}) {
+    this.network = getBitcoinNetwork(network).params;
+    this.logger = options.logger || new Logger();
   }
 
   /**
@@ -65,19 +72,49 @@ class BitcoinHTLC {
     return p2sh.address;
   }
 
+  /**
+   * Get P2SH output script (scriptPubKey) for an HTLC script
+   * @param {Buffer} script - HTLC script
+   * @returns {Buffer} P2SH output script
+   */
+  getP2SHOutputScript(script) {
+    const p2sh = bitcoin.payments.p2sh({
+      redeem: { output: script },
+      network: this.network,
+    });
+    return p2sh.output;
+  }
+
+  /**
+   * Public key that can claim an HTLC with the secret
+   * @param {Buffer} script - HTLC script
+   * @returns {Buffer} Recipient public key
+   */
+  getRecipientPubKey(script) {
+    return bitcoin.script.decompile(script)[4];
+  }
+
+  /**
+   * Public key that can refund an HTLC after its lock time
+   * @param {Buffer} script - HTLC script
+   * @returns {Buffer} Refund public key
+   */
+  getRefundPubKey(script) {
+    return bitcoin.script.decompile(script)[10];
+  }
+
   /**
    * Create HTLC transaction output
    * @param {Buffer} hash - SHA256 hash of the secret
-   * @param {string} recipientAddress - Recipient's address
-   * @param {string} refundAddress - Refund address
+   * @param {string} recipientPublicKey - Recipient's compressed public key (hex)
+   * @param {string} refundPublicKey - Refund compressed public key (hex)
    * @param {number} lockTime - Lock time in blocks
    * @param {number} amount - Amount in satoshis
    * @returns {Object} HTLC transaction details
    */
-  createHTLCOutput(hash, recipientAddress, refundAddress, lockTime, amount) {
-    // Convert addresses to public keys (simplified - in real implementation, you'd need proper key derivation)
-    const recipientPubKey = this.addressToPubKey(recipientAddress);
-    const refundPubKey = this.addressToPubKey(refundAddress);
+  createHTLCOutput(hash, recipientPublicKey, refundPublicKey, lockTime, amount) {
+    const recipientPubKey = this.parsePublicKey(recipientPublicKey);
+    const refundPubKey = this.parsePublicKey(refundPublicKey);
     
     const script = this.createHTLCScript(hash, recipientPubKey, refundPubKey, lockTime);
     const address = this.createP2SHAddress(script);
@@ -93,15 +130,24 @@ class BitcoinHTLC {
 
   /**
    * Create claim transaction (recipient claims with secret)
+   * Spends every given UTXO; the destination receives their total less the
+   * fee and any extra outputs. Inputs signal replace-by-fee so a claim can be
+   * re-signed with a higher fee.
    * @param {Object} htlcOutput - HTLC output details
    * @param {Buffer} secret - The secret
    * @param {string} recipientPrivateKey - Recipient's private key
    * @param {string} destinationAddress - Where to send the funds
-   * @param {Array} utxos - UTXOs to spend
+   * @param {Array} utxos - UTXOs to spend (with `value` and the funding tx hex as `txHex`)
+   * @param {number} fee - Fee in satoshis
+   * @param {Array} outputs - Extra outputs {address, value}, e.g. excess funding returned to the sender
    * @returns {Object} Signed transaction
    */
-  createClaimTransaction(htlcOutput, secret, recipientPrivateKey, destinationAddress, utxos) {
+  createClaimTransaction(htlcOutput, secret, recipientPrivateKey, destinationAddress, utxos, fee = 1000, outputs = []) {
     const keyPair = ECPairFactory.fromWIF(recipientPrivateKey, this.network);
+    // Both keys are in the script, so the signer alone would accept either
+    if (!keyPair.publicKey.equals(this.getRecipientPubKey(htlcOutput.script))) {
+      throw new Error('Private key is not the HTLC recipient key');
+    }
     const psbt = new bitcoin.Psbt({ network: this.network });
 
     // Add inputs
@@ -109,35 +155,34 @@ class BitcoinHTLC {
       psbt.addInput({
         hash: utxo.txid,
         index: utxo.vout,
-        witnessUtxo: {
-          script: Buffer.from(utxo.scriptPubKey, 'hex'),
-          value: utxo.value,
-        },
+        sequence: 0xfffffffd, // Signal replace-by-fee
+        nonWitnessUtxo: Buffer.from(utxo.txHex, 'hex'), // Legacy P2SH signs over the full previous tx
         redeemScript: htlcOutput.script,
       });
     });
 
-    // Add output
-    const fee = 1000; // 1000 satoshis fee
-    const outputAmount = htlcOutput.amount - fee;
+    // Add outputs
+    const amount = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+    const outputAmount = amount - fee - outputs.reduce((sum, output) => sum + output.value, 0);
     psbt.addOutput({
       address: destinationAddress,
       value: outputAmount,
     });
+    outputs.forEach(output => psbt.addOutput({ address: output.address, value: output.value }));
 
     // Sign inputs
     utxos.forEach((_, index) => {
-      const witnessScript = bitcoin.script.compile([
-        secret, // Push secret
-        bitcoin.opcodes.OP_TRUE, // Choose IF branch
-      ]);
-      
       psbt.signInput(index, keyPair);
       psbt.finalizeInput(index, (inputIndex, input) => {
+        const redeemInput = bitcoin.script.compile([
+          input.partialSig[0].signature,
+          secret, // Push secret
+          bitcoin.opcodes.OP_TRUE, // Choose IF branch
+        ]);
         const redeemPayment = bitcoin.payments.p2sh({
           redeem: {
             output: htlcOutput.script,
-            input: witnessScript,
+            input: redeemInput,
           },
         });
         return {
@@ -146,7 +191,14 @@ class BitcoinHTLC {
       });
     });
 
-    return psbt.extractTransaction();
+    const tx = psbt.extractTransaction();
+    this.logger.info('Created HTLC claim transaction', {
+      txid: tx.getId(),
+      htlcAddress: htlcOutput.address,
+      fundingTxids: utxos.map(utxo => utxo.txid),
+      fee
+    });
+    return tx;
   }
 
   /**
@@ -154,11 +206,15 @@ class BitcoinHTLC {
    * @param {Object} htlcOutput - HTLC output details
    * @param {string} refundPrivateKey - Refund private key
    * @param {string} refundAddress - Where to send the refund
-   * @param {Array} utxos - UTXOs to spend
+   * @param {Array} utxos - UTXOs to spend (with the funding tx hex as `txHex`)
+   * @param {number} fee - Fee in satoshis (raise it to replace a stuck refund)
    * @returns {Object} Signed transaction
    */
-  createRefundTransaction(htlcOutput, refundPrivateKey, refundAddress, utxos) {
+  createRefundTransaction(htlcOutput, refundPrivateKey, refundAddress, utxos, fee = 1000) {
     const keyPair = ECPairFactory.fromWIF(refundPrivateKey, this.network);
+    if (!keyPair.publicKey.equals(this.getRefundPubKey(htlcOutput.script))) {
+      throw new Error('Private key is not the HTLC refund key');
+    }
     const psbt = new bitcoin.Psbt({ network: this.network });
 
     // Set locktime
@@ -169,17 +225,13 @@ class BitcoinHTLC {
       psbt.addInput({
         hash: utxo.txid,
         index: utxo.vout,
-        sequence: 0xfffffffe, // Enable locktime
-        witnessUtxo: {
-          script: Buffer.from(utxo.scriptPubKey, 'hex'),
-          value: utxo.value,
-        },
+        sequence: 0xfffffffd, // Enable locktime and signal replace-by-fee
+        nonWitnessUtxo: Buffer.from(utxo.txHex, 'hex'), // Legacy P2SH signs over the full previous tx
         redeemScript: htlcOutput.script,
       });
     });
 
     // Add output
-    const fee = 1000; // 1000 satoshis fee
     const outputAmount = htlcOutput.amount - fee;
     psbt.addOutput({
       address: refundAddress,
@@ -188,16 +240,16 @@ class BitcoinHTLC {
 
     // Sign inputs
     utxos.forEach((_, index) => {
-      const witnessScript = bitcoin.script.compile([
-        bitcoin.opcodes.OP_FALSE, // Choose ELSE branch
-      ]);
-      
       psbt.signInput(index, keyPair);
       psbt.finalizeInput(index, (inputIndex, input) => {
+        const redeemInput = bitcoin.script.compile([
+          input.partialSig[0].signature,
+          bitcoin.opcodes.OP_FALSE, // Choose ELSE branch
+        ]);
         const redeemPayment = bitcoin.payments.p2sh({
           redeem: {
             output: htlcOutput.script,
-            input: witnessScript,
+            input: redeemInput,
           },
         });
         return {
@@ -206,7 +258,15 @@ class BitcoinHTLC {
       });
     });
 
-    return psbt.extractTransaction();
+    const tx = psbt.extractTransaction();
+    this.logger.info('Created HTLC refund transaction', {
+      txid: tx.getId(),
+      htlcAddress: htlcOutput.address,
+      fundingTxids: utxos.map(utxo => utxo.txid),
+      lockTime: htlcOutput.lockTime,
+      fee
+    });
+    return tx;
   }
 
   /**
@@ -218,10 +278,10 @@ class BitcoinHTLC {
   extractSecretFromTransaction(txHex, expectedHash) {
     const tx = bitcoin.Transaction.fromHex(txHex);
     
+    // The secret follows the signature in a claim's scriptSig
     for (const input of tx.ins) {
-      const script = bitcoin.script.decompile(input.script);
-      if (script && script.length > 0) {
-        const potentialSecret = script[0];
+      const script = bitcoin.script.decompile(input.script) || [];
+      for (const potentialSecret of script) {
         if (Buffer.isBuffer(potentialSecret) && potentialSecret.length === 32) {
           const hash = crypto.createHash('sha256').update(potentialSecret).digest();
           if (hash.equals(expectedHash)) {
@@ -235,15 +295,18 @@ class BitcoinHTLC {
   }
 
   /**
-   * Helper function to convert address to public key
-   * Note: This is a simplified version. In production, you'd need proper key management
-   * @param {string} address - Bitcoin address
+   * Parse an HTLC public key
+   * An address only commits to a hash of its key, so it cannot stand in for
+   * one: the HTLC script needs the key itself to check signatures against.
+   * @param {string} publicKey - Compressed public key (hex)
    * @returns {Buffer} Public key
    */
-  addressToPubKey(address) {
-    // This is a placeholder - in real implementation, you'd need to derive the public key
-    // from the address or maintain a mapping of addresses to public keys
-    return Buffer.alloc(33); // Placeholder 33-byte public key
+  parsePublicKey(publicKey) {
+    const key = /^0[23][0-9a-fA-F]{64}$/.test(publicKey) ? Buffer.from(publicKey, 'hex') : null;
+    if (!key || !tinysecp256k1.isPoint(key)) {
+      throw new Error('Bitcoin public key must be a compressed public key in hex');
+    }
+    return key;
   }
 
   /**
@@ -0,0 +1,48 @@
+const bitcoin = require('bitcoinjs-lib');
+
+/**
+ * Supported Bitcoin networks
+ * `params` are the bitcoinjs address and key prefixes (signet shares
+ * testnet's), `apiBaseUrl` the public Esplora API used when no Bitcoin Core
+ * RPC is configured, and `rpcPort` Bitcoin Core's default RPC port.
+ */
+const BITCOIN_NETWORKS = {
+  mainnet: {
+    params: bitcoin.networks.bitcoin,
+    apiBaseUrl: 'https://blockstream.info/api',
+    rpcPort: 8332
+  },
+  testnet: {
+    params: bitcoin.networks.testnet,
+    apiBaseUrl: 'https://blockstream.info/testnet/api',
+    rpcPort: 18332
+  },
+  signet: {
+    params: bitcoin.networks.testnet,
+    apiBaseUrl: 'https://mempool.space/signet/api',
+    rpcPort: 38332
+  },
+  regtest: {
+    params: bitcoin.networks.regtest,
+    apiBaseUrl: null, // Local only; needs an RPC connection
+    rpcPort: 18443
+  }
+};
+
+/**
+ * Look up a Bitcoin network
+ * @param {string} name - mainnet, testnet, signet or regtest
+ * @returns {Object} {params, apiBaseUrl, rpcPort}
+ */
+function getBitcoinNetwork(name) {
+  const network = BITCOIN_NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown Bitcoin network ${name} (expected one of ${Object.keys(BITCOIN_NETWORKS).join(', ')})`);
+  }
+  return network;
+}
+
+module.exports = {
+  BITCOIN_NETWORKS,
+  getBitcoinNetwork
+};
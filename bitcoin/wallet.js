@@ -2,6 +2,8 @@ const bitcoin = require('bitcoinjs-lib');
 const axios = require('axios');
 const ECPair = require('ecpair');
 const tinysecp256k1 = require('tiny-secp256k1');
+const Logger = require('../coordinator/Logger');
+const { getBitcoinNetwork } = require('./networks');
 
 // Initialize ECPair factory
 const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
@@ -11,20 +13,28 @@ const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
  * Handles Bitcoin transactions, UTXOs, and network communication
  */
 class BitcoinWallet {
-  constructor(network = 'testnet', rpcConfig = null) {
-    this.network = network === 'testnet' ? bitcoin.networks.testnet : bitcoin.networks.bitcoin;
+  /**
+   * @param {string} network - mainnet, testnet, signet or regtest
+   * @param {Object} rpcConfig - Bitcoin Core RPC {url, user, pass}; the network's public API when omitted
+   * @param {Object} options - {logger}
+   */
+  constructor(network = 'testnet', rpcConfig = null, options = {}) {
+    const preset = getBitcoinNetwork(network);
+    this.network = preset.params;
     this.networkName = network;
-    this.rpcConfig = rpcConfig || {
-      url: process.env.BITCOIN_RPC_URL || 'http://localhost:18332',
-      user: process.env.BITCOIN_RPC_USER || 'bitcoin',
-      pass: process.env.BITCOIN_RPC_PASS || 'bitcoin',
-    };
-    
-    // Use public APIs for testnet if no RPC config
-    this.usePublicAPI = !rpcConfig && network === 'testnet';
-    this.apiBaseUrl = network === 'testnet' 
-      ? 'https://blockstream.info/testnet/api'
-      : 'https://blockstream.info/api';
+    this.rpcConfig = rpcConfig;
+
+    // Use the public Esplora API if no RPC config
+    this.usePublicAPI = !rpcConfig;
+    this.apiBaseUrl = preset.apiBaseUrl;
+    if (this.usePublicAPI && !this.apiBaseUrl) {
+      throw new Error(`Bitcoin ${network} has no public API; configure a Bitcoin Core RPC connection`);
+    }
+
+    this.logger = options.logger || new Logger();
+    if (rpcConfig) {
+      this.logger.redact(rpcConfig.pass);
+    }
   }
 
   /**
@@ -94,7 +104,7 @@ class BitcoinWallet {
         }));
       }
     } catch (error) {
-      console.error('Error fetching UTXOs:', error);
+      this.logger.error('Error fetching UTXOs', { address, error });
       throw error;
     }
   }
@@ -113,7 +123,104 @@ class BitcoinWallet {
         return await this.rpcCall('gettransaction', [txid]);
       }
     } catch (error) {
-      console.error('Error fetching transaction:', error);
+      this.logger.error('Error fetching transaction', { txid, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the block a transaction was mined in
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} {confirmed, blockHash, blockHeight}
+   */
+  async getTransactionStatus(txid) {
+    try {
+      if (this.usePublicAPI) {
+        const response = await axios.get(`${this.apiBaseUrl}/tx/${txid}/status`);
+        return {
+          confirmed: response.data.confirmed,
+          blockHash: response.data.block_hash || null,
+          blockHeight: response.data.block_height || null,
+        };
+      } else {
+        const tx = await this.rpcCall('getrawtransaction', [txid, true]);
+        if (!tx.blockhash) {
+          return { confirmed: false, blockHash: null, blockHeight: null };
+        }
+
+        // A block outside the active chain reports -1 confirmations
+        const header = await this.rpcCall('getblockheader', [tx.blockhash]);
+        return {
+          confirmed: header.confirmations > 0,
+          blockHash: tx.blockhash,
+          blockHeight: header.height,
+        };
+      }
+    } catch (error) {
+      this.logger.error('Error fetching transaction status', { txid, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the timestamp of the block at a given height
+   * @param {number} height - Block height
+   * @returns {Promise<number>} Block timestamp in Unix seconds
+   */
+  async getBlockTimestamp(height) {
+    try {
+      if (this.usePublicAPI) {
+        const hash = await axios.get(`${this.apiBaseUrl}/block-height/${height}`);
+        const response = await axios.get(`${this.apiBaseUrl}/block/${hash.data}`);
+        return response.data.timestamp;
+      } else {
+        const hash = await this.rpcCall('getblockhash', [height]);
+        const header = await this.rpcCall('getblockheader', [hash]);
+        return header.time;
+      }
+    } catch (error) {
+      this.logger.error('Error fetching block timestamp', { height, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the median time past of the chain tip (BIP113)
+   * Time-based CLTV locks are valid once this passes the lock time.
+   * @returns {Promise<number>} Median time past in Unix seconds
+   */
+  async getMedianTimePast() {
+    try {
+      if (this.usePublicAPI) {
+        const hash = await axios.get(`${this.apiBaseUrl}/blocks/tip/hash`);
+        const response = await axios.get(`${this.apiBaseUrl}/block/${hash.data}`);
+        return response.data.mediantime;
+      } else {
+        const info = await this.rpcCall('getblockchaininfo');
+        return info.mediantime;
+      }
+    } catch (error) {
+      this.logger.error('Error fetching median time past', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a block is part of the best chain
+   * @param {string} blockHash - Block hash
+   * @returns {Promise<boolean>} True if the block has not been reorged out
+   */
+  async isBlockInBestChain(blockHash) {
+    try {
+      if (this.usePublicAPI) {
+        const response = await axios.get(`${this.apiBaseUrl}/block/${blockHash}/status`);
+        return response.data.in_best_chain;
+      } else {
+        const header = await this.rpcCall('getblockheader', [blockHash]);
+        return header.confirmations >= 0;
+      }
+    } catch (error) {
+      this.logger.error('Error fetching block status', { blockHash, error });
       throw error;
     }
   }
@@ -131,11 +238,25 @@ class BitcoinWallet {
         return await this.rpcCall('getblockcount');
       }
     } catch (error) {
-      console.error('Error fetching block height:', error);
+      this.logger.error('Error fetching block height', { error });
       throw error;
     }
   }
 
+  /**
+   * Current fee rate for confirmation within 6 blocks
+   * @returns {Promise<number>} Fee rate in sat/vB (10 when the node has no estimate)
+   */
+  async getFeeRate() {
+    if (this.usePublicAPI) {
+      const response = await axios.get(`${this.apiBaseUrl}/fee-estimates`);
+      return response.data['6'] || 10; // 6 block target or fallback to 10 sat/vB
+    }
+
+    const result = await this.rpcCall('estimatesmartfee', [6]);
+    return result.feerate ? Math.round(result.feerate * 100000000 / 1000) : 10;
+  }
+
   /**
    * Estimate transaction fee
    * @param {number} numInputs - Number of inputs
@@ -146,13 +267,7 @@ class BitcoinWallet {
   async estimateFee(numInputs, numOutputs, feeRate = null) {
     try {
       if (!feeRate) {
-        if (this.usePublicAPI) {
-          const response = await axios.get(`${this.apiBaseUrl}/fee-estimates`);
-          feeRate = response.data['6'] || 10; // 6 block target or fallback to 10 sat/vB
-        } else {
-          const result = await this.rpcCall('estimatesmartfee', [6]);
-          feeRate = result.feerate ? Math.round(result.feerate * 100000000 / 1000) : 10;
-        }
+        feeRate = await this.getFeeRate();
       }
 
       // Estimate transaction size
@@ -163,7 +278,7 @@ class BitcoinWallet {
       const estimatedSize = (numInputs * inputSize) + (numOutputs * outputSize) + overhead;
       return Math.round(estimatedSize * feeRate);
     } catch (error) {
-      console.error('Error estimating fee:', error);
+      this.logger.warn('Error estimating fee, using fallback', { error });
       return 10000; // Fallback fee
     }
   }
@@ -247,16 +362,20 @@ class BitcoinWallet {
    */
   async broadcastTransaction(txHex) {
     try {
+      let txid;
       if (this.usePublicAPI) {
         const response = await axios.post(`${this.apiBaseUrl}/tx`, txHex, {
           headers: { 'Content-Type': 'text/plain' },
         });
-        return response.data;
+        txid = response.data;
       } else {
-        return await this.rpcCall('sendrawtransaction', [txHex]);
+        txid = await this.rpcCall('sendrawtransaction', [txHex]);
       }
+
+      this.logger.info('Broadcast Bitcoin transaction', { txid });
+      return txid;
     } catch (error) {
-      console.error('Error broadcasting transaction:', error);
+      this.logger.error('Error broadcasting transaction', { error });
       throw error;
     }
   }
@@ -276,7 +395,7 @@ class BitcoinWallet {
         return result;
       }
     } catch (error) {
-      console.error('Error fetching transaction hex:', error);
+      this.logger.error('Error fetching transaction hex', { txid, error });
       throw error;
     }
   }
@@ -301,7 +420,7 @@ class BitcoinWallet {
           lastTxCount = currentTxCount;
         }
       } catch (error) {
-        console.error('Error monitoring address:', error);
+        this.logger.error('Error monitoring address', { address, error });
       }
     };
 
@@ -342,7 +461,7 @@ class BitcoinWallet {
 
       return response.data.result;
     } catch (error) {
-      console.error('RPC call error:', error);
+      this.logger.error('RPC call error', { method, error });
       throw error;
     }
   }
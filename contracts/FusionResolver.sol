@@ -36,6 +36,12 @@ contract FusionResolver is ReentrancyGuard, Ownable {
         string reason
     );
 
+    event SwapAmountReduced(
+        bytes32 indexed swapId,
+        address indexed user,
+        uint256 amountOut
+    );
+
     // Structs
     struct SwapOrder {
         address user;
@@ -142,7 +148,7 @@ contract FusionResolver is ReentrancyGuard, Ownable {
         require(block.timestamp <= order.lockTime, "Swap expired");
         
         // Verify secret hash
-        require(keccak256(abi.encodePacked(secret)) == order.secretHash, "Invalid secret");
+        require(sha256(abi.encodePacked(secret)) == order.secretHash, "Invalid secret"); // Same hash as the Bitcoin HTLC
         require(!usedSecrets[secret], "Secret already used");
         
         // Verify Bitcoin transaction proof
@@ -168,6 +174,23 @@ contract FusionResolver is ReentrancyGuard, Ownable {
         emit SwapCompleted(swapId, order.user, secret, order.bitcoinTxHash);
     }
 
+    /**
+     * @dev Lower the amount a pending swap pays out, e.g. when its Bitcoin HTLC was underfunded
+     * @param swapId Unique identifier for the swap
+     * @param amountOut New amount to receive, at most the current one
+     */
+    function reduceSwapAmount(bytes32 swapId, uint256 amountOut) external {
+        SwapOrder storage order = swapOrders[swapId];
+        require(order.user != address(0), "Swap does not exist");
+        require(order.user == msg.sender, "Not swap initiator");
+        require(order.status == SwapStatus.Pending, "Swap not pending");
+        require(amountOut > 0 && amountOut <= order.amountOut, "Invalid amount");
+
+        order.amountOut = amountOut;
+
+        emit SwapAmountReduced(swapId, msg.sender, amountOut);
+    }
+
     /**
      * @dev Refund swap after timeout or with valid reason
      * @param swapId Unique identifier for the swap
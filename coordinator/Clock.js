@@ -0,0 +1,41 @@
+/**
+ * Clock - Time source and timers used by the coordinator and its services
+ * Wraps Date.now and the global timer functions. Pass a different clock
+ * (e.g. simulation/ManualClock) to drive time by hand.
+ */
+class Clock {
+  /**
+   * Current time
+   * @returns {number} Milliseconds since the Unix epoch
+   */
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+
+  setInterval(callback, interval) {
+    return setInterval(callback, interval);
+  }
+
+  clearInterval(timer) {
+    clearInterval(timer);
+  }
+
+  /**
+   * Wait before continuing
+   * @param {number} delay - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(delay) {
+    return new Promise(resolve => this.setTimeout(resolve, delay));
+  }
+}
+
+module.exports = Clock;
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const ECPair = require('ecpair');
+const tinysecp256k1 = require('tiny-secp256k1');
+const { ethers } = require('ethers');
+const { BITCOIN_NETWORKS } = require('../bitcoin/networks');
+
+const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
+
+/**
+ * Config - SwapCoordinator configuration: schema, network presets and loader
+ *
+ * `loadConfig` merges, lowest precedence first: schema defaults, the preset
+ * of the selected networks, a JSON file, environment variables and explicit
+ * options. The result is checked against CONFIG_SCHEMA and every problem is
+ * reported at once. SwapCoordinator runs the same checks on whatever config
+ * it is given, so a coordinator never starts half-configured.
+ */
+
+// Per-network defaults; explicit settings always win
+const BITCOIN_PRESETS = {
+  mainnet: { requiredConfirmations: 6 },
+  testnet: { requiredConfirmations: 3 },
+  signet: { requiredConfirmations: 3 },
+  regtest: { requiredConfirmations: 1 }
+};
+
+const ETHEREUM_PRESETS = {
+  mainnet: { chainId: 1, eventConfirmations: 12 },
+  sepolia: { chainId: 11155111, eventConfirmations: 6 },
+  hardhat: { chainId: 1337, eventConfirmations: 0, ethereumRpcUrl: 'http://127.0.0.1:8545' }
+};
+
+// Ethereum networks each Bitcoin network may be paired with; the first is the default
+const COMPATIBLE_NETWORKS = {
+  mainnet: ['mainnet'],
+  testnet: ['sepolia'],
+  signet: ['sepolia'],
+  regtest: ['hardhat']
+};
+
+// Environment variable naming the JSON config file
+const CONFIG_FILE_ENV = 'SWAP_CONFIG_FILE';
+
+/**
+ * Every coordinator setting
+ * - env: environment variable
+ * - type: string, integer, number, url, enum, ethAddress, ethPrivateKey,
+ *   btcAddress, btcPrivateKey, feeSchedule and tokenList (objects or JSON) or
+ *   any (objects that can only be passed as options)
+ * - default: value or function of the config merged so far
+ * - required: true, or a function of the injected dependencies and the config
+ * - secret: never echoed in error messages
+ */
+const CONFIG_SCHEMA = {
+  bitcoinNetwork: { env: 'BITCOIN_NETWORK', type: 'enum', values: Object.keys(BITCOIN_NETWORKS), default: 'testnet' },
+  ethereumNetwork: {
+    env: 'ETHEREUM_NETWORK',
+    type: 'enum',
+    values: Object.keys(ETHEREUM_PRESETS),
+    default: config => (COMPATIBLE_NETWORKS[config.bitcoinNetwork] || ['sepolia'])[0]
+  },
+  chainId: { type: 'integer', min: 1 },
+  ethereumRpcUrl: { env: 'ETHEREUM_RPC_URL', type: 'url', required: dependencies => !dependencies.ethereumProvider },
+  fusionResolverAddress: {
+    env: 'FUSION_RESOLVER_ADDRESS',
+    type: 'ethAddress',
+    required: dependencies => !dependencies.fusionResolverContract
+  },
+  privateKey: {
+    env: 'PRIVATE_KEY',
+    type: 'ethPrivateKey',
+    secret: true,
+    required: dependencies => !dependencies.ethereumWallet
+  },
+  bitcoinRpcUrl: {
+    env: 'BITCOIN_RPC_URL',
+    type: 'url',
+    // Networks without a public API can only be reached over RPC
+    required: (dependencies, config) => !dependencies.bitcoinWallet &&
+      Boolean(BITCOIN_NETWORKS[config.bitcoinNetwork]) && !BITCOIN_NETWORKS[config.bitcoinNetwork].apiBaseUrl
+  },
+  bitcoinRpcUser: { env: 'BITCOIN_RPC_USER', type: 'string' },
+  bitcoinRpcPass: { env: 'BITCOIN_RPC_PASS', type: 'string', secret: true },
+  serviceBtcAddress: { env: 'SERVICE_BTC_ADDRESS', type: 'btcAddress', required: true },
+  serviceBtcPrivateKey: { env: 'SERVICE_BTC_PRIVATE_KEY', type: 'btcPrivateKey', secret: true, required: true },
+  oneinchApiKey: { env: 'ONEINCH_API_KEY', type: 'string', secret: true },
+  oneinchBaseUrl: { env: 'ONEINCH_BASE_URL', type: 'url', default: 'https://api.1inch.dev' },
+  fusionApiUrl: { env: 'FUSION_API_URL', type: 'url', default: config => `${config.oneinchBaseUrl}/fusion` },
+  fusionSourceToken: { env: 'FUSION_SOURCE_TOKEN', type: 'ethAddress' },
+  fusionHttpProvider: { type: 'any' },
+  fusionSlippageBps: { type: 'integer', min: 0, default: 100 },
+  fusionOrderTimeout: { type: 'integer', min: 1, default: 10 * 60 * 1000 },
+  quoteValidity: { type: 'integer', min: 1, default: 10 * 60 * 1000 },
+  requiredConfirmations: { env: 'REQUIRED_CONFIRMATIONS', type: 'integer', min: 1, default: 3 },
+  eventConfirmations: { env: 'EVENT_CONFIRMATIONS', type: 'integer', min: 0, default: 6 },
+  eventStartBlock: { env: 'EVENT_START_BLOCK', type: 'integer', min: 0 },
+  btcRefundBumpInterval: { type: 'integer', min: 1, default: 30 * 60 * 1000 },
+  btcClaimEscalationBlocks: { env: 'BTC_CLAIM_ESCALATION_BLOCKS', type: 'integer', min: 1, default: 144 },
+  webhookMaxAttempts: { type: 'integer', min: 1, default: 8 },
+  ethMaxFeePerGasGwei: { env: 'ETH_MAX_FEE_GWEI', type: 'number', min: 0, default: null },
+  ethMaxPriorityFeePerGasGwei: { env: 'ETH_MAX_PRIORITY_FEE_GWEI', type: 'number', min: 0, default: null },
+  ethTxStuckTimeout: { type: 'integer', min: 1, default: 3 * 60 * 1000 },
+  ethTxBumpPercent: { type: 'integer', min: 10, default: 20 },
+  minTimelockMargin: { env: 'MIN_TIMELOCK_MARGIN', type: 'integer', min: 0, default: 2 * 60 * 60 },
+  defaultMaxSlippageBps: { type: 'integer', min: 0, default: 100 },
+  spreadBps: { env: 'SWAP_SPREAD_BPS', type: 'integer', min: 0, default: 0 },
+  feeSchedule: { env: 'SWAP_FEE_SCHEDULE', type: 'feeSchedule' },
+  tokens: { env: 'SWAP_TOKENS', type: 'tokenList' },
+  underpaymentPolicy: { env: 'SWAP_UNDERPAYMENT_POLICY', type: 'enum', values: ['wait', 'settle'], default: 'wait' },
+  timeoutCheckInterval: { type: 'integer', min: 1, default: 5 * 60 * 1000 },
+  confirmationPollInterval: { type: 'integer', min: 1, default: 30 * 1000 },
+  eventPollInterval: { type: 'integer', min: 1, default: 15 * 1000 },
+  watchtowerInterval: { type: 'integer', min: 1, default: 15 * 1000 },
+  cleanupInterval: { type: 'integer', min: 1, default: 24 * 60 * 60 * 1000 },
+  swapRetentionDays: { env: 'SWAP_RETENTION_DAYS', type: 'number', min: 0, default: 30 },
+  jobJitter: { type: 'number', min: 0, default: 0.1 },
+  jobConcurrency: { env: 'JOB_CONCURRENCY', type: 'integer', min: 1, default: 4 },
+  stateEncryptionKeys: { env: 'STATE_ENCRYPTION_KEYS', type: 'any', secret: true },
+  stateEncryptionKeyFile: { env: 'STATE_ENCRYPTION_KEY_FILE', type: 'string' },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'] }
+};
+
+/**
+ * Load, merge and validate the coordinator configuration
+ * @param {Object} sources - Where to read settings from
+ * @param {Object} sources.env - Environment variables (default: process.env)
+ * @param {string} sources.file - JSON config file (default: $SWAP_CONFIG_FILE)
+ * @param {Object} sources.options - Explicit settings; these win over everything else
+ * @param {Object} sources.dependencies - Backends injected into SwapCoordinator; they make
+ *   the settings used to build them optional
+ * @param {boolean} sources.partial - Skip required-setting checks (for tools that only use storage)
+ * @returns {Object} Validated config
+ */
+function loadConfig({ env = process.env, file, options = {}, dependencies = {}, partial = false } = {}) {
+  const problems = [];
+  const configFile = file !== undefined ? file : env[CONFIG_FILE_ENV];
+
+  const explicit = {
+    ...readConfigFile(configFile, problems),
+    ...readEnv(env),
+    ...withoutEmpty(options)
+  };
+
+  const config = applyDefaults(explicit);
+  validateConfig(config, { dependencies, partial, problems });
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    error.problems = problems;
+    throw error;
+  }
+  return config;
+}
+
+/**
+ * Validate settings passed directly to SwapCoordinator
+ * Same checks as loadConfig, without reading the environment or a file.
+ * @param {Object} options - Settings
+ * @param {Object} dependencies - Injected backends
+ * @returns {Object} Validated config
+ */
+function resolveConfig(options, dependencies = {}) {
+  return loadConfig({ env: {}, file: null, options, dependencies });
+}
+
+/**
+ * Read settings from a JSON file
+ * @param {string} file - Path, or empty for none
+ * @param {Array<string>} problems - Collects errors
+ * @returns {Object} Settings
+ */
+function readConfigFile(file, problems) {
+  if (!file) {
+    return {};
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    problems.push(`Cannot read config file ${file}: ${error.message}`);
+    return {};
+  }
+
+  for (const key of Object.keys(settings)) {
+    if (!CONFIG_SCHEMA[key]) {
+      problems.push(`Unknown setting ${key} in ${file}`);
+    }
+  }
+  return withoutEmpty(settings);
+}
+
+/**
+ * Read every setting that has an environment variable
+ * @param {Object} env - Environment variables
+ * @returns {Object} Settings (strings; coerced during validation)
+ */
+function readEnv(env) {
+  const settings = {};
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (field.env && env[field.env] !== undefined && env[field.env] !== '') {
+      settings[key] = env[field.env];
+    }
+  }
+  return settings;
+}
+
+function withoutEmpty(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Fill unset settings from the network presets, then the schema defaults
+ * Settings outside the schema are kept as given.
+ * @param {Object} explicit - Settings from the file, environment and options
+ * @returns {Object} Complete config
+ */
+function applyDefaults(explicit) {
+  const config = { ...explicit };
+
+  // Networks first: the presets and the default Ethereum network depend on them
+  for (const key of ['bitcoinNetwork', 'ethereumNetwork']) {
+    if (config[key] === undefined) {
+      config[key] = resolveDefault(CONFIG_SCHEMA[key], config);
+    }
+  }
+
+  const preset = {
+    ...BITCOIN_PRESETS[config.bitcoinNetwork],
+    ...ETHEREUM_PRESETS[config.ethereumNetwork]
+  };
+
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (config[key] !== undefined) {
+      continue;
+    }
+    if (preset[key] !== undefined) {
+      config[key] = preset[key];
+    } else if (field.default !== undefined) {
+      config[key] = resolveDefault(field, config);
+    }
+  }
+  return config;
+}
+
+function resolveDefault(field, config) {
+  return typeof field.default === 'function' ? field.default(config) : field.default;
+}
+
+/**
+ * Coerce and check a merged config in place
+ * @param {Object} config - Config from applyDefaults
+ * @param {Object} context - {dependencies, partial, problems}
+ */
+function validateConfig(config, { dependencies, partial, problems }) {
+  const bitcoinNetwork = BITCOIN_NETWORKS[config.bitcoinNetwork];
+
+  for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+    const label = field.env ? `${key} (${field.env})` : key;
+    const value = config[key];
+
+    if (value === undefined || value === null) {
+      const required = typeof field.required === 'function' ? field.required(dependencies, config) : field.required;
+      if (required && !partial) {
+        problems.push(`${label} is required`);
+      }
+      continue;
+    }
+
+    const result = checkValue(value, field, bitcoinNetwork && bitcoinNetwork.params, config.bitcoinNetwork);
+    if (result.problem) {
+      const shown = field.secret ? '' : ` (got ${JSON.stringify(value)})`;
+      problems.push(`${label} ${result.problem}${shown}`);
+    } else {
+      config[key] = result.value;
+    }
+  }
+
+  const compatible = COMPATIBLE_NETWORKS[config.bitcoinNetwork];
+  if (compatible && ETHEREUM_PRESETS[config.ethereumNetwork] && !compatible.includes(config.ethereumNetwork)) {
+    problems.push(
+      `bitcoinNetwork ${config.bitcoinNetwork} cannot be paired with ethereumNetwork ${config.ethereumNetwork}` +
+      ` (use ${compatible.join(' or ')})`
+    );
+  }
+
+  // An explicit chainId must name the same chain as the Ethereum network
+  const ethereumPreset = ETHEREUM_PRESETS[config.ethereumNetwork];
+  if (ethereumPreset && Number.isInteger(config.chainId) && config.chainId !== ethereumPreset.chainId) {
+    problems.push(
+      `chainId ${config.chainId} does not match ethereumNetwork ${config.ethereumNetwork}` +
+      ` (chain ${ethereumPreset.chainId})`
+    );
+  }
+}
+
+/**
+ * Check one value against its schema entry
+ * @returns {Object} {value} (coerced) or {problem}
+ */
+function checkValue(value, field, bitcoinParams, bitcoinNetwork) {
+  switch (field.type) {
+    case 'string':
+      return typeof value === 'string' ? { value } : { problem: 'must be a string' };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) ||
+          (field.type === 'integer' && !Number.isInteger(number))) {
+        return { problem: `must be ${field.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { problem: `must be at least ${field.min}` };
+      }
+      return { value: number };
+    }
+
+    case 'url':
+      try {
+        new URL(value);
+        return { value };
+      } catch (error) {
+        return { problem: 'must be a URL' };
+      }
+
+    case 'enum':
+      return field.values.includes(value)
+        ? { value }
+        : { problem: `must be one of ${field.values.join(', ')}` };
+
+    case 'ethAddress':
+      return ethers.isAddress(value) ? { value } : { problem: 'must be an Ethereum address' };
+
+    case 'ethPrivateKey':
+      return /^(0x)?[0-9a-fA-F]{64}$/.test(value)
+        ? { value }
+        : { problem: 'must be a 32-byte hex private key' };
+
+    case 'btcAddress':
+      if (!bitcoinParams) {
+        return { value };
+      }
+      try {
+        bitcoin.address.toOutputScript(value, bitcoinParams);
+        return { value };
+      } catch (error) {
+        return { problem: `must be a Bitcoin ${bitcoinNetwork} address` };
+      }
+
+    case 'btcPrivateKey':
+      if (!bitcoinParams) {
+        return { value };
+      }
+      try {
+        ECPairFactory.fromWIF(value, bitcoinParams);
+        return { value };
+      } catch (error) {
+        return { problem: `must be a WIF private key for Bitcoin ${bitcoinNetwork}` };
+      }
+
+    case 'feeSchedule':
+      return checkFeeSchedule(value);
+
+    case 'tokenList':
+      return checkTokenList(value);
+
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Check a fee schedule: {BTC_TO_ETH|ETH_TO_BTC: {default|<tokenAddress>: {spreadBps, flatFee}}}
+ * flatFee is a decimal amount of the payout asset: BTC for ETH_TO_BTC; for
+ * BTC_TO_ETH, ETH in the default entry and the token in a token's entry.
+ * @returns {Object} {value} (parsed) or {problem}
+ */
+function checkFeeSchedule(value) {
+  const { value: schedule, problem } = parseJson(value);
+  if (problem) {
+    return { problem };
+  }
+  if (!isPlainObject(schedule)) {
+    return { problem: 'must be an object keyed by swap direction' };
+  }
+
+  for (const [direction, entries] of Object.entries(schedule)) {
+    if (!['BTC_TO_ETH', 'ETH_TO_BTC'].includes(direction)) {
+      return { problem: `has unknown direction ${direction}` };
+    }
+    if (!isPlainObject(entries)) {
+      return { problem: `${direction} must be an object keyed by token address or default` };
+    }
+
+    const decimals = direction === 'ETH_TO_BTC' ? 8 : 18;
+    for (const [asset, terms] of Object.entries(entries)) {
+      const label = `${direction}.${asset}`;
+      if (asset !== 'default' && !ethers.isAddress(asset)) {
+        return { problem: `${label} must be keyed by a token address or default` };
+      }
+      if (!isPlainObject(terms) || Object.keys(terms).some(key => !['spreadBps', 'flatFee'].includes(key))) {
+        return { problem: `${label} must be {spreadBps, flatFee}` };
+      }
+      if (terms.spreadBps !== undefined &&
+          !(Number.isInteger(terms.spreadBps) && terms.spreadBps >= 0 && terms.spreadBps < 10000)) {
+        return { problem: `${label}.spreadBps must be an integer from 0 to 9999` };
+      }
+      if (terms.flatFee !== undefined &&
+          !new RegExp(`^\\d+(\\.\\d{1,${decimals}})?$`).test(String(terms.flatFee))) {
+        return { problem: `${label}.flatFee must be a decimal amount with at most ${decimals} decimals` };
+      }
+    }
+  }
+  return { value: schedule };
+}
+
+/**
+ * Check token registry entries: [{address, symbol, decimals, logo, allowed}]
+ * Only `address` is required; the rest may come from the chain's built-in entry.
+ * @returns {Object} {value} (parsed) or {problem}
+ */
+function checkTokenList(value) {
+  const result = parseJson(value);
+  if (result.problem) {
+    return result;
+  }
+  if (!Array.isArray(result.value)) {
+    return { problem: 'must be an array of tokens' };
+  }
+
+  for (const [index, token] of result.value.entries()) {
+    const label = `[${index}]`;
+    if (!isPlainObject(token) || !ethers.isAddress(token.address)) {
+      return { problem: `${label} must have an Ethereum address` };
+    }
+    const unknown = Object.keys(token).find(key => !['address', 'symbol', 'decimals', 'logo', 'allowed'].includes(key));
+    if (unknown) {
+      return { problem: `${label} has unknown field ${unknown}` };
+    }
+    if (token.symbol !== undefined && typeof token.symbol !== 'string') {
+      return { problem: `${label}.symbol must be a string` };
+    }
+    if (token.decimals !== undefined && !(Number.isInteger(token.decimals) && token.decimals >= 0 && token.decimals <= 36)) {
+      return { problem: `${label}.decimals must be an integer from 0 to 36` };
+    }
+    if (token.logo !== undefined && token.logo !== null && typeof token.logo !== 'string') {
+      return { problem: `${label}.logo must be a URL` };
+    }
+    if (token.allowed !== undefined && typeof token.allowed !== 'boolean') {
+      return { problem: `${label}.allowed must be true or false` };
+    }
+  }
+  return result;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return { value };
+  }
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { problem: 'must be JSON' };
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  BITCOIN_PRESETS,
+  ETHEREUM_PRESETS,
+  COMPATIBLE_NETWORKS,
+  loadConfig,
+  resolveConfig
+};
@@ -0,0 +1,461 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const Clock = require('./Clock');
+const Logger = require('./Logger');
+
+// ethers error codes with which the node refused a transaction outright
+const REJECTION_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'UNSUPPORTED_OPERATION'];
+
+// Node errors for a transaction it already has
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+
+/**
+ * EthereumTxManager - Sends the service's Ethereum transactions
+ * Assigns nonces locally so concurrent swaps never collide, prices every
+ * transaction with EIP-1559 fees under configurable caps, and replaces
+ * transactions pending longer than `stuckTimeout` with bumped fees. Each
+ * transaction is stored under a caller-chosen ID, with every signed attempt
+ * persisted before it is broadcast, so a restart resumes waiting instead of
+ * sending the action twice. A broadcast that fails without the node refusing
+ * it (e.g. a timeout) may still have been accepted, so the transaction stays
+ * pending until its receipt or its nonce settles it. Emits
+ * `transactionConfirmed` (record) once per confirmed transaction, with its
+ * `gasUsed` and `feeWei`.
+ */
+class EthereumTxManager extends EventEmitter {
+  constructor(wallet, stateManager, config = {}) {
+    super();
+
+    this.config = {
+      maxFeePerGasGwei: config.maxFeePerGasGwei || null, // Cap on maxFeePerGas
+      maxPriorityFeePerGasGwei: config.maxPriorityFeePerGasGwei || null, // Cap on the tip
+      gasLimitBufferPercent: config.gasLimitBufferPercent || 20,
+      bumpPercent: config.bumpPercent || 20, // Nodes require at least +10% to replace
+      stuckTimeout: config.stuckTimeout || 3 * 60 * 1000,
+      waitTimeout: config.waitTimeout || 30 * 60 * 1000,
+      confirmations: config.confirmations || 1,
+      pollInterval: config.pollInterval || 5000,
+      resumeInterval: config.resumeInterval || 60 * 1000
+    };
+
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.stateManager = stateManager;
+    this.clock = config.clock || new Clock();
+    this.logger = config.logger || new Logger();
+
+    this.nextNonce = null;
+    this.sendQueue = Promise.resolve();
+    this.waiters = new Map();
+    this.chainId = null;
+    this.timer = null;
+  }
+
+  /**
+   * Resume tracking persisted pending transactions, now and periodically
+   */
+  start() {
+    const resume = () => this.resumePending().catch(error => {
+      this.logger.error('Error resuming pending Ethereum transactions', { error });
+    });
+
+    resume();
+    this.timer = this.clock.setInterval(resume, this.config.resumeInterval);
+  }
+
+  /**
+   * Stop resuming pending transactions
+   */
+  stop() {
+    if (this.timer) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send a transaction once and wait for it to be mined
+   * Calling again with the same ID returns the confirmed result or resumes
+   * waiting for the pending transaction; only a failed one is sent again.
+   * @param {string} id - Idempotency key for the action (e.g. `refund_<swapId>`)
+   * @param {Object} request - {to, data, value}
+   * @returns {Promise<Object>} {hash, blockNumber, nonce}
+   */
+  async sendTransaction(id, { to, data, value = 0n }) {
+    try {
+      const existing = await this.stateManager.getEthTransaction(id);
+      if (existing && existing.status === 'confirmed') {
+        return this.toResult(existing);
+      }
+      if (existing && existing.status === 'pending') {
+        return await this.waitForTransaction(id);
+      }
+
+      // Reverts surface here, before a nonce is used
+      const gasEstimate = await this.wallet.estimateGas({ to, data, value });
+      const gasLimit = gasEstimate * BigInt(100 + this.config.gasLimitBufferPercent) / 100n;
+      const fees = await this.getFees();
+
+      const sent = await this.withSendLock(async () => {
+        const record = {
+          id,
+          to,
+          data,
+          value: value.toString(),
+          gasLimit: gasLimit.toString(),
+          nonce: await this.reserveNonce(),
+          status: 'pending',
+          attempts: [],
+          createdAt: this.clock.now()
+        };
+
+        try {
+          await this.broadcastAttempt(record, fees);
+          return true;
+        } catch (error) {
+          if (!this.isRejection(error)) {
+            // The node may have the transaction: keep it pending and its nonce taken
+            this.logger.warn('Ethereum broadcast outcome unknown, tracking it', {
+              ethTxId: id,
+              nonce: record.nonce,
+              reason: error.shortMessage || error.message
+            });
+            return false;
+          }
+
+          // The nonce was never used; recount it from the chain next time
+          this.nextNonce = null;
+          await this.stateManager.saveEthTransaction({
+            ...record,
+            status: 'failed',
+            error: error.message,
+            failedAt: this.clock.now()
+          });
+          throw error;
+        }
+      });
+
+      return await this.waitForTransaction(id, { rebroadcast: !sent });
+
+    } catch (error) {
+      this.logger.error('Error sending Ethereum transaction', { ethTxId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a stored transaction, sharing the wait already in flight
+   * @param {string} id - Transaction record ID
+   * @param {Object} options - {rebroadcast} to resend the latest attempt first
+   * @returns {Promise<Object>} {hash, blockNumber, nonce}
+   */
+  waitForTransaction(id, options = {}) {
+    if (!this.waiters.has(id)) {
+      const waiter = this.trackTransaction(id, options).finally(() => {
+        this.waiters.delete(id);
+      });
+      this.waiters.set(id, waiter);
+    }
+    return this.waiters.get(id);
+  }
+
+  /**
+   * Track every pending transaction that nothing is waiting for
+   * After a restart the latest attempt is rebroadcast in case the node dropped it.
+   */
+  async resumePending() {
+    const pending = await this.stateManager.getEthTransactions('pending');
+
+    for (const record of pending.filter(record => !this.waiters.has(record.id))) {
+      this.waitForTransaction(record.id, { rebroadcast: true }).catch(error => {
+        this.logger.error('Error tracking Ethereum transaction', { ethTxId: record.id, error });
+      });
+    }
+  }
+
+  /**
+   * Poll until one of the transaction's attempts is mined, replacing it when stuck
+   * @param {string} id - Transaction record ID
+   * @param {Object} options - {rebroadcast}
+   * @returns {Promise<Object>} {hash, blockNumber, nonce}
+   */
+  async trackTransaction(id, { rebroadcast = false } = {}) {
+    const deadline = this.clock.now() + this.config.waitTimeout;
+
+    if (rebroadcast) {
+      const record = await this.stateManager.getEthTransaction(id);
+      await this.rebroadcast(record.attempts[record.attempts.length - 1]);
+    }
+
+    for (;;) {
+      const record = await this.stateManager.getEthTransaction(id);
+      const receipt = await this.findReceipt(record);
+
+      if (receipt) {
+        if (receipt.status !== 1) {
+          await this.stateManager.saveEthTransaction({
+            ...record,
+            status: 'failed',
+            hash: receipt.hash,
+            error: 'Transaction reverted',
+            failedAt: this.clock.now()
+          });
+          throw new Error(`Ethereum transaction ${receipt.hash} reverted`);
+        }
+
+        if (await receipt.confirmations() >= this.config.confirmations) {
+          const confirmed = {
+            ...record,
+            status: 'confirmed',
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            feeWei: receipt.fee.toString(),
+            confirmedAt: this.clock.now()
+          };
+          await this.stateManager.saveEthTransaction(confirmed);
+          this.logger.info('Ethereum transaction confirmed', {
+            ethTxId: record.id,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: confirmed.gasUsed
+          });
+          this.emit('transactionConfirmed', confirmed);
+          return this.toResult(confirmed);
+        }
+      } else if (await this.isNonceUsedElsewhere(record)) {
+        await this.stateManager.saveEthTransaction({
+          ...record,
+          status: 'failed',
+          error: `Nonce ${record.nonce} used by another transaction`,
+          failedAt: this.clock.now()
+        });
+        throw new Error(`Ethereum transaction ${id} was replaced by another transaction`);
+      } else {
+        const lastAttempt = record.attempts[record.attempts.length - 1];
+        if (this.clock.now() - lastAttempt.sentAt >= this.config.stuckTimeout) {
+          await this.replaceTransaction(record);
+        }
+      }
+
+      if (this.clock.now() > deadline) {
+        throw new Error(`Ethereum transaction ${id} not confirmed in time`);
+      }
+      await this.clock.sleep(this.config.pollInterval);
+    }
+  }
+
+  /**
+   * Re-sign a stuck transaction with the same nonce and bumped fees
+   * At the fee cap the transaction is left to wait.
+   * @param {Object} record - Pending transaction record
+   */
+  async replaceTransaction(record) {
+    const lastAttempt = record.attempts[record.attempts.length - 1];
+    const previousMaxFee = BigInt(lastAttempt.maxFeePerGas);
+    const bump = (fee) => BigInt(fee) * BigInt(100 + this.config.bumpPercent) / 100n;
+
+    const network = await this.getFees();
+    const fees = this.applyFeeCaps({
+      maxFeePerGas: this.max(bump(lastAttempt.maxFeePerGas), network.maxFeePerGas),
+      maxPriorityFeePerGas: this.max(bump(lastAttempt.maxPriorityFeePerGas), network.maxPriorityFeePerGas)
+    });
+
+    if (fees.maxFeePerGas <= previousMaxFee) {
+      if (!record.feeCapReachedAt) {
+        this.logger.warn('Ethereum transaction is stuck at the fee cap', { ethTxId: record.id, nonce: record.nonce });
+        await this.stateManager.saveEthTransaction({ ...record, feeCapReachedAt: this.clock.now() });
+      }
+      return;
+    }
+
+    this.logger.info('Replacing stuck Ethereum transaction', {
+      ethTxId: record.id,
+      nonce: record.nonce,
+      maxFeePerGasGwei: ethers.formatUnits(fees.maxFeePerGas, 'gwei')
+    });
+    try {
+      await this.broadcastAttempt(record, fees);
+    } catch (error) {
+      // The earlier attempt is still valid; try again after the next stuck timeout
+      this.logger.error('Error replacing Ethereum transaction', { ethTxId: record.id, error });
+    }
+  }
+
+  /**
+   * Sign an attempt, persist it, then broadcast it
+   * @param {Object} record - Transaction record (attempt is appended)
+   * @param {Object} fees - {maxFeePerGas, maxPriorityFeePerGas}
+   */
+  async broadcastAttempt(record, fees) {
+    const rawTransaction = await this.wallet.signTransaction({
+      type: 2,
+      chainId: await this.getChainId(),
+      nonce: record.nonce,
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value),
+      gasLimit: BigInt(record.gasLimit),
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+    });
+
+    record.attempts = [
+      ...record.attempts,
+      {
+        hash: ethers.keccak256(rawTransaction),
+        rawTransaction,
+        maxFeePerGas: fees.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+        sentAt: this.clock.now()
+      }
+    ];
+
+    // Persist first so a crash after broadcasting can't lead to a second send
+    await this.stateManager.saveEthTransaction(record);
+    await this.provider.broadcastTransaction(rawTransaction);
+    this.logger.info('Broadcast Ethereum transaction', {
+      ethTxId: record.id,
+      txHash: record.attempts[record.attempts.length - 1].hash,
+      nonce: record.nonce
+    });
+  }
+
+  /**
+   * Resend an already signed attempt, ignoring "already known" style errors
+   * @param {Object} attempt - Stored attempt
+   */
+  async rebroadcast(attempt) {
+    try {
+      await this.provider.broadcastTransaction(attempt.rawTransaction);
+    } catch (error) {
+      this.logger.debug('Rebroadcast not accepted', { txHash: attempt.hash, reason: error.shortMessage || error.message });
+    }
+  }
+
+  /**
+   * Whether a broadcast error means the node refused the transaction
+   * Timeouts and connection errors do not: the node may have accepted it
+   * before the response was lost. Nor does an "already known" reply.
+   * @param {Error} error - Broadcast error
+   * @returns {boolean}
+   */
+  isRejection(error) {
+    if (REJECTION_CODES.includes(error.code)) {
+      return true;
+    }
+    // Any other reply the node sent with an RPC error
+    const rpcError = error.code === 'UNKNOWN_ERROR' && error.error;
+    return Boolean(rpcError) && !ALREADY_KNOWN.test(rpcError.message || '');
+  }
+
+  /**
+   * Find the receipt of whichever attempt was mined
+   * @param {Object} record - Transaction record
+   * @returns {Promise<Object|null>} Receipt
+   */
+  async findReceipt(record) {
+    for (const attempt of [...record.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether the record's nonce was mined without any of its attempts
+   * @param {Object} record - Transaction record
+   * @returns {Promise<boolean>}
+   */
+  async isNonceUsedElsewhere(record) {
+    const minedNonce = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+    if (minedNonce <= record.nonce) {
+      return false;
+    }
+    // An attempt may have been mined since the receipt lookup
+    return !(await this.findReceipt(record));
+  }
+
+  /**
+   * Reserve the next nonce
+   * Takes the highest of the chain's pending count, the local counter and
+   * the persisted pending transactions, so restarts and external sends are covered.
+   * @returns {Promise<number>} Nonce
+   */
+  async reserveNonce() {
+    const chainNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+
+    if (this.nextNonce === null) {
+      const pending = await this.stateManager.getEthTransactions('pending');
+      const persistedNonce = pending.length > 0 ? pending[pending.length - 1].nonce + 1 : 0;
+      this.nextNonce = Math.max(chainNonce, persistedNonce);
+    } else {
+      this.nextNonce = Math.max(this.nextNonce, chainNonce);
+    }
+
+    return this.nextNonce++;
+  }
+
+  /**
+   * Current EIP-1559 fees, capped by config
+   * @returns {Promise<Object>} {maxFeePerGas, maxPriorityFeePerGas}
+   */
+  async getFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null) {
+      throw new Error('Ethereum network does not support EIP-1559 fees');
+    }
+
+    return this.applyFeeCaps({
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+    });
+  }
+
+  applyFeeCaps({ maxFeePerGas, maxPriorityFeePerGas }) {
+    if (this.config.maxFeePerGasGwei) {
+      maxFeePerGas = this.min(maxFeePerGas, ethers.parseUnits(String(this.config.maxFeePerGasGwei), 'gwei'));
+    }
+    if (this.config.maxPriorityFeePerGasGwei) {
+      maxPriorityFeePerGas = this.min(
+        maxPriorityFeePerGas,
+        ethers.parseUnits(String(this.config.maxPriorityFeePerGasGwei), 'gwei')
+      );
+    }
+
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: this.min(maxPriorityFeePerGas, maxFeePerGas)
+    };
+  }
+
+  async getChainId() {
+    if (this.chainId === null) {
+      const network = await this.provider.getNetwork();
+      this.chainId = network.chainId;
+    }
+    return this.chainId;
+  }
+
+  withSendLock(fn) {
+    const run = this.sendQueue.then(fn);
+    this.sendQueue = run.catch(() => {});
+    return run;
+  }
+
+  toResult(record) {
+    return { hash: record.hash, blockNumber: record.blockNumber, nonce: record.nonce };
+  }
+
+  min(a, b) {
+    return a < b ? a : b;
+  }
+
+  max(a, b) {
+    return a > b ? a : b;
+  }
+}
+
+module.exports = EthereumTxManager;
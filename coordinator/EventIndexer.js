@@ -0,0 +1,283 @@
+const { SWAP_STATES, canTransition } = require('./SwapStateMachine');
+
+/**
+ * EventIndexer - Indexes FusionResolver events into swap state
+ * Each sync processes logs from a persisted block cursor up to the blocks
+ * that are `confirmations` deep, reconciling every SwapInitiated,
+ * SwapAmountReduced, SwapCompleted and SwapRefunded event into the matching
+ * swap record. The coordinator runs it as its `reconciliation` job, so the
+ * first sync after a restart backfills what was missed.
+ */
+class EventIndexer {
+  constructor(coordinator, config = {}) {
+    this.config = {
+      confirmations: config.confirmations !== undefined ? config.confirmations : 6,
+      startBlock: config.startBlock,
+      batchSize: config.batchSize || 2000,
+      cursorKey: config.cursorKey || 'event_indexer'
+    };
+
+    this.coordinator = coordinator;
+    this.contract = coordinator.fusionResolverContract;
+    this.provider = coordinator.ethereumProvider;
+    this.stateManager = coordinator.stateManager;
+    this.clock = coordinator.clock;
+    this.logger = coordinator.logger.child({ component: 'EventIndexer', chain: 'ethereum' });
+
+    this.syncing = null;
+  }
+
+  /**
+   * Index all events up to the latest block at the configured depth
+   * Concurrent calls share the sync already in flight.
+   * @returns {Promise<number>} Last processed block
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.syncRange().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Process events from the cursor to the safe head in batches
+   * @returns {Promise<number>} Last processed block
+   */
+  async syncRange() {
+    const head = await this.provider.getBlockNumber();
+    const safeHead = head - this.config.confirmations;
+    let cursor = await this.getCursor(safeHead);
+
+    while (cursor < safeHead) {
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(fromBlock + this.config.batchSize - 1, safeHead);
+
+      const events = await this.contract.queryFilter('*', fromBlock, toBlock);
+      events.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      for (const event of events) {
+        await this.reconcileEvent(event);
+      }
+
+      cursor = toBlock;
+      await this.stateManager.saveMetadata(this.config.cursorKey, {
+        lastProcessedBlock: cursor,
+        updatedAt: this.clock.now()
+      });
+    }
+
+    return cursor;
+  }
+
+  /**
+   * Get the last processed block
+   * Without a stored cursor, indexing starts at `startBlock`, or else at the
+   * first block mined after the oldest swap still in progress was created.
+   * With no swap in progress there is nothing to backfill and it starts at
+   * the safe head.
+   * @param {number} safeHead - Latest block at the configured depth
+   * @returns {Promise<number>} Last processed block
+   */
+  async getCursor(safeHead) {
+    const stored = await this.stateManager.getMetadata(this.config.cursorKey);
+    if (stored) {
+      return stored.lastProcessedBlock;
+    }
+
+    if (this.config.startBlock !== undefined) {
+      return this.config.startBlock - 1;
+    }
+
+    const activeSwaps = await this.stateManager.getActiveSwaps();
+    if (activeSwaps.length === 0) {
+      return safeHead;
+    }
+
+    const oldest = Math.min(...activeSwaps.map(swap => swap.createdAt));
+    const firstBlock = await this.findFirstBlockSince(oldest, safeHead);
+    this.logger.info('Backfilling events of swaps in progress', { fromBlock: firstBlock, toBlock: safeHead });
+    return firstBlock - 1;
+  }
+
+  /**
+   * Binary search for the first block mined at or after a time
+   * @param {number} time - Milliseconds since the epoch
+   * @param {number} safeHead - Last block to consider
+   * @returns {Promise<number>} Block number, or safeHead + 1 if every block is older
+   */
+  async findFirstBlockSince(time, safeHead) {
+    let low = 0;
+    let high = safeHead + 1;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const block = await this.provider.getBlock(middle);
+      if (block.timestamp * 1000 >= time) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Apply a contract event to its swap record
+   * Events already recorded on the swap are skipped, so replays are harmless.
+   * A swap whose own flow is running is updated through the object that flow
+   * holds, and its status changes are left to the flow (see advance).
+   * @param {Object} event - ethers EventLog
+   */
+  async reconcileEvent(event) {
+    if (!event.eventName) {
+      return; // Not a FusionResolver event we know
+    }
+
+    const swapId = event.args.swapId;
+    // Use the object the swap's own flow holds, so neither overwrites the other's changes
+    const swapState = this.coordinator.advancingSwaps.get(swapId) ||
+      await this.stateManager.getSwapState(swapId);
+    if (!swapState) {
+      return; // Swap created outside this coordinator
+    }
+
+    const eventKey = `${event.transactionHash}:${event.index}`;
+    const events = swapState.ethSide.events || [];
+    if (events.some(recorded => recorded.key === eventKey)) {
+      return;
+    }
+
+    swapState.ethSide.events = [
+      ...events,
+      {
+        key: eventKey,
+        name: event.eventName,
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash
+      }
+    ];
+
+    switch (event.eventName) {
+      case 'SwapInitiated':
+        await this.reconcileInitiated(swapState, event);
+        break;
+      case 'SwapAmountReduced':
+        await this.reconcileAmountReduced(swapState, event);
+        break;
+      case 'SwapCompleted':
+        await this.reconcileCompleted(swapState, event);
+        break;
+      case 'SwapRefunded':
+        await this.reconcileRefunded(swapState, event);
+        break;
+      default:
+        await this.stateManager.saveSwapState(swapId, swapState);
+    }
+  }
+
+  /**
+   * Record the on-chain order and finish an interrupted initiation
+   * @param {Object} swapState - Swap state
+   * @param {Object} event - SwapInitiated event
+   */
+  async reconcileInitiated(swapState, event) {
+    const { user, amountOut, lockTime } = event.args;
+
+    swapState.ethSide.onChainOrder = {
+      user,
+      amountOut: amountOut.toString(),
+      lockTime: Number(lockTime),
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    };
+
+    if (swapState.status === SWAP_STATES.CREATED) {
+      await this.advance(swapState, SWAP_STATES.INITIATED);
+    } else {
+      await this.stateManager.saveSwapState(swapState.swapId, swapState);
+    }
+  }
+
+  /**
+   * Record the lowered payout of a pro-rata settled order
+   * @param {Object} swapState - Swap state
+   * @param {Object} event - SwapAmountReduced event
+   */
+  async reconcileAmountReduced(swapState, event) {
+    if (swapState.ethSide.onChainOrder) {
+      swapState.ethSide.onChainOrder.amountOut = event.args.amountOut.toString();
+    }
+    await this.stateManager.saveSwapState(swapState.swapId, swapState);
+  }
+
+  /**
+   * Mark a swap completed once its Ethereum claim is on-chain
+   * A BTC to ETH swap stays in eth_claimed until the coordinator has claimed
+   * the Bitcoin HTLC.
+   * @param {Object} swapState - Swap state
+   * @param {Object} event - SwapCompleted event
+   */
+  async reconcileCompleted(swapState, event) {
+    swapState.ethSide.completedTxHash = event.transactionHash;
+
+    if (canTransition(swapState.direction, swapState.status, SWAP_STATES.ETH_CLAIMED)) {
+      await this.advance(swapState, SWAP_STATES.ETH_CLAIMED, {
+        ethTxHash: swapState.ethTxHash || event.transactionHash
+      });
+    }
+
+    const btcClaimed = swapState.direction === 'ETH_TO_BTC' || Boolean(swapState.btcSide.claimTxId);
+    if (swapState.status === SWAP_STATES.ETH_CLAIMED && btcClaimed) {
+      await this.advance(swapState, SWAP_STATES.COMPLETED, { completedAt: this.clock.now() });
+    } else {
+      await this.stateManager.saveSwapState(swapState.swapId, swapState);
+    }
+  }
+
+  /**
+   * Record an on-chain refund
+   * BTC to ETH swaps move to refunding; the coordinator marks them refunded
+   * once the Bitcoin HTLC refund confirms. For ETH to BTC swaps it is the
+   * user's own refund and the Bitcoin side is handled separately.
+   * @param {Object} swapState - Swap state
+   * @param {Object} event - SwapRefunded event
+   */
+  async reconcileRefunded(swapState, event) {
+    swapState.ethSide.refundTxHash = event.transactionHash;
+    swapState.ethSide.refundReason = event.args.reason;
+
+    if (swapState.direction === 'ETH_TO_BTC') {
+      await this.stateManager.saveSwapState(swapState.swapId, swapState);
+      return;
+    }
+
+    swapState.ethRefundTxHash = swapState.ethRefundTxHash || event.transactionHash;
+
+    if (canTransition(swapState.direction, swapState.status, SWAP_STATES.REFUNDING)) {
+      await this.advance(swapState, SWAP_STATES.REFUNDING);
+    } else {
+      await this.stateManager.saveSwapState(swapState.swapId, swapState);
+    }
+  }
+
+  /**
+   * Transition a swap through the coordinator's state machine
+   * A swap whose own flow is running is only saved: the event records a step
+   * that flow took, and it makes the transition itself.
+   * @param {Object} swapState - Swap state
+   * @param {string} nextStatus - Status to move to
+   * @param {Object} updates - Fields to set along with the status
+   */
+  async advance(swapState, nextStatus, updates = {}) {
+    if (this.coordinator.advancingSwaps.get(swapState.swapId) === swapState) {
+      await this.stateManager.saveSwapState(swapState.swapId, swapState);
+      return;
+    }
+    await this.coordinator.transitionSwap(swapState, nextStatus, updates);
+  }
+}
+
+module.exports = EventIndexer;
@@ -0,0 +1,146 @@
+const { FusionSDK, AxiosProviderConnector } = require('@1inch/fusion-sdk');
+const Logger = require('./Logger');
+
+// Order statuses after which a Fusion order will never be filled
+const FAILED_ORDER_STATUSES = [
+  'false-predicate',
+  'not-enough-balance-or-allowance',
+  'expired',
+  'wrong-permit',
+  'cancelled',
+  'invalid-signature'
+];
+
+/**
+ * Signs Fusion orders with an ethers wallet
+ * Implements the SDK's BlockchainProviderConnector interface.
+ */
+class EthersProviderConnector {
+  constructor(wallet) {
+    this.wallet = wallet;
+  }
+
+  async signTypedData(walletAddress, typedData) {
+    // ethers derives the EIP712Domain type from the domain itself
+    const { EIP712Domain, ...types } = typedData.types;
+    return this.wallet.signTypedData(typedData.domain, types, typedData.message);
+  }
+
+  async ethCall(contractAddress, callData) {
+    return this.wallet.provider.call({ to: contractAddress, data: callData });
+  }
+}
+
+/**
+ * FusionOrderService - Quotes, places and tracks 1inch Fusion+ orders
+ * Wraps @1inch/fusion-sdk and returns plain JSON-serializable objects so
+ * results can be stored in swap state.
+ */
+class FusionOrderService {
+  constructor(config) {
+    this.config = {
+      url: config.url || 'https://api.1inch.dev/fusion',
+      network: config.network,
+      authKey: config.authKey,
+      httpProvider: config.httpProvider,
+      wallet: config.wallet
+    };
+    this.logger = config.logger || new Logger();
+
+    this.sdk = config.sdk || new FusionSDK({
+      url: this.config.url,
+      network: this.config.network,
+      authKey: this.config.authKey,
+      httpProvider: this.config.httpProvider || new AxiosProviderConnector(this.config.authKey),
+      blockchainProvider: this.config.wallet ? new EthersProviderConnector(this.config.wallet) : undefined
+    });
+  }
+
+  /**
+   * Get a Fusion quote
+   * @param {Object} params - {fromTokenAddress, toTokenAddress, amount}
+   * @returns {Promise<Object>} Quote summary
+   */
+  async getQuote({ fromTokenAddress, toTokenAddress, amount }) {
+    try {
+      const quote = await this.sdk.getQuote({
+        fromTokenAddress,
+        toTokenAddress,
+        amount: amount.toString()
+      });
+
+      return {
+        quoteId: quote.quoteId,
+        fromTokenAddress,
+        toTokenAddress,
+        fromTokenAmount: quote.fromTokenAmount.toString(),
+        toTokenAmount: quote.toTokenAmount,
+        recommendedPreset: quote.recommendedPreset,
+        prices: quote.prices,
+        volume: quote.volume
+      };
+
+    } catch (error) {
+      this.logger.error('Error getting Fusion quote', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Build, sign and submit a Fusion order
+   * @param {Object} params - {fromTokenAddress, toTokenAddress, amount, walletAddress, receiver}
+   * @returns {Promise<Object>} Submitted order {orderHash, quoteId, order, signature, extension}
+   */
+  async placeOrder({ fromTokenAddress, toTokenAddress, amount, walletAddress, receiver }) {
+    try {
+      const orderInfo = await this.sdk.placeOrder({
+        fromTokenAddress,
+        toTokenAddress,
+        amount: amount.toString(),
+        walletAddress,
+        receiver
+      });
+
+      return {
+        orderHash: orderInfo.orderHash,
+        quoteId: orderInfo.quoteId,
+        order: orderInfo.order,
+        signature: orderInfo.signature,
+        extension: orderInfo.extension
+      };
+
+    } catch (error) {
+      this.logger.error('Error placing Fusion order', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get auction and fill status of an order
+   * @param {string} orderHash - Fusion order hash
+   * @returns {Promise<Object>} {status, fills, filledTakerAmount, auctionStartDate, auctionDuration, failed}
+   */
+  async getOrderStatus(orderHash) {
+    try {
+      const response = await this.sdk.getOrderStatus(orderHash);
+      const fills = response.fills || [];
+
+      return {
+        status: response.status,
+        fills,
+        filledTakerAmount: fills
+          .reduce((sum, fill) => sum + BigInt(fill.filledAuctionTakerAmount), 0n)
+          .toString(),
+        auctionStartDate: response.auctionStartDate,
+        auctionDuration: response.auctionDuration,
+        failed: FAILED_ORDER_STATUSES.includes(response.status)
+      };
+
+    } catch (error) {
+      this.logger.error('Error getting Fusion order status', { orderHash, error });
+      throw error;
+    }
+  }
+}
+
+module.exports = FusionOrderService;
@@ -0,0 +1,223 @@
+const Clock = require('./Clock');
+const Logger = require('./Logger');
+const { SWAP_STATES } = require('./SwapStateMachine');
+
+// Asset key for the service's Bitcoin; Ethereum assets are keyed by lowercase token address
+const BTC_ASSET = 'BTC';
+
+// Statuses at which the reserved amount has left the service's wallet
+const CONSUMED_AT = {
+  BTC_TO_ETH: [SWAP_STATES.ETH_CLAIMED, SWAP_STATES.COMPLETED],
+  ETH_TO_BTC: [SWAP_STATES.BTC_FUNDED, SWAP_STATES.ETH_CLAIMED, SWAP_STATES.COMPLETED]
+};
+
+// Statuses at which the service will no longer pay out
+const RELEASED_AT = [SWAP_STATES.FAILED, SWAP_STATES.EXPIRED, SWAP_STATES.REFUNDING, SWAP_STATES.REFUNDED];
+
+/**
+ * InventoryManager - Service liquidity per asset and what open swaps have promised
+ * Each swap reserves the amount the service will pay out (BTC in satoshis for
+ * ETH to BTC, the output token in base units for BTC to ETH) when it is
+ * created. The reservation is stored on the swap record as `reservation` and
+ * settled by `settle()` on every status change: consumed once the payout has
+ * left the wallet, released on failure, expiry or refund. Available liquidity
+ * is the wallet balance (read through `readBalance`, cached for `balanceTtl`)
+ * minus held reservations, and `reserve()` refuses amounts above it.
+ */
+class InventoryManager {
+  /**
+   * @param {StateManager} stateManager - Swap storage, read once to restore held reservations
+   * @param {Object} config - {readBalance, balanceTtl, clock, logger}
+   *   readBalance: async (asset) => balance in base units (BigInt)
+   */
+  constructor(stateManager, config = {}) {
+    this.config = {
+      balanceTtl: config.balanceTtl !== undefined ? config.balanceTtl : 60 * 1000
+    };
+
+    this.stateManager = stateManager;
+    this.readBalance = config.readBalance;
+    this.clock = config.clock || new Clock();
+    this.logger = config.logger || new Logger();
+
+    this.balances = new Map(); // asset -> {amount, fetchedAt}
+    this.reservations = new Map(); // swapId -> {asset, amount}
+    this.loading = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Restore held reservations from stored swaps
+   * Concurrent calls share the load already in flight.
+   */
+  async initialize() {
+    if (!this.loading) {
+      this.loading = this.loadReservations().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadReservations() {
+    const activeSwaps = await this.stateManager.getActiveSwaps();
+    for (const swap of activeSwaps) {
+      if (swap.reservation && swap.reservation.status === 'held' && !this.reservations.has(swap.swapId)) {
+        this.reservations.set(swap.swapId, {
+          asset: swap.reservation.asset,
+          amount: BigInt(swap.reservation.amount)
+        });
+      }
+    }
+  }
+
+  /**
+   * Reserve liquidity for a new swap
+   * Reservations are made one at a time, so concurrent swaps cannot both
+   * claim the same balance.
+   * @param {string} swapId - Swap identifier
+   * @param {string} asset - 'BTC' or an Ethereum token address
+   * @param {bigint} amount - Amount in base units
+   * @returns {Promise<Object>} Reservation record to store on the swap
+   */
+  async reserve(swapId, asset, amount) {
+    const key = normalizeAsset(asset);
+
+    const reservation = this.queue.then(async () => {
+      const { available } = await this.getAvailable(key);
+      if (amount > available) {
+        throw new Error(`Insufficient liquidity: ${amount} ${key} requested, ${available} available`);
+      }
+
+      this.reservations.set(swapId, { asset: key, amount });
+      this.logger.info('Liquidity reserved', { swapId, asset: key, amount, available: available - amount });
+
+      return {
+        asset: key,
+        amount: amount.toString(),
+        status: 'held',
+        reservedAt: this.clock.now()
+      };
+    });
+
+    this.queue = reservation.catch(() => {});
+    return reservation;
+  }
+
+  /**
+   * Drop a reservation that never made it onto a stored swap
+   * @param {string} swapId - Swap identifier
+   */
+  release(swapId) {
+    this.reservations.delete(swapId);
+  }
+
+  /**
+   * Lower a swap's held reservation to a smaller payout
+   * Updates `swapState.reservation` in place; the caller saves the swap.
+   * @param {Object} swapState - Swap state
+   * @param {bigint} amount - New payout in base units
+   */
+  reduce(swapState, amount) {
+    const reservation = swapState.reservation;
+    if (!reservation || reservation.status !== 'held' || amount >= BigInt(reservation.amount)) {
+      return;
+    }
+
+    reservation.amount = amount.toString();
+    this.reservations.set(swapState.swapId, { asset: reservation.asset, amount });
+  }
+
+  /**
+   * Consume or release a swap's held reservation according to its new status
+   * Updates `swapState.reservation` in place; the caller saves the swap.
+   * @param {Object} swapState - Swap state after the status change
+   */
+  settle(swapState) {
+    const reservation = swapState.reservation;
+    if (!reservation || reservation.status !== 'held') {
+      return;
+    }
+
+    const direction = swapState.direction || 'BTC_TO_ETH';
+    let status = null;
+    if (CONSUMED_AT[direction].includes(swapState.status)) {
+      status = 'consumed';
+    } else if (RELEASED_AT.includes(swapState.status)) {
+      status = 'released';
+    }
+    if (!status) {
+      return;
+    }
+
+    reservation.status = status;
+    reservation.settledAt = this.clock.now();
+    this.reservations.delete(swapState.swapId);
+
+    // The payout changed the balance
+    if (status === 'consumed') {
+      this.balances.delete(reservation.asset);
+    }
+  }
+
+  /**
+   * Liquidity of one asset
+   * @param {string} asset - 'BTC' or an Ethereum token address
+   * @param {Object} options - {refresh}: bypass the balance cache
+   * @returns {Promise<Object>} {asset, balance, reserved, available} in base units (BigInt)
+   */
+  async getAvailable(asset, { refresh = false } = {}) {
+    await this.initialize();
+
+    const key = normalizeAsset(asset);
+    const balance = await this.getBalance(key, refresh);
+    const reserved = this.getReserved(key);
+    const available = balance > reserved ? balance - reserved : 0n;
+
+    return { asset: key, balance, reserved, available };
+  }
+
+  /**
+   * Liquidity of every asset with a cached balance or a held reservation
+   * @returns {Promise<Array<Object>>} See getAvailable
+   */
+  async getSummary() {
+    await this.initialize();
+
+    const assets = new Set([
+      ...this.balances.keys(),
+      ...[...this.reservations.values()].map(reservation => reservation.asset)
+    ]);
+    return Promise.all([...assets].map(asset => this.getAvailable(asset)));
+  }
+
+  getReserved(asset) {
+    let reserved = 0n;
+    for (const reservation of this.reservations.values()) {
+      if (reservation.asset === asset) {
+        reserved += reservation.amount;
+      }
+    }
+    return reserved;
+  }
+
+  async getBalance(asset, refresh) {
+    const cached = this.balances.get(asset);
+    if (!refresh && cached && this.clock.now() - cached.fetchedAt < this.config.balanceTtl) {
+      return cached.amount;
+    }
+
+    const amount = BigInt(await this.readBalance(asset));
+    this.balances.set(asset, { amount, fetchedAt: this.clock.now() });
+    return amount;
+  }
+}
+
+function normalizeAsset(asset) {
+  return asset === BTC_ASSET ? asset : asset.toLowerCase();
+}
+
+InventoryManager.BTC_ASSET = BTC_ASSET;
+
+module.exports = InventoryManager;
@@ -0,0 +1,241 @@
+const Clock = require('./Clock');
+const Logger = require('./Logger');
+
+/**
+ * JobScheduler - Named recurring jobs on the coordinator's clock
+ * Each job is single-flight: the next run is only scheduled once the current
+ * one finishes (`interval` plus up to `jitter` milliseconds later), and a
+ * manual `runJob()` during a run shares it. `forEach()` bounds per-item work
+ * (e.g. one swap) across all jobs to `concurrency` at a time. `stop()` cancels
+ * pending runs and waits for running ones.
+ */
+class JobScheduler {
+  constructor(config = {}) {
+    this.config = {
+      concurrency: config.concurrency || 4,
+      random: config.random || Math.random
+    };
+
+    this.clock = config.clock || new Clock();
+    this.logger = config.logger || new Logger();
+
+    this.jobs = new Map();
+    this.running = false;
+    this.activeWorkers = 0;
+    this.workerQueue = [];
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Job name
+   * @param {Function} run - Async function doing one run
+   * @param {Object} options - {interval, jitter, runOnStart}
+   *   interval: milliseconds between the end of one run and the start of the next;
+   *   jitter: up to this many milliseconds are added to each delay at random;
+   *   runOnStart: run as soon as the job starts instead of after the first interval
+   */
+  addJob(name, run, { interval, jitter = 0, runOnStart = false }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} already exists`);
+    }
+    if (!(interval > 0)) {
+      throw new Error(`Job ${name} needs a positive interval`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      run,
+      interval,
+      jitter,
+      runOnStart,
+      scheduled: false,
+      timer: null,
+      inFlight: null,
+      nextRunAt: null,
+      runs: 0,
+      failures: 0,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastDuration: null,
+      lastSuccessAt: null,
+      lastError: null
+    });
+  }
+
+  /**
+   * Start scheduling jobs
+   * @param {Array<string>} names - Jobs to start (default: all)
+   */
+  start(names = [...this.jobs.keys()]) {
+    this.running = true;
+
+    for (const name of names) {
+      const job = this.getJob(name);
+      if (job.scheduled) {
+        continue;
+      }
+      job.scheduled = true;
+      this.schedule(job, job.runOnStart ? 0 : this.delay(job));
+    }
+  }
+
+  /**
+   * Cancel pending runs and wait for running ones to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+
+    const inFlight = [];
+    for (const job of this.jobs.values()) {
+      job.scheduled = false;
+      job.nextRunAt = null;
+      if (job.timer) {
+        this.clock.clearTimeout(job.timer);
+        job.timer = null;
+      }
+      if (job.inFlight) {
+        inFlight.push(job.inFlight);
+      }
+    }
+
+    await Promise.all(inFlight);
+  }
+
+  /**
+   * Run a job now, or join its run in progress
+   * Errors are recorded in the job's status and rethrown to the caller.
+   * @param {string} name - Job name
+   * @returns {Promise<*>} The run's result
+   */
+  async runJob(name) {
+    const job = this.getJob(name);
+    if (!job.inFlight) {
+      job.inFlight = this.execute(job).finally(() => {
+        job.inFlight = null;
+      });
+    }
+
+    const outcome = await job.inFlight;
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.result;
+  }
+
+  /**
+   * Run `worker` for every item, at most `concurrency` at a time across all jobs
+   * A failing item does not stop the others.
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function called with each item
+   * @returns {Promise<Array<Object>>} Per item, in order: {item, result} or {item, error}
+   */
+  async forEach(items, worker) {
+    return Promise.all(items.map(item => this.withWorker(async () => {
+      try {
+        return { item, result: await worker(item) };
+      } catch (error) {
+        return { item, error };
+      }
+    })));
+  }
+
+  /**
+   * Status of every job
+   * @returns {Array<Object>} Per job: name, interval, state, counters and last run details
+   */
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      interval: job.interval,
+      state: job.inFlight ? 'running' : job.scheduled ? 'scheduled' : 'stopped',
+      nextRunAt: job.nextRunAt,
+      runs: job.runs,
+      failures: job.failures,
+      lastStartedAt: job.lastStartedAt,
+      lastFinishedAt: job.lastFinishedAt,
+      lastDuration: job.lastDuration,
+      lastSuccessAt: job.lastSuccessAt,
+      lastError: job.lastError
+    }));
+  }
+
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job ${name}`);
+    }
+    return job;
+  }
+
+  delay(job) {
+    return job.interval + Math.floor(this.config.random() * job.jitter);
+  }
+
+  schedule(job, delay) {
+    job.nextRunAt = this.clock.now() + delay;
+    job.timer = this.clock.setTimeout(async () => {
+      job.timer = null;
+      job.nextRunAt = null;
+      try {
+        await this.runJob(job.name);
+      } catch (error) {
+        // Already logged and recorded
+      }
+      if (this.running && job.scheduled) {
+        this.schedule(job, this.delay(job));
+      }
+    }, delay);
+  }
+
+  /**
+   * One run of a job, recording its outcome
+   * @returns {Promise<Object>} {result} or {error}; never rejects
+   */
+  async execute(job) {
+    const startedAt = this.clock.now();
+    job.lastStartedAt = startedAt;
+    job.runs++;
+
+    let outcome;
+    try {
+      outcome = { result: await job.run() };
+      job.lastSuccessAt = this.clock.now();
+    } catch (error) {
+      outcome = { error };
+      job.failures++;
+      job.lastError = { message: error.message, at: this.clock.now() };
+      this.logger.error('Job failed', { job: job.name, error });
+    }
+
+    job.lastFinishedAt = this.clock.now();
+    job.lastDuration = job.lastFinishedAt - startedAt;
+    return outcome;
+  }
+
+  /**
+   * Run a task once a worker slot is free
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Task result
+   */
+  async withWorker(task) {
+    if (this.activeWorkers >= this.config.concurrency) {
+      await new Promise(resolve => this.workerQueue.push(resolve));
+    } else {
+      this.activeWorkers++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.workerQueue.shift();
+      if (next) {
+        next(); // Hand the slot over
+      } else {
+        this.activeWorkers--;
+      }
+    }
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,166 @@
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Fields whose values never reach the log (e.g. secret, serviceBtcPrivateKey, rpcPass);
+// only the end of the name counts, so secretHash is kept
+const REDACTED_KEY = /(secret|privatekey|password|passphrase|pass|apikey|authkey|authorization|encryptionkeys?|mnemonic|wif)$/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Logger - Structured JSON-lines logger
+ * Every line is one JSON object with `time`, `level`, `msg`, the logger's
+ * context (set with `child()`, e.g. swapId and chain) and the call's fields.
+ * Fields named like secrets or keys are redacted, as are StateEncryption
+ * envelopes under any name, and so is any value registered with `redact()`
+ * wherever it appears, including error messages.
+ * Lines go to `sink` (default: stdout); pass a sink or any object with the
+ * same methods to plug in another backend.
+ */
+class Logger {
+  constructor(config = {}) {
+    this.config = {
+      level: config.level || process.env.LOG_LEVEL || 'info',
+      sink: config.sink || (line => process.stdout.write(line + '\n'))
+    };
+
+    if (!LEVELS[this.config.level]) {
+      throw new Error(`Unknown log level ${this.config.level}`);
+    }
+
+    this.context = config.context || {};
+    this.secrets = config.secrets || new Set(); // Shared with child loggers
+  }
+
+  /**
+   * Logger that adds fields to every line
+   * @param {Object} context - Fields such as {swapId, chain, txid}
+   * @returns {Logger}
+   */
+  child(context) {
+    return new Logger({
+      ...this.config,
+      context: { ...this.context, ...context },
+      secrets: this.secrets
+    });
+  }
+
+  /**
+   * Redact a value wherever it appears in later lines of this logger and its relatives
+   * @param {string} value - Secret, key or token
+   */
+  redact(value) {
+    if (typeof value === 'string' && value.replace(/^0x/, '').length >= 8) {
+      this.secrets.add(value.replace(/^0x/, '').toLowerCase());
+    }
+  }
+
+  /**
+   * Stop redacting a value registered with `redact()`
+   * @param {string} value - Secret, key or token
+   */
+  forget(value) {
+    if (typeof value === 'string') {
+      this.secrets.delete(value.replace(/^0x/, '').toLowerCase());
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write a line if `level` is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields; an `error` field is serialized with its stack
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.config.level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.context,
+      ...fields
+    };
+
+    let line;
+    try {
+      line = this.redactValues(JSON.stringify(entry, replacer()));
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+    }
+    this.config.sink(line, level);
+  }
+
+  redactValues(line) {
+    let redacted = line;
+    for (const secret of this.secrets) {
+      const pattern = secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      redacted = redacted.replace(new RegExp(pattern, 'gi'), REDACTED);
+    }
+    return redacted;
+  }
+}
+
+/**
+ * JSON.stringify replacer redacting secret fields and encrypted envelopes and
+ * serializing errors, BigInts and Buffers (which arrive already converted by
+ * their toJSON)
+ */
+function replacer() {
+  const seen = new WeakSet();
+
+  return function (key, value) {
+    if (key && REDACTED_KEY.test(key)) {
+      return REDACTED;
+    }
+    // StateEncryption envelope, e.g. the encrypted calldata of a stored transaction
+    if (value && typeof value === 'object' && value.encrypted !== undefined && typeof value.wrappedKey === 'string') {
+      return REDACTED;
+    }
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        stack: value.stack
+      };
+    }
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+      return Buffer.from(value.data).toString('hex');
+    }
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      seen.add(value);
+    }
+    return value;
+  };
+}
+
+module.exports = Logger;
@@ -0,0 +1,159 @@
+/**
+ * MetricsRegistry - Counters, gauges and histograms in the Prometheus text format
+ * Each metric holds one series per distinct label set. `render()` produces the
+ * body of a `/metrics` response (exposition format 0.0.4).
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @returns {Object} Counter with `inc(labels, value)`
+   */
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  /**
+   * Register a gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @returns {Object} Gauge with `set(labels, value)` and `reset()`
+   */
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  /**
+   * Register a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is added)
+   * @returns {Object} Histogram with `observe(labels, value)`
+   */
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric
+   * @returns {string} Prometheus text exposition
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+}
+
+class Metric {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, create());
+    }
+    return this.series.get(key);
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines() {
+    return [...this.series].map(([labels, { value }]) => `${this.name}${labels} ${value}`);
+  }
+}
+
+class Gauge extends Counter {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+/**
+ * Format a label set as `{a="1",b="2"}` (empty for no labels)
+ * @param {Object} labels - Label names and values
+ * @returns {string}
+ */
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = MetricsRegistry;
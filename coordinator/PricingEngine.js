@@ -0,0 +1,181 @@
+const { ethers } = require('ethers');
+const Clock = require('./Clock');
+const Logger = require('./Logger');
+
+// Virtual size of an HTLC spend: one P2SH input carrying the redeem script and one output
+const HTLC_CLAIM_VBYTES = 300; // Signature, secret and redeem script
+const HTLC_REFUND_VBYTES = 270; // Signature and redeem script
+
+// Gas of the FusionResolver calls the service sends for a swap
+const GAS_ESTIMATES = {
+  BTC_TO_ETH: { initiateSwap: 200000, completeSwap: 120000 },
+  ETH_TO_BTC: { completeSwap: 120000 }
+};
+
+const BTC_DECIMALS = 8;
+
+/**
+ * PricingEngine - What a swap pays out after the service's fees
+ * The user's amounts set the trade; every fee is taken from the payout (the
+ * Ethereum token for BTC to ETH, BTC for ETH to BTC):
+ * - spread: `spreadBps` of the payout
+ * - flat fee: fixed amount in the payout asset (ETH, converted at the swap's
+ *   rate, for the BTC to ETH default)
+ * - Bitcoin miner fees for the HTLC claim and refund transactions
+ * - gas for the service's FusionResolver calls
+ * Spread and flat fee come from `feeSchedule` by direction and Ethereum
+ * token, falling back to the direction's `default` entry and then to
+ * `spreadBps`. Network costs are converted into the payout asset at the
+ * swap's own rate. The breakdown is stored on the swap as `pricing`.
+ */
+class PricingEngine {
+  /**
+   * @param {Object} config - {spreadBps, feeSchedule, tokens, getBtcFeeRate, getEthFeePerGas, clock, logger}
+   *   feeSchedule: {BTC_TO_ETH: {default: {spreadBps, flatFee}, <tokenAddress>: {...}}, ETH_TO_BTC: {...}};
+   *   tokens: TokenRegistry the schedule's tokens must be listed in;
+   *   getBtcFeeRate: async () => sat/vB; getEthFeePerGas: async () => wei (BigInt)
+   */
+  constructor(config = {}) {
+    this.config = {
+      spreadBps: config.spreadBps || 0,
+      feeSchedule: normalizeSchedule(config.feeSchedule || {})
+    };
+    this.tokens = config.tokens;
+    this.checkSchedule();
+
+    this.getBtcFeeRate = config.getBtcFeeRate;
+    this.getEthFeePerGas = config.getEthFeePerGas;
+    this.clock = config.clock || new Clock();
+    this.logger = config.logger || new Logger();
+  }
+
+  /**
+   * Price a swap
+   * @param {Object} params - Swap terms
+   * @param {string} params.direction - BTC_TO_ETH or ETH_TO_BTC
+   * @param {Object} params.token - Ethereum token from the TokenRegistry
+   * @param {bigint} params.btcAmount - Bitcoin side in satoshis
+   * @param {bigint} params.tokenAmount - Ethereum side in token base units
+   * @param {bigint} params.ethValue - What the Ethereum side is worth in wei (the quote's toTokenAmount)
+   * @returns {Promise<Object>} Breakdown: {direction, tokenAddress, payoutAsset, payoutSymbol,
+   *   grossAmount, fees, totalFee, netAmount, pricedAt}
+   */
+  async priceSwap({ direction, token, btcAmount, tokenAmount, ethValue }) {
+    if (!GAS_ESTIMATES[direction]) {
+      throw new Error(`Unknown swap direction ${direction}`);
+    }
+    if (btcAmount <= 0n || tokenAmount <= 0n || ethValue <= 0n) {
+      throw new Error('Swap amounts must be positive');
+    }
+
+    const [feeRate, feePerGas] = await Promise.all([this.getBtcFeeRate(), this.getEthFeePerGas()]);
+
+    const payBtc = direction === 'ETH_TO_BTC';
+    const decimals = payBtc ? BTC_DECIMALS : token.decimals;
+    const grossAmount = payBtc ? btcAmount : tokenAmount;
+
+    // Network costs in the payout asset, rounded up
+    const fromSatoshis = sats => payBtc ? sats : ceilDiv(sats * tokenAmount, btcAmount);
+    const fromWei = wei => ceilDiv(wei * (payBtc ? btcAmount : tokenAmount), ethValue);
+
+    const terms = this.getFeeTerms(direction, token.address);
+    const flatFee = terms.flatFeeInEth
+      ? fromWei(ethers.parseEther(String(terms.flatFee)))
+      : ethers.parseUnits(String(terms.flatFee), decimals);
+    const gas = Object.values(GAS_ESTIMATES[direction]).reduce((sum, units) => sum + units, 0);
+    const gasWei = BigInt(gas) * BigInt(feePerGas);
+    const btcFee = (vbytes) => {
+      const sats = BigInt(Math.ceil(vbytes * feeRate));
+      return { vbytes, feeRate, sats: sats.toString(), amount: fromSatoshis(sats) };
+    };
+
+    const fees = [
+      { type: 'spread', spreadBps: terms.spreadBps, amount: ceilDiv(grossAmount * BigInt(terms.spreadBps), 10000n) },
+      { type: 'flat_fee', amount: flatFee },
+      { type: 'btc_claim_fee', ...btcFee(HTLC_CLAIM_VBYTES) },
+      { type: 'btc_refund_fee', ...btcFee(HTLC_REFUND_VBYTES) },
+      { type: 'eth_gas', gas, feePerGas: feePerGas.toString(), wei: gasWei.toString(), amount: fromWei(gasWei) }
+    ];
+
+    const totalFee = fees.reduce((sum, fee) => sum + fee.amount, 0n);
+    if (totalFee >= grossAmount) {
+      throw new Error(
+        `Swap amount does not cover fees: ${ethers.formatUnits(totalFee, decimals)} in fees on ` +
+        `${ethers.formatUnits(grossAmount, decimals)}`
+      );
+    }
+
+    const format = amount => ethers.formatUnits(amount, decimals);
+    this.logger.debug('Swap priced', { direction, token: token.symbol, totalFee: format(totalFee), feeRate, feePerGas });
+
+    return {
+      direction,
+      tokenAddress: token.address,
+      payoutAsset: payBtc ? 'BTC' : token.address,
+      payoutSymbol: payBtc ? 'BTC' : token.symbol,
+      grossAmount: format(grossAmount),
+      fees: fees.map(fee => ({ ...fee, amount: format(fee.amount) })),
+      totalFee: format(totalFee),
+      netAmount: format(grossAmount - totalFee),
+      pricedAt: this.clock.now()
+    };
+  }
+
+  /**
+   * Spread and flat fee for a direction and Ethereum token
+   * @param {string} direction - BTC_TO_ETH or ETH_TO_BTC
+   * @param {string} tokenAddress - Ethereum token
+   * @returns {Object} {spreadBps, flatFee, flatFeeInEth}
+   */
+  getFeeTerms(direction, tokenAddress) {
+    const schedule = this.config.feeSchedule[direction] || {};
+    const terms = {
+      spreadBps: this.config.spreadBps,
+      flatFee: 0,
+      ...schedule.default,
+      ...schedule[tokenAddress.toLowerCase()]
+    };
+
+    // A BTC to ETH default applies to every token, so its flat fee is in ETH
+    const tokenTerms = schedule[tokenAddress.toLowerCase()] || {};
+    terms.flatFeeInEth = direction === 'BTC_TO_ETH' && tokenTerms.flatFee === undefined;
+    return terms;
+  }
+
+  /**
+   * Check the schedule's token entries against the token registry
+   * Throws on tokens that are not listed and flat fees finer than the token's decimals.
+   */
+  checkSchedule() {
+    for (const [direction, entries] of Object.entries(this.config.feeSchedule)) {
+      for (const [asset, terms] of Object.entries(entries)) {
+        if (asset === 'default') {
+          continue;
+        }
+        if (!this.tokens.findToken(asset)) {
+          throw new Error(`Fee schedule lists unsupported token ${asset}`);
+        }
+        if (direction === 'BTC_TO_ETH' && terms.flatFee !== undefined) {
+          try {
+            this.tokens.parseAmount(asset, terms.flatFee);
+          } catch (error) {
+            throw new Error(`Fee schedule flat fee for ${asset}: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+}
+
+function normalizeSchedule(feeSchedule) {
+  return Object.fromEntries(Object.entries(feeSchedule).map(([direction, entries]) => [
+    direction,
+    Object.fromEntries(Object.entries(entries).map(([asset, terms]) => [asset.toLowerCase(), terms]))
+  ]));
+}
+
+function ceilDiv(numerator, denominator) {
+  return (numerator + denominator - 1n) / denominator;
+}
+
+module.exports = PricingEngine;
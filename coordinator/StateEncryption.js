@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const FORMAT_VERSION = 2;
+
+// Envelopes written before values were bound to their record
+const LEGACY_VERSION = 1;
+
+// Fields (at any depth) that must never be written to disk in plaintext
+const SENSITIVE_FIELD = /^(secret|.*privatekey)$/i;
+
+/**
+ * StateEncryption - Envelope encryption for sensitive fields of stored records
+ * Every sensitive value is encrypted with a fresh data key, and the data key
+ * is wrapped with a master key. The first master key in the keyring encrypts
+ * new values; the rest are previous keys kept so older files can still be
+ * read until they are re-encrypted. Each value is bound to its record with
+ * associated data (e.g. `swap:<swapId>`), so an envelope copied into another
+ * record fails to decrypt.
+ */
+class StateEncryption {
+  /**
+   * @param {Array<string|Buffer>} keys - Master keys, active key first
+   */
+  constructor(keys = []) {
+    this.keys = new Map();
+    this.activeKeyId = null;
+
+    for (const key of keys) {
+      const keyBuffer = Buffer.isBuffer(key) ? key : StateEncryption.parseKey(key);
+      const keyId = StateEncryption.getKeyId(keyBuffer);
+      this.keys.set(keyId, keyBuffer);
+      this.activeKeyId = this.activeKeyId || keyId;
+    }
+  }
+
+  /**
+   * Parse a 32-byte master key given as hex or base64
+   * @param {string} key - Encoded key
+   * @returns {Buffer} Key bytes
+   */
+  static parseKey(key) {
+    const trimmed = key.trim();
+    const keyBuffer = /^[0-9a-fA-F]{64}$/.test(trimmed)
+      ? Buffer.from(trimmed, 'hex')
+      : Buffer.from(trimmed, 'base64');
+
+    if (keyBuffer.length !== KEY_LENGTH) {
+      throw new Error('State encryption key must be 32 bytes (hex or base64)');
+    }
+    return keyBuffer;
+  }
+
+  /**
+   * Short fingerprint identifying a master key in encrypted values
+   * @param {Buffer} key - Key bytes
+   * @returns {string} Key ID
+   */
+  static getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Whether a master key is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.activeKeyId !== null;
+  }
+
+  /**
+   * Check whether a value is an encrypted envelope
+   * @param {any} value - Field value
+   * @returns {boolean}
+   */
+  isSealed(value) {
+    return Boolean(value) && typeof value === 'object' &&
+      (value.encrypted === FORMAT_VERSION || value.encrypted === LEGACY_VERSION);
+  }
+
+  /**
+   * Encrypt a value under the active master key
+   * @param {any} value - JSON-serializable value
+   * @param {string} context - Record the value belongs to, authenticated but not stored
+   * @returns {Object} Envelope {encrypted, keyId, wrappedKey, iv, tag, data}
+   */
+  seal(value, context) {
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const wrapped = this.encrypt(this.keys.get(this.activeKeyId), dataKey);
+    const sealed = this.encrypt(dataKey, Buffer.from(JSON.stringify(value), 'utf8'), context);
+
+    return {
+      encrypted: FORMAT_VERSION,
+      keyId: this.activeKeyId,
+      wrappedKey: [wrapped.iv, wrapped.tag, wrapped.data].join('.'),
+      iv: sealed.iv,
+      tag: sealed.tag,
+      data: sealed.data
+    };
+  }
+
+  /**
+   * Decrypt an envelope
+   * @param {Object} envelope - Envelope created by `seal`
+   * @param {string} context - Record the value was sealed for
+   * @returns {any} Original value
+   */
+  open(envelope, context) {
+    const masterKey = this.keys.get(envelope.keyId);
+    if (!masterKey) {
+      throw new Error(`Unknown state encryption key ${envelope.keyId}`);
+    }
+
+    const [iv, tag, data] = envelope.wrappedKey.split('.');
+    const dataKey = this.decrypt(masterKey, { iv, tag, data });
+    const plaintext = this.decrypt(dataKey, envelope, envelope.encrypted === LEGACY_VERSION ? null : context);
+
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Encrypt every sensitive field of a record (swap state, metadata)
+   * Without a master key the record is returned unchanged.
+   * @param {Object} record - Record to store
+   * @param {string} context - Record identity, e.g. `swap:<swapId>`
+   * @param {RegExp} fields - Names of the fields to encrypt (default: secrets and private keys)
+   * @returns {Object} Copy safe to write to disk
+   */
+  encryptRecord(record, context, fields = SENSITIVE_FIELD) {
+    if (!this.enabled) {
+      return record;
+    }
+    const seal = value => (this.isSealed(value) ? value : this.seal(value, context));
+    return this.mapSensitiveFields(record, seal, fields);
+  }
+
+  /**
+   * Decrypt every sensitive field of a record read from disk
+   * Plaintext fields written before encryption was enabled are kept as is.
+   * @param {Object} record - Stored record
+   * @param {string} context - Record identity given to encryptRecord
+   * @param {RegExp} fields - Names of the encrypted fields
+   * @returns {Object} Record with plaintext fields
+   */
+  decryptRecord(record, context, fields = SENSITIVE_FIELD) {
+    const open = value => (this.isSealed(value) ? this.open(value, context) : value);
+    return this.mapSensitiveFields(record, open, fields);
+  }
+
+  /**
+   * Remove every sensitive field of a record
+   * @param {Object} record - Record
+   * @returns {Object} Copy without sensitive fields
+   */
+  redactRecord(record) {
+    return this.mapSensitiveFields(record, () => undefined);
+  }
+
+  /**
+   * Whether a stored record has fields that are plaintext, sealed under a
+   * key other than the active one, or sealed without their record's context
+   * @param {Object} record - Stored record
+   * @param {RegExp} fields - Names of the encrypted fields
+   * @returns {boolean}
+   */
+  needsReencryption(record, fields = SENSITIVE_FIELD) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    let stale = false;
+    this.mapSensitiveFields(record, value => {
+      stale = stale || !this.isSealed(value) || value.keyId !== this.activeKeyId ||
+        value.encrypted !== FORMAT_VERSION;
+      return value;
+    }, fields);
+    return stale;
+  }
+
+  /**
+   * Copy an object, replacing the value of every sensitive field
+   * @param {any} value - Object to walk
+   * @param {Function} transform - Called with each sensitive field value
+   * @param {RegExp} fields - Names of the sensitive fields
+   * @returns {any} Transformed copy
+   */
+  mapSensitiveFields(value, transform, fields = SENSITIVE_FIELD) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.mapSensitiveFields(item, transform, fields));
+    }
+    if (!value || typeof value !== 'object' || this.isSealed(value)) {
+      return value;
+    }
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const mapped = fields.test(field) && fieldValue !== undefined && fieldValue !== null
+        ? transform(fieldValue)
+        : this.mapSensitiveFields(fieldValue, transform, fields);
+
+      if (mapped !== undefined) {
+        result[field] = mapped;
+      }
+    }
+    return result;
+  }
+
+  encrypt(key, plaintext, context = null) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (context !== null) {
+      cipher.setAAD(Buffer.from(context, 'utf8'));
+    }
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(key, { iv, tag, data }, context = null) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    if (context !== null) {
+      decipher.setAAD(Buffer.from(context, 'utf8'));
+    }
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  }
+}
+
+module.exports = StateEncryption;
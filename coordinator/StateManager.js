@@ -1,45 +1,196 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { EventEmitter } = require('events');
+const { SWAP_STATES, isTerminalState } = require('./SwapStateMachine');
+const StateEncryption = require('./StateEncryption');
+const Logger = require('./Logger');
+
+// Statuses in which a swap's Bitcoin HTLC holds funds (refunding until the refund confirms)
+const HTLC_LOCKED_STATES = [
+  SWAP_STATES.BTC_FUNDED,
+  SWAP_STATES.BTC_CONFIRMED,
+  SWAP_STATES.PRICE_OUT_OF_RANGE,
+  SWAP_STATES.REFUNDING
+];
+
+// Ethereum transaction record fields holding calldata, which for completeSwap includes the secret
+const TRANSACTION_FIELDS = /^(data|rawTransaction)$/;
 
 /**
  * StateManager - Manages swap state persistence and retrieval
- * Handles local storage of swap states with backup and recovery
+ * Handles local storage of swap states with backup and recovery. Secrets,
+ * private keys and Ethereum transaction calldata are envelope-encrypted
+ * before they reach disk when an encryption key is configured. Emits
+ * `swapSaved` (swapId, swapState) after every save.
  */
-class StateManager {
+class StateManager extends EventEmitter {
   constructor(config = {}) {
+    super();
+
     this.config = {
       dataDir: config.dataDir || './data',
       backupDir: config.backupDir || './data/backups',
       maxBackups: config.maxBackups || 10,
+      encryptionKeys: config.encryptionKeys, // Comma-separated or array, active key first
+      encryptionKeyFile: config.encryptionKeyFile, // One key per line, active key first
       ...config
     };
     
+    this.logger = config.logger || new Logger();
     this.swapStates = new Map();
+    this.encryption = new StateEncryption();
     this.initialized = false;
+    this.initializing = null;
     
-    this.initialize();
+    // Start loading now; errors are logged and thrown to the next caller
+    this.initialize().catch(() => {});
   }
 
   /**
    * Initialize the state manager
+   * Concurrent calls share the initialization already in flight.
    */
   async initialize() {
+    if (!this.initializing) {
+      this.initializing = this.load().catch(error => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Load encryption keys and swap states, re-encrypting stale files
+   */
+  async load() {
     try {
+      this.encryption = new StateEncryption(await this.loadEncryptionKeys());
+      if (!this.encryption.enabled) {
+        this.logger.warn('No state encryption key configured; swap secrets are stored in plaintext');
+      }
+
       // Create data directories if they don't exist
       await fs.mkdir(this.config.dataDir, { recursive: true });
       await fs.mkdir(this.config.backupDir, { recursive: true });
       
+      await fs.mkdir(this.getWebhookDir(), { recursive: true });
+      await fs.mkdir(this.getTransactionDir(), { recursive: true });
+      
       // Load existing swap states
       await this.loadSwapStates();
+
+      // Rewrite files left in plaintext or under a previous key
+      if (this.encryption.enabled) {
+        await this.reencryptAll();
+      }
       
       this.initialized = true;
-      console.log('StateManager initialized successfully');
+      this.logger.info('StateManager initialized successfully');
     } catch (error) {
-      console.error('Error initializing StateManager:', error);
+      this.logger.error('Error initializing StateManager', { error });
       throw error;
     }
   }
 
+  /**
+   * Read the encryption keyring from the key file or config
+   * @returns {Promise<Array<string>>} Encoded keys, active key first
+   */
+  async loadEncryptionKeys() {
+    let keys = this.config.encryptionKeys || [];
+
+    if (this.config.encryptionKeyFile) {
+      const contents = await fs.readFile(this.config.encryptionKeyFile, 'utf8');
+      keys = contents.split('\n');
+    } else if (typeof keys === 'string') {
+      keys = keys.split(',');
+    }
+
+    return keys
+      .map(key => key.trim())
+      .filter(key => key && !key.startsWith('#'));
+  }
+
+  /**
+   * Re-encrypt swap files, metadata, backups and Ethereum transactions under the active key
+   * After a new key is put first in the keyring, every file that is
+   * plaintext or encrypted under a previous key is rewritten, so previous
+   * keys can be removed once this has run.
+   * @returns {Promise<Object>} Number of rewritten {files, backups, transactions}
+   */
+  async reencryptAll() {
+    try {
+      if (!this.encryption.enabled) {
+        throw new Error('No state encryption key configured');
+      }
+
+      const files = await this.reencryptDirectory(this.config.dataDir);
+      const backups = await this.reencryptDirectory(this.config.backupDir);
+      const transactions = await this.reencryptDirectory(this.getTransactionDir());
+
+      this.logger.info('Re-encrypted swap states', {
+        files,
+        backups,
+        transactions,
+        keyId: this.encryption.activeKeyId
+      });
+      return { files, backups, transactions };
+    } catch (error) {
+      this.logger.error('Error re-encrypting swap states', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite stale swap, metadata and transaction files in a directory under the active key
+   * @param {string} dir - Directory holding swap_*.json, meta_*.json or tx_*.json files
+   * @returns {Promise<number>} Number of rewritten files
+   */
+  async reencryptDirectory(dir) {
+    const files = await fs.readdir(dir);
+    let rewritten = 0;
+
+    for (const file of files.filter(file => /^(swap|meta|tx)_.*\.json$/.test(file))) {
+      const filePath = path.join(dir, file);
+      const context = this.getFileContext(file);
+      const fields = file.startsWith('tx_') ? TRANSACTION_FIELDS : undefined;
+      const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (!this.encryption.needsReencryption(stored, fields)) {
+        continue;
+      }
+
+      const record = this.encryption.decryptRecord(stored, context, fields);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.encryption.encryptRecord(record, context, fields), null, 2));
+      await fs.rename(tempPath, filePath);
+      rewritten++;
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * Encryption context of a stored file: `swap:<swapId>` for a swap and its
+   * backups, `meta:<key>` for metadata and `tx:<id>` for a transaction
+   * @param {string} file - File name
+   * @returns {string} Context
+   */
+  getFileContext(file) {
+    const [, kind, id] = file.match(/^(swap|meta|tx)_(.+?)(?:_\d{4}-\d{2}-\d{2}T[\d-]+Z)?\.json$/);
+    return `${kind}:${id}`;
+  }
+
+  /**
+   * Serialize a swap state or metadata value for disk with sensitive fields encrypted
+   * @param {Object} record - Record to store
+   * @param {string} context - Record identity the ciphertext is bound to
+   * @returns {string} JSON
+   */
+  serializeRecord(record, context) {
+    return JSON.stringify(this.encryption.encryptRecord(record, context), null, 2);
+  }
+
   /**
    * Save swap state to persistent storage
    * @param {string} swapId - Swap identifier
@@ -59,14 +210,15 @@ class StateManager {
 
       // Save to file
       const filePath = path.join(this.config.dataDir, `swap_${swapId}.json`);
-      await fs.writeFile(filePath, JSON.stringify(swapState, null, 2));
+      await fs.writeFile(filePath, this.serializeRecord(swapState, `swap:${swapId}`));
 
       // Create backup
       await this.createBackup(swapId, swapState);
 
-      console.log(`Swap state saved for ${swapId}`);
+      this.logger.debug('Swap state saved', { swapId });
+      this.emit('swapSaved', swapId, swapState);
     } catch (error) {
-      console.error(`Error saving swap state for ${swapId}:`, error);
+      this.logger.error('Error saving swap state', { swapId, error });
       throw error;
     }
   }
@@ -91,7 +243,7 @@ class StateManager {
       const filePath = path.join(this.config.dataDir, `swap_${swapId}.json`);
       try {
         const data = await fs.readFile(filePath, 'utf8');
-        const swapState = JSON.parse(data);
+        const swapState = this.encryption.decryptRecord(JSON.parse(data), `swap:${swapId}`);
         
         // Update in-memory cache
         this.swapStates.set(swapId, swapState);
@@ -104,7 +256,7 @@ class StateManager {
         throw fileError;
       }
     } catch (error) {
-      console.error(`Error getting swap state for ${swapId}:`, error);
+      this.logger.error('Error getting swap state', { swapId, error });
       throw error;
     }
   }
@@ -122,14 +274,31 @@ class StateManager {
       const activeSwaps = [];
       
       for (const [swapId, swapState] of this.swapStates) {
-        if (swapState.status === 'initiated' || swapState.status === 'pending') {
+        if (!isTerminalState(swapState.status)) {
           activeSwaps.push(swapState);
         }
       }
 
       return activeSwaps;
     } catch (error) {
-      console.error('Error getting active swaps:', error);
+      this.logger.error('Error getting active swaps', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all swaps, including finished ones
+   * @returns {Promise<Array>} Array of swap states
+   */
+  async getAllSwaps() {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      return Array.from(this.swapStates.values());
+    } catch (error) {
+      this.logger.error('Error getting all swaps', { error });
       throw error;
     }
   }
@@ -155,7 +324,7 @@ class StateManager {
 
       return swaps;
     } catch (error) {
-      console.error(`Error getting swaps by status ${status}:`, error);
+      this.logger.error('Error getting swaps by status', { status, error });
       throw error;
     }
   }
@@ -188,7 +357,7 @@ class StateManager {
 
       return userSwaps;
     } catch (error) {
-      console.error(`Error getting user swap history for ${userAddress}:`, error);
+      this.logger.error('Error getting user swap history', { userAddress, error });
       throw error;
     }
   }
@@ -206,23 +375,286 @@ class StateManager {
       // Remove from in-memory cache
       this.swapStates.delete(swapId);
 
-      // Remove file
+      // Remove file and the swap's webhook events
       const filePath = path.join(this.config.dataDir, `swap_${swapId}.json`);
+      const webhookDir = this.getWebhookDir();
+      const eventFiles = (await fs.readdir(webhookDir))
+        .filter(file => file.startsWith(`event_${swapId}_`))
+        .map(file => path.join(webhookDir, file));
+      for (const file of [filePath, ...eventFiles]) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+
+      this.logger.info('Swap state deleted', { swapId });
+    } catch (error) {
+      this.logger.error('Error deleting swap state', { swapId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a persisted metadata value (indexer cursors and other service state)
+   * @param {string} key - Metadata key
+   * @returns {Promise<any|null>} Stored value or null if not set
+   */
+  async getMetadata(key) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const filePath = path.join(this.config.dataDir, `meta_${key}.json`);
       try {
-        await fs.unlink(filePath);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
+        const data = await fs.readFile(filePath, 'utf8');
+        return this.encryption.decryptRecord(JSON.parse(data), `meta:${key}`);
+      } catch (fileError) {
+        if (fileError.code === 'ENOENT') {
+          return null;
         }
+        throw fileError;
+      }
+    } catch (error) {
+      this.logger.error('Error getting metadata', { key, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Save a metadata value
+   * @param {string} key - Metadata key
+   * @param {any} value - JSON-serializable value
+   */
+  async saveMetadata(key, value) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      // Write then rename so a crash never leaves a half-written file
+      const filePath = path.join(this.config.dataDir, `meta_${key}.json`);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, this.serializeRecord(value, `meta:${key}`));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      this.logger.error('Error saving metadata', { key, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Directory holding webhook delivery records
+   * @returns {string} Path
+   */
+  getWebhookDir() {
+    return path.join(this.config.dataDir, 'webhooks');
+  }
+
+  /**
+   * Save a webhook delivery (pending or dead-lettered)
+   * @param {Object} delivery - Delivery record with `id`
+   */
+  async saveWebhookDelivery(delivery) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
       }
 
-      console.log(`Swap state deleted for ${swapId}`);
+      await this.writeRecord(path.join(this.getWebhookDir(), `delivery_${delivery.id}.json`), delivery);
     } catch (error) {
-      console.error(`Error deleting swap state for ${swapId}:`, error);
+      this.logger.error('Error saving webhook delivery', { deliveryId: delivery.id, error });
       throw error;
     }
   }
 
+  /**
+   * Get stored webhook deliveries
+   * @param {string} status - Optional status filter ('pending' or 'dead_letter')
+   * @returns {Promise<Array>} Deliveries, oldest first
+   */
+  async getWebhookDeliveries(status = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const deliveries = await this.readRecords(this.getWebhookDir(), 'delivery_');
+      return deliveries
+        .filter(delivery => !status || delivery.status === status)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      this.logger.error('Error getting webhook deliveries', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook delivery record
+   * @param {string} deliveryId - Delivery identifier
+   */
+  async deleteWebhookDelivery(deliveryId) {
+    try {
+      await fs.unlink(path.join(this.getWebhookDir(), `delivery_${deliveryId}.json`));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Error deleting webhook delivery', { deliveryId, error });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Save a webhook event as it was emitted, for later replays
+   * @param {Object} event - Event with `id` and `data.swapId`
+   */
+  async saveWebhookEvent(event) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      await this.writeRecord(
+        path.join(this.getWebhookDir(), `event_${event.data.swapId}_${event.id}.json`),
+        event
+      );
+    } catch (error) {
+      this.logger.error('Error saving webhook event', { eventId: event.id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored webhook events
+   * @param {string} swapId - Optional swap filter
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  async getWebhookEvents(swapId = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const events = await this.readRecords(this.getWebhookDir(), swapId ? `event_${swapId}_` : 'event_');
+      return events.sort((a, b) => a.occurredAt - b.occurredAt);
+    } catch (error) {
+      this.logger.error('Error getting webhook events', { swapId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Directory holding Ethereum transaction records
+   * @returns {string} Path
+   */
+  getTransactionDir() {
+    return path.join(this.config.dataDir, 'transactions');
+  }
+
+  /**
+   * Save an Ethereum transaction record (nonce, fees and every broadcast attempt)
+   * Calldata and signed transactions are encrypted like swap secrets.
+   * @param {Object} record - Transaction record with `id`
+   */
+  async saveEthTransaction(record) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      await this.writeRecord(
+        path.join(this.getTransactionDir(), `tx_${record.id}.json`),
+        this.encryption.encryptRecord(record, `tx:${record.id}`, TRANSACTION_FIELDS)
+      );
+    } catch (error) {
+      this.logger.error('Error saving Ethereum transaction', { ethTxId: record.id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an Ethereum transaction record
+   * @param {string} id - Transaction record identifier
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async getEthTransaction(id) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const data = await fs.readFile(path.join(this.getTransactionDir(), `tx_${id}.json`), 'utf8');
+      return this.encryption.decryptRecord(JSON.parse(data), `tx:${id}`, TRANSACTION_FIELDS);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      this.logger.error('Error getting Ethereum transaction', { ethTxId: id, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get Ethereum transaction records
+   * @param {string} status - Optional status filter ('pending', 'confirmed' or 'failed')
+   * @returns {Promise<Array>} Records ordered by nonce
+   */
+  async getEthTransactions(status = null) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const records = await this.readRecords(this.getTransactionDir(), 'tx_');
+      return records
+        .map(record => this.encryption.decryptRecord(record, `tx:${record.id}`, TRANSACTION_FIELDS))
+        .filter(record => !status || record.status === status)
+        .sort((a, b) => a.nonce - b.nonce);
+    } catch (error) {
+      this.logger.error('Error getting Ethereum transactions', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Write a JSON record atomically
+   * @param {string} filePath - Destination file
+   * @param {Object} record - JSON-serializable record
+   */
+  async writeRecord(filePath, record) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read every JSON record in a directory with a file name prefix
+   * Files removed while reading are skipped.
+   * @param {string} dir - Directory
+   * @param {string} prefix - File name prefix
+   * @returns {Promise<Array>} Records
+   */
+  async readRecords(dir, prefix) {
+    const files = await fs.readdir(dir);
+    const records = [];
+
+    for (const file of files.filter(file => file.startsWith(prefix) && file.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return records;
+  }
+
   /**
    * Load all swap states from disk
    */
@@ -235,23 +667,23 @@ class StateManager {
         const filePath = path.join(this.config.dataDir, file);
         try {
           const data = await fs.readFile(filePath, 'utf8');
-          const swapState = JSON.parse(data);
           const swapId = file.replace('swap_', '').replace('.json', '');
+          const swapState = this.encryption.decryptRecord(JSON.parse(data), `swap:${swapId}`);
           
           this.swapStates.set(swapId, swapState);
         } catch (error) {
-          console.error(`Error loading swap state from ${file}:`, error);
+          this.logger.error('Error loading swap state', { file, error });
           // Continue loading other files
         }
       }
 
-      console.log(`Loaded ${this.swapStates.size} swap states`);
+      this.logger.info('Loaded swap states', { count: this.swapStates.size });
     } catch (error) {
       if (error.code === 'ENOENT') {
         // Directory doesn't exist yet, that's okay
-        console.log('No existing swap states found');
+        this.logger.info('No existing swap states found');
       } else {
-        console.error('Error loading swap states:', error);
+        this.logger.error('Error loading swap states', { error });
         throw error;
       }
     }
@@ -268,12 +700,12 @@ class StateManager {
       const backupFileName = `swap_${swapId}_${timestamp}.json`;
       const backupPath = path.join(this.config.backupDir, backupFileName);
 
-      await fs.writeFile(backupPath, JSON.stringify(swapState, null, 2));
+      await fs.writeFile(backupPath, this.serializeRecord(swapState, `swap:${swapId}`));
 
       // Clean up old backups
       await this.cleanupOldBackups(swapId);
     } catch (error) {
-      console.error(`Error creating backup for ${swapId}:`, error);
+      this.logger.error('Error creating backup', { swapId, error });
       // Don't throw - backup failure shouldn't stop the main operation
     }
   }
@@ -299,7 +731,7 @@ class StateManager {
         }
       }
     } catch (error) {
-      console.error(`Error cleaning up backups for ${swapId}:`, error);
+      this.logger.error('Error cleaning up backups', { swapId, error });
     }
   }
 
@@ -316,10 +748,17 @@ class StateManager {
       const stats = {
         total: this.swapStates.size,
         byStatus: {},
+        byDirection: {},
+        byDirectionAndStatus: {},
+        htlcValueLocked: 0,
         totalVolume: {
           btc: 0,
           eth: 0
         },
+        feesCollected: {
+          btc: 0,
+          eth: 0
+        },
         averageCompletionTime: 0,
         successRate: 0
       };
@@ -331,10 +770,30 @@ class StateManager {
         // Count by status
         stats.byStatus[swapState.status] = (stats.byStatus[swapState.status] || 0) + 1;
 
+        // Count by direction
+        const direction = swapState.direction || 'BTC_TO_ETH';
+        stats.byDirection[direction] = (stats.byDirection[direction] || 0) + 1;
+
+        const byStatus = stats.byDirectionAndStatus[direction] = stats.byDirectionAndStatus[direction] || {};
+        byStatus[swapState.status] = (byStatus[swapState.status] || 0) + 1;
+
+        if (HTLC_LOCKED_STATES.includes(swapState.status)) {
+          // What the HTLC actually received, when the coordinator totalled its funding
+          stats.htlcValueLocked += swapState.btcSide.funding
+            ? swapState.btcSide.funding.received / 100000000
+            : swapState.btcSide.amount || 0;
+        }
+
         // Calculate volume
         stats.totalVolume.btc += swapState.btcSide.amount || 0;
         stats.totalVolume.eth += swapState.ethSide.amount || 0;
 
+        // Fees are only earned on completed swaps, in the payout asset
+        if (swapState.status === 'completed' && swapState.pricing) {
+          const asset = swapState.pricing.payoutAsset === 'BTC' ? 'btc' : 'eth';
+          stats.feesCollected[asset] += Number(swapState.pricing.totalFee);
+        }
+
         // Calculate completion time
         if (swapState.status === 'completed' && swapState.completedAt && swapState.createdAt) {
           completedSwaps++;
@@ -350,7 +809,7 @@ class StateManager {
 
       return stats;
     } catch (error) {
-      console.error('Error getting swap statistics:', error);
+      this.logger.error('Error getting swap statistics', { error });
       throw error;
     }
   }
@@ -396,7 +855,9 @@ class StateManager {
       await fs.mkdir(path.dirname(exportPath), { recursive: true });
 
       if (format === 'json') {
-        await fs.writeFile(exportPath, JSON.stringify(swapsToExport, null, 2));
+        // Exports are for analysis and never include secrets
+        const redacted = swapsToExport.map(swap => this.encryption.redactRecord(swap));
+        await fs.writeFile(exportPath, JSON.stringify(redacted, null, 2));
       } else if (format === 'csv') {
         const csv = this.convertToCSV(swapsToExport);
         await fs.writeFile(exportPath, csv);
@@ -404,7 +865,7 @@ class StateManager {
 
       return exportPath;
     } catch (error) {
-      console.error('Error exporting swap data:', error);
+      this.logger.error('Error exporting swap data', { error });
       throw error;
     }
   }
@@ -427,7 +888,10 @@ class StateManager {
       'btcAddress',
       'ethAddress',
       'btcTxId',
-      'ethTxHash'
+      'ethTxHash',
+      'payoutAsset',
+      'grossPayout',
+      'totalFee'
     ];
 
     const rows = swaps.map(swap => [
@@ -440,7 +904,10 @@ class StateManager {
       swap.btcSide.userAddress || '',
       swap.ethSide.userAddress || '',
       swap.btcTxId || '',
-      swap.ethTxHash || ''
+      swap.ethTxHash || '',
+      swap.pricing ? swap.pricing.payoutAsset : '',
+      swap.pricing ? swap.pricing.grossAmount : '',
+      swap.pricing ? swap.pricing.totalFee : ''
     ]);
 
     return [headers, ...rows].map(row => row.join(',')).join('\n');
@@ -449,15 +916,20 @@ class StateManager {
   /**
    * Cleanup expired swaps
    * @param {number} maxAge - Maximum age in milliseconds
+   * @param {number} now - Current time in milliseconds (default: Date.now())
+   * @returns {Promise<number>} Number of deleted swaps
    */
-  async cleanupExpiredSwaps(maxAge = 30 * 24 * 60 * 60 * 1000) { // 30 days default
+  async cleanupExpiredSwaps(maxAge = 30 * 24 * 60 * 60 * 1000, now = Date.now()) { // 30 days default
     try {
-      const cutoffTime = Date.now() - maxAge;
+      if (!this.initialized) {
+        await this.initialize();
+      }
+
+      const cutoffTime = now - maxAge;
       const swapsToDelete = [];
 
       for (const [swapId, swapState] of this.swapStates) {
-        if (swapState.createdAt < cutoffTime && 
-            (swapState.status === 'completed' || swapState.status === 'refunded')) {
+        if (swapState.createdAt < cutoffTime && isTerminalState(swapState.status)) {
           swapsToDelete.push(swapId);
         }
       }
@@ -466,10 +938,10 @@ class StateManager {
         await this.deleteSwapState(swapId);
       }
 
-      console.log(`Cleaned up ${swapsToDelete.length} expired swaps`);
+      this.logger.info('Cleaned up expired swaps', { count: swapsToDelete.length });
       return swapsToDelete.length;
     } catch (error) {
-      console.error('Error cleaning up expired swaps:', error);
+      this.logger.error('Error cleaning up expired swaps', { error });
       throw error;
     }
   }
@@ -0,0 +1,183 @@
+const { EventEmitter } = require('events');
+const { isTerminalState } = require('./SwapStateMachine');
+
+/**
+ * SwapEventStream - Turns swap state saves into client-facing progress events
+ * Listens to StateManager saves and emits an event for every status
+ * transition, Bitcoin confirmation count change and new Ethereum transaction
+ * hash. Subscribers filter by swapId or by user address. The last seen
+ * version of a swap is dropped once the swap is terminal and no subscriber
+ * is watching it.
+ *
+ * Event types:
+ * - `status`             {swapId, status, previousStatus, timestamp}
+ * - `btc_confirmations`  {swapId, txId, confirmations, blockHash, blockHeight}
+ * - `eth_tx`             {swapId, kind: 'initiate'|'claim'|'refund', txHash}
+ */
+class SwapEventStream {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per connected client
+
+    this.snapshots = new Map();
+    this.filters = new Set();
+    this.nextEventId = 1;
+
+    this.stateManager.on('swapSaved', (swapId, swapState) => {
+      this.handleSwapSaved(swapId, swapState);
+    });
+  }
+
+  /**
+   * Subscribe to events for a swap and/or a user address
+   * @param {Object} filter - {swapId, address}
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe({ swapId, address }, listener) {
+    const normalizedAddress = address ? address.toLowerCase() : null;
+
+    const handler = (event, swapState) => {
+      if ((swapId && event.swapId === swapId) ||
+          (normalizedAddress && this.belongsTo(swapState, normalizedAddress))) {
+        listener(event);
+      }
+    };
+
+    const filter = { swapId, address: normalizedAddress };
+    this.filters.add(filter);
+    this.emitter.on('event', handler);
+
+    return () => {
+      this.emitter.off('event', handler);
+      this.filters.delete(filter);
+      this.pruneSnapshots();
+    };
+  }
+
+  /**
+   * Current progress of a swap, sent to clients when they connect
+   * @param {Object} swapState - Swap state
+   * @returns {Object} {swapId, status, btcConfirmations, ethTxHashes}
+   */
+  getSnapshot(swapState) {
+    const summary = this.summarize(swapState);
+
+    return {
+      swapId: swapState.swapId,
+      status: summary.status,
+      btcConfirmations: summary.btcConfirmations,
+      ethTxHashes: summary.ethTxHashes
+    };
+  }
+
+  /**
+   * Diff a saved swap against the last seen version and emit the changes
+   * @param {string} swapId - Swap identifier
+   * @param {Object} swapState - Saved swap state
+   */
+  handleSwapSaved(swapId, swapState) {
+    const previous = this.snapshots.get(swapId) || { ethTxHashes: {} };
+    const current = this.summarize(swapState);
+    this.snapshots.set(swapId, current);
+
+    if (current.status !== previous.status) {
+      this.publish(swapState, {
+        type: 'status',
+        swapId,
+        status: current.status,
+        previousStatus: previous.status || null,
+        timestamp: Date.now()
+      });
+    }
+
+    const confirmation = swapState.btcConfirmation;
+    if (confirmation && (current.btcConfirmations !== previous.btcConfirmations ||
+        current.btcBlockHash !== previous.btcBlockHash)) {
+      this.publish(swapState, {
+        type: 'btc_confirmations',
+        swapId,
+        txId: confirmation.txId,
+        confirmations: confirmation.confirmations,
+        blockHash: confirmation.blockHash,
+        blockHeight: confirmation.blockHeight
+      });
+    }
+
+    for (const [kind, txHash] of Object.entries(current.ethTxHashes)) {
+      if (txHash && txHash !== previous.ethTxHashes[kind]) {
+        this.publish(swapState, { type: 'eth_tx', swapId, kind, txHash });
+      }
+    }
+
+    if (isTerminalState(current.status) && !this.isWatched(swapId, current.owners)) {
+      this.snapshots.delete(swapId);
+    }
+  }
+
+  /**
+   * Drop the last seen versions of terminal swaps nobody is watching
+   */
+  pruneSnapshots() {
+    for (const [swapId, snapshot] of this.snapshots) {
+      if (isTerminalState(snapshot.status) && !this.isWatched(swapId, snapshot.owners)) {
+        this.snapshots.delete(swapId);
+      }
+    }
+  }
+
+  /**
+   * Check whether any subscriber would receive events of a swap
+   * @param {string} swapId - Swap identifier
+   * @param {string[]} owners - Lowercased user addresses of the swap
+   * @returns {boolean} True if a subscriber matches the swap
+   */
+  isWatched(swapId, owners) {
+    for (const filter of this.filters) {
+      if (filter.swapId === swapId || (filter.address && owners.includes(filter.address))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Fields of a swap state that produce events
+   * @param {Object} swapState - Swap state
+   * @returns {Object} Summary
+   */
+  summarize(swapState) {
+    const ethSide = swapState.ethSide || {};
+    const btcSide = swapState.btcSide || {};
+    const confirmation = swapState.btcConfirmation || {};
+
+    return {
+      status: swapState.status,
+      owners: [ethSide.userAddress, btcSide.userAddress]
+        .filter(Boolean)
+        .map(address => address.toLowerCase()),
+      btcConfirmations: confirmation.confirmations,
+      btcBlockHash: confirmation.blockHash,
+      ethTxHashes: {
+        initiate: ethSide.initTxHash || (ethSide.onChainOrder && ethSide.onChainOrder.txHash) || null,
+        claim: swapState.ethTxHash || ethSide.completedTxHash || null,
+        refund: swapState.ethRefundTxHash || ethSide.refundTxHash || null
+      }
+    };
+  }
+
+  publish(swapState, event) {
+    this.emitter.emit('event', { id: this.nextEventId++, ...event }, swapState);
+  }
+
+  belongsTo(swapState, normalizedAddress) {
+    const ethAddress = swapState.ethSide && swapState.ethSide.userAddress;
+    const btcAddress = swapState.btcSide && swapState.btcSide.userAddress;
+
+    return (ethAddress && ethAddress.toLowerCase() === normalizedAddress) ||
+      (btcAddress && btcAddress.toLowerCase() === normalizedAddress);
+  }
+}
+
+module.exports = SwapEventStream;
@@ -0,0 +1,130 @@
+const MetricsRegistry = require('./MetricsRegistry');
+const { SWAP_STATES } = require('./SwapStateMachine');
+
+// Histogram buckets (seconds)
+const PHASE_BUCKETS = [60, 300, 600, 1800, 3600, 2 * 3600, 6 * 3600, 12 * 3600, 24 * 3600, 48 * 3600];
+const CONFIRMATION_BUCKETS = [300, 600, 1200, 1800, 3600, 2 * 3600, 4 * 3600, 8 * 3600];
+const QUOTE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * SwapMetrics - Prometheus metrics for the coordinator
+ * Lifecycle, quote and transaction metrics are recorded by SwapCoordinator as
+ * they happen and cover the life of the process. Swap counts and locked HTLC
+ * value are read from `StateManager.getSwapStatistics` on every scrape.
+ */
+class SwapMetrics {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.registry = new MetricsRegistry();
+
+    this.swaps = this.registry.gauge(
+      'swap_swaps',
+      'Stored swaps by direction and status'
+    );
+    this.htlcValueLocked = this.registry.gauge(
+      'swap_htlc_value_locked_btc',
+      'BTC in funded HTLCs not yet claimed or refunded'
+    );
+    this.phaseDuration = this.registry.histogram(
+      'swap_phase_duration_seconds',
+      'Time swaps spent in a lifecycle status before leaving it',
+      PHASE_BUCKETS
+    );
+    this.btcConfirmationWait = this.registry.histogram(
+      'swap_btc_confirmation_wait_seconds',
+      'Time from Bitcoin funding to the required confirmations',
+      CONFIRMATION_BUCKETS
+    );
+    this.quoteDuration = this.registry.histogram(
+      'swap_quote_duration_seconds',
+      '1inch Fusion quote request latency',
+      QUOTE_BUCKETS
+    );
+    this.quoteErrors = this.registry.counter(
+      'swap_quote_errors_total',
+      'Failed 1inch Fusion quote requests'
+    );
+    this.ethTransactions = this.registry.counter(
+      'swap_eth_transactions_total',
+      'Confirmed Ethereum transactions by action'
+    );
+    this.ethGasUsed = this.registry.counter(
+      'swap_eth_gas_used_total',
+      'Gas used by confirmed Ethereum transactions by action'
+    );
+    this.ethFees = this.registry.counter(
+      'swap_eth_fees_wei_total',
+      'Fees paid by confirmed Ethereum transactions by action (wei)'
+    );
+    this.refunds = this.registry.counter(
+      'swap_refunds_total',
+      'Swaps moved to refunding'
+    );
+  }
+
+  /**
+   * Record a status change
+   * @param {Object} swapState - Swap state after the transition
+   * @param {string} previousStatus - Status the swap left
+   * @param {number} enteredAt - When the swap entered `previousStatus` (ms)
+   * @param {number} now - Transition time (ms)
+   */
+  recordTransition(swapState, previousStatus, enteredAt, now) {
+    const direction = swapState.direction || 'BTC_TO_ETH';
+    const seconds = Math.max(0, now - enteredAt) / 1000;
+
+    this.phaseDuration.observe({ direction, phase: previousStatus }, seconds);
+
+    if (previousStatus === SWAP_STATES.BTC_FUNDED && swapState.status === SWAP_STATES.BTC_CONFIRMED) {
+      this.btcConfirmationWait.observe({ direction }, seconds);
+    }
+    if (swapState.status === SWAP_STATES.REFUNDING) {
+      this.refunds.inc({ direction });
+    }
+  }
+
+  /**
+   * Record a Fusion quote request
+   * @param {number} durationMs - Request time
+   * @param {Error|null} error - Failure, if any
+   */
+  recordQuote(durationMs, error = null) {
+    this.quoteDuration.observe({}, durationMs / 1000);
+    if (error) {
+      this.quoteErrors.inc();
+    }
+  }
+
+  /**
+   * Record a confirmed Ethereum transaction
+   * The action is the prefix of its ID (`initiate`, `complete`, `refund`).
+   * @param {Object} record - Transaction record with gasUsed and feeWei
+   */
+  recordEthTransaction(record) {
+    const labels = { action: record.id.split('_')[0] };
+
+    this.ethTransactions.inc(labels);
+    this.ethGasUsed.inc(labels, Number(record.gasUsed || 0));
+    this.ethFees.inc(labels, Number(record.feeWei || 0));
+  }
+
+  /**
+   * Refresh the stored-swap gauges and render every metric
+   * @returns {Promise<string>} Prometheus text exposition
+   */
+  async collect() {
+    const stats = await this.stateManager.getSwapStatistics();
+
+    this.swaps.reset();
+    for (const [direction, statuses] of Object.entries(stats.byDirectionAndStatus)) {
+      for (const [status, count] of Object.entries(statuses)) {
+        this.swaps.set({ direction, status }, count);
+      }
+    }
+    this.htlcValueLocked.set({}, stats.htlcValueLocked);
+
+    return this.registry.render();
+  }
+}
+
+module.exports = SwapMetrics;
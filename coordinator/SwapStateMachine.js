@@ -0,0 +1,101 @@
+/**
+ * SwapStateMachine - Swap lifecycle states and legal transitions
+ *
+ * BTC_TO_ETH: created → initiated → btc_funded → btc_confirmed → eth_claimed → completed
+ * (btc_confirmed falls back to btc_funded if the funding tx is reorged out,
+ * and moves to price_out_of_range if the re-quote is outside the user's
+ * slippage bound; from there the user accepts the new price or refunds)
+ * ETH_TO_BTC: initiated → btc_funding → btc_funded → eth_claimed → completed
+ * (btc_funding fails if the HTLC funding tx still cannot be broadcast when
+ * the swap expires)
+ *
+ * Refund branches go through `refunding` (refund tx prepared and persisted)
+ * to `refunded`. Every step that sends a chain transaction is persisted
+ * before or after the send so a restarted coordinator can resume it.
+ */
+
+const SWAP_STATES = {
+  CREATED: 'created',
+  INITIATED: 'initiated',
+  BTC_FUNDING: 'btc_funding',
+  BTC_FUNDED: 'btc_funded',
+  BTC_CONFIRMED: 'btc_confirmed',
+  PRICE_OUT_OF_RANGE: 'price_out_of_range',
+  ETH_CLAIMED: 'eth_claimed',
+  COMPLETED: 'completed',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATES = [
+  SWAP_STATES.COMPLETED,
+  SWAP_STATES.REFUNDED,
+  SWAP_STATES.EXPIRED,
+  SWAP_STATES.FAILED
+];
+
+const SWAP_TRANSITIONS = {
+  BTC_TO_ETH: {
+    created: ['initiated', 'failed', 'expired'],
+    initiated: ['btc_funded', 'refunding', 'expired'],
+    btc_funded: ['btc_confirmed', 'refunding'],
+    btc_confirmed: ['eth_claimed', 'btc_funded', 'price_out_of_range', 'refunding'],
+    price_out_of_range: ['btc_confirmed', 'refunding'],
+    eth_claimed: ['completed'],
+    refunding: ['refunded']
+  },
+  ETH_TO_BTC: {
+    initiated: ['btc_funding', 'expired'],
+    btc_funding: ['btc_funded', 'failed'],
+    btc_funded: ['eth_claimed', 'refunding'],
+    eth_claimed: ['completed'],
+    refunding: ['refunded']
+  }
+};
+
+/**
+ * Check whether a status is terminal
+ * @param {string} status - Swap status
+ * @returns {boolean} True if the swap can no longer progress
+ */
+function isTerminalState(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+/**
+ * Check whether a transition is legal
+ * @param {string} direction - 'BTC_TO_ETH' or 'ETH_TO_BTC'
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(direction, from, to) {
+  const transitions = SWAP_TRANSITIONS[direction || 'BTC_TO_ETH'];
+  if (!transitions || !transitions[from]) {
+    return false;
+  }
+  return transitions[from].includes(to);
+}
+
+/**
+ * Throw if a transition is illegal
+ * @param {string} direction - 'BTC_TO_ETH' or 'ETH_TO_BTC'
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ */
+function assertTransition(direction, from, to) {
+  if (!canTransition(direction, from, to)) {
+    throw new Error(`Illegal swap transition from ${from} to ${to}`);
+  }
+}
+
+module.exports = {
+  SWAP_STATES,
+  SWAP_TRANSITIONS,
+  TERMINAL_STATES,
+  isTerminalState,
+  canTransition,
+  assertTransition
+};
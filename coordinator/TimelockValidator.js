@@ -0,0 +1,142 @@
+const Clock = require('./Clock');
+
+// nLockTime values below this are block heights, above it Unix timestamps
+const LOCKTIME_THRESHOLD = 500000000;
+
+/**
+ * TimelockValidator - Checks that a swap's two timelocks expire in a safe order
+ * The side locked second (where the secret is revealed first) must expire at
+ * least `minSafetyMargin` seconds before the side locked first, so the party
+ * that learns the secret still has time to claim. Bitcoin block heights are
+ * converted to timestamps using the average interval of recent blocks, and the
+ * Ethereum expiry accounts for the FusionResolver's fixed SWAP_TIMEOUT.
+ */
+class TimelockValidator {
+  constructor(bitcoinWallet, config = {}) {
+    this.config = {
+      minSafetyMargin: config.minSafetyMargin || 2 * 60 * 60, // seconds
+      contractSwapTimeout: config.contractSwapTimeout || 24 * 60 * 60, // FusionResolver.SWAP_TIMEOUT
+      blockSampleSize: config.blockSampleSize || 144,
+      defaultBlockInterval: config.defaultBlockInterval || 10 * 60,
+      intervalCacheTtl: config.intervalCacheTtl || 10 * 60 * 1000
+    };
+
+    this.bitcoinWallet = bitcoinWallet;
+    this.clock = config.clock || new Clock();
+    this.blockIntervalCache = null;
+  }
+
+  /**
+   * Average Bitcoin block interval over the last `blockSampleSize` blocks
+   * @returns {Promise<number>} Seconds per block
+   */
+  async getAverageBlockInterval() {
+    if (this.blockIntervalCache &&
+        this.clock.now() - this.blockIntervalCache.fetchedAt < this.config.intervalCacheTtl) {
+      return this.blockIntervalCache.interval;
+    }
+
+    const tipHeight = await this.bitcoinWallet.getBlockHeight();
+    const sampleSize = Math.min(this.config.blockSampleSize, tipHeight);
+    let interval = this.config.defaultBlockInterval;
+
+    if (sampleSize > 0) {
+      const tipTime = await this.bitcoinWallet.getBlockTimestamp(tipHeight);
+      const pastTime = await this.bitcoinWallet.getBlockTimestamp(tipHeight - sampleSize);
+      if (tipTime > pastTime) {
+        interval = (tipTime - pastTime) / sampleSize;
+      }
+    }
+
+    this.blockIntervalCache = { interval, fetchedAt: this.clock.now() };
+    return interval;
+  }
+
+  /**
+   * Estimate when a Bitcoin block height will be reached
+   * @param {number} height - Block height
+   * @returns {Promise<number>} Unix timestamp in seconds
+   */
+  async blockHeightToTimestamp(height) {
+    const tipHeight = await this.bitcoinWallet.getBlockHeight();
+    const interval = await this.getAverageBlockInterval();
+
+    return Math.floor(this.clock.now() / 1000 + (height - tipHeight) * interval);
+  }
+
+  /**
+   * Estimate the first Bitcoin block height at or after a timestamp
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @returns {Promise<number>} Block height
+   */
+  async timestampToBlockHeight(timestamp) {
+    const tipHeight = await this.bitcoinWallet.getBlockHeight();
+    const interval = await this.getAverageBlockInterval();
+
+    return tipHeight + Math.ceil((timestamp - this.clock.now() / 1000) / interval);
+  }
+
+  /**
+   * When a Bitcoin CLTV lock expires
+   * @param {number} lockTime - Block height or Unix timestamp
+   * @returns {Promise<number>} Unix timestamp in seconds
+   */
+  async getBitcoinExpiry(lockTime) {
+    if (lockTime < LOCKTIME_THRESHOLD) {
+      return await this.blockHeightToTimestamp(lockTime);
+    }
+    return lockTime;
+  }
+
+  /**
+   * When a FusionResolver order becomes refundable
+   * The contract allows a refund after `lockTime` or `SWAP_TIMEOUT` after
+   * creation, whichever comes first.
+   * @param {number} lockTime - Order lock time (Unix seconds)
+   * @param {number} createdAt - Order creation time (Unix seconds, default now)
+   * @returns {number} Unix timestamp in seconds
+   */
+  getEthereumExpiry(lockTime, createdAt = Math.floor(this.clock.now() / 1000)) {
+    return Math.min(lockTime, createdAt + this.config.contractSwapTimeout);
+  }
+
+  /**
+   * Reject timelocks that don't leave a safe gap between the two chains
+   * @param {Object} params - {direction, btcLockTime, ethLockTime, ethCreatedAt}
+   * @returns {Promise<Object>} {btcExpiresAt, ethExpiresAt, marginSeconds, blockInterval}
+   */
+  async validateSwapTimelocks({ direction, btcLockTime, ethLockTime, ethCreatedAt }) {
+    const now = Math.floor(this.clock.now() / 1000);
+    const btcExpiresAt = await this.getBitcoinExpiry(btcLockTime);
+    const ethExpiresAt = this.getEthereumExpiry(ethLockTime, ethCreatedAt);
+
+    if (ethExpiresAt <= now) {
+      throw new Error('Unsafe timelocks: Ethereum lock has already expired');
+    }
+    if (btcExpiresAt <= now) {
+      throw new Error('Unsafe timelocks: Bitcoin lock has already expired');
+    }
+
+    // ETH to BTC: the user locks ETH first, so Bitcoin must expire first
+    const [first, second, marginSeconds] = direction === 'ETH_TO_BTC'
+      ? ['Ethereum', 'Bitcoin', ethExpiresAt - btcExpiresAt]
+      : ['Bitcoin', 'Ethereum', btcExpiresAt - ethExpiresAt];
+
+    if (marginSeconds < this.config.minSafetyMargin) {
+      throw new Error(
+        `Unsafe timelocks: ${first} lock must expire at least ` +
+        `${Math.round(this.config.minSafetyMargin / 60)} minutes after the ${second} lock ` +
+        `(margin is ${Math.round(marginSeconds / 60)} minutes)`
+      );
+    }
+
+    return {
+      btcExpiresAt,
+      ethExpiresAt,
+      marginSeconds,
+      blockInterval: await this.getAverageBlockInterval()
+    };
+  }
+}
+
+module.exports = TimelockValidator;
@@ -0,0 +1,165 @@
+const { ethers } = require('ethers');
+
+const NATIVE_ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const ETH = {
+  address: NATIVE_ETH_ADDRESS,
+  symbol: 'ETH',
+  decimals: 18,
+  logo: 'https://tokens.1inch.io/0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee.png'
+};
+
+// Tokens the service swaps, by chain ID; logos are the mainnet token's
+const TOKEN_LISTS = {
+  1: [
+    ETH,
+    {
+      address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      symbol: 'WETH',
+      decimals: 18,
+      logo: 'https://tokens.1inch.io/0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2.png'
+    },
+    {
+      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      symbol: 'USDC',
+      decimals: 6,
+      logo: 'https://tokens.1inch.io/0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48.png'
+    },
+    {
+      address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+      symbol: 'USDT',
+      decimals: 6,
+      logo: 'https://tokens.1inch.io/0xdac17f958d2ee523a2206206994597c13d831ec7.png'
+    },
+    {
+      address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+      symbol: 'DAI',
+      decimals: 18,
+      logo: 'https://tokens.1inch.io/0x6b175474e89094c44da98b954eedeac495271d0f.png'
+    },
+    {
+      address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+      symbol: 'WBTC',
+      decimals: 8,
+      logo: 'https://tokens.1inch.io/0x2260fac5e5542a773aa44fbcfedf7c193bc2c599.png'
+    }
+  ],
+  11155111: [
+    ETH,
+    {
+      address: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+      symbol: 'WETH',
+      decimals: 18,
+      logo: 'https://tokens.1inch.io/0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2.png'
+    },
+    {
+      address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+      symbol: 'USDC',
+      decimals: 6,
+      logo: 'https://tokens.1inch.io/0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48.png'
+    }
+  ],
+  1337: [ETH]
+};
+
+/**
+ * TokenRegistry - Ethereum tokens the service swaps on one chain
+ * Starts from the chain's built-in list; `tokens` adds entries or, matched by
+ * address, overrides fields of built-in ones (e.g. `allowed: false` to stop
+ * offering a token). New swaps and quotes may only use allowed tokens, while
+ * amounts of any listed token can still be converted so open swaps finish.
+ * Amounts are converted with the token's own decimals.
+ */
+class TokenRegistry {
+  /**
+   * @param {number} chainId - Ethereum chain ID
+   * @param {Array<Object>} tokens - Entries {address, symbol, decimals, logo, allowed} added to the built-in list
+   */
+  constructor(chainId, tokens = []) {
+    this.chainId = chainId;
+    this.tokens = new Map();
+
+    for (const entry of [...(TOKEN_LISTS[chainId] || []), ...(tokens || [])]) {
+      const address = ethers.getAddress(entry.address);
+      const token = {
+        logo: null,
+        allowed: true,
+        ...this.tokens.get(address.toLowerCase()),
+        ...entry,
+        address
+      };
+
+      if (typeof token.symbol !== 'string' || !Number.isInteger(token.decimals)) {
+        throw new Error(`Token ${address} needs a symbol and decimals`);
+      }
+      this.tokens.set(address.toLowerCase(), token);
+    }
+  }
+
+  /**
+   * A token new swaps may use
+   * @param {string} address - Token address
+   * @returns {Object} {address, symbol, decimals, logo, allowed}
+   */
+  getToken(address) {
+    const token = this.findToken(address);
+    if (!token || !token.allowed) {
+      throw new Error(`Token not supported: ${address}`);
+    }
+    return { ...token };
+  }
+
+  /**
+   * Tokens new swaps may use
+   * @returns {Array<Object>} Token entries
+   */
+  listTokens() {
+    return [...this.tokens.values()].filter(token => token.allowed).map(token => ({ ...token }));
+  }
+
+  /**
+   * Convert a decimal amount into token base units
+   * @param {string} address - Token address (listed, allowed or not)
+   * @param {number|string} amount - Decimal amount
+   * @returns {bigint} Base units
+   */
+  parseAmount(address, amount) {
+    const token = this.requireListed(address);
+    const decimal = typeof amount === 'number'
+      ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+      : String(amount);
+
+    const [, fraction = ''] = decimal.split('.');
+    if (fraction.length > token.decimals) {
+      throw new Error(`${token.symbol} amounts have at most ${token.decimals} decimals`);
+    }
+    return ethers.parseUnits(decimal, token.decimals);
+  }
+
+  /**
+   * Convert token base units into a decimal amount
+   * @param {string} address - Token address (listed, allowed or not)
+   * @param {bigint|string} value - Base units
+   * @returns {string} Decimal amount
+   */
+  formatAmount(address, value) {
+    return ethers.formatUnits(value, this.requireListed(address).decimals);
+  }
+
+  findToken(address) {
+    return this.tokens.get(String(address).toLowerCase()) || null;
+  }
+
+  requireListed(address) {
+    const token = this.findToken(address);
+    if (!token) {
+      throw new Error(`Token not supported: ${address}`);
+    }
+    return token;
+  }
+}
+
+TokenRegistry.NATIVE_ETH_ADDRESS = NATIVE_ETH_ADDRESS;
+TokenRegistry.TOKEN_LISTS = TOKEN_LISTS;
+
+module.exports = TokenRegistry;
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { SWAP_STATES } = require('./SwapStateMachine');
+
+// BIP65: nLockTime values below this are block heights, above are timestamps
+const LOCKTIME_THRESHOLD = 500000000;
+
+// Target Bitcoin block interval, for timestamp lock times
+const BLOCK_INTERVAL = 600;
+
+// Fee multiple a claim pays when its HTLC lock is reached
+const MAX_FEE_MULTIPLIER = 8;
+
+// A replacement claim must pay at least this much more than the one it replaces
+const MIN_BUMP_FACTOR = 1.25;
+
+// BTC to ETH swaps whose secret may be revealed on Ethereum before the HTLC is claimed
+const WATCHED_STATES = [
+  SWAP_STATES.BTC_FUNDED,
+  SWAP_STATES.BTC_CONFIRMED,
+  SWAP_STATES.PRICE_OUT_OF_RANGE,
+  SWAP_STATES.ETH_CLAIMED
+];
+
+/**
+ * Watchtower - Claims the service's Bitcoin HTLCs once their secret is public
+ * A BTC to ETH swap reveals its secret on Ethereum: in the pending
+ * `completeSwap` call, then in the `SwapCompleted` event. From then on the
+ * service must claim the HTLC before its CLTV refund path opens. Each scan
+ * reads both, from a persisted block cursor up to the head (no confirmation
+ * depth: a secret in an orphaned block is still public) and from the pending
+ * block, and claims every watched swap whose secret appeared. The cursor is
+ * saved once the claims were attempted, and not past the event of a swap
+ * whose claim failed, so a crash or error re-reads those events. Unconfirmed
+ * claims are re-signed with a higher fee as the lock nears: the fee rate
+ * estimate is paid as is until `escalationBlocks` before the lock, then
+ * rises linearly to MAX_FEE_MULTIPLIER times the estimate at the lock. The
+ * coordinator runs it as its `watchtower` job.
+ */
+class Watchtower {
+  constructor(coordinator, config = {}) {
+    this.config = {
+      escalationBlocks: config.escalationBlocks || 144,
+      batchSize: config.batchSize || 2000,
+      cursorKey: config.cursorKey || 'watchtower'
+    };
+
+    this.coordinator = coordinator;
+    this.contract = coordinator.fusionResolverContract;
+    this.provider = coordinator.ethereumProvider;
+    this.bitcoinWallet = coordinator.bitcoinWallet;
+    this.stateManager = coordinator.stateManager;
+    this.clock = coordinator.clock;
+    this.logger = coordinator.logger.child({ component: 'Watchtower' });
+
+    this.scanning = null;
+  }
+
+  /**
+   * Claim watched HTLCs whose secret appeared and bump unconfirmed claims
+   * Concurrent calls share the scan already in flight.
+   * @returns {Promise<Object>} {watched, claimed, bumped, confirmed, pending}
+   */
+  async scan() {
+    if (!this.scanning) {
+      this.scanning = this.scanSwaps().finally(() => {
+        this.scanning = null;
+      });
+    }
+    return this.scanning;
+  }
+
+  async scanSwaps() {
+    const swaps = await this.getWatchedSwaps();
+    const { events, toBlock } = await this.readCompletedEvents();
+    const secrets = await this.findRevealedSecrets(events);
+    const result = { watched: swaps.length, claimed: 0, bumped: 0, confirmed: 0, pending: 0 };
+    let cursor = toBlock;
+
+    for (const swap of swaps) {
+      // Use the object the swap's own flow holds, so neither overwrites the other's changes
+      const swapState = this.coordinator.advancingSwaps.get(swap.swapId) || swap;
+      try {
+        if (swapState.btcSide.claimTxId) {
+          result[await this.checkClaim(swapState)]++;
+        } else {
+          // Once the Ethereum side is claimed the secret is on-chain, even if its event was missed
+          const secret = this.matchSecret(swapState, secrets.get(swapState.swapId)) ||
+            (swapState.status === SWAP_STATES.ETH_CLAIMED ? Buffer.from(swapState.btcSide.secret, 'hex') : null);
+          if (secret) {
+            await this.claim(swapState, secret);
+            result.claimed++;
+          }
+        }
+
+        // Finish swaps whose own flow stopped between the two claims
+        if (swapState.status === SWAP_STATES.ETH_CLAIMED && swapState.btcSide.claimTxId &&
+            !this.coordinator.advancingSwaps.has(swapState.swapId)) {
+          await this.coordinator.advanceBTCToETHSwap(swapState);
+        }
+      } catch (error) {
+        this.coordinator.swapLogger(swapState).error('Watchtower error', {
+          chain: 'bitcoin',
+          status: swapState.status,
+          txid: swapState.btcSide.claimTxId,
+          error
+        });
+
+        // Read the swap's event again on the next scan
+        const event = events.find(log => log.args.swapId === swapState.swapId);
+        if (event) {
+          cursor = Math.min(cursor, event.blockNumber - 1);
+        }
+      }
+    }
+
+    await this.saveCursor(cursor);
+    return result;
+  }
+
+  /**
+   * Swaps whose HTLC the service claims and whose claim is not yet confirmed
+   * @returns {Promise<Array<Object>>} Swap states
+   */
+  async getWatchedSwaps() {
+    const active = (await this.stateManager.getActiveSwaps())
+      .filter(swap => swap.direction !== 'ETH_TO_BTC' && WATCHED_STATES.includes(swap.status));
+    const completed = (await this.stateManager.getSwapsByStatus(SWAP_STATES.COMPLETED))
+      .filter(swap => swap.direction !== 'ETH_TO_BTC' && swap.btcSide.claimTxId && !swap.btcSide.claimConfirmedAt);
+
+    return [...active, ...completed].filter(swap => this.coordinator.isServiceHTLCRecipient(swap));
+  }
+
+  /**
+   * Secrets revealed in SwapCompleted events and pending completeSwap calls
+   * @param {Array<Object>} events - SwapCompleted events from readCompletedEvents
+   * @returns {Promise<Map<string, string>>} Secret (0x hex) by swapId
+   */
+  async findRevealedSecrets(events) {
+    const secrets = new Map();
+
+    for (const event of events) {
+      secrets.set(event.args.swapId, event.args.secret);
+    }
+
+    try {
+      for (const call of await this.readPendingCompletions()) {
+        secrets.set(call.swapId, call.secret);
+      }
+    } catch (error) {
+      this.logger.warn('Cannot read pending Ethereum transactions', { chain: 'ethereum', error });
+    }
+
+    return secrets;
+  }
+
+  /**
+   * SwapCompleted events from the cursor to the head
+   * The cursor is not moved; see saveCursor.
+   * @returns {Promise<Object>} {events, toBlock}: ethers EventLogs and the last block read
+   */
+  async readCompletedEvents() {
+    const head = await this.provider.getBlockNumber();
+    const stored = await this.stateManager.getMetadata(this.config.cursorKey);
+    let cursor = stored ? stored.lastProcessedBlock : head - 1;
+    const events = [];
+
+    while (cursor < head) {
+      const fromBlock = cursor + 1;
+      const toBlock = Math.min(fromBlock + this.config.batchSize - 1, head);
+
+      const logs = await this.contract.queryFilter('SwapCompleted', fromBlock, toBlock);
+      events.push(...logs.filter(log => log.eventName === 'SwapCompleted'));
+      cursor = toBlock;
+    }
+
+    return { events, toBlock: cursor };
+  }
+
+  /**
+   * Persist the last block whose SwapCompleted events were handled
+   * @param {number} block - Block number
+   */
+  async saveCursor(block) {
+    await this.stateManager.saveMetadata(this.config.cursorKey, {
+      lastProcessedBlock: block,
+      updatedAt: this.clock.now()
+    });
+  }
+
+  /**
+   * completeSwap calls to the FusionResolver waiting in the pending block
+   * @returns {Promise<Array<Object>>} {swapId, secret, txHash}
+   */
+  async readPendingCompletions() {
+    const block = await this.provider.send('eth_getBlockByNumber', ['pending', true]);
+    const resolver = this.coordinator.config.fusionResolverAddress.toLowerCase();
+    const calls = [];
+
+    for (const tx of (block && block.transactions) || []) {
+      if (!tx.to || tx.to.toLowerCase() !== resolver) {
+        continue;
+      }
+      const call = this.contract.interface.parseTransaction({ data: tx.input });
+      if (call && call.name === 'completeSwap') {
+        calls.push({ swapId: call.args.swapId, secret: call.args.secret, txHash: tx.hash });
+      }
+    }
+
+    return calls;
+  }
+
+  /**
+   * Check a revealed secret against the swap's hash
+   * @param {Object} swapState - Swap state
+   * @param {string} secret - Revealed secret (0x hex), if any
+   * @returns {Buffer|null} The secret, if it unlocks the HTLC
+   */
+  matchSecret(swapState, secret) {
+    if (!secret) {
+      return null;
+    }
+    const preimage = Buffer.from(ethers.getBytes(secret));
+    const hash = crypto.createHash('sha256').update(preimage).digest('hex');
+    return hash === swapState.btcSide.secretHash ? preimage : null;
+  }
+
+  /**
+   * Claim a swap's HTLC with a revealed secret
+   * @param {Object} swapState - Swap state
+   * @param {Buffer} secret - HTLC secret
+   */
+  async claim(swapState, secret) {
+    const claimTxId = await this.coordinator.claimBitcoinHTLC(swapState, secret);
+    this.coordinator.swapLogger(swapState).info('Claimed Bitcoin HTLC', {
+      chain: 'bitcoin',
+      txid: claimTxId,
+      fee: swapState.btcSide.claimFee
+    });
+  }
+
+  /**
+   * Record a confirmed claim, or rebroadcast it with a higher fee if the lock has come closer
+   * @param {Object} swapState - Swap state with a signed claim
+   * @returns {Promise<string>} confirmed, bumped or pending
+   */
+  async checkClaim(swapState) {
+    const { swapId, btcSide } = swapState;
+
+    const confirmedTxId = await this.coordinator.findConfirmedTransaction(btcSide.claimTxIds || [btcSide.claimTxId]);
+    if (confirmedTxId) {
+      btcSide.claimTxId = confirmedTxId;
+      btcSide.claimConfirmedAt = this.clock.now();
+      await this.stateManager.saveSwapState(swapId, swapState);
+      return 'confirmed';
+    }
+
+    let outcome = 'pending';
+    const fee = Math.min(
+      await this.getClaimFee(swapState, btcSide.claimUtxos.length, btcSide.excessReturned > 0 ? 2 : 1),
+      this.coordinator.getMaxClaimFee(swapState)
+    );
+    if (fee >= Math.ceil(btcSide.claimFee * MIN_BUMP_FACTOR)) {
+      this.coordinator.signBitcoinHTLCClaim(swapState, Buffer.from(btcSide.secret, 'hex'), fee);
+      await this.stateManager.saveSwapState(swapId, swapState);
+      this.coordinator.swapLogger(swapState).warn('Bumped Bitcoin HTLC claim fee', {
+        chain: 'bitcoin',
+        txid: btcSide.claimTxId,
+        fee
+      });
+      outcome = 'bumped';
+    }
+
+    await this.coordinator.broadcastBitcoinTransaction(btcSide.claimTxHex, btcSide.claimTxId);
+    return outcome;
+  }
+
+  /**
+   * Fee for a swap's HTLC claim, raised as the HTLC lock nears
+   * @param {Object} swapState - Swap state
+   * @param {number} numInputs - Claim inputs
+   * @param {number} numOutputs - Claim outputs
+   * @returns {Promise<number>} Fee in satoshis
+   */
+  async getClaimFee(swapState, numInputs, numOutputs) {
+    const fee = await this.bitcoinWallet.estimateFee(numInputs, numOutputs);
+    const remaining = Math.max(await this.getBlocksUntilLockTime(swapState.btcSide.lockTime), 0);
+    const window = this.config.escalationBlocks;
+    if (remaining >= window) {
+      return fee;
+    }
+
+    const multiplier = 1 + (MAX_FEE_MULTIPLIER - 1) * (window - remaining) / window;
+    return Math.ceil(fee * multiplier);
+  }
+
+  /**
+   * Blocks left before an HTLC's refund path opens
+   * @param {number} lockTime - Block height or Unix timestamp
+   * @returns {Promise<number>} Blocks (timestamps are counted in 10 minute blocks)
+   */
+  async getBlocksUntilLockTime(lockTime) {
+    if (lockTime < LOCKTIME_THRESHOLD) {
+      return lockTime - await this.bitcoinWallet.getBlockHeight();
+    }
+    return Math.floor((lockTime - await this.bitcoinWallet.getMedianTimePast()) / BLOCK_INTERVAL);
+  }
+}
+
+module.exports = Watchtower;
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Clock = require('./Clock');
+const Logger = require('./Logger');
+
+// Swap statuses that produce a webhook event
+const STATUS_EVENTS = {
+  btc_funded: 'swap.funded',
+  btc_confirmed: 'swap.confirmed',
+  completed: 'swap.completed',
+  refunded: 'swap.refunded',
+  failed: 'swap.failed',
+  expired: 'swap.expired'
+};
+
+const WEBHOOK_EVENTS = ['swap.created', ...Object.values(STATUS_EVENTS)];
+
+const SUBSCRIPTIONS_KEY = 'webhook_subscriptions';
+
+/**
+ * WebhookDispatcher - Delivers swap lifecycle events to subscribed endpoints
+ * Each event is stored as a delivery per subscribed endpoint before it is
+ * sent, so nothing is lost across restarts. Payloads are signed with the
+ * endpoint's secret, failed deliveries are retried with exponential backoff,
+ * and deliveries that exhaust their attempts are kept as dead letters until
+ * they are replayed. Events are also kept as emitted, so replays resend
+ * what endpoints would have received at the time.
+ */
+class WebhookDispatcher {
+  constructor(stateManager, config = {}) {
+    this.config = {
+      maxAttempts: config.maxAttempts || 8,
+      baseDelay: config.baseDelay || 10 * 1000,
+      maxDelay: config.maxDelay || 60 * 60 * 1000,
+      requestTimeout: config.requestTimeout || 10 * 1000,
+      pollInterval: config.pollInterval || 5000
+    };
+
+    this.stateManager = stateManager;
+    this.clock = config.clock || new Clock();
+    this.logger = config.logger || new Logger();
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Start sending due deliveries
+   */
+  start() {
+    this.timer = this.clock.setInterval(() => {
+      return this.processDueDeliveries().catch(error => {
+        this.logger.error('Error processing webhook deliveries', { error });
+      });
+    }, this.config.pollInterval);
+  }
+
+  /**
+   * Stop sending deliveries
+   */
+  stop() {
+    if (this.timer) {
+      this.clock.clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {Object} params - {url, events, description}
+   * @returns {Promise<Object>} Subscription including its signing secret
+   */
+  async createSubscription({ url, events = WEBHOOK_EVENTS, description = '' }) {
+    try {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw new Error('Webhook URL must be a valid http(s) URL');
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Webhook URL must be a valid http(s) URL');
+      }
+
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (events.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown webhook events: ${unknown.join(', ') || 'none given'}`);
+      }
+
+      const subscription = {
+        id: crypto.randomUUID(),
+        url,
+        events,
+        description,
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdAt: this.clock.now()
+      };
+
+      const subscriptions = await this.getSubscriptions();
+      await this.stateManager.saveMetadata(SUBSCRIPTIONS_KEY, [...subscriptions, subscription]);
+
+      return subscription;
+
+    } catch (error) {
+      this.logger.error('Error creating webhook subscription', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook endpoints without their secrets
+   * @returns {Promise<Array>} Subscriptions
+   */
+  async listSubscriptions() {
+    const subscriptions = await this.getSubscriptions();
+    return subscriptions.map(({ secret, ...subscription }) => subscription);
+  }
+
+  /**
+   * Remove a webhook endpoint and its pending deliveries
+   * @param {string} subscriptionId - Subscription identifier
+   */
+  async deleteSubscription(subscriptionId) {
+    try {
+      const subscriptions = await this.getSubscriptions();
+      if (!subscriptions.some(subscription => subscription.id === subscriptionId)) {
+        throw new Error('Webhook subscription not found');
+      }
+
+      await this.stateManager.saveMetadata(
+        SUBSCRIPTIONS_KEY,
+        subscriptions.filter(subscription => subscription.id !== subscriptionId)
+      );
+
+      const deliveries = await this.stateManager.getWebhookDeliveries();
+      for (const delivery of deliveries.filter(delivery => delivery.subscriptionId === subscriptionId)) {
+        await this.stateManager.deleteWebhookDelivery(delivery.id);
+      }
+
+    } catch (error) {
+      this.logger.error('Error deleting webhook subscription', { subscriptionId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Store and queue the event for a swap's latest status, if it has one
+   * Called wherever the coordinator changes `swapState.status`; errors are
+   * logged so a webhook problem never blocks a swap. The stored event keeps
+   * the swap as it was at this status for replayEvents.
+   * @param {Object} swapState - Swap state after the change
+   */
+  async notifySwapStatus(swapState) {
+    try {
+      const history = swapState.statusHistory || [];
+      const index = history.length - 1;
+      const type = this.getHistoryEventType(history, index);
+      if (!type) {
+        return;
+      }
+
+      const event = this.buildEvent(swapState, type, history[index].timestamp);
+      await this.stateManager.saveWebhookEvent(event);
+      await this.enqueue(event);
+      this.processDueDeliveries().catch(error => {
+        this.logger.error('Error processing webhook deliveries', { error });
+      });
+
+    } catch (error) {
+      this.logger.error('Error queueing webhook', { swapId: swapState.swapId, error });
+    }
+  }
+
+  /**
+   * Re-queue dead-lettered deliveries
+   * @param {Object} filter - Optional {subscriptionId}
+   * @returns {Promise<number>} Number of deliveries re-queued
+   */
+  async replayDeadLetters({ subscriptionId } = {}) {
+    try {
+      const deadLetters = await this.stateManager.getWebhookDeliveries('dead_letter');
+      const replayed = deadLetters.filter(delivery =>
+        !subscriptionId || delivery.subscriptionId === subscriptionId
+      );
+
+      for (const delivery of replayed) {
+        await this.stateManager.saveWebhookDelivery({
+          ...delivery,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: this.clock.now(),
+          replayedAt: this.clock.now()
+        });
+      }
+
+      return replayed.length;
+
+    } catch (error) {
+      this.logger.error('Error replaying dead-lettered webhooks', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Re-send stored events to one endpoint
+   * Events are sent exactly as first emitted, with the same IDs, so receivers
+   * can drop duplicates.
+   * @param {string} subscriptionId - Subscription identifier
+   * @param {Object} options - {since, swapId}
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async replayEvents(subscriptionId, { since = 0, swapId = null } = {}) {
+    try {
+      const subscriptions = await this.getSubscriptions();
+      const subscription = subscriptions.find(subscription => subscription.id === subscriptionId);
+      if (!subscription) {
+        throw new Error('Webhook subscription not found');
+      }
+
+      const events = (await this.stateManager.getWebhookEvents(swapId)).filter(event =>
+        event.occurredAt >= since && subscription.events.includes(event.type)
+      );
+
+      for (const event of events) {
+        await this.enqueue(event, [subscription]);
+      }
+
+      return events.length;
+
+    } catch (error) {
+      this.logger.error('Error replaying webhook events', { subscriptionId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Send every pending delivery whose retry time has come
+   * Concurrent calls share the run already in flight.
+   */
+  async processDueDeliveries() {
+    if (!this.processing) {
+      this.processing = this.sendDueDeliveries().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async sendDueDeliveries() {
+    const pending = await this.stateManager.getWebhookDeliveries('pending');
+    const due = pending.filter(delivery => delivery.nextAttemptAt <= this.clock.now());
+    if (due.length === 0) {
+      return;
+    }
+
+    const subscriptions = await this.getSubscriptions();
+    for (const delivery of due) {
+      const subscription = subscriptions.find(subscription => subscription.id === delivery.subscriptionId);
+      if (!subscription) {
+        await this.stateManager.deleteWebhookDelivery(delivery.id);
+        continue;
+      }
+      await this.attemptDelivery(delivery, subscription);
+    }
+  }
+
+  /**
+   * POST a delivery to its endpoint and record the outcome
+   * @param {Object} delivery - Pending delivery
+   * @param {Object} subscription - Endpoint subscription
+   */
+  async attemptDelivery(delivery, subscription) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(this.clock.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    try {
+      await axios.post(subscription.url, body, {
+        timeout: this.config.requestTimeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.event.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        }
+      });
+
+      await this.stateManager.deleteWebhookDelivery(delivery.id);
+
+    } catch (error) {
+      const failure = {
+        ...delivery,
+        attempts,
+        lastAttemptAt: this.clock.now(),
+        lastError: error.message,
+        lastStatusCode: error.response ? error.response.status : null
+      };
+
+      if (attempts >= this.config.maxAttempts) {
+        this.logger.error('Webhook delivery dead-lettered', {
+          deliveryId: delivery.id,
+          swapId: delivery.event.data.swapId,
+          url: subscription.url,
+          attempts
+        });
+        await this.stateManager.saveWebhookDelivery({
+          ...failure,
+          status: 'dead_letter',
+          deadLetteredAt: this.clock.now()
+        });
+      } else {
+        await this.stateManager.saveWebhookDelivery({
+          ...failure,
+          nextAttemptAt: this.clock.now() + this.getRetryDelay(attempts)
+        });
+      }
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature over `<timestamp>.<body>`
+   * @param {string} secret - Endpoint secret
+   * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+   * @param {string} body - Raw request body
+   * @returns {string} Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt: baseDelay doubled per failure, capped at maxDelay
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.config.baseDelay * 2 ** (attempts - 1), this.config.maxDelay);
+  }
+
+  /**
+   * Store one pending delivery per endpoint subscribed to the event
+   * @param {Object} event - Webhook event
+   * @param {Array} subscriptions - Endpoints to consider (default: all)
+   */
+  async enqueue(event, subscriptions = null) {
+    const candidates = subscriptions || await this.getSubscriptions();
+
+    for (const subscription of candidates.filter(subscription => subscription.events.includes(event.type))) {
+      await this.stateManager.saveWebhookDelivery({
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        event,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: this.clock.now(),
+        createdAt: this.clock.now()
+      });
+    }
+  }
+
+  /**
+   * Event type for a status history entry
+   * The first entry is the swap's creation.
+   * @param {Array} history - Swap status history
+   * @param {number} index - Entry index
+   * @returns {string|null} Event type
+   */
+  getHistoryEventType(history, index) {
+    if (index < 0) {
+      return null;
+    }
+    return index === 0 ? 'swap.created' : (STATUS_EVENTS[history[index].status] || null);
+  }
+
+  /**
+   * Build the event payload sent to endpoints
+   * @param {Object} swapState - Swap state
+   * @param {string} type - Event type
+   * @param {number} occurredAt - When the status changed (ms)
+   * @returns {Object} Event
+   */
+  buildEvent(swapState, type, occurredAt) {
+    const btcSide = swapState.btcSide || {};
+    const ethSide = swapState.ethSide || {};
+
+    return {
+      // Stable across replays so receivers can deduplicate
+      id: crypto.createHash('sha256')
+        .update(`${swapState.swapId}:${type}:${occurredAt}`)
+        .digest('hex')
+        .slice(0, 32),
+      type,
+      occurredAt,
+      data: {
+        swapId: swapState.swapId,
+        direction: swapState.direction || 'BTC_TO_ETH',
+        status: swapState.status,
+        btcAmount: btcSide.amount,
+        btcUserAddress: btcSide.userAddress,
+        btcHtlcAddress: btcSide.htlcAddress,
+        btcTxId: swapState.btcTxId || null,
+        ethTokenAddress: ethSide.tokenAddress,
+        ethAmount: ethSide.amount,
+        ethUserAddress: ethSide.userAddress,
+        ethTxHash: swapState.ethTxHash || null,
+        ethRefundTxHash: swapState.ethRefundTxHash || null,
+        failureReason: swapState.failureReason || null,
+        createdAt: swapState.createdAt,
+        expiresAt: swapState.expiresAt
+      }
+    };
+  }
+
+  async getSubscriptions() {
+    return (await this.stateManager.getMetadata(SUBSCRIPTIONS_KEY)) || [];
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,116 @@
+const Clock = require('../Clock');
+
+/**
+ * ManualClock - A clock that only moves when told to
+ * Timers fire in due order during `advance()`, which waits for the promise a
+ * callback returns (and for pending I/O to settle) before firing the next one,
+ * so every step of a simulation completes before time moves on.
+ */
+class ManualClock extends Clock {
+  constructor(startTime = Date.UTC(2024, 0, 1)) {
+    super();
+    this.time = startTime;
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    return this.addTimer(callback, delay, null);
+  }
+
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+  }
+
+  setInterval(callback, interval) {
+    return this.addTimer(callback, interval, interval);
+  }
+
+  clearInterval(timer) {
+    this.timers.delete(timer);
+  }
+
+  /**
+   * Move time forward, firing every timer due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} New time
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+
+    await this.settle();
+    for (;;) {
+      const timer = this.nextDueTimer(target);
+      if (!timer) {
+        break;
+      }
+
+      this.time = Math.max(this.time, timer.dueAt);
+      if (timer.interval !== null) {
+        timer.dueAt += Math.max(timer.interval, 1);
+      } else {
+        this.timers.delete(timer.id);
+      }
+
+      try {
+        await timer.callback();
+      } catch (error) {
+        console.error('Error in simulated timer:', error);
+      }
+      await this.settle();
+    }
+
+    this.time = target;
+    return this.time;
+  }
+
+  /**
+   * Move time forward to a Unix timestamp
+   * @param {number} timestamp - Milliseconds since the Unix epoch
+   * @returns {Promise<number>} New time
+   */
+  async advanceTo(timestamp) {
+    return this.advance(Math.max(0, timestamp - this.time));
+  }
+
+  /**
+   * Let pending promise callbacks and file I/O run without moving time
+   * @param {number} turns - Event loop turns to yield
+   */
+  async settle(turns = 20) {
+    for (let i = 0; i < turns; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  /**
+   * Number of scheduled timers
+   * @returns {number}
+   */
+  get pendingTimers() {
+    return this.timers.size;
+  }
+
+  addTimer(callback, delay, interval) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { id, callback, dueAt: this.time + Math.max(delay || 0, 0), interval, order: id });
+    return id;
+  }
+
+  nextDueTimer(target) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.dueAt <= target &&
+          (!next || timer.dueAt < next.dueAt || (timer.dueAt === next.dueAt && timer.order < next.order))) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+}
+
+module.exports = ManualClock;
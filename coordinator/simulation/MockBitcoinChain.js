@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const BitcoinWallet = require('../../bitcoin/wallet');
+const ManualClock = require('./ManualClock');
+
+// nLockTime values below this are block heights, above it Unix timestamps
+const LOCKTIME_THRESHOLD = 500000000;
+
+const FINAL_SEQUENCE = 0xffffffff;
+
+/**
+ * MockBitcoinChain - In-memory Bitcoin chain behind the BitcoinWallet interface
+ * Keeps a mempool and a block list that only grow when `mine()` is called,
+ * tracks UTXOs of every address, enforces nLockTime and double-spends on
+ * broadcast (replacing mempool conflicts that pay a higher fee), and can
+ * reorg blocks away. Transaction building and signing are inherited from
+ * BitcoinWallet unchanged. Scripts and signatures are not verified.
+ */
+class MockBitcoinChain extends BitcoinWallet {
+  constructor(config = {}) {
+    super(config.network || 'testnet', {});
+
+    this.clock = config.clock || new ManualClock();
+    this.feeRate = config.feeRate || 10; // sat/vB
+    this.blockInterval = config.blockInterval || 10 * 60; // seconds
+
+    this.blocks = [];
+    this.staleBlocks = new Map();
+    this.transactions = new Map();
+    this.mempool = [];
+    this.nextNonce = 0;
+
+    // History so time-based estimates have blocks to sample
+    const startHeight = config.startHeight !== undefined ? config.startHeight : 200;
+    const tipTime = Math.floor(this.clock.now() / 1000);
+    for (let height = 0; height <= startHeight; height++) {
+      this.appendBlock(tipTime - (startHeight - height) * this.blockInterval, []);
+    }
+  }
+
+  /**
+   * Create coins paying an address, as if received from outside the simulation
+   * @param {string} address - Bitcoin address
+   * @param {number} value - Amount in satoshis
+   * @returns {string} Transaction ID (in the mempool until mined)
+   */
+  fund(address, value) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(this.nextFundingHash(), 0);
+    tx.addOutput(bitcoin.address.toOutputScript(address, this.network), value);
+
+    const txid = tx.getId();
+    this.transactions.set(txid, { tx, hex: tx.toHex(), external: true, blockHash: null });
+    this.mempool.push(txid);
+    return txid;
+  }
+
+  /**
+   * Mine blocks containing every mempool transaction
+   * Block times follow the clock (never going backwards).
+   * @param {number} count - Blocks to mine
+   * @returns {Array<Object>} Mined blocks {hash, height, timestamp, txids}
+   */
+  mine(count = 1) {
+    const mined = [];
+    for (let i = 0; i < count; i++) {
+      const tip = this.getTip();
+      const timestamp = Math.max(tip.timestamp + 1, Math.floor(this.clock.now() / 1000));
+      mined.push(this.appendBlock(timestamp, this.mempool.splice(0)));
+    }
+    return mined;
+  }
+
+  /**
+   * Remove the top blocks from the best chain
+   * Their transactions go back to the mempool unless `dropTransactions` is
+   * set, in which case they (and anything spending them) disappear.
+   * @param {number} depth - Blocks to remove
+   * @param {Object} options - {dropTransactions}
+   * @returns {Array<Object>} Removed blocks
+   */
+  reorg(depth, { dropTransactions = false } = {}) {
+    if (depth >= this.blocks.length) {
+      throw new Error('Cannot reorg past the first block');
+    }
+
+    const removed = this.blocks.splice(this.blocks.length - depth, depth);
+    const txids = [];
+    for (const block of removed) {
+      this.staleBlocks.set(block.hash, block);
+      txids.push(...block.txids);
+    }
+
+    for (const txid of txids) {
+      this.transactions.get(txid).blockHash = null;
+    }
+
+    if (dropTransactions) {
+      for (const txid of txids) {
+        this.evict(txid);
+      }
+    } else {
+      this.mempool.unshift(...txids);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Transaction IDs waiting in the mempool
+   * @returns {Array<string>}
+   */
+  getMempool() {
+    return [...this.mempool];
+  }
+
+  async getUTXOs(address) {
+    const spent = new Set();
+    const outputs = [];
+    const tipHeight = this.getTip().height;
+
+    for (const txid of this.getLiveTransactionIds()) {
+      const entry = this.transactions.get(txid);
+      if (!entry.external) {
+        for (const input of entry.tx.ins) {
+          spent.add(this.outpointKey(input));
+        }
+      }
+
+      entry.tx.outs.forEach((output, vout) => {
+        if (this.outputAddress(output.script) === address) {
+          const block = entry.blockHash ? this.findBlock(entry.blockHash) : null;
+          outputs.push({
+            txid,
+            vout,
+            value: output.value,
+            scriptPubKey: output.script.toString('hex'),
+            confirmations: block ? tipHeight - block.height + 1 : 0
+          });
+        }
+      });
+    }
+
+    return outputs.filter(utxo => !spent.has(`${utxo.txid}:${utxo.vout}`));
+  }
+
+  async getTransaction(txid) {
+    const entry = this.getLiveTransaction(txid);
+    const status = await this.getTransactionStatus(txid);
+
+    return {
+      txid,
+      hex: entry.hex,
+      status: {
+        confirmed: status.confirmed,
+        block_hash: status.blockHash,
+        block_height: status.blockHeight
+      }
+    };
+  }
+
+  async getTransactionStatus(txid) {
+    const entry = this.getLiveTransaction(txid);
+    const block = entry.blockHash ? this.findBlock(entry.blockHash) : null;
+
+    return {
+      confirmed: Boolean(block),
+      blockHash: block ? block.hash : null,
+      blockHeight: block ? block.height : null
+    };
+  }
+
+  async getTransactionHex(txid) {
+    return this.getLiveTransaction(txid).hex;
+  }
+
+  async getBlockTimestamp(height) {
+    const block = this.blocks[height];
+    if (!block) {
+      throw new Error(`Block ${height} not found`);
+    }
+    return block.timestamp;
+  }
+
+  async getMedianTimePast() {
+    const times = this.blocks.slice(-11).map(block => block.timestamp).sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+  }
+
+  async isBlockInBestChain(blockHash) {
+    return Boolean(this.findBlock(blockHash));
+  }
+
+  async getBlockHeight() {
+    return this.getTip().height;
+  }
+
+  async getFeeRate() {
+    return this.feeRate;
+  }
+
+  /**
+   * Accept a transaction into the mempool
+   * Rejects unknown or spent inputs, outputs exceeding inputs and locktimes
+   * not yet reached by the next block. Mempool transactions spending the
+   * same outputs are replaced if the new one pays a higher fee.
+   * @param {string} txHex - Transaction hex
+   * @returns {Promise<string>} Transaction ID
+   */
+  async broadcastTransaction(txHex) {
+    const tx = bitcoin.Transaction.fromHex(txHex);
+    const txid = tx.getId();
+
+    const known = this.transactions.get(txid);
+    if (known && (known.blockHash || this.mempool.includes(txid))) {
+      return txid;
+    }
+
+    const conflicts = new Set();
+    let inputValue = 0;
+    for (const input of tx.ins) {
+      const prevTxId = Buffer.from(input.hash).reverse().toString('hex');
+      const prevOutput = this.isLive(prevTxId) && this.transactions.get(prevTxId).tx.outs[input.index];
+      if (!prevOutput) {
+        throw new Error(`Missing input ${prevTxId}:${input.index}`);
+      }
+      inputValue += prevOutput.value;
+
+      const spender = this.findSpender(this.outpointKey(input));
+      if (spender) {
+        if (this.transactions.get(spender).blockHash) {
+          throw new Error(`Input ${prevTxId}:${input.index} already spent`);
+        }
+        conflicts.add(spender);
+      }
+    }
+
+    const fee = inputValue - tx.outs.reduce((sum, output) => sum + output.value, 0);
+    if (fee < 0) {
+      throw new Error('Outputs exceed inputs');
+    }
+
+    if (!(await this.isFinal(tx))) {
+      throw new Error('Transaction locktime not reached');
+    }
+
+    for (const conflict of conflicts) {
+      if (fee <= this.getFee(this.transactions.get(conflict).tx)) {
+        throw new Error('Insufficient fee to replace transaction');
+      }
+    }
+    for (const conflict of conflicts) {
+      this.evict(conflict);
+    }
+
+    this.transactions.set(txid, { tx, hex: txHex, external: false, blockHash: null });
+    this.mempool.push(txid);
+    return txid;
+  }
+
+  /**
+   * Check a transaction's nLockTime against the next block
+   * @param {Object} tx - bitcoinjs Transaction
+   * @returns {Promise<boolean>}
+   */
+  async isFinal(tx) {
+    if (tx.locktime === 0 || tx.ins.every(input => input.sequence === FINAL_SEQUENCE)) {
+      return true;
+    }
+
+    if (tx.locktime < LOCKTIME_THRESHOLD) {
+      return tx.locktime < this.getTip().height + 1;
+    }
+    return tx.locktime < await this.getMedianTimePast();
+  }
+
+  getTip() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  appendBlock(timestamp, txids) {
+    const previous = this.getTip();
+    const block = {
+      hash: crypto.createHash('sha256')
+        .update(`${previous ? previous.hash : ''}:${timestamp}:${this.nextNonce++}`)
+        .digest('hex'),
+      height: this.blocks.length,
+      timestamp,
+      txids
+    };
+
+    for (const txid of txids) {
+      this.transactions.get(txid).blockHash = block.hash;
+    }
+    this.blocks.push(block);
+    return block;
+  }
+
+  findBlock(blockHash) {
+    return this.blocks.find(block => block.hash === blockHash) || null;
+  }
+
+  getLiveTransactionIds() {
+    return [...this.blocks.flatMap(block => block.txids), ...this.mempool];
+  }
+
+  isLive(txid) {
+    const entry = this.transactions.get(txid);
+    return Boolean(entry && (entry.blockHash || this.mempool.includes(txid)));
+  }
+
+  getLiveTransaction(txid) {
+    if (!this.isLive(txid)) {
+      throw new Error(`Transaction ${txid} not found`);
+    }
+    return this.transactions.get(txid);
+  }
+
+  findSpender(outpoint) {
+    return this.getLiveTransactionIds().find(txid => {
+      const entry = this.transactions.get(txid);
+      return !entry.external && entry.tx.ins.some(input => this.outpointKey(input) === outpoint);
+    }) || null;
+  }
+
+  /**
+   * Remove a transaction and everything spending it from the mempool
+   * @param {string} txid - Transaction ID
+   */
+  evict(txid) {
+    this.mempool = this.mempool.filter(id => id !== txid);
+
+    const entry = this.transactions.get(txid);
+    entry.tx.outs.forEach((_, vout) => {
+      const spender = this.findSpender(`${txid}:${vout}`);
+      if (spender) {
+        this.evict(spender);
+      }
+    });
+  }
+
+  getFee(tx) {
+    const inputValue = tx.ins.reduce((sum, input) => {
+      const prevTxId = Buffer.from(input.hash).reverse().toString('hex');
+      return sum + this.transactions.get(prevTxId).tx.outs[input.index].value;
+    }, 0);
+    return inputValue - tx.outs.reduce((sum, output) => sum + output.value, 0);
+  }
+
+  outpointKey(input) {
+    return `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`;
+  }
+
+  outputAddress(script) {
+    try {
+      return bitcoin.address.fromOutputScript(script, this.network);
+    } catch (error) {
+      return null; // Non-standard output
+    }
+  }
+
+  nextFundingHash() {
+    return crypto.createHash('sha256').update(`funding:${this.nextNonce++}`).digest();
+  }
+}
+
+module.exports = MockBitcoinChain;
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const ManualClock = require('./ManualClock');
+
+// FusionResolver.SwapStatus enum values
+const SWAP_STATUS = {
+  PENDING: 0,
+  COMPLETED: 1,
+  REFUNDED: 2
+};
+
+// FusionResolver.SWAP_TIMEOUT
+const SWAP_TIMEOUT = 24 * 60 * 60;
+
+const NATIVE_ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+/**
+ * MockFusionResolver - In-memory FusionResolver contract on a simulated chain
+ * Stands in for the contract (`getSwapOrder`, `queryFilter`, `interface`),
+ * the provider (`getBlockNumber`, `getBlock`, `getFeeData`, and `send` for
+ * the pending block) and the transaction manager
+ * (`sendTransaction`), applying the contract's checks to every call. Block
+ * times follow the clock. Gas is not metered; `getFeeData()` reports a fixed
+ * `gasPrice` (default 1 gwei).
+ *
+ * With `autoMine` (the default) every transaction is mined in its own block
+ * as it is sent; otherwise transactions wait for `mine()`.
+ *
+ * `balances` holds the service's Ethereum balances by token address (default:
+ * 1000 ETH, no tokens); they only change through `setBalance()`.
+ */
+class MockFusionResolver extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      abi: config.abi,
+      address: config.address || ethers.getAddress('0x' + '42'.repeat(20)),
+      serviceAddress: config.serviceAddress,
+      autoMine: config.autoMine !== undefined ? config.autoMine : true,
+      gasPrice: config.gasPrice !== undefined ? BigInt(config.gasPrice) : ethers.parseUnits('1', 'gwei')
+    };
+
+    this.clock = config.clock || new ManualClock();
+    this.interface = new ethers.Interface(this.config.abi);
+
+    this.blockNumber = config.startBlock || 1000;
+    this.firstBlock = this.blockNumber;
+    this.blockTimestamp = Math.floor(this.clock.now() / 1000);
+    this.blockTimestamps = new Map([[this.blockNumber, this.blockTimestamp]]);
+    this.orders = new Map();
+    this.usedSecrets = new Set();
+    this.logs = [];
+    this.pending = [];
+    this.sent = new Map();
+    this.nextNonce = 0;
+
+    this.balances = new Map();
+    const balances = config.balances || { [NATIVE_ETH_ADDRESS]: ethers.parseEther('1000') };
+    for (const [token, amount] of Object.entries(balances)) {
+      this.setBalance(token, amount);
+    }
+  }
+
+  /**
+   * Set the service's balance of a token
+   * @param {string} tokenAddress - Token address (native ETH: 0xEeee...EEeE)
+   * @param {bigint|string} amount - Balance in base units
+   */
+  setBalance(tokenAddress, amount) {
+    this.balances.set(tokenAddress.toLowerCase(), BigInt(amount));
+  }
+
+  /**
+   * The service's balance of a token
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<bigint>} Balance in base units
+   */
+  async getTokenBalance(tokenAddress) {
+    return this.balances.get(tokenAddress.toLowerCase()) || 0n;
+  }
+
+  // Provider
+
+  async getBlockNumber() {
+    return this.blockNumber;
+  }
+
+  /**
+   * A mined block's number and timestamp
+   * Blocks before the first one are 12 seconds apart.
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Object|null>} {number, timestamp}, or null past the head
+   */
+  async getBlock(blockNumber) {
+    if (blockNumber > this.blockNumber) {
+      return null;
+    }
+    const timestamp = blockNumber < this.firstBlock
+      ? this.blockTimestamps.get(this.firstBlock) - (this.firstBlock - blockNumber) * 12
+      : this.blockTimestamps.get(blockNumber);
+    return { number: blockNumber, timestamp };
+  }
+
+  async getFeeData() {
+    return {
+      gasPrice: this.config.gasPrice,
+      maxFeePerGas: this.config.gasPrice,
+      maxPriorityFeePerGas: 0n
+    };
+  }
+
+  async getBalance(address) {
+    return address === this.config.serviceAddress ? this.getTokenBalance(NATIVE_ETH_ADDRESS) : 0n;
+  }
+
+  /**
+   * JSON-RPC call; only `eth_getBlockByNumber` for the pending block, listing
+   * the transactions waiting for `mine()`
+   */
+  async send(method, params) {
+    if (method !== 'eth_getBlockByNumber' || params[0] !== 'pending') {
+      throw new Error(`Unsupported RPC call ${method}`);
+    }
+    return {
+      number: ethers.toQuantity(this.blockNumber + 1),
+      transactions: this.pending.map(tx => ({
+        hash: tx.hash,
+        from: tx.from,
+        to: this.config.address,
+        input: this.interface.encodeFunctionData(tx.method, tx.args)
+      }))
+    };
+  }
+
+  // Contract
+
+  async getSwapOrder(swapId) {
+    const order = this.orders.get(swapId);
+    if (!order) {
+      return {
+        user: ethers.ZeroAddress,
+        tokenOut: ethers.ZeroAddress,
+        amountOut: 0n,
+        bitcoinTxHash: ethers.ZeroHash,
+        secretHash: ethers.ZeroHash,
+        lockTime: 0n,
+        createdAt: 0n,
+        status: 0n
+      };
+    }
+    return { ...order };
+  }
+
+  async queryFilter(filter, fromBlock, toBlock) {
+    return this.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+  }
+
+  // Transaction manager
+
+  start() {}
+
+  stop() {}
+
+  /**
+   * Send encoded calldata from the service address, once per `id`
+   * @param {string} id - Idempotency key
+   * @param {Object} tx - {to, data}
+   * @returns {Promise<Object>} {hash, blockNumber, nonce}
+   */
+  async sendTransaction(id, { data }) {
+    if (!this.sent.has(id)) {
+      const call = this.interface.parseTransaction({ data });
+      this.sent.set(id, this.submit(this.config.serviceAddress, call.name, [...call.args]).then(result => {
+        this.emit('transactionConfirmed', { id, ...result });
+        return result;
+      }));
+    }
+    return this.sent.get(id);
+  }
+
+  /**
+   * Call a contract method from any address, e.g. a user locking ETH
+   * @param {string} from - Sender address
+   * @param {string} method - Contract method
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} {hash, blockNumber, nonce} once mined
+   */
+  submit(from, method, args) {
+    return new Promise((resolve, reject) => {
+      const nonce = this.nextNonce++;
+      const hash = ethers.keccak256(ethers.toUtf8Bytes(`${from}:${method}:${nonce}`));
+      this.pending.push({ from, method, args, hash, nonce, resolve, reject });
+
+      if (this.config.autoMine) {
+        this.mine();
+      }
+    });
+  }
+
+  /**
+   * Mine blocks, executing pending transactions in the first one
+   * @param {number} count - Blocks to mine
+   * @returns {number} New block number
+   */
+  mine(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.blockNumber++;
+      this.blockTimestamp = Math.max(this.blockTimestamp + 1, Math.floor(this.clock.now() / 1000));
+      this.blockTimestamps.set(this.blockNumber, this.blockTimestamp);
+
+      const transactions = this.pending.splice(0);
+      let logIndex = 0;
+      for (const tx of transactions) {
+        try {
+          const events = this.execute(tx.from, tx.method, tx.args);
+          for (const event of events) {
+            this.logs.push({
+              eventName: event.name,
+              args: event.args,
+              blockNumber: this.blockNumber,
+              index: logIndex++,
+              transactionHash: tx.hash
+            });
+          }
+          tx.resolve({ hash: tx.hash, blockNumber: this.blockNumber, nonce: tx.nonce });
+        } catch (error) {
+          tx.reject(new Error(`Ethereum transaction ${tx.hash} reverted: ${error.message}`));
+        }
+      }
+    }
+    return this.blockNumber;
+  }
+
+  /**
+   * Apply a contract call to the contract state
+   * @returns {Array<Object>} Emitted events {name, args}
+   */
+  execute(from, method, args) {
+    switch (method) {
+      case 'initiateSwap':
+        return this.initiateSwap(from, ...args);
+      case 'completeSwap':
+        return this.completeSwap(from, ...args);
+      case 'refundSwap':
+        return this.refundSwap(from, ...args);
+      case 'reduceSwapAmount':
+        return this.reduceSwapAmount(from, ...args);
+      default:
+        throw new Error(`Unsupported method ${method}`);
+    }
+  }
+
+  initiateSwap(from, swapId, tokenOut, amountOut, bitcoinTxHash, secretHash, lockTime) {
+    this.require(!this.orders.has(swapId), 'Swap already exists');
+    this.require(tokenOut !== ethers.ZeroAddress, 'Invalid token address');
+    this.require(BigInt(amountOut) > 0n, 'Invalid amount');
+    this.require(BigInt(lockTime) > BigInt(this.blockTimestamp), 'Invalid lock time');
+
+    this.orders.set(swapId, {
+      user: from,
+      tokenOut,
+      amountOut: BigInt(amountOut),
+      bitcoinTxHash,
+      secretHash,
+      lockTime: BigInt(lockTime),
+      createdAt: BigInt(this.blockTimestamp),
+      status: BigInt(SWAP_STATUS.PENDING)
+    });
+
+    return [{
+      name: 'SwapInitiated',
+      args: { swapId, user: from, tokenOut, amountOut: BigInt(amountOut), bitcoinTxHash, lockTime: BigInt(lockTime) }
+    }];
+  }
+
+  completeSwap(from, swapId, secret, bitcoinTxProof, merkleProof) {
+    const order = this.orders.get(swapId);
+    this.require(order, 'Swap does not exist');
+    this.require(Number(order.status) === SWAP_STATUS.PENDING, 'Swap not pending');
+    this.require(BigInt(this.blockTimestamp) <= order.lockTime, 'Swap expired');
+
+    const secretHash = '0x' + crypto.createHash('sha256').update(ethers.getBytes(secret)).digest('hex');
+    this.require(secretHash === order.secretHash.toLowerCase(), 'Invalid secret');
+    this.require(!this.usedSecrets.has(secret), 'Secret already used');
+    this.require(ethers.getBytes(bitcoinTxProof).length > 0 && merkleProof.length > 0,
+      'Invalid Bitcoin transaction proof');
+
+    this.usedSecrets.add(secret);
+    order.status = BigInt(SWAP_STATUS.COMPLETED);
+
+    return [{
+      name: 'SwapCompleted',
+      args: { swapId, user: order.user, secret, bitcoinTxHash: order.bitcoinTxHash }
+    }];
+  }
+
+  refundSwap(from, swapId, reason) {
+    const order = this.orders.get(swapId);
+    this.require(order, 'Swap does not exist');
+    this.require(Number(order.status) === SWAP_STATUS.PENDING, 'Swap not pending');
+    this.require(
+      BigInt(this.blockTimestamp) > order.lockTime ||
+        BigInt(this.blockTimestamp) > order.createdAt + BigInt(SWAP_TIMEOUT),
+      'Swap not expired'
+    );
+
+    order.status = BigInt(SWAP_STATUS.REFUNDED);
+
+    return [{ name: 'SwapRefunded', args: { swapId, user: order.user, reason } }];
+  }
+
+  reduceSwapAmount(from, swapId, amountOut) {
+    const order = this.orders.get(swapId);
+    this.require(order, 'Swap does not exist');
+    this.require(order.user === from, 'Not swap initiator');
+    this.require(Number(order.status) === SWAP_STATUS.PENDING, 'Swap not pending');
+    this.require(BigInt(amountOut) > 0n && BigInt(amountOut) <= order.amountOut, 'Invalid amount');
+
+    order.amountOut = BigInt(amountOut);
+
+    return [{ name: 'SwapAmountReduced', args: { swapId, user: from, amountOut: BigInt(amountOut) } }];
+  }
+
+  require(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  }
+}
+
+module.exports = MockFusionResolver;
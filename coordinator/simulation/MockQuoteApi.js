@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const ManualClock = require('./ManualClock');
+
+// Fixed-point precision of configured prices
+const PRICE_SCALE = 1000000n;
+
+/**
+ * MockQuoteApi - In-memory 1inch Fusion quote and order API
+ * Implements the FusionOrderService interface. Quotes convert amounts at a
+ * settable price per token pair; orders fill `fillDelay` ms after they are
+ * placed, or when `fillOrder()` is called.
+ */
+class MockQuoteApi {
+  constructor(config = {}) {
+    this.config = {
+      defaultPrice: config.defaultPrice || 1,
+      fillDelay: config.fillDelay !== undefined ? config.fillDelay : 0, // null never fills on its own
+      auctionDuration: config.auctionDuration || 180
+    };
+
+    this.clock = config.clock || new ManualClock();
+    this.prices = new Map();
+    this.orders = new Map();
+    this.unavailable = null;
+    this.nextQuoteId = 1;
+  }
+
+  /**
+   * Set the price of one unit of `fromTokenAddress` in `toTokenAddress`
+   * @param {string} fromTokenAddress - Token sold
+   * @param {string} toTokenAddress - Token bought
+   * @param {number} price - Price
+   */
+  setPrice(fromTokenAddress, toTokenAddress, price) {
+    this.prices.set(this.pairKey(fromTokenAddress, toTokenAddress), price);
+  }
+
+  /**
+   * Make every call fail, as during an API outage
+   * @param {string|null} message - Error message, or null to recover
+   */
+  setUnavailable(message = 'Fusion API unavailable') {
+    this.unavailable = message;
+  }
+
+  async getQuote({ fromTokenAddress, toTokenAddress, amount }) {
+    this.checkAvailable();
+
+    return {
+      quoteId: `mock-quote-${this.nextQuoteId++}`,
+      fromTokenAddress,
+      toTokenAddress,
+      fromTokenAmount: amount.toString(),
+      toTokenAmount: this.convert(fromTokenAddress, toTokenAddress, amount),
+      recommendedPreset: 'fast',
+      prices: {},
+      volume: {}
+    };
+  }
+
+  async placeOrder({ fromTokenAddress, toTokenAddress, amount, walletAddress, receiver }) {
+    const quote = await this.getQuote({ fromTokenAddress, toTokenAddress, amount });
+    const orderHash = ethers.keccak256(ethers.toUtf8Bytes(`${quote.quoteId}:${walletAddress}`));
+
+    this.orders.set(orderHash, {
+      status: 'pending',
+      fills: [],
+      takingAmount: quote.toTokenAmount,
+      receiver,
+      auctionStartDate: Math.floor(this.clock.now() / 1000),
+      fillAt: this.config.fillDelay === null ? null : this.clock.now() + this.config.fillDelay
+    });
+
+    return {
+      orderHash,
+      quoteId: quote.quoteId,
+      order: { maker: walletAddress, receiver, makingAmount: amount.toString(), takingAmount: quote.toTokenAmount },
+      signature: '0x',
+      extension: '0x'
+    };
+  }
+
+  async getOrderStatus(orderHash) {
+    this.checkAvailable();
+
+    const order = this.orders.get(orderHash);
+    if (!order) {
+      throw new Error(`Order ${orderHash} not found`);
+    }
+
+    if (order.status === 'pending' && order.fillAt !== null && this.clock.now() >= order.fillAt) {
+      this.fillOrder(orderHash);
+    }
+
+    return {
+      status: order.status,
+      fills: order.fills,
+      filledTakerAmount: order.fills
+        .reduce((sum, fill) => sum + BigInt(fill.filledAuctionTakerAmount), 0n)
+        .toString(),
+      auctionStartDate: order.auctionStartDate,
+      auctionDuration: this.config.auctionDuration,
+      failed: !['pending', 'filled'].includes(order.status)
+    };
+  }
+
+  /**
+   * Fill an order completely
+   * @param {string} orderHash - Order hash
+   */
+  fillOrder(orderHash) {
+    const order = this.orders.get(orderHash);
+    order.status = 'filled';
+    order.fills = [{
+      txHash: ethers.keccak256(ethers.toUtf8Bytes(`fill:${orderHash}`)),
+      filledMakerAmount: order.takingAmount,
+      filledAuctionTakerAmount: order.takingAmount
+    }];
+  }
+
+  /**
+   * End an order without a fill
+   * @param {string} orderHash - Order hash
+   * @param {string} status - Fusion status, e.g. 'expired' or 'cancelled'
+   */
+  failOrder(orderHash, status = 'expired') {
+    this.orders.get(orderHash).status = status;
+  }
+
+  convert(fromTokenAddress, toTokenAddress, amount) {
+    const key = this.pairKey(fromTokenAddress, toTokenAddress);
+    const price = this.prices.has(key) ? this.prices.get(key) : this.config.defaultPrice;
+    const scaledPrice = BigInt(Math.round(price * Number(PRICE_SCALE)));
+    return (BigInt(amount) * scaledPrice / PRICE_SCALE).toString();
+  }
+
+  pairKey(fromTokenAddress, toTokenAddress) {
+    return `${fromTokenAddress.toLowerCase()}:${toTokenAddress.toLowerCase()}`;
+  }
+
+  checkAvailable() {
+    if (this.unavailable) {
+      throw new Error(this.unavailable);
+    }
+  }
+}
+
+module.exports = MockQuoteApi;
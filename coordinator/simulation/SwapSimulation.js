@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SwapCoordinator = require('../SwapCoordinator');
+const StateManager = require('../StateManager');
+const InventoryManager = require('../InventoryManager');
+const Logger = require('../Logger');
+const ManualClock = require('./ManualClock');
+const MockBitcoinChain = require('./MockBitcoinChain');
+const MockFusionResolver = require('./MockFusionResolver');
+const MockQuoteApi = require('./MockQuoteApi');
+
+/**
+ * SwapSimulation - A SwapCoordinator wired to in-memory chains and a manual clock
+ * Nothing leaves the process: Bitcoin, the FusionResolver contract and the
+ * 1inch API are mocks, and time only moves through `advance()`. Swap state is
+ * kept in a temporary directory unless `dataDir` is given.
+ *
+ * @example
+ * const sim = new SwapSimulation();
+ * const swap = await sim.coordinator.initiateETHToBTCSwap({...});
+ * await sim.resolver.submit(userAddress, 'initiateSwap', [...]);
+ * await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+ * sim.bitcoin.mine(3);
+ * await sim.advance(60 * 60 * 1000);
+ * await sim.stop();
+ */
+class SwapSimulation {
+  constructor(config = {}) {
+    this.clock = config.clock || new ManualClock(config.startTime);
+    this.logger = config.logger || new Logger({ level: config.logLevel });
+    this.bitcoin = new MockBitcoinChain({ clock: this.clock, ...config.bitcoin });
+    this.ethereumWallet = config.privateKey ? new ethers.Wallet(config.privateKey) : ethers.Wallet.createRandom();
+    this.resolver = new MockFusionResolver({
+      clock: this.clock,
+      abi: SwapCoordinator.prototype.getFusionResolverABI(),
+      serviceAddress: this.ethereumWallet.address,
+      ...config.ethereum
+    });
+    this.quotes = new MockQuoteApi({ clock: this.clock, ...config.quotes });
+
+    this.tempDir = config.dataDir ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'swap-sim-'));
+    const dataDir = config.dataDir || this.tempDir;
+    this.stateManager = new StateManager({
+      dataDir,
+      backupDir: path.join(dataDir, 'backups'),
+      encryptionKeys: config.stateEncryptionKeys,
+      logger: this.logger.child({ component: 'StateManager' })
+    });
+
+    // Service wallet with spendable BTC for ETH to BTC swaps
+    this.serviceBtc = this.bitcoin.generateKeyPair();
+    this.bitcoin.fund(this.serviceBtc.address, config.serviceBtcBalance || 100000000);
+    this.bitcoin.mine(1);
+
+    // Service liquidity comes from the mock chains
+    this.inventory = new InventoryManager(this.stateManager, {
+      readBalance: asset => asset === InventoryManager.BTC_ASSET
+        ? this.bitcoin.getUTXOs(this.serviceBtc.address)
+          .then(utxos => utxos.reduce((sum, utxo) => sum + BigInt(utxo.value), 0n))
+        : this.resolver.getTokenBalance(asset),
+      balanceTtl: 0,
+      clock: this.clock,
+      logger: this.logger.child({ component: 'InventoryManager' })
+    });
+
+    this.coordinator = new SwapCoordinator({
+      bitcoinNetwork: 'testnet',
+      fusionResolverAddress: this.resolver.config.address,
+      serviceBtcAddress: this.serviceBtc.address,
+      serviceBtcPrivateKey: this.serviceBtc.privateKey,
+      eventConfirmations: 0,
+      ...config.coordinator
+    }, {
+      clock: this.clock,
+      logger: this.logger,
+      bitcoinWallet: this.bitcoin,
+      ethereumProvider: this.resolver,
+      ethereumWallet: this.ethereumWallet,
+      fusionResolverContract: this.resolver,
+      ethTxManager: this.resolver,
+      fusionOrders: this.quotes,
+      stateManager: this.stateManager,
+      inventory: this.inventory
+    });
+  }
+
+  /**
+   * Move simulated time forward, running every timer due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} New time
+   */
+  async advance(ms) {
+    return this.clock.advance(ms);
+  }
+
+  /**
+   * Stop the coordinator's timers and delete the temporary state directory
+   */
+  async stop() {
+    await this.coordinator.stopMonitoring();
+    await this.clock.settle();
+
+    if (this.tempDir) {
+      // Let the state manager finish creating its directories before removing them
+      await this.stateManager.initialize().catch(() => {});
+      fs.rmSync(this.tempDir, { recursive: true, force: true });
+      this.tempDir = null;
+    }
+  }
+}
+
+module.exports = SwapSimulation;
@@ -1,18 +1,99 @@
 import { useState, useEffect } from 'react';
 import { useAccount, useNetwork } from 'wagmi';
 
+/**
+ * Read the error message from an API error response
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallback - Message used when the body has none
+ * @returns {Promise<string>} Error message
+ */
+async function getErrorMessage(response, fallback) {
+  try {
+    const body = await response.json();
+    return body.error?.message || fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Labels for the line items of a quote's fee breakdown
+const FEE_LABELS = {
+  spread: 'Spread',
+  flat_fee: 'Service fee',
+  btc_claim_fee: 'Bitcoin claim tx fee (est.)',
+  btc_refund_fee: 'Bitcoin refund tx fee (est.)',
+  eth_gas: 'Ethereum gas (est.)'
+};
+
+// Compressed secp256k1 public key in hex, as the create route expects
+const COMPRESSED_PUBLIC_KEY = /^0[23][0-9a-fA-F]{64}$/;
+
+/**
+ * Smallest step of an amount input for a token
+ * @param {number} decimals - Token decimals
+ * @returns {string} e.g. '0.000001' for 6 decimals
+ */
+function amountStep(decimals) {
+  return decimals > 0 ? `0.${'0'.repeat(decimals - 1)}1` : '1';
+}
+
 export default function SwapInterface({ userAddress, onSwapCreated }) {
   const { chain } = useNetwork();
   const [swapData, setSwapData] = useState({
     btcAmount: '',
     ethAmount: '',
+    tokenAddress: '',
     btcAddress: '',
-    lockTime: 24 // hours
+    btcPublicKey: '',
+    lockTime: 24, // hours
+    maxSlippageBps: 100
   });
+  const [tokens, setTokens] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [quote, setQuote] = useState(null);
+  const [swap, setSwap] = useState(null);
   const [step, setStep] = useState(1);
+  const [progress, setProgress] = useState(null);
+
+  // Tokens the service swaps; the first (native ETH) is selected by default
+  useEffect(() => {
+    fetch('/api/tokens')
+      .then(response => response.ok ? response.json() : Promise.reject(new Error('Failed to load tokens')))
+      .then(({ tokens: list }) => {
+        setTokens(list);
+        setSwapData(prev => ({ ...prev, tokenAddress: prev.tokenAddress || list[0]?.address || '' }));
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const token = tokens.find(entry => entry.address === swapData.tokenAddress);
+  const symbol = token?.symbol || 'ETH';
+
+  // Follow the created swap through server-sent progress events
+  useEffect(() => {
+    if (!swap?.swapId) return undefined;
+
+    const source = new EventSource(`/api/swaps/events?swapId=${encodeURIComponent(swap.swapId)}`);
+    const onEvent = (type, update) => {
+      source.addEventListener(type, (event) => {
+        const data = JSON.parse(event.data);
+        setProgress(prev => ({ ethTxHashes: {}, ...prev, ...update(data, prev) }));
+      });
+    };
+
+    onEvent('snapshot', ([current]) => current || {});
+    onEvent('status', ({ status }) => ({ status }));
+    onEvent('btc_confirmations', ({ confirmations }) => ({ btcConfirmations: confirmations }));
+    onEvent('eth_tx', ({ kind, txHash }, prev) => ({
+      ethTxHashes: { ...prev?.ethTxHashes, [kind]: txHash }
+    }));
+
+    return () => source.close();
+  }, [swap?.swapId]);
+
+  const exceedsCapacity = quote?.capacity?.maxEthAmount != null &&
+    parseFloat(quote.pricing.netAmount) > quote.capacity.maxEthAmount;
 
   const handleInputChange = (field, value) => {
     setSwapData(prev => ({
@@ -24,7 +105,7 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
 
   const getQuote = async () => {
     if (!swapData.btcAmount || !swapData.ethAmount) {
-      setError('Please enter both BTC and ETH amounts');
+      setError(`Please enter both BTC and ${symbol} amounts`);
       return;
     }
 
@@ -38,12 +119,13 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
         body: JSON.stringify({
           btcAmount: parseFloat(swapData.btcAmount),
           ethAmount: parseFloat(swapData.ethAmount),
+          ethTokenAddress: swapData.tokenAddress,
           userAddress
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to get quote');
+        throw new Error(await getErrorMessage(response, 'Failed to get quote'));
       }
 
       const quoteData = await response.json();
@@ -61,6 +143,10 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
       setError('Please enter your Bitcoin address');
       return;
     }
+    if (!COMPRESSED_PUBLIC_KEY.test(swapData.btcPublicKey.trim())) {
+      setError('Please enter your compressed Bitcoin public key (66 hex characters starting with 02 or 03)');
+      return;
+    }
 
     setLoading(true);
     try {
@@ -72,17 +158,21 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
         body: JSON.stringify({
           btcAmount: parseFloat(swapData.btcAmount),
           ethAmount: parseFloat(swapData.ethAmount),
+          ethTokenAddress: swapData.tokenAddress,
           btcAddress: swapData.btcAddress,
+          btcPublicKey: swapData.btcPublicKey.trim(),
           ethAddress: userAddress,
-          lockTime: swapData.lockTime
+          lockTime: swapData.lockTime,
+          maxSlippageBps: swapData.maxSlippageBps
         }),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to create swap');
+        throw new Error(await getErrorMessage(response, 'Failed to create swap'));
       }
 
       const swapResult = await response.json();
+      setSwap(swapResult);
       onSwapCreated(swapResult);
       setStep(3);
     } catch (err) {
@@ -93,13 +183,18 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
   };
 
   const resetForm = () => {
-    setSwapData({
+    setSwapData(prev => ({
       btcAmount: '',
       ethAmount: '',
+      tokenAddress: prev.tokenAddress,
       btcAddress: '',
-      lockTime: 24
-    });
+      btcPublicKey: '',
+      lockTime: 24,
+      maxSlippageBps: prev.maxSlippageBps
+    }));
     setQuote(null);
+    setSwap(null);
+    setProgress(null);
     setStep(1);
     setError('');
   };
@@ -170,17 +265,26 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Ethereum Amount
             </label>
-            <div className="relative">
+            <div className="flex space-x-2">
               <input
                 type="number"
-                step="0.000000000000000001"
+                step={amountStep(token ? token.decimals : 18)}
                 value={swapData.ethAmount}
                 onChange={(e) => handleInputChange('ethAmount', e.target.value)}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="0.1"
               />
-              <div className="absolute right-3 top-3 text-gray-500">
-                <span className="text-ethereum font-bold">Ξ</span> ETH
+              <div className="flex items-center px-3 border border-gray-300 rounded-lg">
+                {token?.logo && <img src={token.logo} alt="" className="w-5 h-5 mr-2" />}
+                <select
+                  value={swapData.tokenAddress}
+                  onChange={(e) => handleInputChange('tokenAddress', e.target.value)}
+                  className="py-2 bg-transparent focus:outline-none"
+                >
+                  {tokens.map(entry => (
+                    <option key={entry.address} value={entry.address}>{entry.symbol}</option>
+                  ))}
+                </select>
               </div>
             </div>
           </div>
@@ -198,6 +302,22 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Your Bitcoin Public Key
+            </label>
+            <input
+              type="text"
+              value={swapData.btcPublicKey}
+              onChange={(e) => handleInputChange('btcPublicKey', e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              placeholder="02... or 03... (compressed, hex)"
+            />
+            <p className="text-sm text-gray-500 mt-1">
+              Only this key can refund the Bitcoin HTLC if the swap does not complete
+            </p>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Lock Time (hours)
@@ -217,6 +337,25 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
             </p>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Max Slippage
+            </label>
+            <select
+              value={swapData.maxSlippageBps}
+              onChange={(e) => handleInputChange('maxSlippageBps', parseInt(e.target.value))}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value={50}>0.5%</option>
+              <option value={100}>1%</option>
+              <option value={200}>2%</option>
+              <option value={500}>5%</option>
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              If the {symbol} price moves further than this before your BTC confirms, you can accept the new price or take a refund
+            </p>
+          </div>
+
           {error && (
             <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
               <p className="text-red-600 text-sm">{error}</p>
@@ -245,26 +384,64 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">You Receive:</span>
-                <span className="font-medium">{swapData.ethAmount} ETH</span>
+                <span className="font-medium">{quote.pricing.netAmount} {symbol}</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Exchange Rate:</span>
-                <span className="font-medium">1 BTC = {quote.rate} ETH</span>
+                <span className="font-medium">1 BTC = {quote.rate} {symbol}</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Lock Time:</span>
                 <span className="font-medium">{swapData.lockTime} hours</span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Max Slippage:</span>
+                <span className="font-medium">{swapData.maxSlippageBps / 100}%</span>
+              </div>
+              {quote.capacity?.maxEthAmount != null && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Max Swap Size:</span>
+                  <span className="font-medium">{quote.capacity.maxEthAmount} {symbol}</span>
+                </div>
+              )}
             </div>
           </div>
 
+          <div className="bg-gray-50 p-6 rounded-lg">
+            <h3 className="text-lg font-semibold mb-4">Fees</h3>
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Amount before fees:</span>
+                <span className="font-medium">{quote.pricing.grossAmount} {symbol}</span>
+              </div>
+              {quote.pricing.fees.map((fee) => (
+                <div key={fee.type} className="flex justify-between">
+                  <span className="text-gray-600">
+                    {FEE_LABELS[fee.type] || fee.type}
+                    {fee.type === 'spread' && ` (${fee.spreadBps / 100}%)`}:
+                  </span>
+                  <span>-{fee.amount} {symbol}</span>
+                </div>
+              ))}
+              <div className="flex justify-between border-t border-gray-200 pt-2">
+                <span className="text-gray-600">Total fees:</span>
+                <span className="font-medium">{quote.pricing.totalFee} {symbol}</span>
+              </div>
+            </div>
+          </div>
+
+          {exceedsCapacity && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-red-600 text-sm">
+                The service can currently pay out at most {quote.capacity.maxEthAmount} {symbol}. Lower the amount to continue.
+              </p>
+            </div>
+          )}
+
           <div className="bg-blue-50 p-6 rounded-lg">
             <h4 className="font-medium text-blue-900 mb-2">Bitcoin HTLC Address</h4>
-            <p className="text-sm text-blue-700 font-mono break-all">
-              {quote.btcHtlcAddress}
-            </p>
-            <p className="text-sm text-blue-600 mt-2">
-              You will need to send Bitcoin to this address to complete the swap
+            <p className="text-sm text-blue-600">
+              A Bitcoin HTLC address is generated when you create the swap. You will need to send Bitcoin to it to complete the swap
             </p>
           </div>
 
@@ -297,7 +474,7 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
             </button>
             <button
               onClick={createSwap}
-              disabled={loading}
+              disabled={loading || exceedsCapacity}
               className="flex-1 bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? 'Creating Swap...' : 'Create Swap'}
@@ -326,20 +503,35 @@ export default function SwapInterface({ userAddress, onSwapCreated }) {
           <div className="bg-blue-50 p-6 rounded-lg">
             <h4 className="font-medium text-blue-900 mb-4">Next Steps:</h4>
             <ol className="list-decimal list-inside space-y-2 text-sm text-blue-700">
-              <li>Send {swapData.btcAmount} BTC to the HTLC address</li>
+              <li>Send {swapData.btcAmount} BTC to the HTLC address, in one or more transactions (anything above it is returned)</li>
               <li>Wait for 3 Bitcoin confirmations</li>
-              <li>The swap will automatically complete and you'll receive ETH</li>
+              <li>The swap will automatically complete and you'll receive {symbol}</li>
               <li>If not completed within {swapData.lockTime} hours, you can claim a refund</li>
             </ol>
           </div>
 
+          {progress && (
+            <div className="bg-gray-50 p-6 rounded-lg">
+              <h4 className="font-medium text-gray-900 mb-2">Swap Progress</h4>
+              <div className="space-y-1 text-sm text-gray-700">
+                <p>Status: <span className="font-medium">{progress.status?.replace(/_/g, ' ')}</span></p>
+                {progress.btcConfirmations !== undefined && (
+                  <p>Bitcoin confirmations: {progress.btcConfirmations}</p>
+                )}
+                {Object.entries(progress.ethTxHashes || {}).filter(([, txHash]) => txHash).map(([kind, txHash]) => (
+                  <p key={kind} className="font-mono break-all">Ethereum {kind} tx: {txHash}</p>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="bg-gray-50 p-6 rounded-lg">
             <h4 className="font-medium text-gray-900 mb-2">HTLC Address</h4>
             <p className="text-sm font-mono break-all bg-white p-3 rounded border">
-              {quote?.btcHtlcAddress}
+              {swap?.btcHtlcAddress}
             </p>
             <button
-              onClick={() => navigator.clipboard.writeText(quote?.btcHtlcAddress)}
+              onClick={() => navigator.clipboard.writeText(swap?.btcHtlcAddress)}
               className="mt-2 text-sm text-blue-600 hover:text-blue-800"
             >
               Copy Address
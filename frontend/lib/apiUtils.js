@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import Logger from '../../coordinator/Logger';
+
+/**
+ * Error carrying an HTTP status code and a stable error code for API responses
+ */
+export class ApiError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Errors thrown by SwapCoordinator, mapped to HTTP responses
+const COORDINATOR_ERRORS = [
+  { pattern: /^Swap not found$/, statusCode: 404, code: 'SWAP_NOT_FOUND' },
+  { pattern: /^Swap not expired yet$/, statusCode: 409, code: 'SWAP_NOT_EXPIRED' },
+  { pattern: /^Swap cannot be [\w ]+ in status/, statusCode: 409, code: 'INVALID_SWAP_STATUS' },
+  { pattern: /^Swap is being claimed$/, statusCode: 409, code: 'INVALID_SWAP_STATUS' },
+  { pattern: /^Illegal swap transition/, statusCode: 409, code: 'INVALID_SWAP_STATUS' },
+  { pattern: /^Swap is not an ETH to BTC swap$/, statusCode: 409, code: 'INVALID_SWAP_DIRECTION' },
+  { pattern: /^Bitcoin transaction not found$/, statusCode: 404, code: 'BITCOIN_TX_NOT_FOUND' },
+  { pattern: /^Secret not found in Bitcoin transaction$/, statusCode: 422, code: 'SECRET_NOT_FOUND' },
+  { pattern: /^HTLC underfunded/, statusCode: 409, code: 'HTLC_UNDERFUNDED' },
+  { pattern: /^Bitcoin transaction \w+ does not pay the HTLC$/, statusCode: 422, code: 'INVALID_FUNDING_TX' },
+  { pattern: /^(Secret hash|User Bitcoin public key) is required$/, statusCode: 400, code: 'VALIDATION_ERROR' },
+  { pattern: /^Bitcoin public key must be/, statusCode: 400, code: 'VALIDATION_ERROR' },
+  { pattern: /^Swap owner signature is required$/, statusCode: 400, code: 'VALIDATION_ERROR' },
+  { pattern: /^Invalid swap owner signature$/, statusCode: 403, code: 'NOT_SWAP_OWNER' },
+  { pattern: /^Unsafe timelocks/, statusCode: 422, code: 'UNSAFE_TIMELOCKS' },
+  { pattern: /^Insufficient liquidity/, statusCode: 409, code: 'INSUFFICIENT_LIQUIDITY' },
+  { pattern: /^Swap amount does not cover fees/, statusCode: 422, code: 'AMOUNT_BELOW_FEES' },
+  { pattern: /^Token not supported/, statusCode: 400, code: 'UNSUPPORTED_TOKEN' },
+  { pattern: /^\w+ amounts have at most \d+ decimals$/, statusCode: 400, code: 'VALIDATION_ERROR' },
+  { pattern: /^Webhook subscription not found$/, statusCode: 404, code: 'WEBHOOK_NOT_FOUND' },
+  { pattern: /^(Webhook URL must be|Unknown webhook events)/, statusCode: 400, code: 'VALIDATION_ERROR' },
+];
+
+/**
+ * Send a consistent JSON error body
+ * @param {Object} res - Next.js response
+ * @param {Error} error - Error to report
+ */
+export function sendError(res, error) {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      error: { code: error.code, message: error.message }
+    });
+  }
+
+  const known = COORDINATOR_ERRORS.find(({ pattern }) => pattern.test(error.message));
+  if (known) {
+    return res.status(known.statusCode).json({
+      error: { code: known.code, message: error.message }
+    });
+  }
+
+  // Upstream HTTP failures (1inch, Bitcoin APIs)
+  if (error.isAxiosError) {
+    getApiLogger().error('Upstream API error', { error: error.message });
+    return res.status(502).json({
+      error: { code: 'UPSTREAM_ERROR', message: 'Upstream service request failed' }
+    });
+  }
+
+  getApiLogger().error('Unhandled API error', { error });
+  return res.status(500).json({
+    error: { code: 'INTERNAL_ERROR', message: 'Internal server error' }
+  });
+}
+
+/**
+ * Logger for API errors
+ * Once the swap service is up this is the coordinator's logger, which redacts
+ * the keys it was configured with; before that, a plain Logger that still
+ * redacts fields named like secrets.
+ * @returns {Logger}
+ */
+function getApiLogger() {
+  if (global.swapService) {
+    return global.swapService.logger;
+  }
+  if (!global.apiLogger) {
+    global.apiLogger = new Logger().child({ component: 'api' });
+  }
+  return global.apiLogger;
+}
+
+/**
+ * Wrap an API route with method checking and error handling
+ * @param {Array<string>} methods - Allowed HTTP methods
+ * @param {Function} handler - Route handler (req, res)
+ * @returns {Function} Next.js API route
+ */
+export function apiHandler(methods, handler) {
+  return async (req, res) => {
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods);
+      return sendError(res, new ApiError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Validate a positive numeric field
+ * @param {Object} body - Request body
+ * @param {string} field - Field name
+ * @returns {number} Parsed value
+ */
+export function requirePositiveNumber(body, field) {
+  const value = Number(body[field]);
+  if (body[field] === undefined || body[field] === null || !Number.isFinite(value) || value <= 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a positive number`);
+  }
+  return value;
+}
+
+/**
+ * Validate a non-empty string field
+ * @param {Object} body - Request body
+ * @param {string} field - Field name
+ * @returns {string} Trimmed value
+ */
+export function requireString(body, field) {
+  const value = body[field];
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} is required`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate an Ethereum address field
+ * @param {Object} body - Request body
+ * @param {string} field - Field name
+ * @returns {string} Checksummed address
+ */
+export function requireEthAddress(body, field) {
+  const value = requireString(body, field);
+  if (!ethers.isAddress(value)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `${field} must be a valid Ethereum address`);
+  }
+  return ethers.getAddress(value);
+}
+
+/**
+ * Require the admin bearer token (ADMIN_API_TOKEN) on operator-only routes
+ * @param {Object} req - Next.js request
+ */
+export function requireAdmin(req) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    throw new ApiError(403, 'ADMIN_API_DISABLED', 'Admin API is disabled; set ADMIN_API_TOKEN');
+  }
+
+  if (!hasBearerToken(req, token)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Invalid admin token');
+  }
+}
+
+/**
+ * Require the metrics bearer token (METRICS_TOKEN) on /metrics, if one is set
+ * @param {Object} req - Next.js request
+ */
+export function requireMetricsToken(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !hasBearerToken(req, token)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Invalid metrics token');
+  }
+}
+
+/**
+ * Compare the request's bearer token in constant time
+ * @param {Object} req - Next.js request
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function hasBearerToken(req, token) {
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
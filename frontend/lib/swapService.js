@@ -0,0 +1,39 @@
+import SwapCoordinator from '../../coordinator/SwapCoordinator';
+import { loadConfig } from '../../coordinator/Config';
+
+export const NATIVE_ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+/**
+ * Shared swap service for API routes
+ * Keeps a single SwapCoordinator (and its StateManager) per server process,
+ * cached on `global` so Next.js hot reloads don't create duplicates.
+ */
+export function getSwapService() {
+  if (!global.swapService) {
+    const coordinator = new SwapCoordinator(loadConfig());
+
+    coordinator.startMonitoring();
+
+    global.swapService = {
+      coordinator,
+      stateManager: coordinator.stateManager,
+      logger: coordinator.logger.child({ component: 'api' })
+    };
+  }
+
+  return global.swapService;
+}
+
+/**
+ * Strip fields that must never leave the server from a swap state
+ * @param {Object} swapState - Swap state
+ * @returns {Object} Swap state safe to return to clients
+ */
+export function toPublicSwap(swapState) {
+  const { secret, ...btcSide } = swapState.btcSide || {};
+
+  return {
+    ...swapState,
+    btcSide
+  };
+}
@@ -0,0 +1,13 @@
+import { apiHandler, requireAdmin } from '../../lib/apiUtils';
+import { getSwapService } from '../../lib/swapService';
+
+/**
+ * GET /api/jobs
+ * Status of the coordinator's recurring jobs, including their last run and last error
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  requireAdmin(req);
+
+  const { coordinator } = getSwapService();
+  res.status(200).json({ jobs: coordinator.getJobStatus() });
+});
@@ -0,0 +1,14 @@
+import { apiHandler, requireMetricsToken } from '../../lib/apiUtils';
+import { getSwapService } from '../../lib/swapService';
+
+/**
+ * GET /api/metrics (also served at /metrics)
+ * Coordinator metrics in the Prometheus text format
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  requireMetricsToken(req);
+
+  const { coordinator } = getSwapService();
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(await coordinator.getMetrics());
+});
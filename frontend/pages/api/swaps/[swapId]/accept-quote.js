@@ -0,0 +1,17 @@
+import { apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * POST /api/swaps/:swapId/accept-quote
+ * Accept the new price of a BTC→ETH swap in price_out_of_range and claim it
+ * Body: { signature } - the swap's Ethereum user's signature of the re-quote message
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const swapId = requireString(req.query, 'swapId');
+  const signature = requireString(req.body || {}, 'signature');
+
+  const { coordinator } = getSwapService();
+  const { secret, ...result } = await coordinator.acceptSwapRequote(swapId, signature);
+
+  res.status(200).json(result);
+});
@@ -0,0 +1,31 @@
+import { ApiError, apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * POST /api/swaps/:swapId/complete
+ * Complete a swap from its Bitcoin transaction
+ * (optionally one of the HTLC funding txs for BTC→ETH, the user's claim tx for ETH→BTC)
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const swapId = requireString(req.query, 'swapId');
+  const body = req.body || {};
+
+  const { coordinator, stateManager } = getSwapService();
+  const swapState = await stateManager.getSwapState(swapId);
+  if (!swapState) {
+    throw new ApiError(404, 'SWAP_NOT_FOUND', 'Swap not found');
+  }
+
+  let result;
+  if (swapState.direction === 'ETH_TO_BTC') {
+    result = await coordinator.completeETHToBTCSwap(swapId, requireString(body, 'bitcoinTxId'));
+  } else {
+    const bitcoinTxId = body.bitcoinTxId !== undefined ? requireString(body, 'bitcoinTxId') : undefined;
+    result = await coordinator.completeBTCToETHSwap(swapId, bitcoinTxId);
+  }
+
+  // The secret is only needed on-chain, never by API clients
+  const { secret, ...publicResult } = result;
+
+  res.status(200).json(publicResult);
+});
@@ -0,0 +1,15 @@
+import { apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * POST /api/swaps/:swapId/fund
+ * Fund the Bitcoin HTLC of an ETH→BTC swap once the user's Ethereum lock is on-chain
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const swapId = requireString(req.query, 'swapId');
+
+  const { coordinator } = getSwapService();
+  const result = await coordinator.fundETHToBTCSwap(swapId);
+
+  res.status(200).json(result);
+});
@@ -0,0 +1,15 @@
+import { apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService, toPublicSwap } from '../../../../lib/swapService';
+
+/**
+ * GET /api/swaps/:swapId
+ * Swap status including the on-chain order status
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  const swapId = requireString(req.query, 'swapId');
+
+  const { coordinator } = getSwapService();
+  const status = await coordinator.getSwapStatus(swapId);
+
+  res.status(200).json(toPublicSwap(status));
+});
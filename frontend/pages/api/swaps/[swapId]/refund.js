@@ -0,0 +1,23 @@
+import { ApiError, apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * POST /api/swaps/:swapId/refund
+ * Refund an expired swap, or decline the new price of a swap in price_out_of_range
+ * Body: { signature } - declining needs the swap's Ethereum user's signature of the re-quote message
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const swapId = requireString(req.query, 'swapId');
+
+  const { coordinator, stateManager } = getSwapService();
+  const swapState = await stateManager.getSwapState(swapId);
+  if (!swapState) {
+    throw new ApiError(404, 'SWAP_NOT_FOUND', 'Swap not found');
+  }
+
+  const result = swapState.status === 'price_out_of_range'
+    ? await coordinator.rejectSwapRequote(swapId, requireString(req.body || {}, 'signature'))
+    : await coordinator.handleSwapTimeout(swapId);
+
+  res.status(200).json(result);
+});
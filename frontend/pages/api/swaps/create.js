@@ -0,0 +1,77 @@
+import {
+  ApiError,
+  apiHandler,
+  requireEthAddress,
+  requirePositiveNumber,
+  requireString
+} from '../../../lib/apiUtils';
+import { getSwapService, NATIVE_ETH_ADDRESS } from '../../../lib/swapService';
+
+const DIRECTIONS = ['BTC_TO_ETH', 'ETH_TO_BTC'];
+
+/**
+ * POST /api/swaps/create
+ * Create a swap in either direction
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const body = req.body || {};
+  const direction = body.direction || 'BTC_TO_ETH';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+
+  const btcAmount = requirePositiveNumber(body, 'btcAmount');
+  const ethAmount = requirePositiveNumber(body, 'ethAmount');
+  const userBtcAddress = requireString(body, 'btcAddress');
+  const userBtcPublicKey = requireString(body, 'btcPublicKey');
+  if (!/^0[23][0-9a-fA-F]{64}$/.test(userBtcPublicKey)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'btcPublicKey must be a compressed public key in hex');
+  }
+  const userEthAddress = requireEthAddress(body, 'ethAddress');
+  const lockTimeHours = requirePositiveNumber(body, 'lockTime');
+  const ethTokenAddress = body.ethTokenAddress
+    ? requireEthAddress(body, 'ethTokenAddress')
+    : NATIVE_ETH_ADDRESS;
+
+  let maxSlippageBps;
+  if (body.maxSlippageBps !== undefined) {
+    maxSlippageBps = Number(body.maxSlippageBps);
+    if (!Number.isInteger(maxSlippageBps) || maxSlippageBps < 0 || maxSlippageBps > 10000) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'maxSlippageBps must be an integer between 0 and 10000');
+    }
+  }
+
+  const { coordinator } = getSwapService();
+  let swap;
+
+  if (direction === 'ETH_TO_BTC') {
+    swap = await coordinator.initiateETHToBTCSwap({
+      btcAmount,
+      ethTokenAddress,
+      ethAmount,
+      userBtcAddress,
+      userBtcPublicKey,
+      userEthAddress,
+      secretHash: requireString(body, 'secretHash'),
+      lockTime: lockTimeHours
+    });
+  } else {
+    swap = await coordinator.initiateBTCToETHSwap({
+      btcAmount,
+      ethTokenAddress,
+      ethAmount,
+      userBtcAddress,
+      userBtcPublicKey,
+      userEthAddress,
+      lockTime: Math.floor(Date.now() / 1000) + lockTimeHours * 60 * 60,
+      maxSlippageBps
+    });
+  }
+
+  res.status(201).json({
+    direction,
+    btcAmount,
+    ethAmount,
+    ...swap
+  });
+});
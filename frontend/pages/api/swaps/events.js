@@ -0,0 +1,81 @@
+import { apiHandler, ApiError } from '../../../lib/apiUtils';
+import { getSwapService } from '../../../lib/swapService';
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Next.js response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ * @param {number} id - Event id
+ */
+function writeEvent(res, type, data, id) {
+  if (id !== undefined) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/swaps/events?swapId=...&address=...
+ * Server-Sent Events stream of swap progress for a swap and/or a user address.
+ * A `snapshot` event with the current progress of each matching swap is sent
+ * first, followed by `status`, `btc_confirmations` and `eth_tx` events.
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  const { swapId, address } = req.query;
+  if (!swapId && !address) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'swapId or address is required');
+  }
+
+  const { coordinator, stateManager } = getSwapService();
+  const { swapEvents } = coordinator;
+
+  const swaps = [];
+  if (swapId) {
+    const swapState = await stateManager.getSwapState(swapId);
+    if (!swapState && !address) {
+      throw new ApiError(404, 'SWAP_NOT_FOUND', 'Swap not found');
+    }
+    if (swapState) {
+      swaps.push(swapState);
+    }
+  }
+  if (address) {
+    const history = await stateManager.getUserSwapHistory(address);
+    swaps.push(...history.filter(swap => swap.swapId !== swapId));
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'Content-Encoding': 'none', // Keep Next.js compression from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  writeEvent(res, 'snapshot', swaps.map(swap => swapEvents.getSnapshot(swap)));
+
+  const unsubscribe = swapEvents.subscribe({ swapId, address }, ({ id, type, ...data }) => {
+    writeEvent(res, type, data, id);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  await new Promise(resolve => {
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+      resolve();
+    });
+  });
+});
+
+// The stream stays open until the client disconnects
+export const config = {
+  api: {
+    externalResolver: true
+  }
+};
@@ -0,0 +1,15 @@
+import { apiHandler, requireString } from '../../../../lib/apiUtils';
+import { getSwapService, toPublicSwap } from '../../../../lib/swapService';
+
+/**
+ * GET /api/swaps/history/:address
+ * List swaps for a Bitcoin or Ethereum address, newest first
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  const address = requireString(req.query, 'address');
+
+  const { stateManager } = getSwapService();
+  const swaps = await stateManager.getUserSwapHistory(address);
+
+  res.status(200).json(swaps.map(toPublicSwap));
+});
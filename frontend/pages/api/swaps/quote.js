@@ -0,0 +1,40 @@
+import { ApiError, apiHandler, requireEthAddress, requirePositiveNumber } from '../../../lib/apiUtils';
+import { getSwapService, NATIVE_ETH_ADDRESS } from '../../../lib/swapService';
+
+const DIRECTIONS = ['BTC_TO_ETH', 'ETH_TO_BTC'];
+
+/**
+ * POST /api/swaps/quote
+ * Quote a swap with its fee breakdown and the largest swap the service can take on now
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  const body = req.body || {};
+  const direction = body.direction || 'BTC_TO_ETH';
+  if (!DIRECTIONS.includes(direction)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', `direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+
+  const btcAmount = requirePositiveNumber(body, 'btcAmount');
+  const ethAmount = requirePositiveNumber(body, 'ethAmount');
+  const userAddress = requireEthAddress(body, 'userAddress');
+  const tokenAddress = body.ethTokenAddress
+    ? requireEthAddress(body, 'ethTokenAddress')
+    : NATIVE_ETH_ADDRESS;
+
+  const { coordinator } = getSwapService();
+  const [{ ethQuote, pricing }, capacity] = await Promise.all([
+    coordinator.quoteSwap({ direction, tokenAddress, btcAmount, ethAmount, userAddress }),
+    coordinator.getSwapCapacity(tokenAddress)
+  ]);
+
+  res.status(200).json({
+    direction,
+    btcAmount,
+    ethAmount,
+    tokenAddress,
+    rate: ethAmount / btcAmount,
+    ethQuote,
+    pricing,
+    capacity
+  });
+});
@@ -0,0 +1,14 @@
+import { apiHandler } from '../../lib/apiUtils';
+import { getSwapService } from '../../lib/swapService';
+
+/**
+ * GET /api/tokens
+ * Ethereum tokens the service swaps on its chain, with their decimals and logos
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  const { coordinator } = getSwapService();
+  res.status(200).json({
+    chainId: coordinator.getChainId(),
+    tokens: coordinator.tokens.listTokens()
+  });
+});
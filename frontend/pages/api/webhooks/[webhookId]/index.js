@@ -0,0 +1,16 @@
+import { apiHandler, requireAdmin, requireString } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Remove a webhook subscription and its queued deliveries
+ */
+export default apiHandler(['DELETE'], async (req, res) => {
+  requireAdmin(req);
+  const webhookId = requireString(req.query, 'webhookId');
+
+  const { coordinator } = getSwapService();
+  await coordinator.webhooks.deleteSubscription(webhookId);
+
+  res.status(204).end();
+});
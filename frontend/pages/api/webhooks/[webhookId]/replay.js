@@ -0,0 +1,33 @@
+import { apiHandler, requireAdmin, requireString, ApiError } from '../../../../lib/apiUtils';
+import { getSwapService } from '../../../../lib/swapService';
+
+/**
+ * POST /api/webhooks/:webhookId/replay
+ * Re-send missed events to an endpoint. With `deadLetters: true` its
+ * dead-lettered deliveries are re-queued; otherwise the events stored since
+ * `since` (ms) are sent again, optionally for one `swapId`.
+ */
+export default apiHandler(['POST'], async (req, res) => {
+  requireAdmin(req);
+  const webhookId = requireString(req.query, 'webhookId');
+  const body = req.body || {};
+
+  const { coordinator } = getSwapService();
+
+  if (body.deadLetters) {
+    const replayed = await coordinator.webhooks.replayDeadLetters({ subscriptionId: webhookId });
+    res.status(202).json({ replayed });
+    return;
+  }
+
+  const since = body.since === undefined ? 0 : Number(body.since);
+  if (!Number.isFinite(since) || since < 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'since must be a timestamp in milliseconds');
+  }
+
+  const replayed = await coordinator.webhooks.replayEvents(webhookId, {
+    since,
+    swapId: typeof body.swapId === 'string' ? body.swapId : null
+  });
+  res.status(202).json({ replayed });
+});
@@ -0,0 +1,13 @@
+import { apiHandler, requireAdmin } from '../../../lib/apiUtils';
+import { getSwapService } from '../../../lib/swapService';
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that exhausted their retries, oldest first
+ */
+export default apiHandler(['GET'], async (req, res) => {
+  requireAdmin(req);
+
+  const { stateManager } = getSwapService();
+  res.status(200).json(await stateManager.getWebhookDeliveries('dead_letter'));
+});
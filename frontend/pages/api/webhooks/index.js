@@ -0,0 +1,25 @@
+import { apiHandler, requireAdmin, requireString } from '../../../lib/apiUtils';
+import { getSwapService } from '../../../lib/swapService';
+
+/**
+ * GET /api/webhooks - List webhook subscriptions (without secrets)
+ * POST /api/webhooks - Register an endpoint; the response includes its signing secret
+ */
+export default apiHandler(['GET', 'POST'], async (req, res) => {
+  requireAdmin(req);
+  const { coordinator } = getSwapService();
+
+  if (req.method === 'GET') {
+    res.status(200).json(await coordinator.webhooks.listSubscriptions());
+    return;
+  }
+
+  const body = req.body || {};
+  const subscription = await coordinator.webhooks.createSubscription({
+    url: requireString(body, 'url'),
+    events: Array.isArray(body.events) ? body.events : undefined,
+    description: typeof body.description === 'string' ? body.description : undefined
+  });
+
+  res.status(201).json(subscription);
+});
@@ -5,6 +5,10 @@ const nextConfig = {
   experimental: {
     appDir: false, // Using pages directory for now
   },
+  async rewrites() {
+    // Prometheus scrapes /metrics by default
+    return [{ source: '/metrics', destination: '/api/metrics' }];
+  },
   webpack: (config) => {
     config.resolve.fallback = {
       ...config.resolve.fallback,
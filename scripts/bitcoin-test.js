@@ -0,0 +1,89 @@
+const assert = require('assert');
+const BitcoinHTLC = require('../bitcoin/htlc');
+const BitcoinWallet = require('../bitcoin/wallet');
+const BitcoindRegtest = require('../test/helpers/BitcoindRegtest');
+
+// Checks the Bitcoin HTLC against a local bitcoind in regtest mode: a claim
+// with the secret, and a refund that is rejected until the CLTV height.
+
+const HTLC_SATS = 100000;
+const FEE = 2000;
+
+async function fundHTLC(bitcoind, htlcOutput) {
+  const txid = await bitcoind.send(htlcOutput.address, HTLC_SATS);
+  const tx = await bitcoind.rpc('getrawtransaction', [txid, true]);
+  const output = tx.vout.find(out => out.scriptPubKey.address === htlcOutput.address);
+  await bitcoind.mine(1);
+  return [{ txid, vout: output.n, value: HTLC_SATS, txHex: tx.hex }];
+}
+
+async function testClaim(bitcoind, htlc, recipient, sender) {
+  const { secret, hash } = htlc.generateSecret();
+  const height = await bitcoind.rpc('getblockcount');
+  const htlcOutput = htlc.createHTLCOutput(hash, recipient.publicKey, sender.publicKey, height + 10, HTLC_SATS);
+  const utxos = await fundHTLC(bitcoind, htlcOutput);
+
+  const claimTx = htlc.createClaimTransaction(htlcOutput, secret, recipient.privateKey, recipient.address, utxos, FEE);
+  const claimTxId = await bitcoind.rpc('sendrawtransaction', [claimTx.toHex()]);
+  await bitcoind.mine(1);
+
+  const claimHex = await bitcoind.rpc('getrawtransaction', [claimTxId]);
+  assert.ok(htlc.extractSecretFromTransaction(claimHex, hash).equals(secret), 'secret not found in claim');
+  assert.equal(await bitcoind.getAddressBalance(recipient.address), HTLC_SATS - FEE);
+  console.log(`Claim confirmed: ${claimTxId}`);
+}
+
+async function testRefund(bitcoind, htlc, recipient, sender) {
+  const { hash } = htlc.generateSecret();
+  const lockTime = await bitcoind.rpc('getblockcount') + 5;
+  const htlcOutput = htlc.createHTLCOutput(hash, recipient.publicKey, sender.publicKey, lockTime, HTLC_SATS);
+  const utxos = await fundHTLC(bitcoind, htlcOutput);
+
+  const refundTx = htlc.createRefundTransaction(htlcOutput, sender.privateKey, sender.address, utxos, FEE);
+  await assert.rejects(
+    bitcoind.rpc('sendrawtransaction', [refundTx.toHex()]),
+    /non-final/,
+    'refund accepted before its locktime'
+  );
+
+  await bitcoind.mine(5);
+  const refundTxId = await bitcoind.rpc('sendrawtransaction', [refundTx.toHex()]);
+  await bitcoind.mine(1);
+
+  assert.equal(await bitcoind.getAddressBalance(sender.address), HTLC_SATS - FEE);
+  console.log(`Refund confirmed: ${refundTxId}`);
+}
+
+async function main() {
+  const bitcoind = new BitcoindRegtest();
+  if (!(await bitcoind.isAvailable())) {
+    throw new Error('bitcoind not found; install Bitcoin Core or set BITCOIND to its path');
+  }
+
+  const keys = new BitcoinWallet('regtest', {});
+  const htlc = new BitcoinHTLC('regtest');
+
+  console.log('Starting bitcoind in regtest mode...');
+  await bitcoind.start();
+
+  try {
+    const recipient = keys.generateKeyPair();
+    const sender = keys.generateKeyPair();
+    await bitcoind.watchAddress(recipient.address);
+    await bitcoind.watchAddress(sender.address);
+
+    await testClaim(bitcoind, htlc, recipient, sender);
+    await testRefund(bitcoind, htlc, recipient, sender);
+
+    console.log('\nBitcoin HTLC tests passed');
+  } finally {
+    await bitcoind.stop();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
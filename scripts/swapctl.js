@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const SwapCoordinator = require('../coordinator/SwapCoordinator');
+const StateManager = require('../coordinator/StateManager');
+const Logger = require('../coordinator/Logger');
+const { loadConfig } = require('../coordinator/Config');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+// Operator CLI for the swap coordinator. Reads the same environment variables
+// and config file as the API server (see env.example) and works on the same
+// state directory.
+// Nothing runs in the background: each command does its work and exits.
+
+const USAGE = `Usage: swapctl <command> [options]
+
+Commands:
+  list [--status <status>]          List swaps, newest first
+  show <swapId>                     Show a swap and its on-chain FusionResolver order
+  check-timeouts                    Run the timeout check over all active swaps once
+  refund <swapId>                   Refund an expired swap, or continue a refund in progress
+  retry <swapId> <bitcoinTxId>      Retry completion with a Bitcoin transaction
+                                    (the HTLC funding for BTC_TO_ETH, the user's claim for ETH_TO_BTC)
+  export [--format json|csv] [--status <status>] [--from <date>] [--to <date>]
+                                    Write swaps to <dataDir>/exports (secrets are never exported)
+  cleanup [--max-age-days <days>]   Delete terminal swaps older than this (default: 30)
+  stats                             Print swap statistics
+
+Options:
+  --json                            Print JSON instead of tables
+  -h, --help                        Show this help
+
+Logs go to stderr as JSON lines at LOG_LEVEL (default: warn).`;
+
+// FusionResolver.SwapStatus enum names
+const ON_CHAIN_STATUS_NAMES = ['pending', 'completed', 'refunded', 'expired'];
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  status: { type: 'string' },
+  format: { type: 'string', default: 'json' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'max-age-days': { type: 'string', default: '30' }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Lazily built StateManager and SwapCoordinator sharing one logger
+ * Commands that only read or maintain stored swaps never build the
+ * coordinator, so they work without Ethereum or Bitcoin credentials.
+ * A `stateManager` or `coordinator` in `dependencies` is used instead of
+ * building one.
+ */
+class Services {
+  constructor(env = process.env, dependencies = {}) {
+    // Chain settings are only checked once a command builds the coordinator
+    this.config = loadConfig({ env, partial: true });
+    this.logger = dependencies.logger || new Logger({
+      level: env.LOG_LEVEL || 'warn',
+      sink: line => process.stderr.write(line + '\n')
+    });
+    this.stateManager = dependencies.stateManager || null;
+    this.coordinator = dependencies.coordinator || null;
+  }
+
+  getStateManager() {
+    if (!this.stateManager) {
+      this.stateManager = new StateManager({
+        encryptionKeys: this.config.stateEncryptionKeys,
+        encryptionKeyFile: this.config.stateEncryptionKeyFile,
+        logger: this.logger.child({ component: 'StateManager' })
+      });
+    }
+    return this.stateManager;
+  }
+
+  getCoordinator() {
+    if (!this.coordinator) {
+      this.coordinator = new SwapCoordinator(this.config, {
+        logger: this.logger,
+        stateManager: this.getStateManager()
+      });
+    }
+    return this.coordinator;
+  }
+
+  async close() {
+    if (!this.coordinator) {
+      return;
+    }
+    await this.coordinator.stopMonitoring();
+    if (this.coordinator.ethereumProvider.destroy) {
+      this.coordinator.ethereumProvider.destroy();
+    }
+  }
+}
+
+const COMMANDS = {
+  async list(services, args, options) {
+    if (options.status && !Object.values(SWAP_STATES).includes(options.status)) {
+      throw new UsageError(`Unknown status ${options.status}`);
+    }
+
+    const stateManager = services.getStateManager();
+    const swaps = options.status
+      ? await stateManager.getSwapsByStatus(options.status)
+      : await stateManager.getAllSwaps();
+    return swaps
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(swap => stateManager.encryption.redactRecord(swap));
+  },
+
+  async show(services, [swapId]) {
+    requireArgs({ swapId });
+    const coordinator = services.getCoordinator();
+    const swapState = await getSwap(services, swapId);
+
+    let onChain;
+    try {
+      onChain = formatOrder(await coordinator.fusionResolverContract.getSwapOrder(swapId));
+    } catch (error) {
+      onChain = { error: error.shortMessage || error.message };
+    }
+
+    return { swapState, onChain };
+  },
+
+  async 'check-timeouts'(services) {
+    const coordinator = services.getCoordinator();
+    const stateManager = services.getStateManager();
+    const before = new Map((await stateManager.getActiveSwaps()).map(swap => [swap.swapId, swap.status]));
+
+    await coordinator.monitorSwaps();
+
+    const changes = [];
+    for (const [swapId, status] of before) {
+      const swapState = await stateManager.getSwapState(swapId);
+      if (swapState && swapState.status !== status) {
+        changes.push({ swapId, from: status, to: swapState.status });
+      }
+    }
+    return { checked: before.size, changes };
+  },
+
+  async refund(services, [swapId]) {
+    requireArgs({ swapId });
+    await getSwap(services, swapId);
+    return await services.getCoordinator().handleSwapTimeout(swapId);
+  },
+
+  async retry(services, [swapId, bitcoinTxId]) {
+    requireArgs({ swapId, bitcoinTxId });
+    const coordinator = services.getCoordinator();
+    const swapState = await getSwap(services, swapId);
+
+    // Completion waits for Bitcoin confirmations, which the confirmations job polls
+    coordinator.scheduler.start(['confirmations']);
+
+    return swapState.direction === 'ETH_TO_BTC'
+      ? await coordinator.completeETHToBTCSwap(swapId, bitcoinTxId)
+      : await coordinator.completeBTCToETHSwap(swapId, bitcoinTxId);
+  },
+
+  async export(services, args, options) {
+    if (!['json', 'csv'].includes(options.format)) {
+      throw new UsageError(`Unknown format ${options.format}`);
+    }
+
+    const path = await services.getStateManager().exportSwapData({
+      format: options.format,
+      status: options.status || null,
+      startDate: parseDate(options.from, '--from'),
+      endDate: parseDate(options.to, '--to')
+    });
+    return { path };
+  },
+
+  async cleanup(services, args, options) {
+    const days = Number(options['max-age-days']);
+    if (!(days >= 0)) {
+      throw new UsageError('--max-age-days must be a non-negative number');
+    }
+
+    const deleted = await services.getStateManager().cleanupExpiredSwaps(days * 24 * 60 * 60 * 1000);
+    return { deleted };
+  },
+
+  async stats(services) {
+    return await services.getStateManager().getSwapStatistics();
+  }
+};
+
+// Human-readable output per command; commands without one print their result as key/value pairs
+const PRINTERS = {
+  list(swaps) {
+    printTable(swaps.map(swap => ({
+      'SWAP ID': swap.swapId,
+      DIRECTION: swap.direction || 'BTC_TO_ETH',
+      STATUS: swap.status,
+      'BTC AMOUNT': swap.btcSide.amount,
+      'ETH AMOUNT': swap.ethSide.amount,
+      CREATED: formatTime(swap.createdAt),
+      EXPIRES: formatTime(swap.expiresAt)
+    })));
+  },
+
+  show({ swapState, onChain }) {
+    const { btcSide, ethSide } = swapState;
+
+    printRecord({
+      swapId: swapState.swapId,
+      direction: swapState.direction || 'BTC_TO_ETH',
+      status: swapState.status,
+      created: formatTime(swapState.createdAt),
+      expires: formatTime(swapState.expiresAt),
+      failureReason: swapState.failureReason,
+      refundReason: swapState.refundReason
+    });
+
+    printSection('Bitcoin');
+    printRecord({
+      amount: btcSide.amount,
+      userAddress: btcSide.userAddress,
+      htlcAddress: btcSide.htlcAddress,
+      lockTime: btcSide.lockTime,
+      secretHash: btcSide.secretHash,
+      fundingTxId: swapState.btcTxId || btcSide.fundingTxId,
+      funded: btcSide.funding &&
+        `${btcSide.funding.received} of ${btcSide.funding.expected} sats in ${btcSide.funding.utxos.length} UTXOs (${btcSide.funding.outcome})`,
+      confirmations: swapState.btcConfirmation && swapState.btcConfirmation.confirmations,
+      claimTxId: btcSide.claimTxId,
+      claimFee: btcSide.claimFee,
+      claimConfirmed: formatTime(btcSide.claimConfirmedAt),
+      excessReturned: btcSide.excessReturned,
+      refundTxId: btcSide.refundTxId
+    });
+
+    printSection('Ethereum');
+    printRecord({
+      tokenAddress: ethSide.tokenAddress,
+      amount: ethSide.amount,
+      userAddress: ethSide.userAddress,
+      lockTime: ethSide.lockTime,
+      initTxHash: ethSide.initTxHash,
+      reduceTxHash: ethSide.reduceTxHash,
+      completedTxHash: ethSide.completedTxHash,
+      refundTxHash: ethSide.refundTxHash
+    });
+
+    printSection('On-chain order (getSwapOrder)');
+    printRecord(onChain);
+
+    printSection('Status history');
+    printTable((swapState.statusHistory || []).map(entry => ({
+      STATUS: entry.status,
+      TIME: formatTime(entry.timestamp)
+    })));
+  },
+
+  'check-timeouts'({ checked, changes }) {
+    console.log(`Checked ${checked} active swaps, ${changes.length} changed`);
+    if (changes.length > 0) {
+      printTable(changes.map(change => ({
+        'SWAP ID': change.swapId,
+        FROM: change.from,
+        TO: change.to
+      })));
+    }
+  },
+
+  export({ path }) {
+    console.log(`Exported to ${path}`);
+  },
+
+  cleanup({ deleted }) {
+    console.log(`Deleted ${deleted} swaps`);
+  },
+
+  stats(stats) {
+    printRecord({
+      total: stats.total,
+      successRate: `${stats.successRate.toFixed(1)}%`,
+      averageCompletionTime: formatDuration(stats.averageCompletionTime),
+      volumeBtc: stats.totalVolume.btc,
+      volumeEth: stats.totalVolume.eth,
+      feesBtc: stats.feesCollected.btc,
+      feesEth: stats.feesCollected.eth,
+      htlcValueLocked: stats.htlcValueLocked
+    });
+
+    printSection('Swaps by direction and status');
+    printTable(Object.entries(stats.byDirectionAndStatus).flatMap(([direction, statuses]) =>
+      Object.entries(statuses).map(([status, count]) => ({
+        DIRECTION: direction,
+        STATUS: status,
+        COUNT: count
+      }))));
+  }
+};
+
+/**
+ * Load a swap or fail with a clear message
+ * @param {Services} services - CLI services
+ * @param {string} swapId - Swap identifier
+ * @returns {Promise<Object>} Swap state without secrets
+ */
+async function getSwap(services, swapId) {
+  const stateManager = services.getStateManager();
+  const swapState = await stateManager.getSwapState(swapId);
+  if (!swapState) {
+    throw new Error(`Swap ${swapId} not found`);
+  }
+  return stateManager.encryption.redactRecord(swapState);
+}
+
+function requireArgs(args) {
+  for (const [name, value] of Object.entries(args)) {
+    if (!value) {
+      throw new UsageError(`Missing <${name}>`);
+    }
+  }
+}
+
+function parseDate(value, option) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`${option} must be a date, e.g. 2024-01-31`);
+  }
+  return time;
+}
+
+/**
+ * Plain view of a FusionResolver SwapOrder
+ * @param {Object} order - getSwapOrder result
+ * @returns {Object} Order fields, or {found: false} if the swap was never initiated
+ */
+function formatOrder(order) {
+  if (order.user === ethers.ZeroAddress) {
+    return { found: false };
+  }
+
+  return {
+    found: true,
+    status: ON_CHAIN_STATUS_NAMES[Number(order.status)] || Number(order.status),
+    user: order.user,
+    tokenOut: order.tokenOut,
+    amountOut: order.amountOut.toString(),
+    secretHash: order.secretHash,
+    lockTime: formatTime(Number(order.lockTime) * 1000),
+    createdAt: formatTime(Number(order.createdAt) * 1000)
+  };
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString() : '';
+}
+
+function formatDuration(ms) {
+  if (!ms) {
+    return '-';
+  }
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2));
+}
+
+function printSection(title) {
+  console.log(`\n${title}`);
+}
+
+/**
+ * Print an object as aligned key/value lines, skipping empty values
+ * @param {Object} record - Values to print
+ */
+function printRecord(record) {
+  const entries = Object.entries(record).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  const width = Math.max(0, ...entries.map(([key]) => key.length));
+
+  for (const [key, value] of entries) {
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    console.log(`${key.padEnd(width)}  ${text}`);
+  }
+}
+
+/**
+ * Print rows as a table with a header line
+ * @param {Array<Object>} rows - Rows keyed by column title
+ */
+function printTable(rows) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const columns = Object.keys(rows[0]);
+  const cell = (row, column) => row[column] === undefined || row[column] === null ? '' : String(row[column]);
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row, column).length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  rows.forEach(row => console.log(line(columns.map(column => cell(row, column)))));
+}
+
+/**
+ * Run one command
+ * @param {Array<string>} argv - Command line arguments after the script name
+ * @param {Services} services - Services to run it with (default: built from process.env)
+ */
+async function main(argv, services = null) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command ${command}`);
+  }
+
+  const cli = services || new Services();
+  try {
+    const result = await COMMANDS[command](cli, args, options);
+    if (options.json) {
+      printJson(result);
+    } else if (PRINTERS[command]) {
+      PRINTERS[command](result);
+    } else {
+      printRecord(result);
+    }
+  } finally {
+    await cli.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = { main, Services, UsageError };
@@ -0,0 +1,238 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SwapCoordinator = require('../coordinator/SwapCoordinator');
+const StateManager = require('../coordinator/StateManager');
+const Clock = require('../coordinator/Clock');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+const BitcoinWallet = require('../bitcoin/wallet');
+const BitcoinHTLC = require('../bitcoin/htlc');
+const BitcoindRegtest = require('./helpers/BitcoindRegtest');
+const HardhatNode = require('./helpers/HardhatNode');
+
+const NATIVE_ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HTLC_SATS = 1000000;
+
+const REFUND_FEE = 2000;
+
+/**
+ * Clock that follows bitcoind's mock time, so the coordinator's expiries line
+ * up with block times on both chains
+ */
+class ChainClock extends Clock {
+  constructor(bitcoind) {
+    super();
+    this.bitcoind = bitcoind;
+    this.offset = 0;
+  }
+
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  sync() {
+    this.offset = this.bitcoind.time * 1000 - Date.now();
+  }
+}
+
+describe('BTC to ETH swap (regtest + Hardhat)', function () {
+  this.timeout(180000);
+
+  const bitcoind = new BitcoindRegtest();
+  const hardhat = new HardhatNode();
+  const clock = new ChainClock(bitcoind);
+  const keys = new BitcoinWallet('regtest', {});
+  const htlc = new BitcoinHTLC('regtest');
+
+  let dataDir;
+  let coordinator;
+  let resolver;
+  let service;
+
+  before(async function () {
+    if (!(await bitcoind.isAvailable())) {
+      console.log('    bitcoind not found (set BITCOIND to its path); skipping end-to-end tests');
+      this.skip();
+    }
+
+    await bitcoind.start();
+    await hardhat.start();
+    resolver = await hardhat.deploy('FusionResolver');
+    await advanceChains(0);
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-e2e-'));
+    service = keys.generateKeyPair();
+    await bitcoind.watchAddress(service.address);
+
+    coordinator = new SwapCoordinator({
+      bitcoinNetwork: 'regtest',
+      ethereumRpcUrl: hardhat.rpcUrl,
+      privateKey: hardhat.privateKey,
+      fusionResolverAddress: await resolver.getAddress(),
+      serviceBtcAddress: service.address,
+      serviceBtcPrivateKey: service.privateKey,
+      eventConfirmations: 0
+    }, {
+      clock,
+      bitcoinWallet: new BitcoinWallet('regtest', bitcoind.walletRpcConfig),
+      stateManager: new StateManager({ dataDir, backupDir: path.join(dataDir, 'backups') })
+    });
+  });
+
+  after(async function () {
+    if (coordinator) {
+      coordinator.stopMonitoring();
+      coordinator.ethereumProvider.destroy();
+    }
+    await hardhat.stop();
+    await bitcoind.stop();
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Mine Bitcoin blocks, then bring the clock and Ethereum time up to the tip
+   */
+  async function advanceChains(blocks) {
+    await bitcoind.mine(blocks);
+    clock.sync();
+    await hardhat.setTime(Math.floor(clock.now() / 1000));
+  }
+
+  /**
+   * Read a swap the way a restarted coordinator would
+   */
+  async function readPersistedSwap(swapId) {
+    const stateManager = new StateManager({ dataDir, backupDir: path.join(dataDir, 'backups') });
+    return await stateManager.getSwapState(swapId);
+  }
+
+  async function initiateSwap(user) {
+    const swap = await coordinator.initiateBTCToETHSwap({
+      btcAmount: HTLC_SATS / 100000000,
+      ethTokenAddress: NATIVE_ETH_ADDRESS,
+      ethAmount: 0.5,
+      userBtcAddress: user.address,
+      userBtcPublicKey: user.publicKey,
+      userEthAddress: ethers.Wallet.createRandom().address,
+      lockTime: Math.floor(clock.now() / 1000) + 6 * 60 * 60
+    });
+
+    await bitcoind.watchAddress(swap.btcHtlcAddress);
+    await bitcoind.watchAddress(user.address);
+    return swap;
+  }
+
+  async function fundHTLC(htlcAddress, value = HTLC_SATS) {
+    const txid = await bitcoind.send(htlcAddress, value);
+    const tx = await bitcoind.rpc('getrawtransaction', [txid, true]);
+    const output = tx.vout.find(out => out.scriptPubKey.address === htlcAddress);
+    return { txid, vout: output.n, value, txHex: tx.hex };
+  }
+
+  async function getTransactionFee(txHash) {
+    const receipt = await hardhat.provider.getTransactionReceipt(txHash);
+    return receipt.fee;
+  }
+
+  it('funds in two transactions, claims both sides and completes a swap', async function () {
+    const user = keys.generateKeyPair();
+    const serviceEthAddress = new ethers.Wallet(hardhat.privateKey).address;
+    const ethBalanceBefore = await hardhat.provider.getBalance(serviceEthAddress);
+
+    const swap = await initiateSwap(user);
+    const order = await resolver.getSwapOrder(swap.swapId);
+    assert.equal(Number(order.status), 0);
+    assert.equal(order.secretHash, '0x' + swap.secretHash);
+
+    const first = await fundHTLC(swap.btcHtlcAddress, HTLC_SATS / 2);
+    const second = await fundHTLC(swap.btcHtlcAddress, HTLC_SATS / 2);
+    await advanceChains(3);
+
+    const result = await coordinator.completeBTCToETHSwap(swap.swapId, first.txid);
+    assert.equal(result.status, SWAP_STATES.COMPLETED);
+    assert.equal(result.btcTxId, first.txid);
+    assert.equal(result.funding.outcome, 'exact');
+    assert.deepEqual(result.funding.utxos.map(utxo => utxo.txid).sort(), [first.txid, second.txid].sort());
+
+    // Bitcoin: one claim spends both fundings to the service and reveals the secret
+    await advanceChains(1);
+    const persisted = await readPersistedSwap(swap.swapId);
+    const claimTx = await bitcoind.rpc('getrawtransaction', [result.btcClaimTxId, true]);
+    assert.equal(claimTx.vin.length, 2);
+    assert.equal(await bitcoind.getAddressBalance(swap.btcHtlcAddress), 0);
+    assert.equal(await bitcoind.getAddressBalance(service.address), HTLC_SATS - persisted.btcSide.claimFee);
+    assert.equal(await bitcoind.getAddressBalance(user.address), 0);
+
+    // Ethereum: the order is completed and the service only paid gas
+    const completedOrder = await resolver.getSwapOrder(swap.swapId);
+    assert.equal(Number(completedOrder.status), 1);
+
+    const gas = await getTransactionFee(persisted.ethSide.initTxHash) +
+      await getTransactionFee(persisted.ethTxHash);
+    assert.equal(await hardhat.provider.getBalance(serviceEthAddress), ethBalanceBefore - gas);
+
+    assert.equal(persisted.status, SWAP_STATES.COMPLETED);
+    assert.equal(persisted.btcTxId, first.txid);
+    assert.equal(persisted.btcConfirmation.confirmations, 3);
+    assert.deepEqual(persisted.statusHistory.map(entry => entry.status), [
+      SWAP_STATES.CREATED,
+      SWAP_STATES.INITIATED,
+      SWAP_STATES.BTC_FUNDED,
+      SWAP_STATES.BTC_CONFIRMED,
+      SWAP_STATES.ETH_CLAIMED,
+      SWAP_STATES.COMPLETED
+    ]);
+  });
+
+  it('refunds the Ethereum side and lets the user refund the HTLC after a timeout', async function () {
+    const user = keys.generateKeyPair();
+
+    const swap = await initiateSwap(user);
+    const funding = await fundHTLC(swap.btcHtlcAddress);
+    await advanceChains(1);
+
+    await assert.rejects(coordinator.handleSwapTimeout(swap.swapId), /Swap not expired yet/);
+
+    // Past the swap expiry and the HTLC's CLTV height
+    await advanceChains(150);
+
+    const pending = await coordinator.handleSwapTimeout(swap.swapId);
+    assert.equal(pending.status, SWAP_STATES.REFUNDING);
+    assert.ok(pending.ethRefundTxHash);
+    assert.equal(pending.btcRefundStatus, 'waiting_for_user_refund');
+
+    const order = await resolver.getSwapOrder(swap.swapId);
+    assert.equal(Number(order.status), 2);
+
+    // The HTLC's refund key is the user's: the service cannot sign the refund, the user signs their own
+    const { btcSide } = await readPersistedSwap(swap.swapId);
+    const htlcOutput = { script: Buffer.from(btcSide.htlcScript, 'hex'), amount: HTLC_SATS, lockTime: btcSide.lockTime };
+    assert.throws(
+      () => htlc.createRefundTransaction(htlcOutput, service.privateKey, service.address, [funding], REFUND_FEE),
+      /Private key is not the HTLC refund key/
+    );
+    const refundTx = htlc.createRefundTransaction(htlcOutput, user.privateKey, user.address, [funding], REFUND_FEE);
+    await bitcoind.rpc('sendrawtransaction', [refundTx.toHex()]);
+    await advanceChains(1);
+
+    const result = await coordinator.handleSwapTimeout(swap.swapId);
+    assert.equal(result.status, SWAP_STATES.REFUNDED);
+
+    assert.equal(await bitcoind.getAddressBalance(swap.btcHtlcAddress), 0);
+    assert.equal(await bitcoind.getAddressBalance(user.address), HTLC_SATS - REFUND_FEE);
+
+    const persisted = await readPersistedSwap(swap.swapId);
+    assert.equal(persisted.status, SWAP_STATES.REFUNDED);
+    assert.deepEqual(persisted.statusHistory.map(entry => entry.status), [
+      SWAP_STATES.CREATED,
+      SWAP_STATES.INITIATED,
+      SWAP_STATES.REFUNDING,
+      SWAP_STATES.REFUNDED
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const ECPair = require('ecpair');
+const tinysecp256k1 = require('tiny-secp256k1');
+const BitcoinHTLC = require('../bitcoin/htlc');
+const BitcoinWallet = require('../bitcoin/wallet');
+
+const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
+
+const HTLC_SATS = 100000;
+const FEE = 2000;
+const LOCK_TIME = 500;
+
+describe('BitcoinHTLC', function () {
+  const htlc = new BitcoinHTLC('regtest');
+  const keys = new BitcoinWallet('regtest', {});
+
+  let recipient;
+  let sender;
+  let secret;
+  let hash;
+  let htlcOutput;
+
+  beforeEach(function () {
+    recipient = keys.generateKeyPair();
+    sender = keys.generateKeyPair();
+    ({ secret, hash } = htlc.generateSecret());
+    htlcOutput = htlc.createHTLCOutput(hash, recipient.publicKey, sender.publicKey, LOCK_TIME, HTLC_SATS);
+  });
+
+  /**
+   * A transaction paying the HTLC address, as a UTXO with its hex
+   */
+  function fundHTLC(value = HTLC_SATS) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(crypto.randomBytes(32), 0);
+    tx.addOutput(bitcoin.address.toOutputScript(htlcOutput.address, bitcoin.networks.regtest), value);
+    return { txid: tx.getId(), vout: 0, value, txHex: tx.toHex() };
+  }
+
+  /**
+   * Check an input's legacy P2SH signature against a public key
+   */
+  function assertSignedBy(tx, index, signatureChunk, publicKey) {
+    const { signature, hashType } = bitcoin.script.signature.decode(signatureChunk);
+    const sighash = tx.hashForSignature(index, htlcOutput.script, hashType);
+    assert.ok(ECPairFactory.fromPublicKey(Buffer.from(publicKey, 'hex')).verify(sighash, signature));
+  }
+
+  describe('createHTLCOutput', function () {
+    it('rejects addresses and keys that are not on the curve', function () {
+      assert.throws(
+        () => htlc.createHTLCOutput(hash, recipient.address, sender.publicKey, LOCK_TIME, HTLC_SATS),
+        /Bitcoin public key must be a compressed public key in hex/
+      );
+      assert.throws(
+        () => htlc.createHTLCOutput(hash, recipient.publicKey, '02' + '00'.repeat(32), LOCK_TIME, HTLC_SATS),
+        /Bitcoin public key must be a compressed public key in hex/
+      );
+    });
+
+    it('locks the claim to the recipient key and the refund to the refund key', function () {
+      assert.equal(htlc.getRecipientPubKey(htlcOutput.script).toString('hex'), recipient.publicKey);
+      assert.equal(htlc.getRefundPubKey(htlcOutput.script).toString('hex'), sender.publicKey);
+    });
+  });
+
+  describe('createClaimTransaction', function () {
+    it('spends every UTXO with the signature, secret and IF branch in the scriptSig', function () {
+      const utxos = [fundHTLC(60000), fundHTLC(40000)];
+      const excess = { address: sender.address, value: 10000 };
+
+      const tx = htlc.createClaimTransaction(htlcOutput, secret, recipient.privateKey, recipient.address, utxos, FEE, [excess]);
+
+      assert.equal(tx.ins.length, 2);
+      assert.equal(tx.outs[0].value, HTLC_SATS - FEE - excess.value);
+      assert.equal(tx.outs[1].value, excess.value);
+      tx.ins.forEach((input, index) => {
+        const [signature, preimage, branch, redeemScript] = bitcoin.script.decompile(input.script);
+        assert.ok(preimage.equals(secret));
+        assert.equal(branch, bitcoin.opcodes.OP_TRUE);
+        assert.ok(redeemScript.equals(htlcOutput.script));
+        assert.equal(input.sequence, 0xfffffffd);
+        assertSignedBy(tx, index, signature, recipient.publicKey);
+      });
+    });
+
+    it('reveals the secret to extractSecretFromTransaction', function () {
+      const tx = htlc.createClaimTransaction(htlcOutput, secret, recipient.privateKey, recipient.address, [fundHTLC()], FEE);
+
+      assert.ok(htlc.extractSecretFromTransaction(tx.toHex(), hash).equals(secret));
+    });
+
+    it('cannot be signed by the refund key', function () {
+      assert.throws(
+        () => htlc.createClaimTransaction(htlcOutput, secret, sender.privateKey, sender.address, [fundHTLC()], FEE),
+        /Private key is not the HTLC recipient key/
+      );
+    });
+  });
+
+  describe('createRefundTransaction', function () {
+    it('sets the lock time and signs the ELSE branch with the refund key', function () {
+      const tx = htlc.createRefundTransaction(htlcOutput, sender.privateKey, sender.address, [fundHTLC()], FEE);
+
+      assert.equal(tx.locktime, LOCK_TIME);
+      assert.equal(tx.outs[0].value, HTLC_SATS - FEE);
+      const [signature, branch, redeemScript] = bitcoin.script.decompile(tx.ins[0].script);
+      assert.equal(branch, bitcoin.opcodes.OP_FALSE);
+      assert.ok(redeemScript.equals(htlcOutput.script));
+      assert.equal(tx.ins[0].sequence, 0xfffffffd);
+      assertSignedBy(tx, 0, signature, sender.publicKey);
+
+      assert.equal(htlc.extractSecretFromTransaction(tx.toHex(), hash), null);
+    });
+
+    it('cannot be signed by the recipient key', function () {
+      assert.throws(
+        () => htlc.createRefundTransaction(htlcOutput, recipient.privateKey, recipient.address, [fundHTLC()], FEE),
+        /Private key is not the HTLC refund key/
+      );
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const ECPair = require('ecpair');
+const tinysecp256k1 = require('tiny-secp256k1');
+const { ethers } = require('ethers');
+const { loadConfig, resolveConfig } = require('../coordinator/Config');
+
+const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
+
+/**
+ * Service Bitcoin key and address for a network
+ */
+function createServiceKey(network) {
+  const keyPair = ECPairFactory.makeRandom({ network });
+  return {
+    serviceBtcPrivateKey: keyPair.toWIF(),
+    serviceBtcAddress: bitcoin.payments.p2wpkh({ pubkey: Buffer.from(keyPair.publicKey), network }).address
+  };
+}
+
+describe('Config', function () {
+  let required;
+
+  beforeEach(function () {
+    required = {
+      ...createServiceKey(bitcoin.networks.testnet),
+      ethereumRpcUrl: 'https://sepolia.example',
+      fusionResolverAddress: ethers.Wallet.createRandom().address,
+      privateKey: ethers.Wallet.createRandom().privateKey
+    };
+  });
+
+  /**
+   * Problems loadConfig reports for the given sources
+   */
+  function getProblems(sources) {
+    try {
+      loadConfig({ env: {}, file: null, ...sources });
+    } catch (error) {
+      return error.problems;
+    }
+    assert.fail('Expected an invalid configuration');
+  }
+
+  describe('presets', function () {
+    it('pairs testnet with Sepolia by default', function () {
+      const config = loadConfig({ env: {}, file: null, options: required });
+
+      assert.equal(config.bitcoinNetwork, 'testnet');
+      assert.equal(config.ethereumNetwork, 'sepolia');
+      assert.equal(config.chainId, 11155111);
+      assert.equal(config.requiredConfirmations, 3);
+      assert.equal(config.eventConfirmations, 6);
+    });
+
+    it('uses the Hardhat network\'s chain ID for regtest', function () {
+      const config = loadConfig({
+        env: {},
+        file: null,
+        options: {
+          ...required,
+          ...createServiceKey(bitcoin.networks.regtest),
+          bitcoinNetwork: 'regtest',
+          bitcoinRpcUrl: 'http://127.0.0.1:18443',
+          ethereumRpcUrl: undefined
+        }
+      });
+
+      assert.equal(config.ethereumNetwork, 'hardhat');
+      assert.equal(config.chainId, 1337);
+      assert.equal(config.ethereumRpcUrl, 'http://127.0.0.1:8545');
+      assert.equal(config.requiredConfirmations, 1);
+      assert.equal(config.eventConfirmations, 0);
+    });
+
+    it('lets explicit settings win over presets, with options over the environment over the file', function () {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+      const file = path.join(tempDir, 'config.json');
+      fs.writeFileSync(file, JSON.stringify({ ...required, requiredConfirmations: 5, eventConfirmations: 2 }));
+
+      try {
+        const config = loadConfig({
+          env: { REQUIRED_CONFIRMATIONS: '4', EVENT_CONFIRMATIONS: '3' },
+          file,
+          options: { eventConfirmations: 1 }
+        });
+
+        assert.equal(config.requiredConfirmations, 4);
+        assert.equal(config.eventConfirmations, 1);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('required settings', function () {
+    it('reports every missing setting at once', function () {
+      assert.deepEqual(getProblems({}), [
+        'ethereumRpcUrl (ETHEREUM_RPC_URL) is required',
+        'fusionResolverAddress (FUSION_RESOLVER_ADDRESS) is required',
+        'privateKey (PRIVATE_KEY) is required',
+        'serviceBtcAddress (SERVICE_BTC_ADDRESS) is required',
+        'serviceBtcPrivateKey (SERVICE_BTC_PRIVATE_KEY) is required'
+      ]);
+    });
+
+    it('makes the settings of injected backends optional, and every setting in partial mode', function () {
+      const config = loadConfig({
+        env: {},
+        file: null,
+        options: { serviceBtcAddress: required.serviceBtcAddress, serviceBtcPrivateKey: required.serviceBtcPrivateKey },
+        dependencies: { ethereumProvider: {}, fusionResolverContract: {}, ethereumWallet: {} }
+      });
+      assert.equal(config.privateKey, undefined);
+
+      assert.equal(loadConfig({ env: {}, file: null, partial: true }).chainId, 11155111);
+    });
+
+    it('requires bitcoinRpcUrl on regtest, which has no public API', function () {
+      const problems = getProblems({
+        options: { ...required, ...createServiceKey(bitcoin.networks.regtest), bitcoinNetwork: 'regtest' }
+      });
+
+      assert.deepEqual(problems, ['bitcoinRpcUrl (BITCOIN_RPC_URL) is required']);
+    });
+
+    it('checks values without echoing secrets', function () {
+      const problems = getProblems({
+        options: {
+          ...required,
+          privateKey: 'not a key',
+          serviceBtcAddress: createServiceKey(bitcoin.networks.bitcoin).serviceBtcAddress,
+          requiredConfirmations: 0
+        }
+      });
+
+      assert.equal(problems.length, 3);
+      assert.equal(problems[0], 'privateKey (PRIVATE_KEY) must be a 32-byte hex private key');
+      assert.match(problems[1], /^serviceBtcAddress \(SERVICE_BTC_ADDRESS\) must be a Bitcoin testnet address \(got "bc1/);
+      assert.equal(problems[2], 'requiredConfirmations (REQUIRED_CONFIRMATIONS) must be at least 1 (got 0)');
+    });
+
+    it('refuses unknown settings in the config file', function () {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+      const file = path.join(tempDir, 'config.json');
+      fs.writeFileSync(file, JSON.stringify({ ...required, requiredConfirmation: 2 }));
+
+      try {
+        assert.deepEqual(getProblems({ file }), [`Unknown setting requiredConfirmation in ${file}`]);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('network mismatches', function () {
+    it('refuses an Ethereum network the Bitcoin network cannot be paired with', function () {
+      const problems = getProblems({
+        options: { ...required, ...createServiceKey(bitcoin.networks.bitcoin), bitcoinNetwork: 'mainnet', ethereumNetwork: 'sepolia' }
+      });
+
+      assert.deepEqual(problems, ['bitcoinNetwork mainnet cannot be paired with ethereumNetwork sepolia (use mainnet)']);
+    });
+
+    it('refuses a chainId from another network', function () {
+      assert.deepEqual(getProblems({ options: { ...required, chainId: 1 } }), [
+        'chainId 1 does not match ethereumNetwork sepolia (chain 11155111)'
+      ]);
+      assert.deepEqual(getProblems({ env: { ETHEREUM_NETWORK: 'mainnet' }, options: { ...required, chainId: 31337 } }), [
+        'bitcoinNetwork testnet cannot be paired with ethereumNetwork mainnet (use sepolia)',
+        'chainId 31337 does not match ethereumNetwork mainnet (chain 1)'
+      ]);
+    });
+
+    it('accepts a chainId matching the network', function () {
+      assert.equal(resolveConfig({ ...required, chainId: 11155111 }).chainId, 11155111);
+      assert.throws(() => resolveConfig({ ...required, chainId: 5 }), /chainId 5 does not match ethereumNetwork sepolia/);
+    });
+  });
+});
@@ -0,0 +1,353 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const EthereumTxManager = require('../coordinator/EthereumTxManager');
+const StateManager = require('../coordinator/StateManager');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Logger = require('../coordinator/Logger');
+
+const GWEI = 10n ** 9n;
+const POLL_INTERVAL = 1000;
+const STUCK_TIMEOUT = 5 * POLL_INTERVAL;
+
+/**
+ * Node stand-in: a mempool of raw transactions, mined on demand
+ */
+class FakeNode {
+  constructor(address, minedNonce = 0) {
+    this.address = address;
+    this.minedNonce = minedNonce;
+    this.mempool = new Map();
+    this.receipts = new Map();
+    this.broadcasts = [];
+    this.broadcastError = null;
+    this.acceptOnError = false;
+    this.maxFeePerGas = 30n * GWEI;
+    this.maxPriorityFeePerGas = 2n * GWEI;
+  }
+
+  async getNetwork() {
+    return { chainId: 1n };
+  }
+
+  async getFeeData() {
+    return { maxFeePerGas: this.maxFeePerGas, maxPriorityFeePerGas: this.maxPriorityFeePerGas };
+  }
+
+  async getTransactionCount(address, blockTag) {
+    if (blockTag === 'latest') {
+      return this.minedNonce;
+    }
+    const nonces = [...this.mempool.values()].map(tx => tx.nonce + 1);
+    return Math.max(this.minedNonce, ...nonces);
+  }
+
+  async broadcastTransaction(rawTransaction) {
+    const tx = ethers.Transaction.from(rawTransaction);
+    this.broadcasts.push(tx);
+    if (this.broadcastError) {
+      if (this.acceptOnError) {
+        this.mempool.set(tx.hash, tx);
+      }
+      throw this.broadcastError;
+    }
+    this.mempool.set(tx.hash, tx);
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null;
+  }
+
+  /**
+   * Mine a transaction from the mempool, dropping others with its nonce
+   */
+  mine(hash, status = 1) {
+    const tx = this.mempool.get(hash);
+    for (const [otherHash, other] of this.mempool) {
+      if (other.nonce === tx.nonce) {
+        this.mempool.delete(otherHash);
+      }
+    }
+    this.minedNonce = Math.max(this.minedNonce, tx.nonce + 1);
+    this.receipts.set(hash, {
+      hash,
+      status,
+      blockNumber: 100 + this.receipts.size,
+      gasUsed: 21000n,
+      fee: 21000n * tx.maxFeePerGas,
+      confirmations: async () => 1
+    });
+  }
+}
+
+/**
+ * ethers error for a node reply, or for a request that never got one
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  if (code === 'UNKNOWN_ERROR') {
+    error.error = { code: -32000, message };
+  }
+  return error;
+}
+
+describe('EthereumTxManager', function () {
+  let tempDir;
+  let stateManager;
+  let clock;
+  let signer;
+  let node;
+  let manager;
+
+  beforeEach(async function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eth-tx-'));
+    const logger = new Logger({ sink: () => {} });
+    stateManager = new StateManager({ dataDir: tempDir, backupDir: path.join(tempDir, 'backups'), logger });
+    await stateManager.initialize();
+
+    clock = new ManualClock();
+    signer = ethers.Wallet.createRandom();
+    node = new FakeNode(signer.address, 5);
+    manager = createManager();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createManager(config = {}) {
+    const wallet = {
+      address: signer.address,
+      provider: node,
+      estimateGas: async () => 100000n,
+      signTransaction: tx => signer.signTransaction(tx)
+    };
+    return new EthereumTxManager(wallet, stateManager, {
+      clock,
+      logger: new Logger({ sink: () => {} }),
+      pollInterval: POLL_INTERVAL,
+      stuckTimeout: STUCK_TIMEOUT,
+      ...config
+    });
+  }
+
+  function send(id) {
+    return manager.sendTransaction(id, { to: ethers.ZeroAddress, data: '0x' });
+  }
+
+  /**
+   * Wait until `count` transactions are sleeping before their next receipt check
+   * Only tracking sets timers, since the manager is never started.
+   */
+  async function waitForTracking(count = 1) {
+    const deadline = Date.now() + 1000;
+    while (clock.pendingTimers < count) {
+      if (Date.now() > deadline) {
+        throw new Error(`${count - clock.pendingTimers} transaction(s) not tracked`);
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  /**
+   * Run the next receipt check of `count` tracked transactions
+   */
+  async function poll(count = 1, times = 1) {
+    for (let i = 0; i < times; i++) {
+      await waitForTracking(count);
+      await clock.advance(POLL_INTERVAL);
+    }
+    await waitForTracking(count);
+  }
+
+  function latestHash(record) {
+    return record.attempts[record.attempts.length - 1].hash;
+  }
+
+  describe('nonces', function () {
+    it('gives concurrent sends consecutive nonces from the chain\'s pending count', async function () {
+      const sends = ['a', 'b', 'c'].map(send);
+      await waitForTracking(3);
+
+      assert.deepEqual(node.broadcasts.map(tx => tx.nonce).sort(), [5, 6, 7]);
+
+      node.broadcasts.forEach(tx => node.mine(tx.hash));
+      await clock.advance(POLL_INTERVAL);
+      const results = await Promise.all(sends);
+      assert.deepEqual(results.map(result => result.nonce).sort(), [5, 6, 7]);
+    });
+
+    it('continues after the persisted pending transactions when restarted', async function () {
+      send('a').catch(() => {});
+      send('b').catch(() => {});
+      await waitForTracking(2);
+      // The node forgot them, so its pending count is back to 5
+      node.mempool.clear();
+
+      manager = createManager();
+      send('c').catch(() => {});
+      await waitForTracking(3);
+
+      assert.equal((await stateManager.getEthTransaction('c')).nonce, 7);
+    });
+
+    it('reuses the nonce of a transaction the node refused', async function () {
+      node.broadcastError = rpcError('INSUFFICIENT_FUNDS', 'insufficient funds for intrinsic transaction cost');
+      await assert.rejects(send('a'), /insufficient funds/);
+
+      const failed = await stateManager.getEthTransaction('a');
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.nonce, 5);
+
+      node.broadcastError = null;
+      send('b').catch(() => {});
+      await waitForTracking();
+      assert.equal((await stateManager.getEthTransaction('b')).nonce, 5);
+    });
+
+    it('treats any other error reply from the node as a refusal', async function () {
+      node.broadcastError = rpcError('UNKNOWN_ERROR', 'transaction underpriced');
+      await assert.rejects(send('a'), /transaction underpriced/);
+
+      assert.equal((await stateManager.getEthTransaction('a')).status, 'failed');
+    });
+  });
+
+  describe('sendTransaction', function () {
+    it('returns the confirmed result without sending again', async function () {
+      const sending = send('a');
+      await waitForTracking();
+      node.mine(node.broadcasts[0].hash);
+      await clock.advance(POLL_INTERVAL);
+      const result = await sending;
+
+      assert.deepEqual(await send('a'), result);
+      assert.equal(node.broadcasts.length, 1);
+      const record = await stateManager.getEthTransaction('a');
+      assert.equal(record.status, 'confirmed');
+      assert.equal(record.gasUsed, '21000');
+    });
+
+    it('keeps tracking a transaction whose broadcast timed out after the node took it', async function () {
+      node.broadcastError = rpcError('TIMEOUT', 'request timeout');
+      node.acceptOnError = true;
+
+      const sending = send('a');
+      await waitForTracking();
+      const record = await stateManager.getEthTransaction('a');
+      assert.equal(record.status, 'pending');
+      assert.ok(node.mempool.has(latestHash(record)));
+
+      // A second call for the same action waits instead of sending again
+      const again = send('a');
+      node.mine(latestHash(record));
+      await clock.advance(POLL_INTERVAL);
+
+      const result = await sending;
+      assert.equal(result.hash, latestHash(record));
+      assert.deepEqual(await again, result);
+      assert.deepEqual([...new Set(node.broadcasts.map(tx => tx.hash))], [result.hash]);
+      assert.equal((await stateManager.getEthTransaction('a')).status, 'confirmed');
+    });
+
+    it('keeps the nonce of an ambiguous broadcast taken', async function () {
+      node.broadcastError = rpcError('UNKNOWN_ERROR', 'already known');
+      node.acceptOnError = true;
+      send('a').catch(() => {});
+      await waitForTracking();
+
+      node.broadcastError = null;
+      node.mempool.clear();
+      send('b').catch(() => {});
+      await waitForTracking(2);
+
+      assert.equal((await stateManager.getEthTransaction('a')).status, 'pending');
+      assert.equal((await stateManager.getEthTransaction('b')).nonce, 6);
+    });
+
+    it('replaces an ambiguous broadcast the node never got once it is stuck', async function () {
+      node.broadcastError = rpcError('NETWORK_ERROR', 'socket hang up');
+      const sending = send('a');
+      await waitForTracking();
+      node.broadcastError = null;
+
+      await poll(1, STUCK_TIMEOUT / POLL_INTERVAL);
+
+      assert.equal(node.mempool.size, 1);
+      const [replacement] = node.mempool.values();
+      assert.equal(replacement.nonce, 5);
+      node.mine(replacement.hash);
+      await clock.advance(POLL_INTERVAL);
+      assert.equal((await sending).hash, replacement.hash);
+    });
+
+    it('fails a transaction whose nonce was mined by another transaction', async function () {
+      const failing = assert.rejects(send('a'), /Ethereum transaction a was replaced by another transaction/);
+      await waitForTracking();
+      node.mempool.clear();
+      node.minedNonce = 6;
+      await clock.advance(POLL_INTERVAL);
+
+      await failing;
+      const record = await stateManager.getEthTransaction('a');
+      assert.equal(record.status, 'failed');
+      assert.equal(record.error, 'Nonce 5 used by another transaction');
+    });
+
+    it('fails a transaction that reverted', async function () {
+      const failing = assert.rejects(send('a'), /reverted/);
+      await waitForTracking();
+      node.mine(node.broadcasts[0].hash, 0);
+      await clock.advance(POLL_INTERVAL);
+
+      await failing;
+      assert.equal((await stateManager.getEthTransaction('a')).status, 'failed');
+    });
+  });
+
+  describe('replacement', function () {
+    it('re-signs a stuck transaction with the same nonce and bumped fees', async function () {
+      const sending = send('a');
+      await poll(1, STUCK_TIMEOUT / POLL_INTERVAL - 1);
+      assert.equal(node.broadcasts.length, 1);
+      const [original] = node.broadcasts;
+
+      await poll();
+
+      assert.equal(node.broadcasts.length, 2);
+      const replacement = node.broadcasts[1];
+      assert.equal(replacement.nonce, original.nonce);
+      assert.equal(replacement.maxFeePerGas, 36n * GWEI);
+      assert.equal(replacement.maxPriorityFeePerGas, 2400000000n);
+      assert.equal((await stateManager.getEthTransaction('a')).attempts.length, 2);
+
+      // Either attempt confirms the transaction
+      node.mine(original.hash);
+      await clock.advance(POLL_INTERVAL);
+      assert.equal((await sending).hash, original.hash);
+    });
+
+    it('follows the network fee when it rose past the bump', async function () {
+      send('a').catch(() => {});
+      await waitForTracking();
+      node.maxFeePerGas = 50n * GWEI;
+
+      await poll(1, STUCK_TIMEOUT / POLL_INTERVAL);
+
+      assert.equal(node.broadcasts[1].maxFeePerGas, 50n * GWEI);
+    });
+
+    it('leaves a transaction at the fee cap waiting', async function () {
+      manager = createManager({ maxFeePerGasGwei: 30 });
+      send('a').catch(() => {});
+
+      await poll(1, STUCK_TIMEOUT / POLL_INTERVAL);
+
+      assert.equal(node.broadcasts.length, 1);
+      assert.equal((await stateManager.getEthTransaction('a')).feeCapReachedAt, clock.now());
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const BitcoinHTLC = require('../bitcoin/htlc');
+const EventIndexer = require('../coordinator/EventIndexer');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HOUR = 60 * 60 * 1000;
+const HTLC_SATS = 1000000;
+
+describe('EventIndexer', function () {
+  let sim;
+  let user;
+  let userEthAddress;
+  let queried;
+
+  beforeEach(function () {
+    sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+    user = sim.bitcoin.generateKeyPair();
+    userEthAddress = ethers.Wallet.createRandom().address;
+
+    // Record the block ranges read from the contract
+    queried = [];
+    const queryFilter = sim.resolver.queryFilter.bind(sim.resolver);
+    sim.resolver.queryFilter = (filter, fromBlock, toBlock) => {
+      queried.push([fromBlock, toBlock]);
+      return queryFilter(filter, fromBlock, toBlock);
+    };
+  });
+
+  afterEach(async function () {
+    await sim.stop();
+  });
+
+  function createIndexer(config = {}) {
+    return new EventIndexer(sim.coordinator, { confirmations: 0, ...config });
+  }
+
+  async function getSwapState(swapId) {
+    return sim.stateManager.getSwapState(swapId);
+  }
+
+  async function initiateSwap() {
+    return sim.coordinator.initiateBTCToETHSwap({
+      btcAmount: HTLC_SATS / 100000000,
+      ethTokenAddress: NATIVE_ETH,
+      ethAmount: 0.2,
+      userBtcAddress: user.address,
+      userBtcPublicKey: user.publicKey,
+      userEthAddress,
+      lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+    });
+  }
+
+  /**
+   * Refund a swap's expired order as another process would, without the coordinator
+   */
+  async function refundOrder(swapId) {
+    const { expiresAt } = await getSwapState(swapId);
+    await sim.clock.advance(expiresAt - sim.clock.now() + HOUR);
+    return sim.resolver.submit(sim.resolver.config.serviceAddress, 'refundSwap', [swapId, 'Expired']);
+  }
+
+  describe('cursor', function () {
+    it('backfills from the oldest swap in progress when it has no cursor and no startBlock', async function () {
+      sim.resolver.mine(5);
+      await sim.clock.advance(HOUR);
+      const swap = await initiateSwap();
+      const initiatedAt = await sim.resolver.getBlockNumber();
+      sim.resolver.mine(3);
+
+      // As if the coordinator stopped before recording the initiation
+      const stored = await getSwapState(swap.swapId);
+      stored.status = SWAP_STATES.CREATED;
+      await sim.stateManager.saveSwapState(swap.swapId, stored);
+
+      const head = await sim.resolver.getBlockNumber();
+      assert.equal(await createIndexer().sync(), head);
+
+      // Blocks mined before the swap was created are skipped
+      assert.deepEqual(queried, [[initiatedAt, head]]);
+      const swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.INITIATED);
+      assert.equal(swapState.ethSide.onChainOrder.blockNumber, initiatedAt);
+    });
+
+    it('starts at the safe head when no swap is in progress', async function () {
+      sim.resolver.mine(5);
+
+      assert.equal(await createIndexer({ confirmations: 2 }).sync(), await sim.resolver.getBlockNumber() - 2);
+      assert.deepEqual(queried, []);
+    });
+
+    it('saves its cursor after each batch and resumes from it', async function () {
+      const first = createIndexer({ startBlock: await sim.resolver.getBlockNumber() });
+      const start = await first.sync();
+      await initiateSwap();
+      await initiateSwap();
+      queried = [];
+
+      const restarted = createIndexer({ batchSize: 1 });
+      const head = await restarted.sync();
+
+      assert.equal(head, start + 2);
+      assert.deepEqual(queried, [[start + 1, start + 1], [start + 2, start + 2]]);
+      assert.equal((await sim.stateManager.getMetadata('event_indexer')).lastProcessedBlock, head);
+    });
+  });
+
+  it('only reconciles events the configured number of blocks deep', async function () {
+    const swap = await initiateSwap();
+    const indexer = createIndexer({ confirmations: 2 });
+    await indexer.sync();
+
+    const { hash } = await refundOrder(swap.swapId);
+    sim.resolver.mine(1);
+    await indexer.sync();
+    assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.INITIATED);
+
+    sim.resolver.mine(1);
+    await indexer.sync();
+
+    const swapState = await getSwapState(swap.swapId);
+    assert.equal(swapState.status, SWAP_STATES.REFUNDING);
+    assert.equal(swapState.ethRefundTxHash, hash);
+    assert.equal(swapState.ethSide.refundReason, 'Expired');
+  });
+
+  describe('events', function () {
+    it('records each event once, however often it is read', async function () {
+      const swap = await initiateSwap();
+      const startBlock = await sim.resolver.getBlockNumber();
+
+      await createIndexer({ startBlock }).sync();
+      await createIndexer({ startBlock, cursorKey: 'replay' }).sync();
+
+      const { ethSide } = await getSwapState(swap.swapId);
+      assert.deepEqual(ethSide.events.map(event => event.name), ['SwapInitiated']);
+      assert.equal(ethSide.onChainOrder.amountOut, ethers.parseEther(String(swap.ethAmount)).toString());
+    });
+
+    it('completes an ETH to BTC swap whose Ethereum claim the coordinator did not record', async function () {
+      const htlc = new BitcoinHTLC('testnet', { logger: new Logger({ sink: () => {} }) });
+      const { secret, hash } = htlc.generateSecret();
+      const swap = await sim.coordinator.initiateETHToBTCSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress,
+        secretHash: hash.toString('hex')
+      });
+      const { ethLock } = swap;
+      await sim.resolver.submit(userEthAddress, 'initiateSwap', [
+        ethLock.swapId, ethLock.tokenAddress, ethLock.amount, ethers.ZeroHash, ethLock.secretHash, ethLock.lockTime
+      ]);
+      await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.BTC_FUNDED);
+
+      const claim = await sim.resolver.submit(sim.resolver.config.serviceAddress, 'completeSwap', [
+        swap.swapId, '0x' + secret.toString('hex'), '0x01', [ethers.ZeroHash]
+      ]);
+      await sim.coordinator.eventIndexer.sync();
+
+      const swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.COMPLETED);
+      assert.equal(swapState.ethTxHash, claim.hash);
+      assert.deepEqual(
+        swapState.statusHistory.map(entry => entry.status).slice(-2),
+        [SWAP_STATES.ETH_CLAIMED, SWAP_STATES.COMPLETED]
+      );
+    });
+
+    it('updates the object a running flow holds and leaves its status to that flow', async function () {
+      const swap = await initiateSwap();
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      const inFlight = await getSwapState(swap.swapId);
+      sim.coordinator.advancingSwaps.set(swap.swapId, inFlight);
+      const { hash } = await refundOrder(swap.swapId);
+      await indexer.sync();
+
+      assert.equal(inFlight.status, SWAP_STATES.INITIATED);
+      assert.equal(inFlight.ethRefundTxHash, hash);
+      const stored = await getSwapState(swap.swapId);
+      assert.equal(stored.status, SWAP_STATES.INITIATED);
+      assert.equal(stored.ethSide.refundTxHash, hash);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const FusionOrderService = require('../coordinator/FusionOrderService');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const ORDER_HASH = '0x' + '0f'.repeat(32);
+
+const HTLC_SATS = 1000000;
+
+/**
+ * In-memory stand-in for @1inch/fusion-sdk's FusionSDK
+ * Quotes return twice the amount; order statuses are served from `statuses` in
+ * order, the last one repeating.
+ */
+function createSdk() {
+  const sdk = {
+    calls: [],
+    statuses: [{ status: 'pending', fills: [] }],
+    failure: null,
+
+    async getQuote(params) {
+      sdk.record('getQuote', params);
+      return {
+        quoteId: 'quote-1',
+        fromTokenAmount: BigInt(params.amount),
+        toTokenAmount: (BigInt(params.amount) * 2n).toString(),
+        recommendedPreset: 'fast',
+        prices: { usd: { fromToken: '1', toToken: '0.5' } },
+        volume: { usd: { fromToken: '10', toToken: '10' } },
+        presets: { fast: {} }
+      };
+    },
+
+    async placeOrder(params) {
+      sdk.record('placeOrder', params);
+      return {
+        orderHash: ORDER_HASH,
+        quoteId: 'quote-1',
+        order: { maker: params.walletAddress, makingAmount: params.amount },
+        signature: '0x5167',
+        extension: '0x',
+        quote: { presets: {} }
+      };
+    },
+
+    async getOrderStatus(orderHash) {
+      sdk.record('getOrderStatus', orderHash);
+      return {
+        auctionStartDate: 1704067200,
+        auctionDuration: 180,
+        ...(sdk.statuses.length > 1 ? sdk.statuses.shift() : sdk.statuses[0])
+      };
+    },
+
+    record(method, params) {
+      sdk.calls.push({ method, params });
+      if (sdk.failure) {
+        throw sdk.failure;
+      }
+    }
+  };
+  return sdk;
+}
+
+describe('FusionOrderService', function () {
+  let sdk;
+  let lines;
+  let service;
+
+  beforeEach(function () {
+    sdk = createSdk();
+    lines = [];
+    service = new FusionOrderService({ network: 1, sdk, logger: new Logger({ sink: line => lines.push(line) }) });
+  });
+
+  it('quotes with the amount as a string and returns a JSON-serializable summary', async function () {
+    const quote = await service.getQuote({ fromTokenAddress: USDC, toTokenAddress: NATIVE_ETH, amount: 1000000n });
+
+    assert.deepEqual(sdk.calls[0].params, { fromTokenAddress: USDC, toTokenAddress: NATIVE_ETH, amount: '1000000' });
+    assert.deepEqual(quote, {
+      quoteId: 'quote-1',
+      fromTokenAddress: USDC,
+      toTokenAddress: NATIVE_ETH,
+      fromTokenAmount: '1000000',
+      toTokenAmount: '2000000',
+      recommendedPreset: 'fast',
+      prices: { usd: { fromToken: '1', toToken: '0.5' } },
+      volume: { usd: { fromToken: '10', toToken: '10' } }
+    });
+  });
+
+  it('places an order from the wallet to the receiver and keeps only the order details', async function () {
+    const wallet = ethers.Wallet.createRandom().address;
+
+    const order = await service.placeOrder({
+      fromTokenAddress: USDC,
+      toTokenAddress: NATIVE_ETH,
+      amount: 5000000n,
+      walletAddress: wallet,
+      receiver: wallet
+    });
+
+    assert.deepEqual(sdk.calls[0], {
+      method: 'placeOrder',
+      params: { fromTokenAddress: USDC, toTokenAddress: NATIVE_ETH, amount: '5000000', walletAddress: wallet, receiver: wallet }
+    });
+    assert.deepEqual(order, {
+      orderHash: ORDER_HASH,
+      quoteId: 'quote-1',
+      order: { maker: wallet, makingAmount: '5000000' },
+      signature: '0x5167',
+      extension: '0x'
+    });
+    assert.doesNotThrow(() => JSON.stringify(order));
+  });
+
+  describe('order status', function () {
+    it('totals the taker amount of every fill', async function () {
+      sdk.statuses = [{
+        status: 'filled',
+        fills: [{ filledAuctionTakerAmount: '700' }, { filledAuctionTakerAmount: '300' }]
+      }];
+
+      const status = await service.getOrderStatus(ORDER_HASH);
+
+      assert.equal(sdk.calls[0].params, ORDER_HASH);
+      assert.equal(status.status, 'filled');
+      assert.equal(status.filledTakerAmount, '1000');
+      assert.equal(status.failed, false);
+      assert.equal(status.auctionDuration, 180);
+    });
+
+    it('flags statuses after which an order never fills', async function () {
+      for (const failed of ['expired', 'cancelled', 'not-enough-balance-or-allowance']) {
+        sdk.statuses = [{ status: failed }];
+
+        const status = await service.getOrderStatus(ORDER_HASH);
+
+        assert.equal(status.failed, true, failed);
+        assert.deepEqual(status.fills, []);
+        assert.equal(status.filledTakerAmount, '0');
+      }
+
+      sdk.statuses = [{ status: 'partially-filled', fills: [{ filledAuctionTakerAmount: '1' }] }];
+      assert.equal((await service.getOrderStatus(ORDER_HASH)).failed, false);
+    });
+  });
+
+  it('logs and rethrows SDK failures', async function () {
+    sdk.failure = new Error('Request failed with status code 400');
+
+    await assert.rejects(service.getQuote({ fromTokenAddress: USDC, toTokenAddress: NATIVE_ETH, amount: 1n }), sdk.failure);
+    await assert.rejects(service.placeOrder({ fromTokenAddress: USDC, toTokenAddress: NATIVE_ETH, amount: 1n }), sdk.failure);
+    await assert.rejects(service.getOrderStatus(ORDER_HASH), sdk.failure);
+
+    assert.deepEqual(lines.map(line => JSON.parse(line).msg), [
+      'Error getting Fusion quote',
+      'Error placing Fusion order',
+      'Error getting Fusion order status'
+    ]);
+    assert.equal(JSON.parse(lines[2]).orderHash, ORDER_HASH);
+  });
+
+  describe('sourcing swap output through the coordinator', function () {
+    this.timeout(20000);
+
+    let sim;
+    let user;
+
+    beforeEach(function () {
+      sim = new SwapSimulation({
+        logger: new Logger({ sink: () => {} }),
+        coordinator: { fusionSourceToken: USDC, fusionSlippageBps: 250 }
+      });
+      sim.coordinator.fusionOrders = new FusionOrderService({ network: 1, sdk, logger: new Logger({ sink: () => {} }) });
+      user = sim.bitcoin.generateKeyPair();
+    });
+
+    afterEach(async function () {
+      await sim.stop();
+    });
+
+    function initiateSwap() {
+      return sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress: ethers.Wallet.createRandom().address,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+      });
+    }
+
+    /**
+     * Let the initiation place its order and wait for the first status poll
+     */
+    async function waitForOrder() {
+      while (!sdk.calls.some(call => call.method === 'getOrderStatus')) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    it('sells the quoted source amount plus slippage and initiates once the order fills', async function () {
+      const initiation = initiateSwap();
+      await waitForOrder();
+
+      const [quoteCall, orderCall] = sdk.calls;
+      const amountOut = BigInt(quoteCall.params.amount);
+      assert.equal(quoteCall.params.fromTokenAddress, NATIVE_ETH);
+      assert.equal(quoteCall.params.toTokenAddress, USDC);
+      assert.deepEqual(orderCall.params, {
+        fromTokenAddress: USDC,
+        toTokenAddress: NATIVE_ETH,
+        amount: (amountOut * 2n * 10250n / 10000n).toString(),
+        walletAddress: sim.ethereumWallet.address,
+        receiver: sim.ethereumWallet.address
+      });
+
+      sdk.statuses = [{ status: 'filled', fills: [{ filledAuctionTakerAmount: amountOut.toString() }] }];
+      await sim.advance(15000);
+      const swap = await initiation;
+
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.INITIATED);
+      assert.equal(swapState.ethSide.fusionOrder.orderHash, ORDER_HASH);
+      assert.equal(swapState.ethSide.fusionOrder.minTakingAmount, amountOut.toString());
+      assert.equal(swapState.ethSide.fusionOrder.filledTakerAmount, amountOut.toString());
+      assert.equal(swapState.ethSide.fusionOrder.filledAt, sim.clock.now());
+    });
+
+    it('fails the swap when its order can no longer fill', async function () {
+      const initiation = initiateSwap().catch(error => error);
+      await waitForOrder();
+
+      sdk.statuses = [{ status: 'expired', fills: [] }];
+      await sim.advance(15000);
+
+      assert.equal((await initiation).message, 'Fusion order expired');
+      const [swapState] = [...sim.stateManager.swapStates.values()];
+      assert.equal(swapState.status, SWAP_STATES.FAILED);
+      assert.equal(swapState.failureReason, 'Fusion order expired');
+      assert.equal(swapState.ethSide.fusionOrder.status, 'expired');
+    });
+
+    it('fails the swap when the order is not filled in time', async function () {
+      const initiation = initiateSwap().catch(error => error);
+      await waitForOrder();
+
+      await sim.advance(sim.coordinator.config.fusionOrderTimeout + 15000);
+
+      assert.equal((await initiation).message, 'Fusion order not filled in time');
+    });
+
+    it('fails the swap without an order when the quote fails', async function () {
+      sdk.failure = new Error('Insufficient liquidity');
+
+      await assert.rejects(initiateSwap(), /^Error: Insufficient liquidity$/);
+
+      assert.deepEqual(sdk.calls.map(call => call.method), ['getQuote']);
+      const [swapState] = [...sim.stateManager.swapStates.values()];
+      assert.equal(swapState.status, SWAP_STATES.FAILED);
+      assert.equal(swapState.ethSide.fusionOrder, undefined);
+    });
+  });
+});
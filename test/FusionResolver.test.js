@@ -0,0 +1,108 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { ethers } = require('hardhat');
+
+const NATIVE_ETH_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const AMOUNT_OUT = ethers.parseEther('1');
+
+// completeSwap only checks that a proof is present
+const TX_PROOF = '0x01';
+const MERKLE_PROOF = [ethers.ZeroHash];
+
+describe('FusionResolver', function () {
+  let resolver;
+  let service;
+  let other;
+
+  beforeEach(async function () {
+    [service, other] = await ethers.getSigners();
+    resolver = await ethers.deployContract('FusionResolver');
+  });
+
+  /**
+   * Open a pending swap as the service, locked with `secretHash` for an hour
+   */
+  async function initiateSwap(secretHash, amountOut = AMOUNT_OUT) {
+    const swapId = ethers.hexlify(crypto.randomBytes(32));
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    await resolver.initiateSwap(swapId, NATIVE_ETH_ADDRESS, amountOut, ethers.ZeroHash, secretHash, timestamp + 3600);
+    return swapId;
+  }
+
+  describe('completeSwap', function () {
+    it('accepts the SHA-256 preimage the Bitcoin HTLC is locked with', async function () {
+      const secret = crypto.randomBytes(32);
+      const swapId = await initiateSwap('0x' + crypto.createHash('sha256').update(secret).digest('hex'));
+
+      const tx = await resolver.completeSwap(swapId, secret, TX_PROOF, MERKLE_PROOF);
+      const receipt = await tx.wait();
+
+      const [event] = receipt.logs.map(log => resolver.interface.parseLog(log));
+      assert.equal(event.name, 'SwapCompleted');
+      assert.equal(event.args.secret, ethers.hexlify(secret));
+      assert.equal(Number((await resolver.getSwapOrder(swapId)).status), 1);
+    });
+
+    it('rejects a secret that only matches a keccak256 hash', async function () {
+      const secret = crypto.randomBytes(32);
+      const swapId = await initiateSwap(ethers.keccak256(secret));
+
+      await assert.rejects(resolver.completeSwap(swapId, secret, TX_PROOF, MERKLE_PROOF), /Invalid secret/);
+      assert.equal(Number((await resolver.getSwapOrder(swapId)).status), 0);
+    });
+  });
+
+  describe('reduceSwapAmount', function () {
+    let swapId;
+
+    beforeEach(async function () {
+      swapId = await initiateSwap(ethers.hexlify(crypto.randomBytes(32)));
+    });
+
+    it('lowers the payout and emits SwapAmountReduced', async function () {
+      const amountOut = AMOUNT_OUT * 6n / 10n;
+
+      const tx = await resolver.reduceSwapAmount(swapId, amountOut);
+      const receipt = await tx.wait();
+
+      const [event] = receipt.logs.map(log => resolver.interface.parseLog(log));
+      assert.equal(event.name, 'SwapAmountReduced');
+      assert.equal(event.args.swapId, swapId);
+      assert.equal(event.args.user, service.address);
+      assert.equal(event.args.amountOut, amountOut);
+      assert.equal((await resolver.getSwapOrder(swapId)).amountOut, amountOut);
+    });
+
+    it('accepts the current amount as the upper bound', async function () {
+      await (await resolver.reduceSwapAmount(swapId, AMOUNT_OUT)).wait();
+
+      assert.equal((await resolver.getSwapOrder(swapId)).amountOut, AMOUNT_OUT);
+    });
+
+    it('rejects a zero amount or one above the current payout', async function () {
+      await assert.rejects(resolver.reduceSwapAmount(swapId, 0), /Invalid amount/);
+      await assert.rejects(resolver.reduceSwapAmount(swapId, AMOUNT_OUT + 1n), /Invalid amount/);
+      assert.equal((await resolver.getSwapOrder(swapId)).amountOut, AMOUNT_OUT);
+    });
+
+    it('only lets the swap initiator reduce it', async function () {
+      await assert.rejects(
+        resolver.connect(other).reduceSwapAmount(swapId, AMOUNT_OUT / 2n),
+        /Not swap initiator/
+      );
+    });
+
+    it('rejects unknown and settled swaps', async function () {
+      await assert.rejects(
+        resolver.reduceSwapAmount(ethers.hexlify(crypto.randomBytes(32)), AMOUNT_OUT),
+        /Swap does not exist/
+      );
+
+      const secret = crypto.randomBytes(32);
+      const completedId = await initiateSwap('0x' + crypto.createHash('sha256').update(secret).digest('hex'));
+      await (await resolver.completeSwap(completedId, secret, TX_PROOF, MERKLE_PROOF)).wait();
+      await assert.rejects(resolver.reduceSwapAmount(completedId, AMOUNT_OUT / 2n), /Swap not pending/);
+    });
+  });
+});
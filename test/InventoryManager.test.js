@@ -0,0 +1,221 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InventoryManager = require('../coordinator/InventoryManager');
+const StateManager = require('../coordinator/StateManager');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const { BTC_ASSET } = InventoryManager;
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+describe('InventoryManager', function () {
+  let tempDir;
+  let stateManager;
+  let clock;
+  let balances;
+  let reads;
+  let inventory;
+
+  beforeEach(async function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-'));
+    const logger = new Logger({ sink: () => {} });
+    stateManager = new StateManager({ dataDir: tempDir, backupDir: path.join(tempDir, 'backups'), logger });
+    await stateManager.initialize();
+
+    clock = new ManualClock();
+    balances = { [BTC_ASSET]: 1000000n, [USDC.toLowerCase()]: 500000000n };
+    reads = 0;
+    inventory = createInventory();
+  });
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createInventory() {
+    return new InventoryManager(stateManager, {
+      clock,
+      logger: new Logger({ sink: () => {} }),
+      balanceTtl: 60 * 1000,
+      readBalance: async (asset) => {
+        reads++;
+        return balances[asset];
+      }
+    });
+  }
+
+  /**
+   * Reserve for a new swap and store the reservation on it, as the coordinator does
+   */
+  async function createSwap(swapId, asset, amount, direction = 'ETH_TO_BTC') {
+    const swapState = {
+      swapId,
+      direction,
+      status: SWAP_STATES.INITIATED,
+      reservation: await inventory.reserve(swapId, asset, amount)
+    };
+    await stateManager.saveSwapState(swapId, swapState);
+    return swapState;
+  }
+
+  describe('reserve', function () {
+    it('holds the amount against the asset\'s balance', async function () {
+      const reservation = await inventory.reserve('a', BTC_ASSET, 300000n);
+
+      assert.deepEqual(reservation, { asset: BTC_ASSET, amount: '300000', status: 'held', reservedAt: clock.now() });
+      assert.deepEqual(await inventory.getAvailable(BTC_ASSET), {
+        asset: BTC_ASSET,
+        balance: 1000000n,
+        reserved: 300000n,
+        available: 700000n
+      });
+    });
+
+    it('refuses more than is available', async function () {
+      await inventory.reserve('a', BTC_ASSET, 600000n);
+
+      await assert.rejects(
+        inventory.reserve('b', BTC_ASSET, 400001n),
+        /Insufficient liquidity: 400001 BTC requested, 400000 available/
+      );
+      assert.equal((await inventory.getAvailable(BTC_ASSET)).reserved, 600000n);
+    });
+
+    it('does not let concurrent swaps claim the same balance', async function () {
+      const results = await Promise.allSettled([
+        inventory.reserve('a', BTC_ASSET, 600000n),
+        inventory.reserve('b', BTC_ASSET, 600000n),
+        inventory.reserve('c', BTC_ASSET, 400000n)
+      ]);
+
+      assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+      assert.equal((await inventory.getAvailable(BTC_ASSET)).available, 0n);
+    });
+
+    it('keys token reservations by lowercase address', async function () {
+      await inventory.reserve('a', USDC, 100000000n);
+
+      const { asset, reserved } = await inventory.getAvailable(USDC.toLowerCase());
+      assert.equal(asset, USDC.toLowerCase());
+      assert.equal(reserved, 100000000n);
+      assert.equal((await inventory.getAvailable(BTC_ASSET)).reserved, 0n);
+    });
+  });
+
+  it('releases a reservation that never made it onto a swap', async function () {
+    await inventory.reserve('a', BTC_ASSET, 300000n);
+
+    inventory.release('a');
+
+    assert.equal((await inventory.getAvailable(BTC_ASSET)).available, 1000000n);
+  });
+
+  it('lowers a held reservation but never raises it', async function () {
+    const swapState = await createSwap('a', BTC_ASSET, 300000n);
+
+    inventory.reduce(swapState, 200000n);
+    inventory.reduce(swapState, 250000n);
+
+    assert.equal(swapState.reservation.amount, '200000');
+    assert.equal((await inventory.getAvailable(BTC_ASSET)).reserved, 200000n);
+  });
+
+  describe('settle', function () {
+    it('consumes the reservation once the payout leaves the wallet and reads the new balance', async function () {
+      const swapState = await createSwap('a', BTC_ASSET, 300000n);
+      await inventory.getAvailable(BTC_ASSET);
+
+      swapState.status = SWAP_STATES.BTC_FUNDING;
+      inventory.settle(swapState);
+      assert.equal(swapState.reservation.status, 'held');
+
+      swapState.status = SWAP_STATES.BTC_FUNDED;
+      balances[BTC_ASSET] = 700000n;
+      inventory.settle(swapState);
+
+      assert.equal(swapState.reservation.status, 'consumed');
+      assert.equal(swapState.reservation.settledAt, clock.now());
+      assert.deepEqual(await inventory.getAvailable(BTC_ASSET), {
+        asset: BTC_ASSET,
+        balance: 700000n,
+        reserved: 0n,
+        available: 700000n
+      });
+    });
+
+    it('consumes a BTC to ETH reservation only once the service has paid out', async function () {
+      const swapState = await createSwap('a', USDC, 100000000n, 'BTC_TO_ETH');
+
+      swapState.status = SWAP_STATES.BTC_CONFIRMED;
+      inventory.settle(swapState);
+      assert.equal(swapState.reservation.status, 'held');
+
+      swapState.status = SWAP_STATES.ETH_CLAIMED;
+      inventory.settle(swapState);
+      assert.equal(swapState.reservation.status, 'consumed');
+    });
+
+    it('releases the reservation of a swap that will not pay out', async function () {
+      for (const status of [SWAP_STATES.FAILED, SWAP_STATES.EXPIRED, SWAP_STATES.REFUNDING, SWAP_STATES.REFUNDED]) {
+        const swapState = await createSwap(status, BTC_ASSET, 300000n);
+
+        swapState.status = status;
+        inventory.settle(swapState);
+
+        assert.equal(swapState.reservation.status, 'released');
+      }
+      assert.equal((await inventory.getAvailable(BTC_ASSET)).available, 1000000n);
+    });
+
+    it('leaves a settled reservation alone', async function () {
+      const swapState = await createSwap('a', BTC_ASSET, 300000n);
+      swapState.status = SWAP_STATES.REFUNDING;
+      inventory.settle(swapState);
+
+      swapState.status = SWAP_STATES.COMPLETED;
+      inventory.settle(swapState);
+
+      assert.equal(swapState.reservation.status, 'released');
+    });
+  });
+
+  it('caches balances for balanceTtl unless asked to refresh', async function () {
+    await inventory.getAvailable(BTC_ASSET);
+    balances[BTC_ASSET] = 2000000n;
+
+    await clock.advance(59 * 1000);
+    assert.equal((await inventory.getAvailable(BTC_ASSET)).balance, 1000000n);
+    assert.equal((await inventory.getAvailable(BTC_ASSET, { refresh: true })).balance, 2000000n);
+    assert.equal(reads, 2);
+
+    await clock.advance(60 * 1000);
+    await inventory.getAvailable(BTC_ASSET);
+    assert.equal(reads, 3);
+  });
+
+  it('reports no availability when reservations exceed the balance', async function () {
+    await inventory.reserve('a', BTC_ASSET, 800000n);
+    balances[BTC_ASSET] = 500000n;
+
+    const { reserved, available } = await inventory.getAvailable(BTC_ASSET, { refresh: true });
+
+    assert.equal(reserved, 800000n);
+    assert.equal(available, 0n);
+  });
+
+  it('restores held reservations from stored swaps', async function () {
+    await createSwap('held', BTC_ASSET, 300000n);
+    const released = await createSwap('released', BTC_ASSET, 200000n);
+    released.status = SWAP_STATES.REFUNDING;
+    inventory.settle(released);
+    await stateManager.saveSwapState(released.swapId, released);
+
+    inventory = createInventory();
+
+    assert.equal((await inventory.getAvailable(BTC_ASSET)).reserved, 300000n);
+    assert.deepEqual((await inventory.getSummary()).map(entry => entry.asset), [BTC_ASSET]);
+  });
+});
@@ -0,0 +1,217 @@
+const assert = require('assert');
+const JobScheduler = require('../coordinator/JobScheduler');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Logger = require('../coordinator/Logger');
+
+/**
+ * A promise with its resolve function, for runs that finish when told to
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+describe('JobScheduler', function () {
+  let clock;
+  let scheduler;
+
+  beforeEach(function () {
+    clock = new ManualClock();
+    scheduler = createScheduler();
+  });
+
+  afterEach(async function () {
+    await scheduler.stop();
+  });
+
+  function createScheduler(config = {}) {
+    return new JobScheduler({ clock, logger: new Logger({ sink: () => {} }), ...config });
+  }
+
+  /**
+   * Add a job that records when each run started, relative to now
+   */
+  function addRecordingJob(options, run = async () => {}) {
+    const runs = [];
+    const start = clock.now();
+    scheduler.addJob('job', async () => {
+      runs.push(clock.now() - start);
+      return run();
+    }, options);
+    return runs;
+  }
+
+  describe('addJob', function () {
+    it('refuses a duplicate name', function () {
+      scheduler.addJob('job', async () => {}, { interval: 1000 });
+
+      assert.throws(() => scheduler.addJob('job', async () => {}, { interval: 1000 }), /Job job already exists/);
+    });
+
+    it('refuses an interval that is not positive', function () {
+      assert.throws(() => scheduler.addJob('job', async () => {}, { interval: 0 }), /Job job needs a positive interval/);
+      assert.throws(() => scheduler.addJob('job', async () => {}, {}), /Job job needs a positive interval/);
+    });
+  });
+
+  describe('scheduling', function () {
+    it('runs a job every interval after it starts', async function () {
+      const runs = addRecordingJob({ interval: 1000 });
+
+      scheduler.start();
+      await clock.advance(3500);
+
+      assert.deepEqual(runs, [1000, 2000, 3000]);
+    });
+
+    it('runs a job right away with runOnStart', async function () {
+      const runs = addRecordingJob({ interval: 1000, runOnStart: true });
+
+      scheduler.start();
+      await clock.advance(1500);
+
+      assert.deepEqual(runs, [0, 1000]);
+    });
+
+    it('adds up to jitter milliseconds to each delay', async function () {
+      scheduler = createScheduler({ random: () => 0.5 });
+      const runs = addRecordingJob({ interval: 1000, jitter: 200 });
+
+      scheduler.start();
+      await clock.advance(3500);
+
+      assert.deepEqual(runs, [1100, 2200, 3300]);
+    });
+
+    it('starts only the named jobs', async function () {
+      let other = 0;
+      const runs = addRecordingJob({ interval: 1000 });
+      scheduler.addJob('other', async () => {
+        other++;
+      }, { interval: 1000 });
+
+      scheduler.start(['job']);
+      scheduler.start(['job']);
+      await clock.advance(1000);
+
+      assert.deepEqual(runs, [1000]);
+      assert.equal(other, 0);
+      assert.equal(clock.pendingTimers, 1);
+    });
+
+    it('keeps scheduling a job after a failed run and records the failure', async function () {
+      let calls = 0;
+      addRecordingJob({ interval: 1000 }, async () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error('node unreachable');
+        }
+      });
+
+      scheduler.start();
+      await clock.advance(2000);
+
+      const [status] = scheduler.getStatus();
+      assert.equal(status.runs, 2);
+      assert.equal(status.failures, 1);
+      assert.deepEqual(status.lastError, { message: 'node unreachable', at: clock.now() - 1000 });
+      assert.equal(status.lastSuccessAt, clock.now());
+      assert.equal(status.state, 'scheduled');
+      assert.equal(status.nextRunAt, clock.now() + 1000);
+    });
+  });
+
+  describe('runJob', function () {
+    it('shares a run in progress with every caller', async function () {
+      const finish = deferred();
+      const runs = addRecordingJob({ interval: 1000 }, () => finish.promise);
+
+      const first = scheduler.runJob('job');
+      const second = scheduler.runJob('job');
+      assert.equal(scheduler.getStatus()[0].state, 'running');
+      finish.resolve(42);
+
+      assert.equal(await first, 42);
+      assert.equal(await second, 42);
+      assert.equal(runs.length, 1);
+      assert.equal(scheduler.getStatus()[0].state, 'stopped');
+    });
+
+    it('rethrows a failed run to the caller', async function () {
+      scheduler.addJob('job', async () => {
+        throw new Error('node unreachable');
+      }, { interval: 1000 });
+
+      await assert.rejects(scheduler.runJob('job'), /node unreachable/);
+      assert.equal(scheduler.getStatus()[0].failures, 1);
+      await assert.rejects(scheduler.runJob('missing'), /Unknown job missing/);
+    });
+  });
+
+  describe('stop', function () {
+    it('cancels pending runs and waits for running ones', async function () {
+      const finish = deferred();
+      const runs = addRecordingJob({ interval: 1000 }, () => finish.promise);
+      scheduler.start();
+      const running = scheduler.runJob('job');
+
+      let stopped = false;
+      const stopping = scheduler.stop().then(() => {
+        stopped = true;
+      });
+      await clock.settle();
+      assert.equal(stopped, false);
+
+      finish.resolve();
+      await stopping;
+      await running;
+      assert.equal(clock.pendingTimers, 0);
+
+      await clock.advance(5000);
+      assert.equal(runs.length, 1);
+      assert.equal(scheduler.getStatus()[0].state, 'stopped');
+    });
+  });
+
+  describe('forEach', function () {
+    it('runs at most concurrency items at a time, across calls', async function () {
+      scheduler = createScheduler({ concurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+      const worker = async (item) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await clock.settle(2);
+        active--;
+        return item * 2;
+      };
+
+      const [first, second] = await Promise.all([
+        scheduler.forEach([1, 2, 3], worker),
+        scheduler.forEach([4, 5], worker)
+      ]);
+
+      assert.equal(maxActive, 2);
+      assert.deepEqual(first.map(entry => entry.result), [2, 4, 6]);
+      assert.deepEqual(second.map(entry => entry.result), [8, 10]);
+      assert.equal(scheduler.activeWorkers, 0);
+    });
+
+    it('reports a failing item without stopping the others', async function () {
+      const results = await scheduler.forEach(['a', 'b', 'c'], async (item) => {
+        if (item === 'b') {
+          throw new Error('swap b failed');
+        }
+        return item.toUpperCase();
+      });
+
+      assert.deepEqual(results.map(entry => entry.item), ['a', 'b', 'c']);
+      assert.equal(results[0].result, 'A');
+      assert.match(results[1].error.message, /swap b failed/);
+      assert.equal(results[2].result, 'C');
+    });
+  });
+});
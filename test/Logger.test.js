@@ -0,0 +1,124 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const ECPair = require('ecpair');
+const tinysecp256k1 = require('tiny-secp256k1');
+const { ethers } = require('ethers');
+const Logger = require('../coordinator/Logger');
+const StateEncryption = require('../coordinator/StateEncryption');
+
+const ECPairFactory = ECPair.ECPairFactory(tinysecp256k1);
+
+describe('Logger', function () {
+  let lines;
+  let logger;
+
+  beforeEach(function () {
+    lines = [];
+    logger = new Logger({ level: 'debug', sink: line => lines.push(line) });
+  });
+
+  function output() {
+    return lines.join('\n');
+  }
+
+  it('writes one JSON line with the level, message, context and fields', function () {
+    logger.child({ swapId: '0xabc' }).child({ chain: 'bitcoin' }).warn('Fee bumped', { txid: 'ff', fee: 1500n });
+
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.msg, 'Fee bumped');
+    assert.equal(entry.swapId, '0xabc');
+    assert.equal(entry.chain, 'bitcoin');
+    assert.equal(entry.fee, '1500');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('drops lines below its level', function () {
+    logger = new Logger({ level: 'warn', sink: line => lines.push(line) });
+
+    logger.info('Ignored');
+    logger.error('Kept');
+
+    assert.deepEqual(lines.map(line => JSON.parse(line).msg), ['Kept']);
+  });
+
+  describe('redaction', function () {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const ethPrivateKey = ethers.Wallet.createRandom().privateKey;
+    const btcPrivateKey = ECPairFactory.makeRandom({ network: bitcoin.networks.testnet }).toWIF();
+
+    it('redacts fields named like secrets and keys at any depth, keeping secretHash', function () {
+      logger.info('Swap state', {
+        swapState: {
+          btcSide: { secret, secretHash: 'bb'.repeat(32) },
+          steps: [{ privateKey: ethPrivateKey }]
+        },
+        config: { serviceBtcPrivateKey: btcPrivateKey, bitcoinRpcPass: 'hunter2-hunter2', oneinchApiKey: 'k'.repeat(32) }
+      });
+
+      const text = output();
+      for (const value of [secret, ethPrivateKey, btcPrivateKey, 'hunter2-hunter2', 'k'.repeat(32)]) {
+        assert.ok(!text.includes(value), `${value} was logged`);
+      }
+      const entry = JSON.parse(lines[0]);
+      assert.equal(entry.swapState.btcSide.secret, '[REDACTED]');
+      assert.equal(entry.swapState.btcSide.secretHash, 'bb'.repeat(32));
+      assert.equal(entry.config.serviceBtcPrivateKey, '[REDACTED]');
+    });
+
+    it('redacts registered values inside error messages and stacks, in every related logger', function () {
+      logger.redact(secret);
+      logger.redact(ethPrivateKey);
+      const child = logger.child({ component: 'test' });
+
+      const error = new Error(`Claim with secret ${secret} failed`);
+      error.privateKey = ethPrivateKey;
+      child.error('Claim failed', { error, details: { reason: `bad key 0x${ethPrivateKey.slice(2).toUpperCase()}` } });
+
+      const text = output();
+      assert.ok(!text.toLowerCase().includes(secret));
+      assert.ok(!text.toLowerCase().includes(ethPrivateKey.slice(2)));
+      const entry = JSON.parse(lines[0]);
+      assert.equal(entry.error.message, 'Claim with secret [REDACTED] failed');
+      assert.match(entry.error.stack, /^Error: Claim with secret \[REDACTED\] failed/);
+    });
+
+    it('stops redacting a value once it is forgotten', function () {
+      logger.redact(secret);
+      logger.forget(secret);
+
+      logger.info('Secret revealed on chain', { revealed: secret });
+
+      assert.ok(output().includes(secret));
+    });
+
+    it('redacts encrypted envelopes under any name', function () {
+      const encryption = new StateEncryption([crypto.randomBytes(32).toString('hex')]);
+      const record = encryption.encryptRecord(
+        { id: 'claim', data: '0xdeadbeef' + secret, btcSide: { secret } },
+        'tx:claim',
+        /^(data|secret)$/
+      );
+
+      logger.info('Stored transaction', { record });
+
+      const entry = JSON.parse(lines[0]);
+      assert.equal(entry.record.data, '[REDACTED]');
+      assert.equal(entry.record.btcSide.secret, '[REDACTED]');
+      assert.ok(!output().includes(record.data.wrappedKey));
+      assert.ok(!output().includes(record.data.data));
+    });
+
+    it('logs circular structures without failing', function () {
+      const swapState = { swapId: '0xabc', secret };
+      swapState.self = swapState;
+
+      logger.info('Circular', { swapState });
+
+      const entry = JSON.parse(lines[0]);
+      assert.equal(entry.swapState.self, '[Circular]');
+      assert.equal(entry.swapState.secret, '[REDACTED]');
+    });
+  });
+});
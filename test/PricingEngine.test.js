@@ -0,0 +1,194 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const PricingEngine = require('../coordinator/PricingEngine');
+const TokenRegistry = require('../coordinator/TokenRegistry');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Logger = require('../coordinator/Logger');
+
+const { NATIVE_ETH_ADDRESS } = TokenRegistry;
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+const FEE_RATE = 10; // sat/vB
+const FEE_PER_GAS = 20n * 10n ** 9n; // 20 gwei
+
+describe('PricingEngine', function () {
+  let tokens;
+  let clock;
+
+  beforeEach(function () {
+    tokens = new TokenRegistry(1);
+    clock = new ManualClock();
+  });
+
+  function createEngine(config = {}) {
+    return new PricingEngine({
+      tokens,
+      clock,
+      logger: new Logger({ sink: () => {} }),
+      getBtcFeeRate: async () => FEE_RATE,
+      getEthFeePerGas: async () => FEE_PER_GAS,
+      ...config
+    });
+  }
+
+  function feeAmounts(pricing) {
+    return Object.fromEntries(pricing.fees.map(fee => [fee.type, fee.amount]));
+  }
+
+  describe('ETH to BTC', function () {
+    // 0.01 BTC for 0.2 ETH
+    const swap = {
+      direction: 'ETH_TO_BTC',
+      btcAmount: 1000000n,
+      tokenAmount: ethers.parseEther('0.2'),
+      ethValue: ethers.parseEther('0.2')
+    };
+
+    it('takes the spread, miner fees and gas from the BTC payout', async function () {
+      const pricing = await createEngine({ spreadBps: 50 }).priceSwap({
+        ...swap,
+        token: tokens.getToken(NATIVE_ETH_ADDRESS)
+      });
+
+      assert.equal(pricing.payoutAsset, 'BTC');
+      assert.equal(pricing.payoutSymbol, 'BTC');
+      assert.equal(pricing.grossAmount, '0.01');
+      assert.deepEqual(feeAmounts(pricing), {
+        spread: '0.00005', // 50 bps of 1,000,000 sats
+        flat_fee: '0.0',
+        btc_claim_fee: '0.00003', // 300 vB at 10 sat/vB
+        btc_refund_fee: '0.000027', // 270 vB at 10 sat/vB
+        eth_gas: '0.00012' // 120,000 gas at 20 gwei is 0.0024 ETH, at 0.05 BTC/ETH
+      });
+      assert.equal(pricing.totalFee, '0.000227');
+      assert.equal(pricing.netAmount, '0.009773');
+      assert.equal(pricing.pricedAt, clock.now());
+
+      const gas = pricing.fees.find(fee => fee.type === 'eth_gas');
+      assert.equal(gas.gas, 120000);
+      assert.equal(gas.wei, '2400000000000000');
+      const claim = pricing.fees.find(fee => fee.type === 'btc_claim_fee');
+      assert.equal(claim.sats, '3000');
+    });
+
+    it('charges the flat fee in BTC and rounds fees up to the next satoshi', async function () {
+      const engine = createEngine({
+        spreadBps: 50,
+        feeSchedule: { ETH_TO_BTC: { default: { flatFee: 0.0001 } } }
+      });
+
+      const pricing = await engine.priceSwap({
+        ...swap,
+        btcAmount: 1000001n,
+        token: tokens.getToken(NATIVE_ETH_ADDRESS)
+      });
+
+      const fees = feeAmounts(pricing);
+      assert.equal(fees.flat_fee, '0.0001');
+      assert.equal(fees.spread, '0.00005001'); // 5000.005 sats, rounded up
+      assert.equal(fees.eth_gas, '0.00012001'); // 12000.012 sats, rounded up
+    });
+
+    it('refuses a swap its fees would use up', async function () {
+      await assert.rejects(
+        createEngine().priceSwap({ ...swap, btcAmount: 5000n, token: tokens.getToken(NATIVE_ETH_ADDRESS) }),
+        /Swap amount does not cover fees: 0.0000576 in fees on 0.00005/
+      );
+    });
+  });
+
+  describe('BTC to ETH', function () {
+    // 0.01 BTC for 500 USDC, worth 0.2 ETH
+    const swap = {
+      direction: 'BTC_TO_ETH',
+      btcAmount: 1000000n,
+      tokenAmount: 500000000n,
+      ethValue: ethers.parseEther('0.2')
+    };
+
+    it('converts network costs and a default flat fee in ETH into the token at the swap\'s rate', async function () {
+      const engine = createEngine({
+        feeSchedule: { BTC_TO_ETH: { default: { spreadBps: 30, flatFee: 0.001 } } }
+      });
+
+      const pricing = await engine.priceSwap({ ...swap, token: tokens.getToken(USDC) });
+
+      assert.equal(pricing.payoutAsset, USDC);
+      assert.equal(pricing.payoutSymbol, 'USDC');
+      assert.deepEqual(feeAmounts(pricing), {
+        spread: '1.5', // 30 bps of 500 USDC
+        flat_fee: '2.5', // 0.001 ETH at 2,500 USDC/ETH
+        btc_claim_fee: '1.5', // 3,000 sats at 50,000 USDC/BTC
+        btc_refund_fee: '1.35', // 2,700 sats
+        eth_gas: '16.0' // 320,000 gas at 20 gwei is 0.0064 ETH
+      });
+      assert.equal(pricing.totalFee, '22.85');
+      assert.equal(pricing.netAmount, '477.15');
+      assert.equal(pricing.fees.find(fee => fee.type === 'eth_gas').gas, 320000);
+    });
+
+    it('charges a token\'s own flat fee in the token', async function () {
+      const engine = createEngine({
+        feeSchedule: { BTC_TO_ETH: { default: { spreadBps: 30, flatFee: 0.001 }, [USDC]: { flatFee: 1 } } }
+      });
+
+      const pricing = await engine.priceSwap({ ...swap, token: tokens.getToken(USDC) });
+
+      const fees = feeAmounts(pricing);
+      assert.equal(fees.flat_fee, '1.0');
+      assert.equal(fees.spread, '1.5');
+    });
+  });
+
+  it('refuses unknown directions and amounts that are not positive', async function () {
+    const engine = createEngine();
+    const token = tokens.getToken(NATIVE_ETH_ADDRESS);
+    const swap = { direction: 'ETH_TO_BTC', token, btcAmount: 1000000n, tokenAmount: 1n, ethValue: 1n };
+
+    await assert.rejects(engine.priceSwap({ ...swap, direction: 'BTC_TO_SOL' }), /Unknown swap direction BTC_TO_SOL/);
+    await assert.rejects(engine.priceSwap({ ...swap, btcAmount: 0n }), /Swap amounts must be positive/);
+    await assert.rejects(engine.priceSwap({ ...swap, ethValue: -1n }), /Swap amounts must be positive/);
+  });
+
+  describe('getFeeTerms', function () {
+    it('falls back from the token entry to the direction default and then to spreadBps', function () {
+      const engine = createEngine({
+        spreadBps: 25,
+        feeSchedule: {
+          BTC_TO_ETH: { default: { flatFee: 0.002 }, [USDC]: { spreadBps: 10, flatFee: 2 } },
+          ETH_TO_BTC: { [USDC.toLowerCase()]: { spreadBps: 40 } }
+        }
+      });
+
+      assert.deepEqual(engine.getFeeTerms('BTC_TO_ETH', USDC.toLowerCase()), {
+        spreadBps: 10,
+        flatFee: 2,
+        flatFeeInEth: false
+      });
+      assert.deepEqual(engine.getFeeTerms('BTC_TO_ETH', NATIVE_ETH_ADDRESS), {
+        spreadBps: 25,
+        flatFee: 0.002,
+        flatFeeInEth: true
+      });
+      assert.deepEqual(engine.getFeeTerms('ETH_TO_BTC', USDC), { spreadBps: 40, flatFee: 0, flatFeeInEth: false });
+    });
+  });
+
+  describe('fee schedule', function () {
+    it('refuses tokens the registry does not list', function () {
+      const unlisted = '0x' + '11'.repeat(20);
+
+      assert.throws(
+        () => createEngine({ feeSchedule: { ETH_TO_BTC: { [unlisted]: { spreadBps: 10 } } } }),
+        new RegExp(`Fee schedule lists unsupported token ${unlisted}`)
+      );
+    });
+
+    it('refuses a flat fee finer than the token\'s decimals', function () {
+      assert.throws(
+        () => createEngine({ feeSchedule: { BTC_TO_ETH: { [USDC]: { flatFee: 0.0000001 } } } }),
+        /Fee schedule flat fee for 0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48: USDC amounts have at most 6 decimals/
+      );
+    });
+  });
+});
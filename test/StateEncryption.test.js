@@ -0,0 +1,268 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateEncryption = require('../coordinator/StateEncryption');
+const StateManager = require('../coordinator/StateManager');
+const Logger = require('../coordinator/Logger');
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+const SECRET = 'aa'.repeat(32);
+
+function createSwapState(swapId = crypto.randomBytes(32).toString('hex')) {
+  return {
+    swapId,
+    status: 'btc_confirmed',
+    createdAt: 1700000000000,
+    btcSide: { secret: SECRET, secretHash: 'bb'.repeat(32), amount: 0.01 },
+    service: { btcPrivateKey: 'cc'.repeat(32) }
+  };
+}
+
+describe('StateEncryption', function () {
+  let encryption;
+
+  beforeEach(function () {
+    encryption = new StateEncryption([OLD_KEY]);
+  });
+
+  it('encrypts secrets and private keys at any depth and decrypts them back', function () {
+    const swapState = createSwapState();
+
+    const stored = encryption.encryptRecord(swapState, `swap:${swapState.swapId}`);
+
+    assert.ok(encryption.isSealed(stored.btcSide.secret));
+    assert.ok(encryption.isSealed(stored.service.btcPrivateKey));
+    assert.equal(stored.btcSide.secretHash, swapState.btcSide.secretHash);
+    assert.ok(!JSON.stringify(stored).includes(SECRET));
+    assert.deepEqual(encryption.decryptRecord(stored, `swap:${swapState.swapId}`), swapState);
+  });
+
+  it('seals every value with its own data key', function () {
+    const first = encryption.seal(SECRET, 'swap:a');
+    const second = encryption.seal(SECRET, 'swap:a');
+
+    assert.notEqual(first.wrappedKey, second.wrappedKey);
+    assert.notEqual(first.data, second.data);
+  });
+
+  it('encrypts only the given fields', function () {
+    const record = { id: 'complete_1', data: '0x1234', attempts: [{ hash: '0xab', rawTransaction: '0x02f8' }] };
+    const fields = /^(data|rawTransaction)$/;
+
+    const stored = encryption.encryptRecord(record, 'tx:complete_1', fields);
+
+    assert.ok(encryption.isSealed(stored.data));
+    assert.ok(encryption.isSealed(stored.attempts[0].rawTransaction));
+    assert.equal(stored.attempts[0].hash, '0xab');
+    assert.deepEqual(encryption.decryptRecord(stored, 'tx:complete_1', fields), record);
+  });
+
+  it('does not decrypt a value moved into another record', function () {
+    const stored = encryption.encryptRecord(createSwapState('a'), 'swap:a');
+
+    assert.throws(() => encryption.decryptRecord(stored, 'swap:b'), /Unsupported state or unable to authenticate data/);
+  });
+
+  it('rejects a tampered value', function () {
+    const envelope = encryption.seal(SECRET, 'swap:a');
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+
+    assert.throws(() => encryption.open({ ...envelope, data: data.toString('base64') }, 'swap:a'));
+  });
+
+  it('reads version 1 values, which were sealed without their record', function () {
+    const key = StateEncryption.parseKey(OLD_KEY);
+    const dataKey = crypto.randomBytes(32);
+    const wrapped = encryption.encrypt(key, dataKey);
+    const sealed = encryption.encrypt(dataKey, Buffer.from(JSON.stringify(SECRET)));
+    const legacy = {
+      encrypted: 1,
+      keyId: StateEncryption.getKeyId(key),
+      wrappedKey: [wrapped.iv, wrapped.tag, wrapped.data].join('.'),
+      ...sealed
+    };
+
+    assert.equal(encryption.open(legacy, 'swap:a'), SECRET);
+    assert.ok(encryption.needsReencryption({ secret: legacy }));
+  });
+
+  it('leaves records unchanged without a key', function () {
+    const plain = new StateEncryption();
+    const swapState = createSwapState();
+
+    assert.equal(plain.enabled, false);
+    assert.equal(plain.encryptRecord(swapState, 'swap:a'), swapState);
+    assert.equal(plain.needsReencryption(swapState), false);
+  });
+
+  describe('key rotation', function () {
+    it('reads values under previous keys and seals new ones under the first key', function () {
+      const stored = encryption.encryptRecord(createSwapState('a'), 'swap:a');
+      const rotated = new StateEncryption([NEW_KEY, OLD_KEY]);
+
+      assert.equal(rotated.decryptRecord(stored, 'swap:a').btcSide.secret, SECRET);
+      assert.ok(rotated.needsReencryption(stored));
+
+      const resealed = rotated.encryptRecord(rotated.decryptRecord(stored, 'swap:a'), 'swap:a');
+      assert.equal(resealed.btcSide.secret.keyId, rotated.activeKeyId);
+      assert.ok(!rotated.needsReencryption(resealed));
+      assert.throws(() => new StateEncryption([NEW_KEY]).decryptRecord(stored, 'swap:a'), /Unknown state encryption key/);
+    });
+
+    it('flags plaintext fields for encryption', function () {
+      assert.ok(encryption.needsReencryption(createSwapState()));
+    });
+  });
+
+  it('accepts 32-byte keys in hex or base64 only', function () {
+    assert.equal(StateEncryption.parseKey(OLD_KEY).length, 32);
+    assert.equal(StateEncryption.parseKey(` ${NEW_KEY}\n`).length, 32);
+    assert.throws(() => StateEncryption.parseKey('abcd'), /State encryption key must be 32 bytes/);
+  });
+});
+
+describe('StateManager encryption', function () {
+  let tempDir;
+  let stateManager;
+
+  beforeEach(function () {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  });
+
+  afterEach(async function () {
+    if (stateManager) {
+      await stateManager.initialize().catch(() => {});
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  async function openStateManager(encryptionKeys) {
+    stateManager = new StateManager({
+      dataDir: tempDir,
+      backupDir: path.join(tempDir, 'backups'),
+      encryptionKeys,
+      logger: new Logger({ sink: () => {} })
+    });
+    await stateManager.initialize();
+    return stateManager;
+  }
+
+  /**
+   * Contents of every file the state manager wrote
+   */
+  function readAllFiles(dir = tempDir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).map(entry => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? readAllFiles(entryPath) : fs.readFileSync(entryPath, 'utf8');
+    }).join('\n');
+  }
+
+  /**
+   * A completeSwap transaction record, whose calldata carries the secret
+   */
+  function createTransaction(swapId) {
+    const data = '0x12345678' + SECRET;
+    return {
+      id: `complete_${swapId}`,
+      nonce: 0,
+      status: 'pending',
+      data,
+      attempts: [{ hash: '0x' + 'dd'.repeat(32), rawTransaction: '0x02f8' + data.slice(2), sentAt: 1 }]
+    };
+  }
+
+  it('keeps secrets and transaction calldata off the disk', async function () {
+    await openStateManager([OLD_KEY]);
+    const swapState = createSwapState();
+    const transaction = createTransaction(swapState.swapId);
+
+    await stateManager.saveSwapState(swapState.swapId, swapState);
+    await stateManager.saveEthTransaction(transaction);
+    await stateManager.saveMetadata('webhook_subscriptions', [{ id: 'w', secret: SECRET }]);
+
+    assert.ok(!readAllFiles().includes(SECRET));
+    assert.deepEqual(await stateManager.getEthTransaction(transaction.id), transaction);
+    assert.deepEqual(await stateManager.getEthTransactions(), [transaction]);
+    assert.deepEqual(await stateManager.getMetadata('webhook_subscriptions'), [{ id: 'w', secret: SECRET }]);
+  });
+
+  it('refuses a secret copied from another swap\'s file', async function () {
+    await openStateManager([OLD_KEY]);
+    const first = createSwapState();
+    const second = createSwapState();
+    await stateManager.saveSwapState(first.swapId, first);
+    await stateManager.saveSwapState(second.swapId, second);
+
+    const firstFile = path.join(tempDir, `swap_${first.swapId}.json`);
+    const secondFile = path.join(tempDir, `swap_${second.swapId}.json`);
+    const stored = JSON.parse(fs.readFileSync(secondFile, 'utf8'));
+    stored.btcSide.secret = JSON.parse(fs.readFileSync(firstFile, 'utf8')).btcSide.secret;
+    fs.writeFileSync(secondFile, JSON.stringify(stored));
+
+    stateManager.swapStates.clear();
+    await assert.rejects(stateManager.getSwapState(second.swapId), /unable to authenticate data/);
+  });
+
+  it('re-encrypts every file under a new key on startup', async function () {
+    await openStateManager([OLD_KEY]);
+    const swapState = createSwapState();
+    const transaction = createTransaction(swapState.swapId);
+    await stateManager.saveSwapState(swapState.swapId, swapState);
+    await stateManager.saveEthTransaction(transaction);
+    await stateManager.saveMetadata('watchtower', { lastProcessedBlock: 7 });
+
+    await openStateManager([NEW_KEY, OLD_KEY]);
+    assert.equal((await stateManager.getSwapState(swapState.swapId)).btcSide.secret, SECRET);
+
+    // Everything is readable with the new key alone
+    await openStateManager([NEW_KEY]);
+    assert.deepEqual(await stateManager.getSwapState(swapState.swapId), swapState);
+    assert.deepEqual(await stateManager.getEthTransaction(transaction.id), transaction);
+    const [backup] = fs.readdirSync(path.join(tempDir, 'backups'));
+    const storedBackup = JSON.parse(fs.readFileSync(path.join(tempDir, 'backups', backup), 'utf8'));
+    assert.equal(storedBackup.btcSide.secret.keyId, stateManager.encryption.activeKeyId);
+  });
+
+  it('encrypts files written in plaintext and reports what it rewrote', async function () {
+    await openStateManager();
+    const swapState = createSwapState();
+    await stateManager.saveSwapState(swapState.swapId, swapState);
+    await stateManager.saveEthTransaction(createTransaction(swapState.swapId));
+    assert.ok(readAllFiles().includes(SECRET));
+
+    await openStateManager([OLD_KEY]);
+    assert.ok(!readAllFiles().includes(SECRET));
+    assert.deepEqual(await stateManager.reencryptAll(), { files: 0, backups: 0, transactions: 0 });
+  });
+
+  it('reports a failed first load to the next caller instead of leaving it unhandled', async function () {
+    fs.writeFileSync(path.join(tempDir, 'keys'), 'not a key\n');
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      stateManager = new StateManager({
+        dataDir: tempDir,
+        encryptionKeyFile: path.join(tempDir, 'keys'),
+        logger: new Logger({ sink: () => {} })
+      });
+      // The load the constructor started fails on its own
+      while (stateManager.initializing) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+
+    assert.deepEqual(unhandled, []);
+    await assert.rejects(stateManager.initialize(), /State encryption key must be 32 bytes/);
+    stateManager = null;
+  });
+});
@@ -0,0 +1,449 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const { ethers } = require('ethers');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const BTC_AMOUNT = 0.01;
+const HTLC_SATS = 1000000;
+const HOUR = 60 * 60 * 1000;
+
+describe('SwapCoordinator', function () {
+  let sim;
+  let user;
+
+  afterEach(async function () {
+    await sim.stop();
+  });
+
+  function createSimulation(coordinator = {}) {
+    sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }), coordinator });
+    user = sim.bitcoin.generateKeyPair();
+  }
+
+  async function initiateSwap() {
+    return sim.coordinator.initiateBTCToETHSwap({
+      btcAmount: BTC_AMOUNT,
+      ethTokenAddress: NATIVE_ETH,
+      ethAmount: 0.2,
+      userBtcAddress: user.address,
+      userBtcPublicKey: user.publicKey,
+      userEthAddress: ethers.Wallet.createRandom().address,
+      lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+    });
+  }
+
+  /**
+   * Create an ETH to BTC swap and lock the user's ETH for it
+   */
+  async function initiateETHToBTCSwap() {
+    const userEthAddress = ethers.Wallet.createRandom().address;
+    const swap = await sim.coordinator.initiateETHToBTCSwap({
+      btcAmount: BTC_AMOUNT,
+      ethTokenAddress: NATIVE_ETH,
+      ethAmount: 0.2,
+      userBtcAddress: user.address,
+      userBtcPublicKey: user.publicKey,
+      userEthAddress,
+      secretHash: crypto.createHash('sha256').update(crypto.randomBytes(32)).digest('hex')
+    });
+
+    const { ethLock } = swap;
+    await sim.resolver.submit(userEthAddress, 'initiateSwap', [
+      ethLock.swapId, ethLock.tokenAddress, ethLock.amount, ethers.ZeroHash, ethLock.secretHash, ethLock.lockTime
+    ]);
+    return swap;
+  }
+
+  /**
+   * Make the Bitcoin node reject every broadcast until the returned function is called
+   */
+  function rejectBroadcasts() {
+    const broadcast = sim.bitcoin.broadcastTransaction;
+    sim.bitcoin.broadcastTransaction = async () => {
+      throw new Error('bad-txns-inputs-missingorspent');
+    };
+    return () => {
+      sim.bitcoin.broadcastTransaction = broadcast;
+    };
+  }
+
+  /**
+   * Pay the HTLC and confirm the payment
+   */
+  function fundHTLC(swap, sats) {
+    const txid = sim.bitcoin.fund(swap.btcHtlcAddress, sats);
+    sim.bitcoin.mine(3);
+    return txid;
+  }
+
+  async function getClaimTransaction(swapId) {
+    const swapState = await sim.stateManager.getSwapState(swapId);
+    return bitcoin.Transaction.fromHex(await sim.bitcoin.getTransactionHex(swapState.btcSide.claimTxId));
+  }
+
+  describe('initiateBTCToETHSwap', function () {
+    it('expires the swap when its Ethereum order becomes refundable', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.expiresAt, swap.ethLockTime * 1000);
+      assert.equal(Number((await sim.resolver.getSwapOrder(swap.swapId)).lockTime), swap.ethLockTime);
+    });
+  });
+
+  describe('HTLC funding', function () {
+    it('waits for an underfunded HTLC to be topped up by default', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+      fundHTLC(swap, HTLC_SATS * 0.6);
+
+      await assert.rejects(
+        sim.coordinator.completeBTCToETHSwap(swap.swapId),
+        /HTLC underfunded: 0.006 of 0.01 BTC received/
+      );
+      const waiting = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(waiting.status, SWAP_STATES.INITIATED);
+      assert.equal(waiting.btcSide.funding, undefined);
+
+      fundHTLC(swap, HTLC_SATS * 0.4);
+      const result = await sim.coordinator.completeBTCToETHSwap(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(result.funding.outcome, 'exact');
+      assert.equal(result.funding.settledAmount, HTLC_SATS);
+      const claim = await getClaimTransaction(swap.swapId);
+      assert.equal(claim.ins.length, 2);
+      assert.equal(claim.outs.length, 1);
+    });
+
+    it('settles an underfunded HTLC pro-rata and lowers the on-chain order', async function () {
+      createSimulation({ underpaymentPolicy: 'settle' });
+      const swap = await initiateSwap();
+      fundHTLC(swap, HTLC_SATS * 0.6);
+
+      const result = await sim.coordinator.completeBTCToETHSwap(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(result.funding.outcome, 'underpaid');
+      assert.equal(result.funding.received, HTLC_SATS * 0.6);
+      assert.equal(result.funding.settledAmount, HTLC_SATS * 0.6);
+
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.ok(swapState.ethSide.amount < swap.ethAmount);
+      assert.ok(swapState.ethSide.reduceTxHash);
+      const order = await sim.resolver.getSwapOrder(swap.swapId);
+      assert.equal(order.amountOut, ethers.parseEther(String(swapState.ethSide.amount)));
+      const reduced = sim.resolver.logs.find(log => log.eventName === 'SwapAmountReduced');
+      assert.equal(reduced.args.swapId, swap.swapId);
+      assert.equal(reduced.args.amountOut, order.amountOut);
+    });
+
+    it('does not settle an HTLC that received nothing', async function () {
+      createSimulation({ underpaymentPolicy: 'settle' });
+      const swap = await initiateSwap();
+
+      await assert.rejects(
+        sim.coordinator.completeBTCToETHSwap(swap.swapId),
+        /HTLC underfunded: 0.0 of 0.01 BTC received/
+      );
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).status, SWAP_STATES.INITIATED);
+    });
+
+    it('returns the excess of an overfunded HTLC to the user', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+      fundHTLC(swap, HTLC_SATS * 1.2);
+
+      const result = await sim.coordinator.completeBTCToETHSwap(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(result.funding.outcome, 'overpaid');
+      assert.equal(result.funding.settledAmount, HTLC_SATS);
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.btcSide.excessReturned, HTLC_SATS * 0.2);
+
+      const claim = await getClaimTransaction(swap.swapId);
+      const refund = claim.outs.find(output =>
+        output.script.equals(bitcoin.address.toOutputScript(user.address, bitcoin.networks.testnet)));
+      assert.equal(refund.value, HTLC_SATS * 0.2);
+      assert.equal(claim.outs[0].value, HTLC_SATS - swapState.btcSide.claimFee);
+    });
+  });
+
+  describe('ETH to BTC HTLC funding', function () {
+    let swap;
+    let restoreBroadcasts;
+
+    beforeEach(async function () {
+      createSimulation();
+      swap = await initiateETHToBTCSwap();
+
+      restoreBroadcasts = rejectBroadcasts();
+      await assert.rejects(sim.coordinator.fundETHToBTCSwap(swap.swapId), /bad-txns-inputs-missingorspent/);
+    });
+
+    it('keeps the signed funding transaction in btc_funding', async function () {
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+
+      assert.equal(swapState.status, SWAP_STATES.BTC_FUNDING);
+      assert.ok(swapState.btcSide.fundingTxHex);
+      assert.equal(swapState.reservation.status, 'held');
+    });
+
+    it('rebroadcasts the persisted funding transaction on resume', async function () {
+      restoreBroadcasts();
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+
+      const result = await sim.coordinator.resumeSwap(swapState);
+
+      assert.equal(result.status, SWAP_STATES.BTC_FUNDED);
+      assert.equal(result.btcFundingTxId, swapState.btcSide.fundingTxId);
+      assert.ok(sim.bitcoin.getMempool().includes(swapState.btcSide.fundingTxId));
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).status, SWAP_STATES.BTC_FUNDED);
+    });
+
+    it('waits for the swap to expire before giving up', async function () {
+      await sim.coordinator.monitorSwaps();
+
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).status, SWAP_STATES.BTC_FUNDING);
+    });
+
+    it('fails the swap and releases its reservation if the funding is still rejected at expiry', async function () {
+      const { expiresAt } = await sim.stateManager.getSwapState(swap.swapId);
+      await sim.advance(expiresAt - sim.clock.now() + 1);
+
+      await sim.coordinator.monitorSwaps();
+
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.FAILED);
+      assert.equal(swapState.failureReason, 'Bitcoin HTLC funding not broadcast: bad-txns-inputs-missingorspent');
+      assert.equal(swapState.reservation.status, 'released');
+      assert.deepEqual(await sim.bitcoin.getUTXOs(swap.btcHtlcAddress), []);
+    });
+  });
+
+  describe('re-quotes', function () {
+    let owner;
+    let swapState;
+
+    /**
+     * Quote a USDC payout, then let the price move 5% before the HTLC confirms.
+     * The mock quotes convert base units, so 500 USDC buys 0.2 ETH at 4e8.
+     */
+    beforeEach(async function () {
+      createSimulation();
+      owner = ethers.Wallet.createRandom();
+      const usdc = sim.coordinator.tokens.listTokens().find(token => token.symbol === 'USDC').address;
+      sim.resolver.setBalance(usdc, 10n ** 12n);
+      sim.quotes.setPrice(usdc, NATIVE_ETH, 4e8);
+
+      const swap = await sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: BTC_AMOUNT,
+        ethTokenAddress: usdc,
+        ethAmount: 500,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress: owner.address,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+      });
+      await sim.advance(11 * 60 * 1000);
+      sim.quotes.setPrice(usdc, NATIVE_ETH, 4.2e8);
+      fundHTLC(swap, HTLC_SATS);
+
+      const result = await sim.coordinator.completeBTCToETHSwap(swap.swapId);
+      assert.equal(result.status, SWAP_STATES.PRICE_OUT_OF_RANGE);
+      swapState = await sim.stateManager.getSwapState(swap.swapId);
+    });
+
+    it('names the swap, the re-quote and its amount in the signed message', function () {
+      const { requote } = swapState.ethSide;
+
+      assert.equal(
+        sim.coordinator.getRequoteMessage('accept', swapState),
+        `Accept the new price of swap ${swapState.swapId}\nQuote: ${requote.quoteId}\nAmount: ${requote.toTokenAmount}`
+      );
+    });
+
+    it('requires a signature from the swap owner', async function () {
+      const stranger = ethers.Wallet.createRandom();
+      const message = sim.coordinator.getRequoteMessage('accept', swapState);
+
+      await assert.rejects(
+        sim.coordinator.acceptSwapRequote(swapState.swapId),
+        /Swap owner signature is required/
+      );
+      await assert.rejects(
+        sim.coordinator.acceptSwapRequote(swapState.swapId, await stranger.signMessage(message)),
+        /Invalid swap owner signature/
+      );
+      await assert.rejects(
+        sim.coordinator.rejectSwapRequote(swapState.swapId, '0x1234'),
+        /Invalid swap owner signature/
+      );
+      assert.equal((await sim.stateManager.getSwapState(swapState.swapId)).status, SWAP_STATES.PRICE_OUT_OF_RANGE);
+    });
+
+    it('does not take an acceptance as a refusal', async function () {
+      const signature = await owner.signMessage(sim.coordinator.getRequoteMessage('accept', swapState));
+
+      await assert.rejects(
+        sim.coordinator.rejectSwapRequote(swapState.swapId, signature),
+        /Invalid swap owner signature/
+      );
+    });
+
+    it('claims the swap at the new price once the owner accepts', async function () {
+      const { requote } = swapState.ethSide;
+      const signature = await owner.signMessage(sim.coordinator.getRequoteMessage('accept', swapState));
+
+      const result = await sim.coordinator.acceptSwapRequote(swapState.swapId, signature);
+
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.deepEqual((await sim.stateManager.getSwapState(swapState.swapId)).ethSide.quote, requote);
+      assert.equal(Number((await sim.resolver.getSwapOrder(swapState.swapId)).status), 1);
+    });
+
+    it('refunds the swap once the owner declines', async function () {
+      const signature = await owner.signMessage(sim.coordinator.getRequoteMessage('reject', swapState));
+
+      const result = await sim.coordinator.rejectSwapRequote(swapState.swapId, signature);
+
+      assert.equal(result.status, SWAP_STATES.REFUNDING);
+      assert.equal(result.refundAfter, swapState.expiresAt);
+    });
+  });
+
+  describe('handleSwapTimeout', function () {
+    /**
+     * Move past a swap's expiry, into the next second so its Ethereum order is refundable
+     */
+    async function expire(swapId) {
+      const { expiresAt } = await sim.stateManager.getSwapState(swapId);
+      await sim.advance(expiresAt - sim.clock.now() + 1000);
+    }
+
+    it('refunds a BTC to ETH swap still waiting for its funding confirmations', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+      sim.bitcoin.fund(swap.btcHtlcAddress, HTLC_SATS);
+      sim.bitcoin.mine(1);
+      const rejected = assert.rejects(sim.coordinator.completeBTCToETHSwap(swap.swapId), /Swap expired/);
+      while (sim.coordinator.confirmationWaiters.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await expire(swap.swapId);
+
+      await sim.coordinator.monitorSwaps();
+      await rejected;
+
+      const swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.REFUNDING);
+      assert.ok(swapState.ethRefundTxHash);
+      assert.equal(Number((await sim.resolver.getSwapOrder(swap.swapId)).status), 2);
+      assert.equal(sim.coordinator.confirmationWaiters.size, 0);
+    });
+
+    it('refunds a BTC to ETH swap whose Ethereum claim failed after expiry', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+      fundHTLC(swap, HTLC_SATS);
+      await expire(swap.swapId);
+
+      await assert.rejects(sim.coordinator.completeBTCToETHSwap(swap.swapId), /Swap expired/);
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).status, SWAP_STATES.BTC_CONFIRMED);
+
+      const result = await sim.coordinator.handleSwapTimeout(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.REFUNDING);
+      assert.equal(result.btcRefundStatus, 'waiting_for_locktime');
+      assert.equal(Number((await sim.resolver.getSwapOrder(swap.swapId)).status), 2);
+    });
+
+    it('expires an ETH to BTC swap the service never funded instead of refunding it', async function () {
+      createSimulation();
+      const swap = await initiateETHToBTCSwap();
+      await expire(swap.swapId);
+
+      const result = await sim.coordinator.handleSwapTimeout(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.EXPIRED);
+      assert.equal(Number((await sim.resolver.getSwapOrder(swap.swapId)).status), 0);
+    });
+
+    it('refunds a funded ETH to BTC HTLC to the service once its lock time is reached', async function () {
+      createSimulation();
+      const swap = await initiateETHToBTCSwap();
+      await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+      sim.bitcoin.mine(1);
+      await expire(swap.swapId);
+      sim.bitcoin.mine(swap.btcLockTime - await sim.bitcoin.getBlockHeight());
+
+      await sim.coordinator.monitorSwaps();
+
+      let swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.REFUNDING);
+      assert.ok(sim.bitcoin.getMempool().includes(swapState.btcSide.refundTxId));
+      assert.equal(swapState.btcSide.refundFee, await sim.bitcoin.estimateFee(1, 1));
+
+      sim.bitcoin.mine(1);
+      await sim.coordinator.monitorSwaps();
+
+      swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.REFUNDED);
+      assert.equal(swapState.refundedAt, sim.clock.now());
+    });
+
+    it('fee-bumps an unconfirmed ETH to BTC refund until a version confirms', async function () {
+      createSimulation({ btcRefundBumpInterval: HOUR });
+      const swap = await initiateETHToBTCSwap();
+      await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+      sim.bitcoin.mine(1);
+      await expire(swap.swapId);
+      sim.bitcoin.mine(swap.btcLockTime - await sim.bitcoin.getBlockHeight());
+
+      const first = await sim.coordinator.handleSwapTimeout(swap.swapId);
+      assert.equal(first.status, SWAP_STATES.REFUNDING);
+      assert.equal(first.btcRefundStatus, 'broadcast');
+      const { refundFee } = (await sim.stateManager.getSwapState(swap.swapId)).btcSide;
+
+      // Not yet due for a bump
+      await sim.coordinator.handleSwapTimeout(swap.swapId);
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).btcSide.refundTxIds.length, 1);
+
+      await sim.advance(HOUR);
+      const bumped = await sim.coordinator.handleSwapTimeout(swap.swapId);
+
+      let swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.btcSide.refundFee, Math.ceil(refundFee * 1.5));
+      assert.deepEqual(swapState.btcSide.refundTxIds, [first.btcRefundTxId, bumped.btcRefundTxId]);
+      assert.deepEqual(sim.bitcoin.getMempool(), [bumped.btcRefundTxId]);
+
+      sim.bitcoin.mine(1);
+      const result = await sim.coordinator.handleSwapTimeout(swap.swapId);
+
+      assert.equal(result.status, SWAP_STATES.REFUNDED);
+      assert.equal(result.btcRefundTxId, bumped.btcRefundTxId);
+      swapState = await sim.stateManager.getSwapState(swap.swapId);
+      assert.equal(swapState.btcSide.refundTxId, bumped.btcRefundTxId);
+    });
+
+    it('never refunds a swap whose secret is public', async function () {
+      createSimulation();
+      const swap = await initiateSwap();
+      fundHTLC(swap, HTLC_SATS);
+      await sim.coordinator.completeBTCToETHSwap(swap.swapId);
+      await expire(swap.swapId);
+
+      await assert.rejects(
+        sim.coordinator.handleSwapTimeout(swap.swapId),
+        /Swap cannot be timed out in status completed/
+      );
+    });
+  });
+});
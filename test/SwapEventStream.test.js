@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const SwapEventStream = require('../coordinator/SwapEventStream');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const USER_ETH = '0x' + 'aA'.repeat(20);
+const OTHER_ETH = '0x' + 'bB'.repeat(20);
+
+describe('SwapEventStream', function () {
+  let stateManager;
+  let stream;
+
+  beforeEach(function () {
+    // Only the swapSaved events of the StateManager are used
+    stateManager = new EventEmitter();
+    stream = new SwapEventStream(stateManager);
+  });
+
+  function save(swapId, fields) {
+    stateManager.emit('swapSaved', swapId, {
+      swapId,
+      ethSide: { userAddress: USER_ETH },
+      btcSide: { userAddress: 'tb1quser' },
+      ...fields
+    });
+  }
+
+  function collect(filter) {
+    const events = [];
+    const unsubscribe = stream.subscribe(filter, event => events.push(event));
+    return { events, unsubscribe };
+  }
+
+  it('emits status transitions, new confirmation counts and new Ethereum transactions', function () {
+    const { events } = collect({ swapId: 'a' });
+
+    save('a', { status: SWAP_STATES.INITIATED, ethSide: { userAddress: USER_ETH, initTxHash: '0x01' } });
+    save('a', {
+      status: SWAP_STATES.BTC_FUNDED,
+      ethSide: { userAddress: USER_ETH, initTxHash: '0x01' },
+      btcConfirmation: { txId: 'ff', confirmations: 1, blockHash: 'b1', blockHeight: 201 }
+    });
+    // Nothing changed
+    save('a', {
+      status: SWAP_STATES.BTC_FUNDED,
+      ethSide: { userAddress: USER_ETH, initTxHash: '0x01' },
+      btcConfirmation: { txId: 'ff', confirmations: 1, blockHash: 'b1', blockHeight: 201 }
+    });
+
+    assert.deepEqual(events.map(({ id, timestamp, ...event }) => event), [
+      { type: 'status', swapId: 'a', status: 'initiated', previousStatus: null },
+      { type: 'eth_tx', swapId: 'a', kind: 'initiate', txHash: '0x01' },
+      { type: 'status', swapId: 'a', status: 'btc_funded', previousStatus: 'initiated' },
+      { type: 'btc_confirmations', swapId: 'a', txId: 'ff', confirmations: 1, blockHash: 'b1', blockHeight: 201 }
+    ]);
+    assert.deepEqual(events.map(event => event.id), [1, 2, 3, 4]);
+  });
+
+  it('fans each event out to every subscriber of the swap or its user', function () {
+    const bySwap = collect({ swapId: 'a' });
+    const byAddress = collect({ address: USER_ETH.toLowerCase() });
+    const byBtcAddress = collect({ address: 'tb1quser' });
+    const other = collect({ address: OTHER_ETH });
+
+    save('a', { status: SWAP_STATES.INITIATED });
+    save('b', { status: SWAP_STATES.INITIATED });
+
+    assert.deepEqual(bySwap.events.map(event => event.swapId), ['a']);
+    assert.deepEqual(byAddress.events.map(event => event.swapId), ['a', 'b']);
+    assert.deepEqual(byBtcAddress.events.map(event => event.swapId), ['a', 'b']);
+    assert.deepEqual(other.events, []);
+    // Subscribers see the same event
+    assert.equal(bySwap.events[0].id, byAddress.events[0].id);
+  });
+
+  it('stops calling a listener once it unsubscribes', function () {
+    const kept = collect({ swapId: 'a' });
+    const dropped = collect({ swapId: 'a' });
+
+    save('a', { status: SWAP_STATES.INITIATED });
+    dropped.unsubscribe();
+    save('a', { status: SWAP_STATES.BTC_FUNDED });
+
+    assert.equal(kept.events.length, 2);
+    assert.equal(dropped.events.length, 1);
+    assert.equal(stream.emitter.listenerCount('event'), 1);
+  });
+
+  describe('snapshots', function () {
+    it('forgets a terminal swap nobody is watching', function () {
+      save('a', { status: SWAP_STATES.INITIATED });
+      save('a', { status: SWAP_STATES.COMPLETED });
+
+      assert.equal(stream.snapshots.has('a'), false);
+    });
+
+    it('keeps a terminal swap until its last subscriber leaves', function () {
+      const bySwap = collect({ swapId: 'a' });
+      const byAddress = collect({ address: USER_ETH });
+
+      save('a', { status: SWAP_STATES.REFUNDED });
+      save('b', { status: SWAP_STATES.REFUNDING });
+      assert.deepEqual([...stream.snapshots.keys()], ['a', 'b']);
+
+      bySwap.unsubscribe();
+      assert.deepEqual([...stream.snapshots.keys()], ['a', 'b']);
+
+      byAddress.unsubscribe();
+      // The swap still in progress is kept to diff its next save
+      assert.deepEqual([...stream.snapshots.keys()], ['b']);
+    });
+  });
+});
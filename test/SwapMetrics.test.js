@@ -0,0 +1,176 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+const MetricsRegistry = require('../coordinator/MetricsRegistry');
+const SwapMetrics = require('../coordinator/SwapMetrics');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HOUR = 60 * 60 * 1000;
+const HTLC_SATS = 1000000;
+
+/**
+ * Value of one series in a Prometheus text exposition, or undefined
+ */
+function metricValue(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(series + ' '));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('MetricsRegistry', function () {
+  let registry;
+
+  beforeEach(function () {
+    registry = new MetricsRegistry();
+  });
+
+  it('renders counters and gauges with one line per label set', function () {
+    const counter = registry.counter('requests_total', 'Requests');
+    const gauge = registry.gauge('queue_depth', 'Queued jobs');
+
+    counter.inc({ route: '/a' });
+    counter.inc({ route: '/a' }, 2);
+    counter.inc({ route: 'say "hi"\n' });
+    gauge.set({}, 5);
+    gauge.set({}, 3);
+
+    assert.equal(registry.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a"} 3',
+      'requests_total{route="say \\"hi\\"\\n"} 1',
+      '# HELP queue_depth Queued jobs',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      ''
+    ].join('\n'));
+
+    gauge.reset();
+    assert.equal(metricValue(registry.render(), 'queue_depth'), undefined);
+  });
+
+  it('renders cumulative histogram buckets, sum and count', function () {
+    const histogram = registry.histogram('wait_seconds', 'Wait', [1, 10]);
+
+    histogram.observe({ kind: 'a' }, 0.5);
+    histogram.observe({ kind: 'a' }, 5);
+    histogram.observe({ kind: 'a' }, 50);
+
+    const text = registry.render();
+    assert.equal(metricValue(text, 'wait_seconds_bucket{kind="a",le="1"}'), 1);
+    assert.equal(metricValue(text, 'wait_seconds_bucket{kind="a",le="10"}'), 2);
+    assert.equal(metricValue(text, 'wait_seconds_bucket{kind="a",le="+Inf"}'), 3);
+    assert.equal(metricValue(text, 'wait_seconds_sum{kind="a"}'), 55.5);
+    assert.equal(metricValue(text, 'wait_seconds_count{kind="a"}'), 3);
+  });
+
+  it('refuses duplicate names and decreasing counters', function () {
+    const counter = registry.counter('requests_total', 'Requests');
+
+    assert.throws(() => registry.gauge('requests_total', 'Again'), /^Error: Metric requests_total already registered$/);
+    assert.throws(() => counter.inc({}, -1), /^Error: Counter requests_total cannot decrease$/);
+  });
+});
+
+describe('SwapMetrics', function () {
+  this.timeout(20000);
+
+  it('counts quote requests, their failures and latency', async function () {
+    const metrics = new SwapMetrics({ getSwapStatistics: async () => ({ byDirectionAndStatus: {}, htlcValueLocked: 0 }) });
+
+    metrics.recordQuote(200);
+    metrics.recordQuote(3000, new Error('Quote API unavailable'));
+
+    const text = await metrics.collect();
+    assert.equal(metricValue(text, 'swap_quote_duration_seconds_count'), 2);
+    assert.equal(metricValue(text, 'swap_quote_duration_seconds_sum'), 3.2);
+    assert.equal(metricValue(text, 'swap_quote_duration_seconds_bucket{le="0.25"}'), 1);
+    assert.equal(metricValue(text, 'swap_quote_errors_total'), 1);
+  });
+
+  describe('after a swap lifecycle', function () {
+    let sim;
+    let user;
+
+    beforeEach(function () {
+      sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+      user = sim.bitcoin.generateKeyPair();
+    });
+
+    afterEach(async function () {
+      await sim.stop();
+    });
+
+    async function initiateSwap() {
+      return sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress: ethers.Wallet.createRandom().address,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+      });
+    }
+
+    function phase(name) {
+      return `{direction="BTC_TO_ETH",phase="${name}"}`;
+    }
+
+    it('records swap counts, locked value, phase durations and Ethereum transactions of a completed swap', async function () {
+      const swap = await initiateSwap();
+      let text = await sim.coordinator.getMetrics();
+      assert.equal(metricValue(text, 'swap_swaps{direction="BTC_TO_ETH",status="initiated"}'), 1);
+      assert.equal(metricValue(text, 'swap_htlc_value_locked_btc'), 0);
+      assert.equal(metricValue(text, 'swap_eth_transactions_total{action="initiate"}'), 1);
+
+      sim.bitcoin.fund(swap.btcHtlcAddress, HTLC_SATS);
+      sim.bitcoin.mine(1);
+      sim.coordinator.startMonitoring();
+      const completion = sim.coordinator.completeBTCToETHSwap(swap.swapId);
+      while (sim.coordinator.confirmationWaiters.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // Funded and waiting for confirmations
+      text = await sim.coordinator.getMetrics();
+      assert.equal(metricValue(text, 'swap_swaps{direction="BTC_TO_ETH",status="btc_funded"}'), 1);
+      assert.equal(metricValue(text, 'swap_swaps{direction="BTC_TO_ETH",status="initiated"}'), undefined);
+      assert.equal(metricValue(text, 'swap_htlc_value_locked_btc'), HTLC_SATS / 100000000);
+
+      await sim.advance(30 * 60 * 1000);
+      sim.bitcoin.mine(5);
+      await sim.advance(10 * 60 * 1000);
+      assert.equal((await completion).status, SWAP_STATES.COMPLETED);
+
+      text = await sim.coordinator.getMetrics();
+      assert.equal(metricValue(text, 'swap_swaps{direction="BTC_TO_ETH",status="completed"}'), 1);
+      assert.equal(metricValue(text, 'swap_htlc_value_locked_btc'), 0);
+      for (const name of ['created', 'initiated', 'btc_funded', 'btc_confirmed', 'eth_claimed']) {
+        assert.equal(metricValue(text, `swap_phase_duration_seconds_count${phase(name)}`), 1, name);
+      }
+      const fundedSeconds = metricValue(text, `swap_phase_duration_seconds_sum${phase('btc_funded')}`);
+      assert.ok(fundedSeconds >= 30 * 60, `funded for ${fundedSeconds}s`);
+      assert.equal(metricValue(text, 'swap_btc_confirmation_wait_seconds_sum{direction="BTC_TO_ETH"}'), fundedSeconds);
+      assert.equal(metricValue(text, 'swap_btc_confirmation_wait_seconds_count{direction="BTC_TO_ETH"}'), 1);
+      assert.equal(metricValue(text, 'swap_eth_transactions_total{action="complete"}'), 1);
+      assert.equal(metricValue(text, 'swap_refunds_total{direction="BTC_TO_ETH"}'), undefined);
+    });
+
+    it('counts a refunded swap once', async function () {
+      const swap = await initiateSwap();
+      const { expiresAt } = await sim.stateManager.getSwapState(swap.swapId);
+      sim.coordinator.startMonitoring();
+
+      await sim.advance(expiresAt - sim.clock.now() + HOUR);
+
+      const text = await sim.coordinator.getMetrics();
+      assert.equal(metricValue(text, 'swap_swaps{direction="BTC_TO_ETH",status="refunded"}'), 1);
+      assert.equal(metricValue(text, 'swap_refunds_total{direction="BTC_TO_ETH"}'), 1);
+      assert.equal(metricValue(text, `swap_phase_duration_seconds_count${phase('refunding')}`), 1);
+      assert.equal(metricValue(text, 'swap_eth_transactions_total{action="refund"}'), 1);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const Logger = require('../coordinator/Logger');
+const { importFrontend, callRoute } = require('./helpers/frontend');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const USER_PUBLIC_KEY = '02' + 'ab'.repeat(32);
+
+describe('Swap API routes', function () {
+  let calls;
+
+  beforeEach(function () {
+    calls = [];
+    const record = method => async (params) => {
+      calls.push({ method, params });
+      return { swapId: '0x' + '11'.repeat(32), btcHtlcAddress: 'tb1qhtlc' };
+    };
+
+    // getSwapService returns the cached service instead of starting a coordinator
+    global.swapService = {
+      coordinator: {
+        initiateBTCToETHSwap: record('initiateBTCToETHSwap'),
+        initiateETHToBTCSwap: record('initiateETHToBTCSwap')
+      },
+      logger: new Logger({ sink: () => {} })
+    };
+  });
+
+  afterEach(function () {
+    delete global.swapService;
+  });
+
+  describe('POST /api/swaps/create', function () {
+    let handler;
+    let body;
+
+    before(async function () {
+      handler = (await importFrontend('pages/api/swaps/create.js')).default;
+    });
+
+    beforeEach(function () {
+      body = {
+        btcAmount: 0.01,
+        ethAmount: 0.2,
+        btcAddress: 'tb1quser',
+        btcPublicKey: USER_PUBLIC_KEY,
+        ethAddress: ethers.Wallet.createRandom().address,
+        lockTime: 24
+      };
+    });
+
+    it('passes the public key to a BTC to ETH swap as its HTLC refund key', async function () {
+      const response = await callRoute(handler, { method: 'POST', body: { ...body, maxSlippageBps: 50 } });
+
+      assert.equal(response.statusCode, 201);
+      assert.equal(response.body.direction, 'BTC_TO_ETH');
+      assert.equal(calls.length, 1);
+      const { method, params } = calls[0];
+      assert.equal(method, 'initiateBTCToETHSwap');
+      assert.equal(params.userBtcPublicKey, USER_PUBLIC_KEY);
+      assert.equal(params.ethTokenAddress, NATIVE_ETH);
+      assert.equal(params.maxSlippageBps, 50);
+    });
+
+    it('passes the public key to an ETH to BTC swap as its HTLC claim key', async function () {
+      const secretHash = '0x' + crypto.randomBytes(32).toString('hex');
+
+      const response = await callRoute(handler, {
+        method: 'POST',
+        body: { ...body, direction: 'ETH_TO_BTC', secretHash }
+      });
+
+      assert.equal(response.statusCode, 201);
+      assert.equal(calls.length, 1);
+      const { method, params } = calls[0];
+      assert.equal(method, 'initiateETHToBTCSwap');
+      assert.equal(params.userBtcPublicKey, USER_PUBLIC_KEY);
+      assert.equal(params.secretHash, secretHash);
+      assert.equal(params.lockTime, 24);
+    });
+
+    for (const direction of ['BTC_TO_ETH', 'ETH_TO_BTC']) {
+      it(`refuses ${direction} swaps without a compressed public key`, async function () {
+        const { btcPublicKey, ...withoutKey } = body;
+
+        const missing = await callRoute(handler, { method: 'POST', body: { ...withoutKey, direction } });
+        assert.equal(missing.statusCode, 400);
+        assert.deepEqual(missing.body.error, { code: 'VALIDATION_ERROR', message: 'btcPublicKey is required' });
+
+        for (const invalid of ['tb1quser', '04' + 'ab'.repeat(64), btcPublicKey.slice(0, -2)]) {
+          const response = await callRoute(handler, { method: 'POST', body: { ...body, direction, btcPublicKey: invalid } });
+          assert.equal(response.statusCode, 400);
+          assert.equal(response.body.error.message, 'btcPublicKey must be a compressed public key in hex');
+        }
+        assert.equal(calls.length, 0);
+      });
+    }
+
+    it('refuses a max slippage outside 0 to 10000 basis points', async function () {
+      for (const maxSlippageBps of [-1, 10001, 0.5, 'lots']) {
+        const response = await callRoute(handler, { method: 'POST', body: { ...body, maxSlippageBps } });
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.body.error.message, 'maxSlippageBps must be an integer between 0 and 10000');
+      }
+      assert.equal(calls.length, 0);
+    });
+
+    it('only accepts POST', async function () {
+      const response = await callRoute(handler, { method: 'GET' });
+
+      assert.equal(response.statusCode, 405);
+      assert.deepEqual(response.headers.allow, ['POST']);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const assert = require('assert');
+const bitcoin = require('bitcoinjs-lib');
+const { ethers } = require('ethers');
+const BitcoinHTLC = require('../bitcoin/htlc');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HOUR = 60 * 60 * 1000;
+const HTLC_SATS = 1000000;
+
+// Order status values of the FusionResolver
+const ORDER_COMPLETED = 1;
+const ORDER_REFUNDED = 2;
+
+describe('SwapSimulation', function () {
+  this.timeout(20000);
+
+  let sim;
+  let user;
+  let userEthAddress;
+
+  beforeEach(function () {
+    sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+    user = sim.bitcoin.generateKeyPair();
+    userEthAddress = ethers.Wallet.createRandom().address;
+  });
+
+  afterEach(async function () {
+    await sim.stop();
+  });
+
+  async function getSwapState(swapId) {
+    return sim.stateManager.getSwapState(swapId);
+  }
+
+  async function getOrderStatus(swapId) {
+    return Number((await sim.resolver.getSwapOrder(swapId)).status);
+  }
+
+  async function getBalance(address) {
+    const utxos = await sim.bitcoin.getUTXOs(address);
+    return utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+  }
+
+  /**
+   * The output a transaction paid to an address, if any
+   */
+  async function findOutput(address, txid) {
+    const utxos = await sim.bitcoin.getUTXOs(address);
+    return utxos.find(utxo => utxo.txid === txid);
+  }
+
+  it('stops cleanly right after it is created', async function () {
+    const fresh = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+    await fresh.stop();
+  });
+
+  describe('BTC to ETH', function () {
+    async function initiateSwap() {
+      return sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+      });
+    }
+
+    it('pays the user in ETH once the HTLC confirms and sweeps the HTLC to the service', async function () {
+      const swap = await initiateSwap();
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.INITIATED);
+
+      sim.bitcoin.fund(swap.btcHtlcAddress, HTLC_SATS);
+      sim.bitcoin.mine(1);
+      sim.coordinator.startMonitoring();
+      const completion = sim.coordinator.completeBTCToETHSwap(swap.swapId);
+
+      // Funded but short of confirmations: the flow waits for blocks
+      while (sim.coordinator.confirmationWaiters.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await sim.advance(10 * 60 * 1000);
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.BTC_FUNDED);
+      sim.bitcoin.mine(5);
+      await sim.advance(10 * 60 * 1000);
+
+      const result = await completion;
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(await getOrderStatus(swap.swapId), ORDER_COMPLETED);
+
+      const swapState = await getSwapState(swap.swapId);
+      assert.deepEqual(
+        swapState.statusHistory.map(entry => entry.status),
+        ['created', 'initiated', 'btc_funded', 'btc_confirmed', 'eth_claimed', 'completed']
+      );
+
+      sim.bitcoin.mine(1);
+      const claimed = await findOutput(sim.serviceBtc.address, swapState.btcSide.claimTxId);
+      assert.equal(claimed.value, HTLC_SATS - swapState.btcSide.claimFee);
+      assert.equal(claimed.confirmations, 1);
+      assert.equal(await getBalance(swap.btcHtlcAddress), 0);
+    });
+
+    it('rolls a confirmed swap back when its funding is reorged out and claims only once it confirms again', async function () {
+      const swap = await initiateSwap();
+      sim.bitcoin.fund(swap.btcHtlcAddress, HTLC_SATS);
+      sim.bitcoin.mine(3);
+
+      // Reorg the funding out right after the swap is marked confirmed, before the claim
+      let reorged = false;
+      sim.stateManager.on('swapSaved', (swapId, swapState) => {
+        if (!reorged && swapState.status === SWAP_STATES.BTC_CONFIRMED) {
+          reorged = true;
+          sim.bitcoin.reorg(3);
+        }
+      });
+      sim.coordinator.startMonitoring();
+      const completion = sim.coordinator.completeBTCToETHSwap(swap.swapId);
+
+      while (sim.coordinator.confirmationWaiters.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      let swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.BTC_FUNDED);
+      assert.equal(swapState.reorgCount, 1);
+      assert.equal(swapState.btcConfirmation.confirmations, 0);
+      assert.equal(await getOrderStatus(swap.swapId), 0);
+
+      sim.bitcoin.mine(3);
+      await sim.advance(10 * 60 * 1000);
+
+      const result = await completion;
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(await getOrderStatus(swap.swapId), ORDER_COMPLETED);
+      swapState = await getSwapState(swap.swapId);
+      assert.deepEqual(
+        swapState.statusHistory.map(entry => entry.status),
+        ['created', 'initiated', 'btc_funded', 'btc_confirmed', 'btc_funded', 'btc_confirmed', 'eth_claimed', 'completed']
+      );
+    });
+
+    it('refunds the Ethereum order of a swap the user never funds once the monitor sees it expire', async function () {
+      const swap = await initiateSwap();
+      const { expiresAt } = await getSwapState(swap.swapId);
+      sim.coordinator.startMonitoring();
+
+      await sim.advance(expiresAt - sim.clock.now());
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.INITIATED);
+
+      await sim.advance(HOUR);
+
+      const swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.REFUNDED);
+      assert.ok(swapState.ethRefundTxHash);
+      assert.equal(await getOrderStatus(swap.swapId), ORDER_REFUNDED);
+    });
+  });
+
+  describe('ETH to BTC', function () {
+    let htlc;
+    let secret;
+    let hash;
+
+    beforeEach(function () {
+      htlc = new BitcoinHTLC('testnet', { logger: new Logger({ sink: () => {} }) });
+      ({ secret, hash } = htlc.generateSecret());
+    });
+
+    /**
+     * Create the swap and lock the user's ETH for it
+     */
+    async function initiateSwap() {
+      const swap = await sim.coordinator.initiateETHToBTCSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress,
+        secretHash: hash.toString('hex')
+      });
+
+      const { ethLock } = swap;
+      await sim.resolver.submit(userEthAddress, 'initiateSwap', [
+        ethLock.swapId, ethLock.tokenAddress, ethLock.amount, ethers.ZeroHash, ethLock.secretHash, ethLock.lockTime
+      ]);
+      return swap;
+    }
+
+    /**
+     * Claim the HTLC as the user, revealing the secret on the Bitcoin chain
+     */
+    async function claimAsUser(swap) {
+      const { btcSide } = await getSwapState(swap.swapId);
+      const utxos = await sim.bitcoin.getUTXOs(swap.btcHtlcAddress);
+      const inputs = await Promise.all(utxos.map(async utxo => ({
+        ...utxo,
+        txHex: await sim.bitcoin.getTransactionHex(utxo.txid)
+      })));
+      const claim = htlc.createClaimTransaction(
+        { script: Buffer.from(btcSide.htlcScript, 'hex'), address: swap.btcHtlcAddress },
+        secret,
+        user.privateKey,
+        user.address,
+        inputs,
+        2000
+      );
+      return sim.bitcoin.broadcastTransaction(claim.toHex());
+    }
+
+    it('pays the user in BTC and claims the user\'s ETH with the secret the claim reveals', async function () {
+      const swap = await initiateSwap();
+
+      await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+      sim.bitcoin.mine(1);
+      assert.equal(await getBalance(swap.btcHtlcAddress), swap.btcAmount * 100000000);
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.BTC_FUNDED);
+
+      const claimTxId = await claimAsUser(swap);
+      sim.bitcoin.mine(1);
+      const claim = bitcoin.Transaction.fromHex(await sim.bitcoin.getTransactionHex(claimTxId));
+      assert.equal(bitcoin.address.fromOutputScript(claim.outs[0].script, bitcoin.networks.testnet), user.address);
+
+      const result = await sim.coordinator.completeETHToBTCSwap(swap.swapId, claimTxId);
+
+      assert.equal(result.status, SWAP_STATES.COMPLETED);
+      assert.equal(await getOrderStatus(swap.swapId), ORDER_COMPLETED);
+      const swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.btcSide.secret, secret.toString('hex'));
+      assert.deepEqual(
+        swapState.statusHistory.map(entry => entry.status),
+        ['initiated', 'btc_funding', 'btc_funded', 'eth_claimed', 'completed']
+      );
+    });
+
+    it('refunds the HTLC to the service once its lock passes without a claim', async function () {
+      const swap = await initiateSwap();
+      await sim.coordinator.fundETHToBTCSwap(swap.swapId);
+      sim.bitcoin.mine(1);
+      const { expiresAt } = await getSwapState(swap.swapId);
+      sim.coordinator.startMonitoring();
+
+      await sim.advance(expiresAt - sim.clock.now() + HOUR);
+      sim.bitcoin.mine(swap.btcLockTime - await sim.bitcoin.getBlockHeight());
+      await sim.advance(HOUR);
+      assert.equal((await getSwapState(swap.swapId)).status, SWAP_STATES.REFUNDING);
+
+      sim.bitcoin.mine(1);
+      await sim.advance(HOUR);
+
+      const swapState = await getSwapState(swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.REFUNDED);
+      const refunded = await findOutput(sim.serviceBtc.address, swapState.btcSide.refundTxId);
+      assert.equal(refunded.confirmations, 1);
+      assert.equal(await getBalance(swap.btcHtlcAddress), 0);
+      // The user's ETH stays locked for them to refund
+      assert.equal(await getOrderStatus(swap.swapId), 0);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const {
+  SWAP_STATES,
+  SWAP_TRANSITIONS,
+  TERMINAL_STATES,
+  isTerminalState,
+  canTransition,
+  assertTransition
+} = require('../coordinator/SwapStateMachine');
+
+const STATUSES = Object.values(SWAP_STATES);
+
+describe('SwapStateMachine', function () {
+  for (const [direction, transitions] of Object.entries(SWAP_TRANSITIONS)) {
+    describe(direction, function () {
+      it('only moves between known statuses', function () {
+        for (const [from, targets] of Object.entries(transitions)) {
+          assert.ok(STATUSES.includes(from), from);
+          targets.forEach(to => assert.ok(STATUSES.includes(to), `${from} → ${to}`));
+        }
+      });
+
+      it('has an exit from every status it can enter', function () {
+        const reachable = new Set(Object.values(transitions).flat());
+        for (const status of reachable) {
+          assert.ok(isTerminalState(status) || transitions[status].length > 0, `no exit from ${status}`);
+        }
+      });
+
+      it('never leaves a terminal status', function () {
+        TERMINAL_STATES.forEach(status => assert.equal(transitions[status], undefined));
+      });
+    });
+  }
+
+  describe('canTransition', function () {
+    it('follows the BTC to ETH happy path', function () {
+      const path = ['created', 'initiated', 'btc_funded', 'btc_confirmed', 'eth_claimed', 'completed'];
+      for (let i = 1; i < path.length; i++) {
+        assert.ok(canTransition('BTC_TO_ETH', path[i - 1], path[i]), `${path[i - 1]} → ${path[i]}`);
+      }
+    });
+
+    it('follows the ETH to BTC happy path', function () {
+      const path = ['initiated', 'btc_funding', 'btc_funded', 'eth_claimed', 'completed'];
+      for (let i = 1; i < path.length; i++) {
+        assert.ok(canTransition('ETH_TO_BTC', path[i - 1], path[i]), `${path[i - 1]} → ${path[i]}`);
+      }
+    });
+
+    it('lets an ETH to BTC swap fail while funding its HTLC', function () {
+      assert.ok(canTransition('ETH_TO_BTC', 'btc_funding', 'failed'));
+    });
+
+    it('applies the BTC to ETH table to swaps without a direction', function () {
+      assert.ok(canTransition(undefined, 'created', 'initiated'));
+      assert.ok(!canTransition(undefined, 'initiated', 'btc_funding'));
+    });
+
+    it('rejects skipped steps, unknown statuses and unknown directions', function () {
+      assert.ok(!canTransition('BTC_TO_ETH', 'initiated', 'completed'));
+      assert.ok(!canTransition('ETH_TO_BTC', 'eth_claimed', 'refunding'));
+      assert.ok(!canTransition('BTC_TO_ETH', 'unknown', 'failed'));
+      assert.ok(!canTransition('BTC_TO_BTC', 'created', 'initiated'));
+    });
+  });
+
+  describe('assertTransition', function () {
+    it('throws on an illegal transition', function () {
+      assert.doesNotThrow(() => assertTransition('BTC_TO_ETH', 'refunding', 'refunded'));
+      assert.throws(
+        () => assertTransition('BTC_TO_ETH', 'completed', 'refunding'),
+        /Illegal swap transition from completed to refunding/
+      );
+    });
+  });
+});
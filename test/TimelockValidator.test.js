@@ -0,0 +1,158 @@
+const assert = require('assert');
+const TimelockValidator = require('../coordinator/TimelockValidator');
+const MockBitcoinChain = require('../coordinator/simulation/MockBitcoinChain');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+
+const HOUR = 60 * 60; // seconds
+const MARGIN = 2 * HOUR;
+
+describe('TimelockValidator', function () {
+  let clock;
+  let chain;
+  let validator;
+  let now;
+  let tip;
+
+  beforeEach(async function () {
+    clock = new ManualClock();
+    // 201 blocks ten minutes apart, the last one mined now
+    chain = new MockBitcoinChain({ clock });
+    validator = new TimelockValidator(chain, { clock, minSafetyMargin: MARGIN });
+    now = Math.floor(clock.now() / 1000);
+    tip = await chain.getBlockHeight();
+  });
+
+  /**
+   * Block height expected to be mined `seconds` from now
+   */
+  function heightIn(seconds) {
+    return tip + seconds / 600;
+  }
+
+  describe('block height conversion', function () {
+    it('uses the average interval of recent blocks', async function () {
+      chain = new MockBitcoinChain({ clock, blockInterval: 300 });
+      validator = new TimelockValidator(chain, { clock });
+
+      assert.equal(await validator.getAverageBlockInterval(), 300);
+      assert.equal(await validator.blockHeightToTimestamp(tip + 12), now + 3600);
+      assert.equal(await validator.timestampToBlockHeight(now + 3600), tip + 12);
+      assert.equal(await validator.timestampToBlockHeight(now + 3601), tip + 13);
+    });
+
+    it('falls back to ten minutes without block history', async function () {
+      chain = new MockBitcoinChain({ clock, startHeight: 0 });
+      validator = new TimelockValidator(chain, { clock });
+
+      assert.equal(await validator.getAverageBlockInterval(), 600);
+    });
+
+    it('caches the interval for intervalCacheTtl', async function () {
+      validator = new TimelockValidator(chain, { clock, intervalCacheTtl: 60 * 1000 });
+      await validator.getAverageBlockInterval();
+
+      // A burst of blocks a second apart shortens the interval, but only after the cache expires
+      chain.mine(100);
+      assert.equal(await validator.getAverageBlockInterval(), 600);
+
+      await clock.advance(60 * 1000);
+      assert.ok(await validator.getAverageBlockInterval() < 600);
+    });
+  });
+
+  describe('BTC to ETH', function () {
+    // The user locks BTC first, so the Ethereum order must expire MARGIN before the HTLC
+    const cases = [
+      ['block height', () => heightIn(4 * HOUR)],
+      ['timestamp', () => now + 4 * HOUR]
+    ];
+
+    for (const [kind, btcLockTime] of cases) {
+      it(`accepts a ${kind} lock time exactly the margin after the Ethereum lock`, async function () {
+        const result = await validator.validateSwapTimelocks({
+          direction: 'BTC_TO_ETH',
+          btcLockTime: btcLockTime(),
+          ethLockTime: now + 2 * HOUR
+        });
+
+        assert.deepEqual(result, {
+          btcExpiresAt: now + 4 * HOUR,
+          ethExpiresAt: now + 2 * HOUR,
+          marginSeconds: MARGIN,
+          blockInterval: 600
+        });
+      });
+
+      it(`refuses a ${kind} lock time a second short of the margin`, async function () {
+        await assert.rejects(
+          validator.validateSwapTimelocks({
+            direction: 'BTC_TO_ETH',
+            btcLockTime: btcLockTime(),
+            ethLockTime: now + 2 * HOUR + 1
+          }),
+          /^Error: Unsafe timelocks: Bitcoin lock must expire at least 120 minutes after the Ethereum lock \(margin is 120 minutes\)$/
+        );
+      });
+    }
+  });
+
+  describe('ETH to BTC', function () {
+    // The user locks ETH first, so the HTLC must expire MARGIN before the Ethereum order
+    const cases = [
+      ['block height', () => heightIn(10 * HOUR)],
+      ['timestamp', () => now + 10 * HOUR]
+    ];
+
+    for (const [kind, btcLockTime] of cases) {
+      it(`accepts a ${kind} lock time exactly the margin before the Ethereum lock`, async function () {
+        const result = await validator.validateSwapTimelocks({
+          direction: 'ETH_TO_BTC',
+          btcLockTime: btcLockTime(),
+          ethLockTime: now + 12 * HOUR
+        });
+
+        assert.equal(result.marginSeconds, MARGIN);
+      });
+
+      it(`refuses a ${kind} lock time a second short of the margin`, async function () {
+        await assert.rejects(
+          validator.validateSwapTimelocks({
+            direction: 'ETH_TO_BTC',
+            btcLockTime: btcLockTime(),
+            ethLockTime: now + 12 * HOUR - 1
+          }),
+          /Unsafe timelocks: Ethereum lock must expire at least 120 minutes after the Bitcoin lock/
+        );
+      });
+    }
+
+    it('counts the contract\'s SWAP_TIMEOUT as the Ethereum expiry when it comes first', async function () {
+      const swap = { direction: 'ETH_TO_BTC', btcLockTime: now + 22 * HOUR, ethLockTime: now + 48 * HOUR };
+
+      assert.equal((await validator.validateSwapTimelocks(swap)).ethExpiresAt, now + 24 * HOUR);
+      await assert.rejects(
+        validator.validateSwapTimelocks({ ...swap, btcLockTime: now + 22 * HOUR + 1 }),
+        /Unsafe timelocks/
+      );
+      await assert.rejects(
+        validator.validateSwapTimelocks({ ...swap, btcLockTime: now + 22 * HOUR, ethCreatedAt: now - 1 }),
+        /Unsafe timelocks/
+      );
+    });
+  });
+
+  it('refuses locks that have already expired', async function () {
+    await assert.rejects(
+      validator.validateSwapTimelocks({ direction: 'BTC_TO_ETH', btcLockTime: heightIn(4 * HOUR), ethLockTime: now }),
+      /Unsafe timelocks: Ethereum lock has already expired/
+    );
+    await assert.rejects(
+      validator.validateSwapTimelocks({ direction: 'ETH_TO_BTC', btcLockTime: tip, ethLockTime: now + 4 * HOUR }),
+      /Unsafe timelocks: Bitcoin lock has already expired/
+    );
+    await assert.rejects(
+      validator.validateSwapTimelocks({ direction: 'ETH_TO_BTC', btcLockTime: now, ethLockTime: now + 4 * HOUR }),
+      /Unsafe timelocks: Bitcoin lock has already expired/
+    );
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const TokenRegistry = require('../coordinator/TokenRegistry');
+
+const { NATIVE_ETH_ADDRESS } = TokenRegistry;
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+
+describe('TokenRegistry', function () {
+  let tokens;
+
+  beforeEach(function () {
+    tokens = new TokenRegistry(1);
+  });
+
+  describe('parseAmount', function () {
+    it('converts with each token\'s own decimals', function () {
+      assert.equal(tokens.parseAmount(NATIVE_ETH_ADDRESS, '0.2'), 200000000000000000n);
+      assert.equal(tokens.parseAmount(USDC, '1.5'), 1500000n);
+      assert.equal(tokens.parseAmount(WBTC, '0.00000001'), 1n);
+      assert.equal(tokens.parseAmount(DAI, '1000'), 1000000000000000000000n);
+    });
+
+    it('reads numbers without exponent notation', function () {
+      assert.equal(tokens.parseAmount(WBTC, 0.00000001), 1n);
+      assert.equal(tokens.parseAmount(USDC, 0.000001), 1n);
+      assert.equal(tokens.parseAmount(NATIVE_ETH_ADDRESS, 1e21), 10n ** 39n);
+      assert.equal(tokens.parseAmount(USDC, 2500), 2500000000n);
+    });
+
+    it('refuses more decimals than the token has instead of rounding', function () {
+      assert.throws(() => tokens.parseAmount(USDC, '1.0000001'), /USDC amounts have at most 6 decimals/);
+      assert.throws(() => tokens.parseAmount(WBTC, 0.000000001), /WBTC amounts have at most 8 decimals/);
+      assert.equal(tokens.parseAmount(USDC, '1.000000'), 1000000n);
+    });
+
+    it('matches addresses in any case', function () {
+      assert.equal(tokens.parseAmount(USDC.toLowerCase(), '1'), 1000000n);
+      assert.equal(tokens.parseAmount(USDC.toUpperCase().replace('0X', '0x'), '1'), 1000000n);
+    });
+  });
+
+  describe('formatAmount', function () {
+    it('converts base units back into a decimal amount', function () {
+      assert.equal(tokens.formatAmount(USDC, 1500000n), '1.5');
+      assert.equal(tokens.formatAmount(USDC, '1'), '0.000001');
+      assert.equal(tokens.formatAmount(WBTC, 100000000n), '1.0');
+      assert.equal(tokens.formatAmount(NATIVE_ETH_ADDRESS, 200000000000000000n), '0.2');
+    });
+
+    it('round-trips parseAmount', function () {
+      for (const [address, amount] of [[USDC, '123.456789'], [DAI, '0.000000000000000001'], [WBTC, '21000000.0']]) {
+        assert.equal(tokens.formatAmount(address, tokens.parseAmount(address, amount)), amount);
+      }
+    });
+  });
+
+  it('refuses tokens it does not list', function () {
+    const unlisted = '0x' + '11'.repeat(20);
+
+    assert.throws(() => tokens.parseAmount(unlisted, '1'), /Token not supported/);
+    assert.throws(() => tokens.formatAmount(unlisted, 1n), /Token not supported/);
+    assert.throws(() => tokens.getToken(unlisted), /Token not supported/);
+    assert.equal(tokens.findToken(unlisted), null);
+  });
+
+  describe('configured tokens', function () {
+    it('adds tokens to the chain\'s list with checksummed addresses', function () {
+      const address = '0x' + 'ab'.repeat(20);
+      tokens = new TokenRegistry(11155111, [{ address, symbol: 'TEST', decimals: 2 }]);
+
+      const token = tokens.getToken(address);
+      assert.equal(token.address, '0xABaBaBaBABabABabAbAbABAbABabababaBaBABaB');
+      assert.equal(token.logo, null);
+      assert.equal(tokens.parseAmount(address, '1.25'), 125n);
+      assert.deepEqual(tokens.listTokens().map(entry => entry.symbol), ['ETH', 'WETH', 'USDC', 'TEST']);
+    });
+
+    it('overrides built-in tokens by address, keeping a disallowed token convertible', function () {
+      tokens = new TokenRegistry(1, [{ address: USDC.toLowerCase(), allowed: false }]);
+
+      assert.throws(() => tokens.getToken(USDC), /Token not supported/);
+      assert.ok(!tokens.listTokens().some(token => token.symbol === 'USDC'));
+      assert.equal(tokens.parseAmount(USDC, '1'), 1000000n);
+      assert.equal(tokens.findToken(USDC).decimals, 6);
+    });
+
+    it('refuses entries without a symbol or integer decimals', function () {
+      const address = '0x' + 'ab'.repeat(20);
+
+      assert.throws(() => new TokenRegistry(1, [{ address, decimals: 6 }]), /needs a symbol and decimals/);
+      assert.throws(() => new TokenRegistry(1, [{ address, symbol: 'TEST', decimals: '6' }]), /needs a symbol and decimals/);
+      assert.throws(() => new TokenRegistry(1, [{ address: '0x1234', symbol: 'TEST', decimals: 6 }]), /invalid address/);
+    });
+  });
+
+  it('returns copies the caller cannot change the registry through', function () {
+    tokens.getToken(USDC).decimals = 18;
+    tokens.listTokens()[0].allowed = false;
+
+    assert.equal(tokens.getToken(USDC).decimals, 6);
+    assert.ok(tokens.getToken(NATIVE_ETH_ADDRESS).allowed);
+  });
+});
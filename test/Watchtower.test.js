@@ -0,0 +1,174 @@
+const assert = require('assert');
+const bitcoin = require('bitcoinjs-lib');
+const { ethers } = require('ethers');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Watchtower = require('../coordinator/Watchtower');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HTLC_SATS = 1000000;
+
+// BitcoinWallet.estimateFee(1, 1) at the mock chain's 10 sat/vB
+const BASE_FEE = 1920;
+
+describe('Watchtower', function () {
+  describe('getClaimFee', function () {
+    const height = 1000;
+    let watchtower;
+
+    beforeEach(function () {
+      watchtower = new Watchtower({
+        bitcoinWallet: {
+          estimateFee: async () => BASE_FEE,
+          getBlockHeight: async () => height,
+          getMedianTimePast: async () => 1700000000
+        },
+        clock: new ManualClock(),
+        logger: new Logger({ sink: () => {} })
+      }, { escalationBlocks: 100 });
+    });
+
+    function feeAt(lockTime) {
+      return watchtower.getClaimFee({ btcSide: { lockTime } }, 1, 1);
+    }
+
+    it('pays the estimate until the escalation window', async function () {
+      assert.equal(await feeAt(height + 100), BASE_FEE);
+      assert.equal(await feeAt(height + 500), BASE_FEE);
+    });
+
+    it('rises linearly to eight times the estimate at the lock', async function () {
+      assert.equal(await feeAt(height + 50), Math.ceil(BASE_FEE * 4.5));
+      assert.equal(await feeAt(height), BASE_FEE * 8);
+      assert.equal(await feeAt(height - 10), BASE_FEE * 8);
+    });
+
+    it('counts timestamp locks in 10 minute blocks', async function () {
+      assert.equal(await feeAt(1700000000 + 100 * 600), BASE_FEE);
+      assert.equal(await feeAt(1700000000 + 50 * 600), Math.ceil(BASE_FEE * 4.5));
+    });
+  });
+
+  describe('scan', function () {
+    let sim;
+    let watchtower;
+    let swap;
+    let completion;
+
+    beforeEach(async function () {
+      sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+      watchtower = sim.coordinator.watchtower;
+      const user = sim.bitcoin.generateKeyPair();
+
+      swap = await sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress: ethers.Wallet.createRandom().address,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 48 * 3600
+      });
+      sim.bitcoin.fund(swap.btcHtlcAddress, HTLC_SATS);
+      sim.bitcoin.mine(3);
+      await watchtower.scan();
+
+      // Hold the service's completeSwap call in the pending block
+      sim.resolver.config.autoMine = false;
+      completion = sim.coordinator.completeBTCToETHSwap(swap.swapId);
+      while (sim.resolver.pending.length === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    });
+
+    afterEach(async function () {
+      sim.resolver.config.autoMine = true;
+      sim.resolver.mine();
+      await completion.catch(() => {});
+      await sim.stop();
+    });
+
+    async function getSwapState() {
+      return sim.stateManager.getSwapState(swap.swapId);
+    }
+
+    /**
+     * Mine blocks that leave the mempool out, as when its fees are too low
+     */
+    function mineEmptyBlocks(count) {
+      const mempool = sim.bitcoin.mempool.splice(0);
+      sim.bitcoin.mine(count);
+      sim.bitcoin.mempool.push(...mempool);
+    }
+
+    it('claims the HTLC as soon as completeSwap is pending', async function () {
+      const result = await watchtower.scan();
+
+      assert.equal(result.claimed, 1);
+      const { btcSide } = await getSwapState();
+      assert.ok(sim.bitcoin.getMempool().includes(btcSide.claimTxId));
+
+      // The swap's own flow reuses the watchtower's claim
+      sim.resolver.mine();
+      const completed = await completion;
+      assert.equal(completed.status, SWAP_STATES.COMPLETED);
+      assert.equal(completed.btcClaimTxId, btcSide.claimTxId);
+    });
+
+    it('re-signs an unconfirmed claim with a higher fee as the lock nears', async function () {
+      await watchtower.scan();
+      const first = { ...(await getSwapState()).btcSide };
+      assert.equal(first.claimFee, BASE_FEE);
+
+      // 36 blocks before the lock: 1 + 7 * 108 / 144 times the estimate
+      mineEmptyBlocks(first.lockTime - 36 - await sim.bitcoin.getBlockHeight());
+      const result = await watchtower.scan();
+
+      assert.equal(result.bumped, 1);
+      const { btcSide } = await getSwapState();
+      assert.equal(btcSide.claimFee, Math.ceil(BASE_FEE * 6.25));
+      assert.deepEqual(btcSide.claimTxIds, [first.claimTxId, btcSide.claimTxId]);
+      assert.deepEqual(sim.bitcoin.getMempool(), [btcSide.claimTxId]);
+
+      const replacement = bitcoin.Transaction.fromHex(btcSide.claimTxHex);
+      const original = bitcoin.Transaction.fromHex(first.claimTxHex);
+      assert.deepEqual(replacement.ins.map(input => input.hash), original.ins.map(input => input.hash));
+      assert.equal(replacement.outs[0].value, HTLC_SATS - btcSide.claimFee);
+      const [, preimage] = bitcoin.script.decompile(replacement.ins[0].script);
+      assert.equal(preimage.toString('hex'), btcSide.secret);
+
+      // Not bumped again until the fee would rise by a quarter
+      assert.equal((await watchtower.scan()).pending, 1);
+
+      sim.bitcoin.mine(1);
+      assert.equal((await watchtower.scan()).confirmed, 1);
+      assert.ok((await getSwapState()).btcSide.claimConfirmedAt);
+    });
+
+    it('keeps its cursor before the event of a swap it failed to claim', async function () {
+      const claim = sim.coordinator.claimBitcoinHTLC;
+      sim.coordinator.claimBitcoinHTLC = async () => {
+        throw new Error('Bitcoin node unavailable');
+      };
+      const startBlock = await sim.resolver.getBlockNumber();
+
+      sim.resolver.mine();
+      await assert.rejects(completion, /Bitcoin node unavailable/);
+      const event = sim.resolver.logs.find(log => log.eventName === 'SwapCompleted');
+      assert.equal(event.args.swapId, swap.swapId);
+
+      await watchtower.scan();
+      assert.equal((await sim.stateManager.getMetadata('watchtower')).lastProcessedBlock, startBlock);
+
+      sim.coordinator.claimBitcoinHTLC = claim;
+      const result = await watchtower.scan();
+
+      assert.equal(result.claimed, 1);
+      assert.equal((await sim.stateManager.getMetadata('watchtower')).lastProcessedBlock, event.blockNumber);
+      assert.equal((await getSwapState()).status, SWAP_STATES.COMPLETED);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const StateManager = require('../coordinator/StateManager');
+const WebhookDispatcher = require('../coordinator/WebhookDispatcher');
+const ManualClock = require('../coordinator/simulation/ManualClock');
+const Logger = require('../coordinator/Logger');
+
+describe('WebhookDispatcher', function () {
+  let tempDir;
+  let server;
+  let url;
+  let requests;
+  let responseStatus;
+  let clock;
+  let stateManager;
+  let dispatcher;
+
+  beforeEach(async function () {
+    requests = [];
+    responseStatus = 200;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    const logger = new Logger({ sink: () => {} });
+    stateManager = new StateManager({ dataDir: tempDir, backupDir: path.join(tempDir, 'backups'), logger });
+    await stateManager.initialize();
+
+    clock = new ManualClock();
+    dispatcher = new WebhookDispatcher(stateManager, {
+      clock,
+      logger,
+      maxAttempts: 3,
+      baseDelay: 1000,
+      maxDelay: 1500
+    });
+  });
+
+  afterEach(async function () {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createSwapState() {
+    return {
+      swapId: crypto.randomBytes(32).toString('hex'),
+      direction: 'BTC_TO_ETH',
+      status: 'created',
+      statusHistory: [{ status: 'created', timestamp: clock.now() }],
+      btcSide: { amount: 0.01, userAddress: 'tb1quser', htlcAddress: '2Nhtlc' },
+      ethSide: { tokenAddress: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE', amount: 0.2, userAddress: '0xuser' },
+      createdAt: clock.now(),
+      expiresAt: clock.now() + 3600 * 1000
+    };
+  }
+
+  /**
+   * Move the swap to a status and emit its event, as transitionSwap does
+   */
+  async function transition(swapState, status, updates = {}) {
+    Object.assign(swapState, updates, { status });
+    swapState.statusHistory.push({ status, timestamp: clock.now() });
+    await dispatcher.notifySwapStatus(swapState);
+    await dispatcher.processDueDeliveries();
+  }
+
+  async function getDelivery() {
+    const [delivery] = await stateManager.getWebhookDeliveries();
+    return delivery;
+  }
+
+  it('signs the timestamp and raw body with the endpoint secret', async function () {
+    const { secret } = await dispatcher.createSubscription({ url });
+    const swapState = createSwapState();
+
+    await dispatcher.notifySwapStatus(swapState);
+    await dispatcher.processDueDeliveries();
+
+    assert.equal(requests.length, 1);
+    const { headers, body } = requests[0];
+    const event = JSON.parse(body);
+    assert.equal(event.type, 'swap.created');
+    assert.equal(event.data.swapId, swapState.swapId);
+    assert.equal(headers['x-webhook-id'], event.id);
+    assert.equal(headers['x-webhook-event'], 'swap.created');
+    assert.equal(headers['x-webhook-timestamp'], String(clock.now() / 1000));
+
+    const expected = crypto.createHmac('sha256', secret)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.deepEqual(await stateManager.getWebhookDeliveries(), []);
+  });
+
+  it('only sends the events an endpoint subscribed to', async function () {
+    await dispatcher.createSubscription({ url, events: ['swap.completed'] });
+    const swapState = createSwapState();
+
+    await dispatcher.notifySwapStatus(swapState);
+    await transition(swapState, 'btc_funded');
+    await transition(swapState, 'completed');
+
+    assert.deepEqual(requests.map(request => JSON.parse(request.body).type), ['swap.completed']);
+  });
+
+  it('retries a failed delivery after a doubling delay capped at maxDelay', async function () {
+    await dispatcher.createSubscription({ url });
+    responseStatus = 500;
+
+    await dispatcher.notifySwapStatus(createSwapState());
+    await dispatcher.processDueDeliveries();
+
+    let delivery = await getDelivery();
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.lastStatusCode, 500);
+    assert.equal(delivery.nextAttemptAt, clock.now() + 1000);
+
+    await clock.advance(999);
+    await dispatcher.processDueDeliveries();
+    assert.equal(requests.length, 1);
+
+    await clock.advance(1);
+    await dispatcher.processDueDeliveries();
+    assert.equal(requests.length, 2);
+    delivery = await getDelivery();
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.nextAttemptAt, clock.now() + 1500);
+    assert.equal(dispatcher.getRetryDelay(2), 1500);
+    assert.equal(dispatcher.getRetryDelay(1), 1000);
+
+    // The same event and delivery IDs on every attempt
+    assert.equal(requests[1].headers['x-webhook-id'], requests[0].headers['x-webhook-id']);
+    assert.equal(requests[1].headers['x-webhook-delivery'], requests[0].headers['x-webhook-delivery']);
+  });
+
+  it('dead-letters a delivery after maxAttempts and delivers it once replayed', async function () {
+    await dispatcher.createSubscription({ url });
+    responseStatus = 503;
+
+    await dispatcher.notifySwapStatus(createSwapState());
+    await dispatcher.processDueDeliveries();
+    for (let attempt = 1; attempt < 3; attempt++) {
+      await clock.advance(1500);
+      await dispatcher.processDueDeliveries();
+    }
+
+    const [deadLetter] = await stateManager.getWebhookDeliveries('dead_letter');
+    assert.equal(deadLetter.attempts, 3);
+    assert.equal(deadLetter.deadLetteredAt, clock.now());
+    await clock.advance(60 * 60 * 1000);
+    await dispatcher.processDueDeliveries();
+    assert.equal(requests.length, 3);
+
+    responseStatus = 200;
+    assert.equal(await dispatcher.replayDeadLetters(), 1);
+    await dispatcher.processDueDeliveries();
+
+    assert.equal(requests.length, 4);
+    assert.equal(requests[3].body, requests[0].body);
+    assert.deepEqual(await stateManager.getWebhookDeliveries(), []);
+  });
+
+  describe('replayEvents', function () {
+    let swapState;
+    let original;
+
+    beforeEach(async function () {
+      await dispatcher.createSubscription({ url });
+      swapState = createSwapState();
+      await dispatcher.notifySwapStatus(swapState);
+      await clock.advance(60 * 1000);
+      await transition(swapState, 'btc_funded', { btcTxId: 'ab'.repeat(32) });
+      await clock.advance(60 * 1000);
+      await transition(swapState, 'failed', { failureReason: 'Ethereum claim reverted' });
+      await dispatcher.processDueDeliveries();
+      original = requests.map(request => request.body);
+      requests = [];
+    });
+
+    it('re-sends each event as it was emitted', async function () {
+      // Changes after the events must not leak into the replay
+      swapState.ethTxHash = '0x' + 'cd'.repeat(32);
+      const { id } = await dispatcher.createSubscription({ url });
+
+      assert.equal(await dispatcher.replayEvents(id), 3);
+      await dispatcher.processDueDeliveries();
+
+      // Deliveries queued together may go out in any order
+      assert.deepEqual(requests.map(request => request.body).sort(), [...original].sort());
+      const events = original.map(body => JSON.parse(body));
+      const created = events.find(event => event.type === 'swap.created');
+      const funded = events.find(event => event.type === 'swap.funded');
+      assert.equal(created.data.status, 'created');
+      assert.equal(created.data.btcTxId, null);
+      assert.equal(funded.data.status, 'btc_funded');
+      assert.equal(funded.data.failureReason, null);
+    });
+
+    it('filters by time, swap and the endpoint\'s events', async function () {
+      const { id } = await dispatcher.createSubscription({ url, events: ['swap.funded', 'swap.failed'] });
+      const other = createSwapState();
+      await dispatcher.notifySwapStatus(other);
+      await dispatcher.processDueDeliveries();
+      requests = [];
+
+      assert.equal(await dispatcher.replayEvents(id, { since: clock.now() }), 1);
+      assert.equal(await dispatcher.replayEvents(id, { swapId: swapState.swapId }), 2);
+      assert.equal(await dispatcher.replayEvents(id, { swapId: other.swapId }), 0);
+      await assert.rejects(dispatcher.replayEvents('missing'), /Webhook subscription not found/);
+    });
+
+    it('forgets the events of a deleted swap', async function () {
+      await stateManager.deleteSwapState(swapState.swapId);
+
+      assert.deepEqual(await stateManager.getWebhookEvents(swapState.swapId), []);
+    });
+  });
+});
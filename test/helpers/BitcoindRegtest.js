@@ -0,0 +1,203 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * BitcoindRegtest - A throwaway bitcoind in regtest mode
+ * Runs in a temporary data directory with a funded `miner` wallet and a
+ * watch-only `watch` wallet for the addresses under test. Block times are set
+ * with `setmocktime`, `blockInterval` seconds apart, so the chain looks like
+ * mainnet to timelock estimates and time can be moved forward by mining.
+ */
+class BitcoindRegtest {
+  constructor(config = {}) {
+    this.config = {
+      binary: config.binary || process.env.BITCOIND || 'bitcoind',
+      rpcPort: config.rpcPort || 18543,
+      p2pPort: config.p2pPort || 18544,
+      rpcUser: config.rpcUser || 'swapper',
+      rpcPass: config.rpcPass || 'swapper',
+      blockInterval: config.blockInterval || 10 * 60, // seconds
+      startTimeout: config.startTimeout || 30000
+    };
+
+    this.process = null;
+    this.dataDir = null;
+    this.time = null;
+    this.minerAddress = null;
+  }
+
+  get rpcUrl() {
+    return `http://127.0.0.1:${this.config.rpcPort}`;
+  }
+
+  /**
+   * RPC settings for a BitcoinWallet reading through the watch-only wallet
+   * @returns {Object} {url, user, pass}
+   */
+  get walletRpcConfig() {
+    return {
+      url: `${this.rpcUrl}/wallet/watch`,
+      user: this.config.rpcUser,
+      pass: this.config.rpcPass
+    };
+  }
+
+  /**
+   * Whether the bitcoind binary can be run
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return new Promise(resolve => {
+      const child = spawn(this.config.binary, ['-version'], { stdio: 'ignore' });
+      child.on('error', () => resolve(false));
+      child.on('exit', code => resolve(code === 0));
+    });
+  }
+
+  /**
+   * Start bitcoind, create the wallets and mine a mature, evenly spaced chain
+   * The tip ends up close to the current time.
+   * @param {number} blocks - Blocks to mine up front (at least 101 to spend coinbase)
+   */
+  async start(blocks = 200) {
+    this.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bitcoind-regtest-'));
+    this.process = spawn(this.config.binary, [
+      '-regtest',
+      '-server',
+      '-listen=0',
+      '-txindex=1',
+      '-fallbackfee=0.0001',
+      `-datadir=${this.dataDir}`,
+      `-port=${this.config.p2pPort}`,
+      `-rpcport=${this.config.rpcPort}`,
+      `-rpcuser=${this.config.rpcUser}`,
+      `-rpcpassword=${this.config.rpcPass}`
+    ], { stdio: 'ignore' });
+
+    await this.waitForRpc();
+
+    await this.rpc('createwallet', ['miner']);
+    await this.rpc('createwallet', ['watch', true, true]); // No private keys, blank
+    this.minerAddress = await this.rpc('getnewaddress', [], 'miner');
+
+    this.time = Math.floor(Date.now() / 1000) - blocks * this.config.blockInterval;
+    await this.mine(blocks);
+  }
+
+  /**
+   * Stop bitcoind and delete its data directory
+   */
+  async stop() {
+    if (this.process) {
+      const exited = new Promise(resolve => this.process.once('exit', resolve));
+      try {
+        await this.rpc('stop');
+      } catch (error) {
+        this.process.kill();
+      }
+      await exited;
+      this.process = null;
+    }
+
+    if (this.dataDir) {
+      fs.rmSync(this.dataDir, { recursive: true, force: true });
+      this.dataDir = null;
+    }
+  }
+
+  async waitForRpc() {
+    const deadline = Date.now() + this.config.startTimeout;
+    while (Date.now() < deadline) {
+      if (this.process.exitCode !== null) {
+        throw new Error(`bitcoind exited with code ${this.process.exitCode}`);
+      }
+      try {
+        await this.rpc('getblockchaininfo');
+        return;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, 250));
+      }
+    }
+    throw new Error('bitcoind did not start in time');
+  }
+
+  /**
+   * Make an RPC call, optionally against one wallet
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC parameters
+   * @param {string} wallet - Wallet name
+   * @returns {Promise<any>} RPC result
+   */
+  async rpc(method, params = [], wallet = null) {
+    const url = wallet ? `${this.rpcUrl}/wallet/${wallet}` : this.rpcUrl;
+    const response = await axios.post(url, {
+      jsonrpc: '1.0',
+      id: 'regtest',
+      method,
+      params
+    }, {
+      auth: { username: this.config.rpcUser, password: this.config.rpcPass },
+      validateStatus: () => true // Errors come back as JSON with a 500
+    });
+
+    if (response.data.error) {
+      throw new Error(`${method}: ${response.data.error.message}`);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Mine blocks to the miner wallet, each `blockInterval` seconds after the last
+   * @param {number} count - Blocks to mine
+   * @returns {Promise<number>} New tip height
+   */
+  async mine(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.time += this.config.blockInterval;
+      await this.rpc('setmocktime', [this.time]);
+      await this.rpc('generatetoaddress', [1, this.minerAddress]);
+    }
+    return await this.rpc('getblockcount');
+  }
+
+  /**
+   * Track an address in the watch-only wallet
+   * @param {string} address - Bitcoin address
+   */
+  async watchAddress(address) {
+    const { checksum } = await this.rpc('getdescriptorinfo', [`addr(${address})`]);
+    const [result] = await this.rpc('importdescriptors', [[{
+      desc: `addr(${address})#${checksum}`,
+      timestamp: 'now'
+    }]], 'watch');
+
+    if (!result.success) {
+      throw new Error(`Could not watch ${address}: ${result.error && result.error.message}`);
+    }
+  }
+
+  /**
+   * Pay an address from the miner wallet
+   * @param {string} address - Bitcoin address
+   * @param {number} satoshis - Amount in satoshis
+   * @returns {Promise<string>} Transaction ID
+   */
+  async send(address, satoshis) {
+    return await this.rpc('sendtoaddress', [address, satoshis / 100000000], 'miner');
+  }
+
+  /**
+   * Confirmed and unconfirmed balance of a watched address
+   * @param {string} address - Bitcoin address
+   * @returns {Promise<number>} Balance in satoshis
+   */
+  async getAddressBalance(address) {
+    const utxos = await this.rpc('listunspent', [0, 9999999, [address]], 'watch');
+    return utxos.reduce((sum, utxo) => sum + Math.round(utxo.amount * 100000000), 0);
+  }
+}
+
+module.exports = BitcoindRegtest;
@@ -0,0 +1,110 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Hardhat's first default account, funded with 10000 ETH on every node
+const DEFAULT_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+/**
+ * HardhatNode - A local `hardhat node` for end-to-end tests
+ * Contracts are deployed from the compiled artifacts, so run
+ * `npm run compile` first (`npm test` does this).
+ */
+class HardhatNode {
+  constructor(config = {}) {
+    this.config = {
+      port: config.port || 8546,
+      startTimeout: config.startTimeout || 60000
+    };
+
+    this.process = null;
+    this.provider = null;
+    this.privateKey = DEFAULT_PRIVATE_KEY;
+  }
+
+  get rpcUrl() {
+    return `http://127.0.0.1:${this.config.port}`;
+  }
+
+  /**
+   * Start the node and wait until it accepts RPC calls
+   */
+  async start() {
+    // Run the CLI directly so stop() signals the node itself, not an npx wrapper
+    const cli = require.resolve('hardhat/internal/cli/cli');
+    this.process = spawn(process.execPath, [cli, 'node', '--port', String(this.config.port)], {
+      cwd: ROOT_DIR,
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Hardhat node did not start in time')), this.config.startTimeout);
+      let output = '';
+
+      this.process.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('Started HTTP')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      this.process.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Hardhat node exited with code ${code}`));
+      });
+    });
+
+    this.process.stdout.resume(); // Keep draining the request log
+    this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+  }
+
+  /**
+   * Stop the node
+   */
+  async stop() {
+    if (this.provider) {
+      this.provider.destroy();
+      this.provider = null;
+    }
+
+    if (this.process) {
+      const exited = new Promise(resolve => this.process.once('exit', resolve));
+      this.process.kill();
+      await exited;
+      this.process = null;
+    }
+  }
+
+  /**
+   * Deploy a contract from its Hardhat artifact
+   * @param {string} name - Contract name
+   * @param {Array} args - Constructor arguments
+   * @returns {Promise<Object>} Deployed ethers Contract
+   */
+  async deploy(name, args = []) {
+    const artifactPath = path.join(ROOT_DIR, 'artifacts', 'contracts', `${name}.sol`, `${name}.json`);
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+
+    const wallet = new ethers.Wallet(this.privateKey, this.provider);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+  }
+
+  /**
+   * Move block time forward to at least `timestamp` and mine a block
+   * Never moves backwards, since Hardhat rejects earlier timestamps.
+   * @param {number} timestamp - Unix seconds
+   */
+  async setTime(timestamp) {
+    const latest = await this.provider.getBlock('latest');
+    await this.provider.send('evm_setNextBlockTimestamp', [Math.max(timestamp, latest.timestamp + 1)]);
+    await this.provider.send('evm_mine', []);
+  }
+}
+
+module.exports = HardhatNode;
@@ -0,0 +1,48 @@
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+
+let registered = false;
+
+/**
+ * Import a frontend module (e.g. an API route) outside Next.js
+ * @param {string} file - Path relative to frontend/
+ * @returns {Promise<Object>} Module namespace
+ */
+async function importFrontend(file) {
+  if (!registered) {
+    register(pathToFileURL(path.join(__dirname, 'frontendLoader.mjs')));
+    registered = true;
+  }
+  return import(pathToFileURL(path.join(FRONTEND_DIR, file)).href);
+}
+
+/**
+ * Call an API route with a JSON body and collect its response
+ * @param {Function} handler - Route handler
+ * @param {Object} req - Request fields (method, body, query, headers)
+ * @returns {Promise<Object>} `{ statusCode, headers, body }`
+ */
+async function callRoute(handler, req) {
+  const response = { statusCode: 200, headers: {}, body: undefined };
+  const res = {
+    status(statusCode) {
+      response.statusCode = statusCode;
+      return res;
+    },
+    json(body) {
+      response.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      response.headers[name.toLowerCase()] = value;
+    }
+  };
+
+  await handler({ query: {}, headers: {}, ...req }, res);
+  return response;
+}
+
+module.exports = { importFrontend, callRoute };
@@ -0,0 +1,24 @@
+/**
+ * Node module hooks that load the Next.js frontend outside Next
+ * Frontend files are ES modules importing relative paths without an
+ * extension, which Next resolves and Node does not. These hooks add `.js`
+ * to such imports and load frontend files as ES modules; everything else
+ * (the CommonJS coordinator included) loads as usual.
+ */
+
+const FRONTEND_URL = new URL('../../frontend/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const fromFrontend = context.parentURL && context.parentURL.startsWith(FRONTEND_URL);
+  if (fromFrontend && /^\.\.?\//.test(specifier) && !/\.\w+$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(FRONTEND_URL)) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { main, Services, UsageError } = require('../scripts/swapctl');
+const StateManager = require('../coordinator/StateManager');
+const SwapSimulation = require('../coordinator/simulation/SwapSimulation');
+const Logger = require('../coordinator/Logger');
+const { SWAP_STATES } = require('../coordinator/SwapStateMachine');
+
+const NATIVE_ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const HTLC_SATS = 1000000;
+const SECRET = 'aa'.repeat(32);
+
+describe('swapctl', function () {
+  let output;
+  let log;
+
+  beforeEach(function () {
+    output = [];
+    log = console.log;
+    console.log = (...args) => output.push(args.join(' '));
+  });
+
+  afterEach(function () {
+    console.log = log;
+  });
+
+  function printed() {
+    return output.join('\n');
+  }
+
+  describe('storage commands', function () {
+    let dataDir;
+    let stateManager;
+    let services;
+
+    beforeEach(async function () {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swapctl-'));
+      stateManager = new StateManager({
+        dataDir,
+        backupDir: path.join(dataDir, 'backups'),
+        logger: new Logger({ sink: () => {} })
+      });
+      await stateManager.initialize();
+      services = new Services({}, { stateManager, logger: new Logger({ sink: () => {} }) });
+
+      const now = Date.now();
+      await saveSwap('0x01', SWAP_STATES.COMPLETED, now - 40 * DAY);
+      await saveSwap('0x02', SWAP_STATES.BTC_FUNDED, now - 40 * DAY);
+      await saveSwap('0x03', SWAP_STATES.COMPLETED, now - HOUR);
+    });
+
+    afterEach(function () {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function saveSwap(swapId, status, createdAt) {
+      return stateManager.saveSwapState(swapId, {
+        swapId,
+        direction: 'BTC_TO_ETH',
+        status,
+        statusHistory: [{ status, timestamp: createdAt }],
+        btcSide: { amount: 0.01, secret: SECRET, secretHash: 'bb'.repeat(32), htlcAddress: 'tb1qhtlc' },
+        ethSide: { tokenAddress: NATIVE_ETH, amount: 0.2 },
+        createdAt,
+        expiresAt: createdAt + 6 * HOUR
+      });
+    }
+
+    it('lists swaps newest first, filtered by status', async function () {
+      await main(['list'], services);
+
+      const rows = output.slice(1).map(line => line.split(/\s+/));
+      assert.match(output[0], /^SWAP ID\s+DIRECTION\s+STATUS\s+BTC AMOUNT\s+ETH AMOUNT\s+CREATED\s+EXPIRES$/);
+      assert.deepEqual(rows.map(row => row[0]), ['0x03', '0x01', '0x02']);
+
+      output = [];
+      await main(['list', '--status', 'completed', '--json'], services);
+
+      const swaps = JSON.parse(printed());
+      assert.deepEqual(swaps.map(swap => swap.swapId), ['0x03', '0x01']);
+      assert.ok(!printed().includes(SECRET));
+    });
+
+    it('refuses unknown statuses, commands and options', async function () {
+      await assert.rejects(main(['list', '--status', 'done'], services), error =>
+        error instanceof UsageError && error.message === 'Unknown status done');
+      await assert.rejects(main(['frobnicate'], services), /^Error: Unknown command frobnicate$/);
+      await assert.rejects(main(['list', '--verbose'], services), UsageError);
+      await assert.rejects(main(['show'], services), /^Error: Missing <swapId>$/);
+    });
+
+    it('exports the selected swaps without their secrets', async function () {
+      await main(['export', '--status', 'completed', '--json'], services);
+
+      const { path: exportPath } = JSON.parse(printed());
+      assert.equal(path.dirname(exportPath), path.join(dataDir, 'exports'));
+      const exported = fs.readFileSync(exportPath, 'utf8');
+      assert.deepEqual(JSON.parse(exported).map(swap => swap.swapId).sort(), ['0x01', '0x03']);
+      assert.ok(!exported.includes(SECRET));
+
+      await assert.rejects(main(['export', '--format', 'xml'], services), /^Error: Unknown format xml$/);
+      await assert.rejects(main(['export', '--from', 'yesterday'], services), /^Error: --from must be a date/);
+    });
+
+    it('deletes only terminal swaps older than the maximum age', async function () {
+      await main(['cleanup', '--max-age-days', '30'], services);
+
+      assert.equal(printed(), 'Deleted 1 swaps');
+      assert.equal(await stateManager.getSwapState('0x01'), null);
+      assert.ok(await stateManager.getSwapState('0x02'));
+      assert.ok(await stateManager.getSwapState('0x03'));
+
+      await assert.rejects(main(['cleanup', '--max-age-days', '-1'], services), UsageError);
+    });
+
+    it('prints statistics by direction and status', async function () {
+      await main(['stats'], services);
+
+      assert.match(printed(), /^total\s+3$/m);
+      assert.match(printed(), /^htlcValueLocked\s+0\.01$/m);
+      assert.match(printed(), /^BTC_TO_ETH\s+completed\s+2$/m);
+      assert.match(printed(), /^BTC_TO_ETH\s+btc_funded\s+1$/m);
+    });
+  });
+
+  describe('coordinator commands', function () {
+    this.timeout(20000);
+
+    let sim;
+    let services;
+    let swap;
+
+    beforeEach(async function () {
+      sim = new SwapSimulation({ logger: new Logger({ sink: () => {} }) });
+      services = new Services({}, {
+        stateManager: sim.stateManager,
+        coordinator: sim.coordinator,
+        logger: new Logger({ sink: () => {} })
+      });
+
+      const user = sim.bitcoin.generateKeyPair();
+      swap = await sim.coordinator.initiateBTCToETHSwap({
+        btcAmount: HTLC_SATS / 100000000,
+        ethTokenAddress: NATIVE_ETH,
+        ethAmount: 0.2,
+        userBtcAddress: user.address,
+        userBtcPublicKey: user.publicKey,
+        userEthAddress: ethers.Wallet.createRandom().address,
+        lockTime: Math.floor(sim.clock.now() / 1000) + 6 * 3600
+      });
+    });
+
+    afterEach(async function () {
+      await sim.stop();
+    });
+
+    it('shows a swap with its on-chain order and without its secret', async function () {
+      await main(['show', swap.swapId, '--json'], services);
+
+      const { swapState, onChain } = JSON.parse(printed());
+      assert.equal(swapState.swapId, swap.swapId);
+      assert.equal(swapState.status, SWAP_STATES.INITIATED);
+      assert.equal(onChain.found, true);
+      assert.equal(onChain.status, 'pending');
+      const { btcSide } = await sim.stateManager.getSwapState(swap.swapId);
+      assert.ok(!printed().includes(btcSide.secret));
+
+      await assert.rejects(main(['show', '0x' + '00'.repeat(32)], services), /^Error: Swap 0x0+ not found$/);
+    });
+
+    it('reports the swaps a timeout check changed', async function () {
+      const { expiresAt } = await sim.stateManager.getSwapState(swap.swapId);
+      await sim.clock.advance(expiresAt - sim.clock.now() + HOUR);
+
+      await main(['check-timeouts'], services);
+
+      assert.equal(output[0], 'Checked 1 active swaps, 1 changed');
+      assert.match(output[2], new RegExp(`^${swap.swapId}\\s+initiated\\s+refunded$`));
+      assert.equal((await sim.stateManager.getSwapState(swap.swapId)).status, SWAP_STATES.REFUNDED);
+    });
+  });
+});